@@ -8,13 +8,19 @@ import {
   Download, Share2, Heart, Eye, Zap, Code, Image, 
   Mic, Square, Play, Pause, Volume2, Languages,
   ThumbsUp, ThumbsDown, Copy, CheckCheck, MoreVertical,
-  Sparkles, Brain, Clock, BarChart3, Users, Lock
+  Sparkles, Brain, Clock, BarChart3, Users, Lock,
+  ChevronLeft, ChevronRight
 } from 'lucide-react'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 import rehypeHighlight from 'rehype-highlight'
 import { motion, AnimatePresence } from 'framer-motion'
 import { toast } from 'react-toastify'
+import { io, Socket } from 'socket.io-client'
+
+type Viewer = { id: string; username?: string; avatar?: string; typing: boolean }
+type LiveStream = { id: string; status: string }
+type Job = { id: string; type: string; status: string; progress: number; result?: any; error?: string }
 
 export function PremiumChatInterface() {
   const [message, setMessage] = useState('')
@@ -23,20 +29,29 @@ export function PremiumChatInterface() {
   const [isRecording, setIsRecording] = useState(false)
   const [showTools, setShowTools] = useState(false)
   const [selectedMessage, setSelectedMessage] = useState<string | null>(null)
+  const [editContent, setEditContent] = useState('')
+  const [tokenUsage, setTokenUsage] = useState<{ tokens: number; contextLeft: number; contextWindow: number } | null>(null)
   const messagesEndRef = useRef<HTMLDivElement>(null)
   const textareaRef = useRef<HTMLTextAreaElement>(null)
   const fileInputRef = useRef<HTMLInputElement>(null)
   const mediaRecorderRef = useRef<MediaRecorder | null>(null)
   const audioChunksRef = useRef<Blob[]>([])
+  const socketRef = useRef<Socket | null>(null)
+  const [viewers, setViewers] = useState<Viewer[]>([])
+  const [typingUsers, setTypingUsers] = useState<Record<string, string>>({})
+  const [liveReply, setLiveReply] = useState<string | null>(null)
+  const pendingJobsRef = useRef<Set<string>>(new Set())
+  // Stream being shown in the live reply bubble and the next chunk expected
+  const liveStreamRef = useRef<{ id: string | null; index: number; resuming?: boolean }>({ id: null, index: 0 })
 
   const { 
     currentChat, 
     isStreaming, 
-    streamMessage,
     updateChat,
     deleteChat,
     regenerateMessage,
-    editMessage
+    editMessage,
+    switchBranch
   } = useChatStore()
   const { user } = useAuthStore()
 
@@ -50,7 +65,7 @@ export function PremiumChatInterface() {
 
   useEffect(() => {
     scrollToBottom()
-  }, [currentChat?.messages, isStreaming, scrollToBottom])
+  }, [currentChat?.messages, isStreaming, liveReply, scrollToBottom])
 
   // Auto-resize textarea
   useEffect(() => {
@@ -60,6 +75,183 @@ export function PremiumChatInterface() {
     }
   }, [message])
 
+  // Live token counter for the composer
+  useEffect(() => {
+    if (!currentChat) return
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/v1/tokens/count', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text: message, chatId: currentChat._id })
+        })
+
+        const data = await response.json()
+        if (data.success) {
+          setTokenUsage({
+            tokens: data.tokens,
+            contextLeft: data.contextLeft,
+            contextWindow: data.contextWindow
+          })
+        }
+      } catch (error) {
+        setTokenUsage(null)
+      }
+    }, 300)
+
+    return () => clearTimeout(timeout)
+  }, [message, currentChat?._id, currentChat?.messages.length])
+
+  // Live session: who else is here, who is typing, and replies that other
+  // participants are generating
+  useEffect(() => {
+    if (!currentChat?._id) return
+
+    const chatId = currentChat._id
+    const socket = io({ withCredentials: true })
+    socketRef.current = socket
+
+    const refreshMessages = async () => {
+      try {
+        const response = await fetch(`/api/v1/chat/${chatId}/messages`)
+        const data = await response.json()
+        if (data.success) {
+          useChatStore.setState(state => ({
+            currentChat: state.currentChat?._id === chatId
+              ? { ...state.currentChat, messages: data.messages }
+              : state.currentChat
+          }))
+        }
+      } catch (error) {
+        console.error('Failed to refresh messages:', error)
+      }
+    }
+
+    // Fetches the chunks of a reply this client missed, e.g. while its
+    // connection was down, from the server's buffer
+    const resumeStream = (streamId: string) => {
+      if (liveStreamRef.current.resuming) return
+
+      const from = liveStreamRef.current.id === streamId ? liveStreamRef.current.index : 0
+      liveStreamRef.current = { id: streamId, index: from, resuming: true }
+
+      socket.emit('generation:resume', { chatId, from }, (res: { success: boolean; stream?: LiveStream; chunks?: string[] }) => {
+        liveStreamRef.current.resuming = false
+        if (!res.success || !res.stream || res.stream.id !== streamId) return
+        if (res.stream.status !== 'streaming') {
+          liveStreamRef.current = { id: null, index: 0 }
+          setLiveReply(null)
+          refreshMessages()
+          return
+        }
+
+        liveStreamRef.current = { id: streamId, index: from + (res.chunks?.length || 0) }
+        setLiveReply(prev => (from > 0 ? prev || '' : '') + (res.chunks || []).join(''))
+      })
+    }
+
+    socket.on('connect', () => {
+      socket.emit('chat:join', { chatId }, (res: { success: boolean; viewers?: Viewer[]; stream?: LiveStream | null }) => {
+        if (!res.success) return
+        setViewers(res.viewers || [])
+
+        // Rejoining mid-reply picks up where the stream left off
+        if (res.stream?.status === 'streaming' && !useChatStore.getState().isStreaming) {
+          resumeStream(res.stream.id)
+        } else if (liveStreamRef.current.id) {
+          liveStreamRef.current = { id: null, index: 0 }
+          setLiveReply(null)
+          refreshMessages()
+        }
+      })
+    })
+
+    socket.on('presence:update', (data: { chatId: string; viewers: Viewer[] }) => {
+      if (data.chatId === chatId) setViewers(data.viewers)
+    })
+
+    socket.on('typing:update', (data: { chatId: string; userId: string; username?: string; typing: boolean }) => {
+      if (data.chatId !== chatId) return
+      setTypingUsers(prev => {
+        const next = { ...prev }
+        if (data.typing) next[data.userId] = data.username || 'Someone'
+        else delete next[data.userId]
+        return next
+      })
+    })
+
+    // Regenerated and edited replies arrive through the chat store's stream
+    socket.on('generation:start', (data: { chatId: string; streamId: string }) => {
+      if (data.chatId === chatId && !useChatStore.getState().isStreaming) {
+        liveStreamRef.current = { id: data.streamId, index: 0 }
+        setLiveReply('')
+      }
+    })
+
+    socket.on('generation:chunk', (data: { chatId: string; streamId: string; index: number; chunk: string }) => {
+      if (data.chatId !== chatId || useChatStore.getState().isStreaming) return
+
+      const live = liveStreamRef.current
+      if (live.resuming) return
+
+      if (live.id !== data.streamId || data.index > live.index) {
+        // Joined mid-reply or chunks went missing
+        resumeStream(data.streamId)
+      } else if (data.index === live.index) {
+        live.index += 1
+        setLiveReply(prev => (prev || '') + data.chunk)
+      }
+    })
+
+    const endLiveReply = () => {
+      liveStreamRef.current = { id: null, index: 0 }
+      setLiveReply(null)
+    }
+
+    socket.on('generation:complete', (data: { finishReason?: string }) => {
+      endLiveReply()
+      if (data.finishReason === 'cancelled') toast.info('Generation stopped')
+    })
+    socket.on('generation:error', endLiveReply)
+
+    socket.on('generation:busy', () => {
+      toast.info('Someone else is generating a reply, please wait')
+    })
+
+    socket.on('message:created', (data: { chatId: string }) => {
+      if (data.chatId === chatId && !useChatStore.getState().isStreaming) refreshMessages()
+    })
+
+    // Background jobs started from this window; generated images arrive as
+    // chat messages, transcriptions go into the input
+    socket.on('job:completed', (job: Job) => {
+      if (!pendingJobsRef.current.delete(job.id)) return
+      if (job.type === 'transcription') setMessage(prev => prev + job.result.text)
+      if (job.type === 'image') toast.success('Image generated successfully')
+    })
+
+    socket.on('job:failed', (job: Job) => {
+      if (!pendingJobsRef.current.delete(job.id)) return
+      toast.error(job.type === 'image' ? 'Failed to generate image' : 'Failed to process audio')
+    })
+
+    return () => {
+      socket.disconnect()
+      socketRef.current = null
+      setViewers([])
+      setTypingUsers({})
+      setLiveReply(null)
+      liveStreamRef.current = { id: null, index: 0 }
+    }
+  }, [currentChat?._id])
+
+  // The server stops our typing indicator on its own if we go quiet
+  useEffect(() => {
+    if (!currentChat?._id) return
+    socketRef.current?.emit(isTyping ? 'typing:start' : 'typing:stop', { chatId: currentChat._id })
+  }, [isTyping, message, currentChat?._id])
+
   // Voice recording
   const startRecording = async () => {
     try {
@@ -103,16 +295,18 @@ export function PremiumChatInterface() {
         )
       )
 
-      // Send to speech-to-text API
-      const response = await fetch('/api/v1/speech-to-text', {
+      // Transcribed in the background; the text arrives with job:completed
+      const response = await fetch('/api/v1/jobs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ audio: base64Audio })
+        body: JSON.stringify({ type: 'transcription', audio: base64Audio })
       })
 
       const data = await response.json()
       if (data.success) {
-        setMessage(prev => prev + data.text)
+        pendingJobsRef.current.add(data.job.id)
+      } else {
+        toast.error('Failed to process audio')
       }
     } catch (error) {
       toast.error('Failed to process audio')
@@ -134,12 +328,27 @@ export function PremiumChatInterface() {
         await processAttachments(attachments)
       }
 
-      streamMessage(currentChat._id, messageContent)
+      sendMessage(messageContent)
     } catch (error) {
       toast.error('Failed to send message')
     }
   }
 
+  // Our messages go through the live session like everyone else's, so the
+  // reply takes the chat's generation lock and Stop can cancel it
+  const sendMessage = (content: string) => {
+    const socket = socketRef.current
+    if (!currentChat || !socket?.connected) {
+      toast.error('Not connected, please try again')
+      return
+    }
+
+    socket.emit('message:send', { chatId: currentChat._id, content }, (res: { success: boolean; error?: string; generation?: unknown }) => {
+      // A busy chat is already reported by "generation:busy"
+      if (!res.success && !res.generation) toast.error(res.error || 'Failed to send message')
+    })
+  }
+
   const processAttachments = async (files: File[]) => {
     const formData = new FormData()
     
@@ -195,6 +404,16 @@ export function PremiumChatInterface() {
     setSelectedMessage(null)
   }
 
+  const handleSwitchBranch = (messageId: string) => {
+    switchBranch(currentChat!._id, messageId)
+  }
+
+  // Prefill the editor with the selected message
+  useEffect(() => {
+    const selected = currentChat?.messages.find(msg => msg.id === selectedMessage)
+    setEditContent(selected?.content || '')
+  }, [selectedMessage, currentChat?.messages])
+
   const handleCopyMessage = async (content: string) => {
     await navigator.clipboard.writeText(content)
     toast.success('Copied to clipboard')
@@ -205,18 +424,31 @@ export function PremiumChatInterface() {
     toast.info('Message liked')
   }
 
+  // Shares a read-only snapshot of the conversation as it is right now
   const handleShareChat = async () => {
     try {
+      const response = await fetch('/api/v1/shares', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chatId: currentChat?._id })
+      })
+
+      const data = await response.json()
+      if (!data.success) {
+        toast.error('Failed to create share link')
+        return
+      }
+
       const shareData = {
         title: currentChat?.title,
         text: `Check out this AI conversation: ${currentChat?.title}`,
-        url: window.location.href
+        url: data.link.url
       }
 
       if (navigator.share) {
         await navigator.share(shareData)
       } else {
-        await navigator.clipboard.writeText(window.location.href)
+        await navigator.clipboard.writeText(data.link.url)
         toast.success('Link copied to clipboard')
       }
     } catch (error) {
@@ -224,18 +456,34 @@ export function PremiumChatInterface() {
     }
   }
 
+  // Stops the reply being generated, ours or another participant's. The
+  // server keeps what was written so far.
+  const handleStop = async () => {
+    if (!currentChat) return
+
+    try {
+      const response = await fetch(`/api/v1/chat/${currentChat._id}/messages/stop`, { method: 'POST' })
+      const data = await response.json()
+      if (!data.success) toast.error(data.error || 'Failed to stop generation')
+    } catch (error) {
+      toast.error('Failed to stop generation')
+    }
+  }
+
   const generateImage = async (prompt: string) => {
     try {
-      const response = await fetch('/api/v1/generate-image', {
+      const response = await fetch('/api/v1/jobs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt })
+        body: JSON.stringify({ type: 'image', prompt, chatId: currentChat?._id })
       })
 
       const data = await response.json()
       if (data.success) {
-        // Add image to chat
-        toast.success('Image generated successfully')
+        pendingJobsRef.current.add(data.job.id)
+        toast.info('Generating image...')
+      } else {
+        toast.error(data.error || 'Failed to generate image')
       }
     } catch (error) {
       toast.error('Failed to generate image')
@@ -329,6 +577,15 @@ export function PremiumChatInterface() {
           <div className="flex items-center space-x-2">
             {/* Analytics */}
             <div className="flex items-center space-x-4 text-sm text-gray-500 dark:text-gray-400">
+              {viewers.length > 1 && (
+                <div
+                  className="flex items-center space-x-1"
+                  title={viewers.map(viewer => viewer.username || 'Anonymous').join(', ')}
+                >
+                  <Users className="w-4 h-4" />
+                  <span>{viewers.length} viewing</span>
+                </div>
+              )}
               <div className="flex items-center space-x-1">
                 <Clock className="w-4 h-4" />
                 <span>{currentChat.messageCount.total} messages</span>
@@ -494,9 +751,44 @@ export function PremiumChatInterface() {
                     </div>
                   )}
 
+                  {/* Attachment Citations */}
+                  {msg.role === 'assistant' && msg.metadata?.citations?.length > 0 && (
+                    <div className="mt-3 space-y-1">
+                      {msg.metadata.citations.map((citation: { ref: number; name: string; page: number }) => (
+                        <div key={citation.ref} className="flex items-center space-x-2 text-xs text-gray-500 dark:text-gray-400">
+                          <span className="font-medium">[{citation.ref}]</span>
+                          <Paperclip className="w-3 h-3" />
+                          <span>{citation.name}, page {citation.page}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   {/* Message Footer */}
                   <div className="flex items-center justify-between mt-3 pt-2 border-t border-gray-200 dark:border-gray-700">
-                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                    <div className="flex items-center text-xs text-gray-500 dark:text-gray-400">
+                      {/* Branch Switcher */}
+                      {msg.branch && msg.branch.count > 1 && (
+                        <div className="flex items-center mr-2 space-x-1">
+                          <button
+                            onClick={() => handleSwitchBranch(msg.branch!.siblingIds[msg.branch!.index - 1])}
+                            disabled={msg.branch.index === 0 || isStreaming}
+                            className="p-0.5 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                            title="Previous version"
+                          >
+                            <ChevronLeft className="w-3 h-3" />
+                          </button>
+                          <span>{msg.branch.index + 1}/{msg.branch.count}</span>
+                          <button
+                            onClick={() => handleSwitchBranch(msg.branch!.siblingIds[msg.branch!.index + 1])}
+                            disabled={msg.branch.index === msg.branch.count - 1 || isStreaming}
+                            className="p-0.5 hover:text-gray-700 dark:hover:text-gray-200 disabled:opacity-30"
+                            title="Next version"
+                          >
+                            <ChevronRight className="w-3 h-3" />
+                          </button>
+                        </div>
+                      )}
                       {new Date(msg.timestamp).toLocaleTimeString()}
                       {msg.tokens.total > 0 && ` • ${msg.tokens.total} tokens`}
                       {msg.cost > 0 && ` • $${msg.cost.toFixed(4)}`}
@@ -552,6 +844,30 @@ export function PremiumChatInterface() {
             </motion.div>
           )}
           
+          {/* Reply another participant is generating */}
+          {liveReply !== null && !isStreaming && (
+            <motion.div
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              className="flex space-x-4"
+            >
+              <div className="flex-shrink-0">
+                <div className="w-10 h-10 rounded-full bg-gradient-to-br from-green-500 to-emerald-600 flex items-center justify-center shadow-lg">
+                  <Bot className="w-5 h-5 text-white" />
+                </div>
+              </div>
+              <div className="flex-1 max-w-3xl bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-2xl px-6 py-4 shadow-sm">
+                {liveReply ? (
+                  <div className="prose dark:prose-invert max-w-none">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{liveReply}</ReactMarkdown>
+                  </div>
+                ) : (
+                  <span className="text-sm text-gray-500">AI is thinking...</span>
+                )}
+              </div>
+            </motion.div>
+          )}
+
           <div ref={messagesEndRef} />
         </div>
       </div>
@@ -673,6 +989,26 @@ export function PremiumChatInterface() {
                 </div>
               </div>
 
+              {/* Typing Indicator */}
+              {Object.keys(typingUsers).length > 0 && (
+                <div className="mt-1 px-2 text-xs text-gray-400 dark:text-gray-500">
+                  {Object.values(typingUsers).join(', ')} {Object.keys(typingUsers).length === 1 ? 'is' : 'are'} typing...
+                </div>
+              )}
+
+              {/* Token Counter */}
+              {tokenUsage && (
+                <div
+                  className={`mt-1 px-2 text-xs text-right ${
+                    tokenUsage.contextLeft < tokenUsage.contextWindow * 0.1
+                      ? 'text-red-500'
+                      : 'text-gray-400 dark:text-gray-500'
+                  }`}
+                >
+                  {tokenUsage.tokens} tokens • {tokenUsage.contextLeft.toLocaleString()} / {tokenUsage.contextWindow.toLocaleString()} context left
+                </div>
+              )}
+
               {/* File Input */}
               <input
                 ref={fileInputRef}
@@ -684,41 +1020,54 @@ export function PremiumChatInterface() {
               />
             </div>
 
-            {/* Send Button */}
-            <motion.button
-              type="submit"
-              disabled={!message.trim() || isStreaming}
-              whileHover={{ scale: 1.02 }}
-              whileTap={{ scale: 0.98 }}
-              className="px-8 py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-2xl hover:from-blue-600 hover:to-purple-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg flex items-center space-x-2"
-            >
-              <Send className="w-5 h-5" />
-              <span className="font-semibold">Send</span>
-            </motion.button>
+            {/* Send / Stop Button */}
+            {isStreaming || liveReply !== null ? (
+              <motion.button
+                type="button"
+                onClick={handleStop}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="px-8 py-4 bg-gradient-to-r from-red-500 to-pink-600 text-white rounded-2xl hover:from-red-600 hover:to-pink-700 focus:ring-2 focus:ring-red-500 focus:ring-offset-2 transition-all shadow-lg flex items-center space-x-2"
+              >
+                <Square className="w-5 h-5" />
+                <span className="font-semibold">Stop</span>
+              </motion.button>
+            ) : (
+              <motion.button
+                type="submit"
+                disabled={!message.trim()}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="px-8 py-4 bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-2xl hover:from-blue-600 hover:to-purple-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg flex items-center space-x-2"
+              >
+                <Send className="w-5 h-5" />
+                <span className="font-semibold">Send</span>
+              </motion.button>
+            )}
           </div>
 
           {/* Quick Actions */}
           <div className="flex justify-center space-x-6 mt-4">
             <button
               type="button"
-              onClick={() => streamMessage(currentChat._id, "Can you summarize this conversation?")}
-              disabled={isStreaming}
+              onClick={() => sendMessage("Can you summarize this conversation?")}
+              disabled={isStreaming || liveReply !== null}
               className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300 disabled:opacity-50 transition-colors"
             >
               Summarize
             </button>
             <button
               type="button"
-              onClick={() => streamMessage(currentChat._id, "Can you suggest related topics?")}
-              disabled={isStreaming}
+              onClick={() => sendMessage("Can you suggest related topics?")}
+              disabled={isStreaming || liveReply !== null}
               className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300 disabled:opacity-50 transition-colors"
             >
               Suggest Topics
             </button>
             <button
               type="button"
-              onClick={() => streamMessage(currentChat._id, "Can you make this more concise?")}
-              disabled={isStreaming}
+              onClick={() => sendMessage("Can you make this more concise?")}
+              disabled={isStreaming || liveReply !== null}
               className="text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300 disabled:opacity-50 transition-colors"
             >
               Make Concise
@@ -745,7 +1094,32 @@ export function PremiumChatInterface() {
               onClick={(e) => e.stopPropagation()}
             >
               <h3 className="text-lg font-semibold mb-4">Edit Message</h3>
-              {/* Edit form implementation */}
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+                Saving keeps the original and adds your edit as a new version.
+              </p>
+              <textarea
+                value={editContent}
+                onChange={(e) => setEditContent(e.target.value)}
+                rows={6}
+                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-xl resize-y focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-900 dark:text-white"
+              />
+              <div className="flex justify-end space-x-2 mt-4">
+                <button
+                  type="button"
+                  onClick={() => setSelectedMessage(null)}
+                  className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-white transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleEditMessage(selectedMessage, editContent.trim())}
+                  disabled={!editContent.trim() || isStreaming}
+                  className="px-4 py-2 text-sm bg-gradient-to-r from-blue-500 to-purple-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save & Submit
+                </button>
+              </div>
             </motion.div>
           </motion.div>
         )}
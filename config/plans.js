@@ -0,0 +1,28 @@
+// Rate limits and daily quotas per subscription plan. Anonymous applies to
+// requests without a user or API key and is tracked per IP.
+const plans = {
+  anonymous: {
+    requestsPerMinute: 20,
+    tokensPerDay: 0,
+    imagesPerDay: 0
+  },
+  free: {
+    requestsPerMinute: 30,
+    tokensPerDay: 50000,
+    imagesPerDay: 5
+  },
+  pro: {
+    requestsPerMinute: 120,
+    tokensPerDay: 1000000,
+    imagesPerDay: 100
+  },
+  enterprise: {
+    requestsPerMinute: 600,
+    tokensPerDay: 10000000,
+    imagesPerDay: 1000
+  }
+};
+
+export const DEFAULT_PLAN = 'free';
+
+export default plans;
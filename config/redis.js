@@ -0,0 +1,11 @@
+import redis from 'redis';
+
+// Shared Redis connection for caching, sessions, rate limits and queues
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+redisClient.on('error', (err) => console.error('Redis Client Error', err));
+await redisClient.connect();
+
+export default redisClient;
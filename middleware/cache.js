@@ -0,0 +1,38 @@
+import cacheService from '../services/cacheService.js';
+
+// Opt-in response cache for GET routes, placed after protect so entries are
+// keyed by the authenticated user. tags receives the request and returns the
+// tags the response depends on, e.g. req => [`chat:${req.params.chatId}`].
+// name labels the route in the hit/miss metrics. skip receives the request
+// and returns true for responses that must not be cached. Only successful
+// JSON responses are stored.
+export const cache = ({ name, ttl = 300, tags = () => [], skip = () => false } = {}) => async (req, res, next) => {
+  if (req.method !== 'GET' || skip(req)) return next();
+
+  const route = name || req.route?.path;
+  const key = cacheService.buildKey(req.user?.id, req.originalUrl);
+
+  try {
+    const cached = await cacheService.get(key, route);
+    if (cached) {
+      res.set('X-Cache', 'HIT');
+      return res.status(cached.status).json(cached.body);
+    }
+  } catch (error) {
+    console.error('Cache lookup failed:', error);
+    return next();
+  }
+
+  res.set('X-Cache', 'MISS');
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode === 200) {
+      cacheService.set(key, { status: res.statusCode, body }, { ttl, tags: tags(req) })
+        .catch(error => console.error('Cache write failed:', error));
+    }
+    return json(body);
+  };
+
+  next();
+};
@@ -0,0 +1,19 @@
+import Chat from '../models/Chat.js';
+
+// Loads the chat named by :chatId into req.chat, placed after protect.
+// permission is the Chat method that must allow the user, e.g. 'canView' or
+// 'canComment'; chats the user may not use answer 404 like missing ones.
+export const loadChat = (permission) => async (req, res, next) => {
+  try {
+    const chat = await Chat.findById(req.params.chatId);
+
+    if (!chat || !chat[permission](req.user.id)) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+
+    req.chat = chat;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
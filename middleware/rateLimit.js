@@ -0,0 +1,58 @@
+import rateLimitService from '../services/rateLimitService.js';
+
+const SKIPPED_PATHS = ['/health'];
+
+// Plan-aware request limit per API key, user or IP. Sets the RateLimit-*
+// headers and leaves the subject on req.rateLimit for quota checks later in
+// the request. Fails open if Redis is unavailable.
+export const rateLimit = async (req, res, next) => {
+  if (SKIPPED_PATHS.includes(req.path)) return next();
+
+  try {
+    const subject = await rateLimitService.resolveSubject(req);
+    const status = await rateLimitService.consume(subject, 'requests');
+
+    req.rateLimit = subject;
+    rateLimitService.setHeaders(res, status);
+
+    if (!status.allowed) {
+      res.set('Retry-After', String(status.reset));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests, please try again later.',
+        quota: status
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Rate limiting failed:', error);
+    next();
+  }
+};
+
+// Rejects the request when the daily quota of a bucket (tokens, images) is
+// used up, reporting what is left in X-RateLimit-<Bucket>-* headers
+export const requireQuota = (bucket) => async (req, res, next) => {
+  try {
+    const subject = req.rateLimit || await rateLimitService.resolveSubject(req);
+    const status = await rateLimitService.peek(subject, bucket);
+
+    req.rateLimit = subject;
+    rateLimitService.setHeaders(res, status);
+
+    if (!status.allowed) {
+      res.set('Retry-After', String(status.reset));
+      return res.status(429).json({
+        success: false,
+        error: `Daily ${bucket} quota exhausted`,
+        quota: status
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Quota check failed:', error);
+    next();
+  }
+};
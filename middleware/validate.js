@@ -0,0 +1,14 @@
+import { validationResult } from 'express-validator';
+
+// Ends the request when the express-validator chains before it reported
+// errors. respond receives the response and the errors, for APIs with their
+// own error shape.
+export const validateWith = respond => (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return respond(res, errors.array());
+  }
+  next();
+};
+
+export const validate = validateWith((res, errors) => res.status(400).json({ success: false, errors }));
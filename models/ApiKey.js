@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Looks like an OpenAI key so SDKs and editor plugins that check the format
+// accept it
+const KEY_PREFIX = 'sk-';
+
+// A personal API key for the OpenAI-compatible gateway (/v1). Only a SHA-256
+// hash of the key is stored; the key itself is shown once, on creation.
+// rateLimitService counts requests made with a key against the owner's plan.
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, so users can tell their keys apart
+  hint: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  usage: {
+    requests: { type: Number, default: 0 },
+    tokens: { type: Number, default: 0 },
+    cost: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.virtual('active').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.statics.isApiKey = function(value = '') {
+  return value.startsWith(KEY_PREFIX);
+};
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Creates a key for a user. Resolves to the document and the plain key,
+// which cannot be recovered later.
+apiKeySchema.statics.issue = async function(userId, { name, expiresAt } = {}) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({
+    userId,
+    name,
+    expiresAt,
+    keyHash: this.hashKey(key),
+    hint: `${key.slice(0, KEY_PREFIX.length + 4)}...${key.slice(-4)}`
+  });
+
+  return { apiKey, key };
+};
+
+// The active key matching a plain key, if any
+apiKeySchema.statics.findActive = async function(key) {
+  const apiKey = await this.findOne({ keyHash: this.hashKey(key), revokedAt: null });
+  return apiKey?.active ? apiKey : null;
+};
+
+apiKeySchema.methods.recordUsage = function({ tokens = 0, cost = 0 } = {}) {
+  return this.constructor.updateOne({ _id: this._id }, {
+    $inc: { 'usage.requests': 1, 'usage.tokens': tokens, 'usage.cost': cost },
+    $set: { lastUsedAt: new Date() }
+  });
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
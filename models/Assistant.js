@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import providerRegistry from '../services/providers/index.js';
+import { VARIABLE_NAME, extractVariables, renderTemplate } from '../utils/template.js';
+
+// Fields that make up a version; changing any of them bumps `version`
+const VERSIONED_FIELDS = ['instructions', 'settings', 'attachments', 'variables'];
+
+const attachmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['image', 'pdf', 'txt', 'code', 'audio', 'video'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  size: Number
+}, { _id: false });
+
+const variableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    match: VARIABLE_NAME
+  },
+  label: String,
+  description: String,
+  default: String,
+  required: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const settingsSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'openai',
+    validate: {
+      validator: (value) => providerRegistry.has(value),
+      message: (props) => `${props.value} is not a registered provider`
+    }
+  },
+  model: {
+    type: String,
+    default: 'gpt-3.5-turbo'
+  },
+  temperature: {
+    type: Number,
+    default: 0.7,
+    min: 0,
+    max: 2
+  },
+  maxTokens: Number,
+  topP: Number,
+  retrievalTopK: {
+    type: Number,
+    min: 0,
+    max: 20
+  },
+  tools: [{
+    _id: false,
+    name: String,
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    config: Map
+  }]
+}, { _id: false });
+
+// A saved assistant: a system prompt template with {{variables}}, model
+// settings, tools and reference files that chats can be started from.
+// Earlier versions are kept so chats can tell what they were started with.
+const assistantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  icon: String,
+  instructions: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  settings: {
+    type: settingsSchema,
+    default: () => ({})
+  },
+  attachments: [attachmentSchema],
+  variables: [variableSchema],
+  // private: owner only, organization: the owner's team, public: published
+  visibility: {
+    type: String,
+    enum: ['private', 'organization', 'public'],
+    default: 'private'
+  },
+  publishedAt: Date,
+  version: {
+    type: Number,
+    default: 1
+  },
+  history: {
+    type: [{
+      _id: false,
+      version: Number,
+      instructions: String,
+      settings: settingsSchema,
+      attachments: [attachmentSchema],
+      variables: [variableSchema],
+      createdAt: Date
+    }],
+    select: false
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+assistantSchema.index({ userId: 1, updatedAt: -1 });
+assistantSchema.index({ organization: 1, visibility: 1 });
+assistantSchema.index({ visibility: 1, usageCount: -1 });
+
+// Variables used in the instructions but not declared are required
+assistantSchema.pre('validate', function(next) {
+  const declared = new Set(this.variables.map(variable => variable.name));
+
+  for (const name of extractVariables(this.instructions)) {
+    if (!declared.has(name)) this.variables.push({ name });
+  }
+
+  next();
+});
+
+// Who may see an assistant and start chats from it
+assistantSchema.statics.accessFilter = function(user) {
+  const filter = [{ userId: user.id }, { visibility: 'public' }];
+  if (user.organization) {
+    filter.push({ visibility: 'organization', organization: user.organization._id || user.organization });
+  }
+  return { $or: filter };
+};
+
+assistantSchema.methods.isOwner = function(userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+// Applies an update to the versioned fields, archiving the current version
+// first. Requires the document to be loaded with +history.
+assistantSchema.methods.updateVersion = function(changes) {
+  const changed = VERSIONED_FIELDS.filter(field => changes[field] !== undefined);
+  if (changed.length === 0) return false;
+
+  const current = this.toObject();
+  this.history.push({
+    version: this.version,
+    instructions: current.instructions,
+    settings: current.settings,
+    attachments: current.attachments,
+    variables: current.variables,
+    createdAt: this.updatedAt || this.createdAt
+  });
+
+  for (const field of changed) {
+    this[field] = changes[field];
+  }
+  this.version += 1;
+  return true;
+};
+
+// Chat fields for a new chat started from this assistant, with the
+// instructions rendered from the given variable values. The chat records
+// every value used, defaults included.
+assistantSchema.methods.toChatData = function(values = {}) {
+  const { settings } = this.toObject();
+  const variables = Object.fromEntries(
+    this.variables
+      .map(variable => [variable.name, (Object.hasOwn(values, variable.name) ? values[variable.name] : undefined) ?? variable.default])
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [name, String(value)])
+  );
+
+  return {
+    title: this.name,
+    settings: {
+      ...settings,
+      systemPrompt: renderTemplate(this.instructions, values, this.variables)
+    },
+    assistant: {
+      assistantId: this._id,
+      version: this.version,
+      name: this.name,
+      variables,
+      attachments: this.attachments.map(attachment => attachment.toObject())
+    }
+  };
+};
+
+export default mongoose.model('Assistant', assistantSchema);
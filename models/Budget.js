@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Spending limits for a user or an organization. Chat budgets live on
+// Chat.costTracking instead.
+const budgetSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['user', 'organization'],
+    required: true
+  },
+  scopeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // USD
+  limit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'monthly', 'total'],
+    default: 'monthly'
+  },
+  periodStart: {
+    type: Date,
+    default: Date.now
+  },
+  spent: {
+    type: Number,
+    default: 0
+  },
+  // Fractions of the limit that trigger a warning, e.g. [0.5, 0.8]
+  warningThresholds: [Number],
+  alertsSent: [Number],
+  onExceeded: {
+    type: String,
+    enum: ['block', 'downgrade'],
+    default: 'block'
+  },
+  notifyEmails: [String]
+}, {
+  timestamps: true
+});
+
+budgetSchema.index({ scope: 1, scopeId: 1 }, { unique: true });
+
+budgetSchema.methods.getPeriodStart = function(now = new Date()) {
+  switch (this.period) {
+    case 'daily':
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    case 'monthly':
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    default:
+      return this.periodStart;
+  }
+};
+
+// Starts a new period when the current one has ended
+budgetSchema.methods.rollPeriod = async function() {
+  const start = this.getPeriodStart();
+
+  if (this.periodStart < start) {
+    // Conditional so concurrent requests reset the period only once
+    await this.constructor.updateOne(
+      { _id: this._id, periodStart: { $lt: start } },
+      { $set: { periodStart: start, spent: 0, alertsSent: [] } }
+    );
+    this.periodStart = start;
+    this.spent = 0;
+    this.alertsSent = [];
+  }
+
+  return this;
+};
+
+export default mongoose.model('Budget', budgetSchema);
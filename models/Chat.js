@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 import { v4 as uuidv4 } from 'uuid';
+import providerRegistry from '../services/providers/index.js';
+import tokenizer from '../services/tokenizerService.js';
+import exportService from '../services/exportService.js';
+import embeddingService from '../services/embeddingService.js';
+import ragService from '../services/ragService.js';
+import encryptionService, { ALGORITHM } from '../services/encryptionService.js';
+import pricingService from '../services/pricingService.js';
+import cacheService from '../services/cacheService.js';
+import Comment from './Comment.js';
+import ShareLink from './ShareLink.js';
+import { ROLE_RANK } from './Folder.js';
+import { escapeRegExp, parseSearchTerms, buildTermsRegex, buildSnippet } from '../utils/search.js';
 
 const messageSchema = new mongoose.Schema({
   id: {
@@ -60,7 +72,11 @@ const messageSchema = new mongoose.Schema({
   version: {
     type: Number,
     default: 1
-  }
+  },
+  // Messages form a tree: edits and regenerations add a sibling under the
+  // same parent. null marks a root; messages saved before branching existed
+  // have no parentId and follow the previous message in the array.
+  parentId: String
 }, {
   timestamps: true
 });
@@ -83,11 +99,16 @@ const chatSchema = new mongoose.Schema({
     index: true
   },
   messages: [messageSchema],
+  // Last message of the branch currently shown
+  activeLeafId: String,
   settings: {
     provider: {
       type: String,
-      enum: ['openai', 'anthropic', 'cohere', 'huggingface', 'local'],
-      default: 'openai'
+      default: 'openai',
+      validate: {
+        validator: (value) => providerRegistry.has(value),
+        message: (props) => `${props.value} is not a registered provider`
+      }
     },
     model: {
       type: String,
@@ -119,10 +140,66 @@ const chatSchema = new mongoose.Schema({
       type: String,
       default: 'You are a helpful AI assistant.'
     },
+    // How older turns are handled once the chat outgrows the context window
+    contextStrategy: {
+      type: String,
+      enum: ['truncate', 'summarize'],
+      default: 'truncate'
+    },
+    pinnedTurns: {
+      type: Number,
+      default: 2,
+      min: 0
+    },
+    // Attachment excerpts injected per reply; 0 turns retrieval off
+    retrievalTopK: {
+      type: Number,
+      default: 4,
+      min: 0,
+      max: 20
+    },
     tools: [{
       name: String,
       enabled: Boolean,
       config: Map
+    }],
+    // Tried in order when the primary provider fails. Unset means the
+    // server's chain; an empty list turns failover off.
+    fallbacks: {
+      type: [{
+        _id: false,
+        provider: {
+          type: String,
+          validate: {
+            validator: (value) => providerRegistry.has(value),
+            message: (props) => `${props.value} is not a registered provider`
+          }
+        },
+        model: String
+      }],
+      default: undefined
+    }
+  },
+  // Assistant the chat was started from, as it was at the time
+  assistant: {
+    assistantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assistant',
+      index: true
+    },
+    version: Number,
+    name: String,
+    variables: {
+      type: Map,
+      of: String
+    },
+    // Reference files of the assistant, searchable like uploads
+    attachments: [{
+      _id: false,
+      type: { type: String },
+      url: String,
+      name: String,
+      size: Number
     }]
   },
   // Advanced features
@@ -131,6 +208,18 @@ const chatSchema = new mongoose.Schema({
     ref: 'Folder',
     index: true
   },
+  // Participants of the folder and its ancestors, kept in sync by Folder
+  folderParticipants: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor', 'commenter']
+    }
+  }],
   tags: [{
     type: String,
     trim: true,
@@ -166,11 +255,21 @@ const chatSchema = new mongoose.Schema({
     enum: ['private', 'shared', 'public', 'unlisted'],
     default: 'private'
   },
+  // Legacy permanent share token; new links are managed through ShareLink
   shareToken: {
     type: String,
     unique: true,
     sparse: true
   },
+  // Set for chats imported from other apps, used to detect re-imports
+  importSource: {
+    source: {
+      type: String,
+      enum: ['chatgpt', 'claude', 'archive']
+    },
+    externalId: String,
+    importedAt: Date
+  },
   // Analytics
   analytics: {
     views: { type: Number, default: 0 },
@@ -182,16 +281,27 @@ const chatSchema = new mongoose.Schema({
   },
   // Security
   encryption: {
-    enabled: { type: Boolean, default: false },
+    enabled: { type: Boolean, default: () => process.env.CHAT_ENCRYPTION_DEFAULT === 'true' },
     algorithm: String,
-    keyVersion: Number
+    keyVersion: Number,
+    // Chat data key wrapped by the key-encryption key of keyVersion
+    wrappedKey: String
   },
   // Cost tracking
   costTracking: {
     totalCost: { type: Number, default: 0 },
+    // Spend per "<provider>:<model>"; dots in model IDs are stored as "_"
     costBreakdown: Map,
     budget: Number,
-    budgetAlert: Boolean
+    budgetAlert: Boolean,
+    // Fractions of the budget that trigger a warning when budgetAlert is on
+    warningThresholds: [Number],
+    alertsSent: [Number],
+    onExceeded: {
+      type: String,
+      enum: ['block', 'downgrade'],
+      default: 'block'
+    }
   },
   // Performance
   tokenCount: {
@@ -215,11 +325,21 @@ chatSchema.index({ userId: 1, status: 1, lastMessageAt: -1 });
 chatSchema.index({ visibility: 1, createdAt: -1 });
 chatSchema.index({ tags: 1, status: 1 });
 chatSchema.index({ 'participants.userId': 1 });
+chatSchema.index({ 'folderParticipants.userId': 1 });
 chatSchema.index({ shareToken: 1 }, { sparse: true });
+chatSchema.index({ userId: 1, 'importSource.source': 1, 'importSource.externalId': 1 }, { sparse: true });
+chatSchema.index(
+  { title: 'text', description: 'text', tags: 'text', 'messages.content': 'text' },
+  {
+    name: 'chat_full_text',
+    weights: { title: 10, tags: 5, description: 3, 'messages.content': 1 }
+  }
+);
 
 // Virtuals
 chatSchema.virtual('lastMessage').get(function() {
-  return this.messages.length > 0 ? this.messages[this.messages.length - 1] : null;
+  const path = this.getActivePath();
+  return path.length > 0 ? path[path.length - 1] : null;
 });
 
 chatSchema.virtual('participantCount').get(function() {
@@ -237,34 +357,269 @@ chatSchema.pre('save', function(next) {
   this.tokenCount.completion = this.messages.reduce((sum, msg) => sum + (msg.tokens.completion || 0), 0);
   this.tokenCount.total = this.tokenCount.prompt + this.tokenCount.completion;
 
-  // Update message counts
-  this.messageCount.user = this.messages.filter(msg => msg.role === 'user').length;
-  this.messageCount.assistant = this.messages.filter(msg => msg.role === 'assistant').length;
-  this.messageCount.total = this.messages.length;
+  // Update message counts for the active branch
+  const activePath = this.getActivePath();
+  this.messageCount.user = activePath.filter(msg => msg.role === 'user').length;
+  this.messageCount.assistant = activePath.filter(msg => msg.role === 'assistant').length;
+  this.messageCount.total = activePath.length;
 
   // Update last message timestamp
   if (this.messages.length > 0) {
     this.lastMessageAt = this.messages[this.messages.length - 1].createdAt;
   }
 
-  // Generate share token if needed
-  if (this.visibility !== 'private' && !this.shareToken) {
-    this.shareToken = require('crypto').randomBytes(16).toString('hex');
+  next();
+});
+
+// Cached responses are tagged by chat and by the chat lists of everyone with
+// access. The audience at load time is remembered so removed participants
+// and chats made private are invalidated too.
+const getCacheAudience = (chat) => ({
+  userIds: [chat.userId, ...[...(chat.participants || []), ...(chat.folderParticipants || [])].map(p => p.userId?._id || p.userId)]
+    .filter(Boolean)
+    .map(String),
+  isPublic: chat.visibility === 'public'
+});
+
+const invalidateChatCache = (chat) => {
+  const before = chat.$locals.cacheAudience || { userIds: [], isPublic: false };
+  const after = getCacheAudience(chat);
+  const userIds = new Set([...before.userIds, ...after.userIds]);
+
+  cacheService.invalidateQuietly(
+    `chat:${chat._id}`,
+    ...[...userIds].map(id => `user:${id}:chats`),
+    before.isPublic || after.isPublic ? 'chats:public' : null
+  );
+  chat.$locals.cacheAudience = after;
+};
+
+// At-rest encryption of message content, attachment references, tool calls
+// and citations. Values are encrypted right before a save and decrypted
+// again after loading or saving, so the rest of the app only ever sees
+// plaintext. Decrypting is not a change: the paths are unmarked so a loaded
+// chat is not dirty, and a save only encrypts the values it writes.
+const ENCRYPTED_FIELDS = ['content'];
+const ENCRYPTED_ATTACHMENT_FIELDS = ['url', 'name'];
+// Tool calls and citations live in maps of arbitrary values, so each value
+// is encrypted as JSON
+const ENCRYPTED_TOOL_FIELDS = ['input', 'output'];
+const ENCRYPTED_METADATA_KEYS = ['citations'];
+
+const readValue = ({ target, field }) => (target instanceof Map ? target.get(field) : target[field]);
+
+const writeValue = ({ target, field }, value) => {
+  if (target instanceof Map) target.set(field, value);
+  else target[field] = value;
+};
+
+const encryptValue = (entry, plaintext, key) => (
+  encryptionService.encrypt(entry.json ? JSON.stringify(plaintext) : plaintext, key)
+);
+
+const decryptValue = (entry, value, key) => {
+  const plaintext = encryptionService.decrypt(value, key);
+  return entry.json ? JSON.parse(plaintext) : plaintext;
+};
+
+// Whether a save writes the whole array at path rather than pushing or
+// pulling single items. Mongoose falls back to $set when items were also
+// changed in place.
+const rewritesArray = (chat, path, array) => {
+  if (!chat.isDirectModified(path)) return false;
+
+  const atomics = Object.keys(array?.$atomics?.() || {});
+  return atomics.length === 0 || atomics.includes('$set') ||
+    chat.directModifiedPaths().some(modified => modified.startsWith(`${path}.`));
+};
+
+// Every encrypted value, or with all: false only those the next save
+// writes. Each entry names the subdocument field (or map key) and the path
+// to it from every document tracking its changes (the field's own
+// subdocument up to the chat).
+const getEncryptedValues = (chat, { all = true } = {}) => {
+  const values = [];
+  const rewriteMessages = all || chat.isNew || rewritesArray(chat, 'messages', chat.messages);
+
+  // The given keys of a map, encrypted when the message is written or the
+  // value itself changed
+  const addMapValues = (map, keys, path, paths, rewrite) => {
+    for (const key of keys) {
+      if (map.get(key) !== undefined && (rewrite || chat.isDirectModified(`${path}.${key}`))) {
+        values.push({
+          target: map,
+          field: key,
+          json: true,
+          paths: paths.map(([doc, docPath]) => [doc, `${docPath}.${key}`])
+        });
+      }
+    }
+  };
+
+  (chat.messages || []).forEach((msg, i) => {
+    const base = `messages.${i}`;
+    const rewriteMessage = rewriteMessages || msg.isNew;
+    const rewriteAttachments = rewriteMessage || rewritesArray(chat, `${base}.attachments`, msg.attachments);
+
+    for (const field of ENCRYPTED_FIELDS) {
+      const path = `${base}.${field}`;
+      if (msg[field] && (rewriteMessage || chat.isDirectModified(path))) {
+        values.push({ target: msg, field, paths: [[msg, field], [chat, path]] });
+      }
+    }
+
+    (msg.attachments || []).forEach((attachment, j) => {
+      for (const field of ENCRYPTED_ATTACHMENT_FIELDS) {
+        const path = `${base}.attachments.${j}.${field}`;
+        if (attachment[field] && (rewriteAttachments || attachment.isNew || chat.isDirectModified(path))) {
+          values.push({
+            target: attachment,
+            field,
+            paths: [[attachment, field], [msg, `attachments.${j}.${field}`], [chat, path]]
+          });
+        }
+      }
+    });
+
+    (msg.tools || []).forEach((tool, j) => {
+      for (const field of ENCRYPTED_TOOL_FIELDS) {
+        if (!tool[field]) continue;
+
+        const path = `${base}.tools.${j}.${field}`;
+        const paths = [[tool, field], [msg, `tools.${j}.${field}`], [chat, path]];
+        addMapValues(tool[field], [...tool[field].keys()], path, paths, rewriteMessage || tool.isNew);
+      }
+    });
+
+    if (msg.metadata) {
+      const path = `${base}.metadata`;
+      addMapValues(msg.metadata, ENCRYPTED_METADATA_KEYS, path, [[msg, 'metadata'], [chat, path]], rewriteMessage);
+    }
+  });
+
+  return values;
+};
+
+// Sets a value without it counting as a change
+const setUnmodified = (entry, value) => {
+  writeValue(entry, value);
+  for (const [doc, path] of entry.paths) doc.unmarkModified(path);
+};
+
+const decryptContent = (chat) => {
+  if (!chat.encryption?.wrappedKey) return;
+
+  const key = encryptionService.getChatDataKey(chat);
+  for (const value of getEncryptedValues(chat)) {
+    const stored = readValue(value);
+    if (encryptionService.isEncrypted(stored)) {
+      setUnmodified(value, decryptValue(value, stored, key));
+    }
+  }
+};
+
+// Puts back the plaintext of the values the last save encrypted. After a
+// failed save the paths stay modified so a retry writes them again.
+const restorePlaintext = (chat, { saved }) => {
+  for (const { value, plaintext } of chat.$locals.encryptedValues || []) {
+    if (saved) setUnmodified(value, plaintext);
+    else writeValue(value, plaintext);
   }
+  chat.$locals.encryptedValues = [];
+};
 
-  next();
+chatSchema.pre('save', function(next) {
+  if (!this.encryption?.enabled) return next();
+
+  try {
+    // Chats switching to encryption or to a new key rewrite everything
+    const all = !this.encryption.wrappedKey || this.isModified('encryption');
+
+    if (!this.encryption.wrappedKey) {
+      const { wrappedKey, keyVersion } = encryptionService.createDataKey();
+      this.encryption.algorithm = ALGORITHM;
+      this.encryption.wrappedKey = wrappedKey;
+      this.encryption.keyVersion = keyVersion;
+    }
+
+    const key = encryptionService.getChatDataKey(this);
+    this.$locals.encryptedValues = [];
+
+    for (const value of getEncryptedValues(this, { all })) {
+      const plaintext = readValue(value);
+      if (encryptionService.isEncrypted(plaintext)) continue;
+
+      writeValue(value, encryptValue(value, plaintext, key));
+      this.$locals.encryptedValues.push({ value, plaintext });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+chatSchema.post('init', function(doc) {
+  decryptContent(doc);
+  doc.$locals.cacheAudience = getCacheAudience(doc);
+});
+
+// Registered ahead of the embedding hook so it sees plaintext
+chatSchema.post('save', function(doc) {
+  restorePlaintext(doc, { saved: true });
+});
+
+chatSchema.post('save', function(error, doc, next) {
+  restorePlaintext(doc, { saved: false });
+  next(error);
+});
+
+// Embed messages added since the last save once they are persisted
+chatSchema.post('save', function(doc) {
+  embeddingService.enqueue(doc, doc.$locals.pendingEmbeddings || []);
+  ragService.enqueue(doc, doc.$locals.pendingEmbeddings || []);
+  doc.$locals.pendingEmbeddings = [];
+});
+
+chatSchema.post('save', function(doc) {
+  invalidateChatCache(doc);
+});
+
+// Removes data stored outside the chat document
+const cleanUpDeletedChat = (chat) => {
+  embeddingService.removeChat(chat._id).catch(error => console.error('Embedding cleanup failed:', error));
+  Comment.deleteMany({ chatId: chat._id }).catch(error => console.error('Comment cleanup failed:', error));
+  ShareLink.deleteMany({ chatId: chat._id }).catch(error => console.error('Share link cleanup failed:', error));
+  invalidateChatCache(chat);
+};
+
+chatSchema.post('findOneAndDelete', function(doc) {
+  if (doc) cleanUpDeletedChat(doc);
+});
+
+chatSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  cleanUpDeletedChat(doc);
 });
 
 // Instance methods
 chatSchema.methods.addMessage = function(messageData) {
+  const activePath = this.getActivePath();
+  const parentId = messageData.parentId !== undefined
+    ? messageData.parentId
+    : activePath.length > 0 ? activePath[activePath.length - 1].id : null;
+
   const message = {
     ...messageData,
+    tokens: messageData.tokens || this.countMessageTokens(messageData),
     id: uuidv4(),
+    parentId,
+    version: this.getChildren(parentId).length + 1,
     createdAt: new Date(),
     updatedAt: new Date()
   };
 
   this.messages.push(message);
+  this.activeLeafId = message.id;
+  this.$locals.pendingEmbeddings = [...(this.$locals.pendingEmbeddings || []), message.id];
 
   // Auto-generate title from first user message
   if (this.messages.length === 1 && messageData.role === 'user') {
@@ -274,6 +629,193 @@ chatSchema.methods.addMessage = function(messageData) {
   return this.messages[this.messages.length - 1];
 };
 
+// Branching
+chatSchema.methods.findMessage = function(messageId) {
+  return this.messages.find(msg => msg.id === messageId) || null;
+};
+
+chatSchema.methods.getParentId = function(message, index = this.messages.indexOf(message)) {
+  if (message.parentId !== undefined) return message.parentId;
+  return index > 0 ? this.messages[index - 1].id : null;
+};
+
+chatSchema.methods.getChildren = function(parentId) {
+  return this.messages.filter((msg, index) => this.getParentId(msg, index) === parentId);
+};
+
+// Messages from the root to the active leaf
+chatSchema.methods.getActivePath = function() {
+  if (this.messages.length === 0) return [];
+
+  const leafId = this.activeLeafId || this.messages[this.messages.length - 1].id;
+  const path = [];
+  let message = this.findMessage(leafId);
+
+  while (message) {
+    path.unshift(message);
+    const parentId = this.getParentId(message);
+    message = parentId ? this.findMessage(parentId) : null;
+  }
+
+  return path;
+};
+
+chatSchema.methods.getBranchInfo = function(messageId) {
+  const message = this.findMessage(messageId);
+  if (!message) return null;
+
+  const siblingIds = this.getChildren(this.getParentId(message)).map(msg => msg.id);
+
+  return {
+    index: siblingIds.indexOf(messageId),
+    count: siblingIds.length,
+    siblingIds
+  };
+};
+
+// Active path with each message's position among its siblings, for "< 2/3 >"
+// switchers in the client
+chatSchema.methods.getActivePathWithBranches = function() {
+  return this.getActivePath().map(msg => ({
+    ...msg.toObject(),
+    branch: this.getBranchInfo(msg.id)
+  }));
+};
+
+// Makes the branch containing messageId active, following the most recent
+// child below it down to a leaf
+chatSchema.methods.switchBranch = function(messageId) {
+  let message = this.findMessage(messageId);
+  if (!message) {
+    throw new Error('Message not found');
+  }
+
+  let children = this.getChildren(message.id);
+  while (children.length > 0) {
+    message = children[children.length - 1];
+    children = this.getChildren(message.id);
+  }
+
+  this.activeLeafId = message.id;
+  return this.getActivePath();
+};
+
+// Adds an edited copy of a message as a new sibling branch, leaving the
+// original and everything after it intact
+chatSchema.methods.editMessage = function(messageId, content) {
+  const original = this.findMessage(messageId);
+  if (!original) {
+    throw new Error('Message not found');
+  }
+
+  return this.addMessage({
+    role: original.role,
+    content,
+    attachments: original.attachments,
+    parentId: this.getParentId(original),
+    isEdited: true,
+    editedAt: new Date()
+  });
+};
+
+// Rewinds the active branch to the parent of an assistant message so that
+// the next assistant message becomes a sibling of it
+chatSchema.methods.prepareRegeneration = function(messageId) {
+  const message = this.findMessage(messageId);
+  if (!message || message.role !== 'assistant') {
+    throw new Error('Only assistant messages can be regenerated');
+  }
+
+  const parentId = this.getParentId(message);
+  if (!parentId) {
+    throw new Error('Message has no prompt to regenerate from');
+  }
+
+  this.activeLeafId = parentId;
+  return this.getActivePath();
+};
+
+// Stores a UltraAIService.generateResponse() result, recording which
+// provider and model actually answered and which older messages were elided.
+// Tool messages from generateWithTools() are stored along with it.
+chatSchema.methods.addAssistantMessage = function(response, messageData = {}) {
+  const metadata = {
+    ...messageData.metadata,
+    provider: response.provider,
+    model: response.model,
+    finishReason: response.finishReason
+  };
+
+  // Citations are kept once, apart from the context, so encrypted chats
+  // can encrypt them
+  const { citations, ...context } = response.context || {};
+
+  if (context.elidedCount > 0) {
+    metadata.context = context;
+  }
+
+  if (citations?.length > 0) {
+    metadata.citations = citations;
+  }
+
+  if (response.failures?.length > 0) {
+    metadata.failover = response.failures.map(({ provider, model, error }) => ({ provider, model, error }));
+  }
+
+  if (response.maxIterationsReached) {
+    metadata.maxToolIterationsReached = true;
+  }
+
+  // Tool results from the agent loop are stored ahead of the final answer
+  for (const toolMessage of response.toolMessages || []) {
+    this.addToolMessage(toolMessage);
+  }
+
+  // Providers report a combined total; split it using the completion count
+  const completion = tokenizer.countTokens(response.content, response);
+  const total = Math.max(response.tokens || 0, completion);
+
+  return this.addMessage({
+    ...messageData,
+    role: 'assistant',
+    content: response.content,
+    tokens: {
+      prompt: total - completion,
+      completion,
+      total
+    },
+    metadata
+  });
+};
+
+chatSchema.methods.addToolMessage = function(toolMessage) {
+  const output = toolMessage.output !== null && typeof toolMessage.output === 'object'
+    ? toolMessage.output
+    : { result: toolMessage.output };
+
+  return this.addMessage({
+    role: 'tool',
+    content: toolMessage.content,
+    tools: [{
+      name: toolMessage.toolCall.name,
+      input: toolMessage.toolCall.input,
+      output,
+      success: toolMessage.success
+    }],
+    metadata: {
+      toolCallId: toolMessage.toolCall.id
+    }
+  });
+};
+
+chatSchema.methods.countMessageTokens = function(messageData) {
+  const count = tokenizer.countTokens(messageData.content, this.settings);
+
+  return messageData.role === 'assistant'
+    ? { prompt: 0, completion: count, total: count }
+    : { prompt: count, completion: 0, total: count };
+};
+
 chatSchema.methods.generateTitle = function(content) {
   const cleanContent = content.replace(/[^\w\s]/gi, '');
   const words = cleanContent.split(/\s+/).slice(0, 8);
@@ -301,19 +843,56 @@ chatSchema.methods.removeParticipant = function(userId) {
   return this;
 };
 
+// Strongest role the user has through the chat itself or a shared folder
+chatSchema.methods.getParticipantRole = function(userId) {
+  let role = null;
+
+  for (const participant of [...this.participants, ...(this.folderParticipants || [])]) {
+    const participantId = participant.userId?._id || participant.userId;
+    if (participantId?.toString() === userId.toString() && (!role || ROLE_RANK[participant.role] > ROLE_RANK[role])) {
+      role = participant.role;
+    }
+  }
+
+  return role;
+};
+
+chatSchema.methods.canComment = function(userId) {
+  if (this.userId.toString() === userId.toString()) return true;
+
+  return ['editor', 'commenter'].includes(this.getParticipantRole(userId));
+};
+
 chatSchema.methods.canEdit = function(userId) {
   if (this.userId.toString() === userId.toString()) return true;
   
-  const participant = this.participants.find(p => p.userId.toString() === userId.toString());
-  return participant && participant.role === 'editor';
+  return this.getParticipantRole(userId) === 'editor';
 };
 
 chatSchema.methods.canView = function(userId) {
   if (this.visibility === 'public') return true;
   if (this.userId.toString() === userId.toString()) return true;
   
-  const participant = this.participants.find(p => p.userId.toString() === userId.toString());
-  return !!participant;
+  return !!this.getParticipantRole(userId);
+};
+
+// Re-encrypts the chat under a fresh data key wrapped by the current
+// key-encryption key. increment() makes a concurrent write fail the save
+// instead of being overwritten.
+chatSchema.methods.rotateEncryptionKey = async function() {
+  const { wrappedKey, keyVersion } = encryptionService.createDataKey();
+
+  this.encryption.algorithm = ALGORITHM;
+  this.encryption.wrappedKey = wrappedKey;
+  this.encryption.keyVersion = keyVersion;
+  this.markModified('messages');
+  this.increment();
+
+  await this.save();
+
+  // Attachment excerpts stored for retrieval were encrypted with the old key
+  embeddingService.schedule(() => ragService.indexChatAttachments(this, { force: true }));
+  return this;
 };
 
 chatSchema.methods.export = function(format = 'json') {
@@ -332,12 +911,16 @@ chatSchema.methods.export = function(format = 'json') {
         }
       };
     case 'markdown':
-      return this.messages.map(msg => 
-        `## ${msg.role}\n${msg.content}\n\n---\n`
-      ).join('\n');
+      return exportService.toMarkdown(this);
     case 'csv':
-      // Implement CSV export
-      break;
+      return exportService.toCSV(this);
+    case 'html':
+      return exportService.toHTML(this);
+    case 'pdf':
+      // Resolves to a Buffer
+      return exportService.toPDF(this);
+    case 'archive':
+      return exportService.toArchive(this);
     default:
       return this.toObject();
   }
@@ -351,7 +934,9 @@ chatSchema.statics.getUserChats = function(userId, options = {}) {
     status = 'active',
     search = '',
     sortBy = 'lastMessageAt',
-    sortOrder = 'desc'
+    sortOrder = 'desc',
+    folderId,
+    folderIds
   } = options;
 
   const skip = (page - 1) * limit;
@@ -360,19 +945,31 @@ chatSchema.statics.getUserChats = function(userId, options = {}) {
   let query = { 
     $or: [
       { userId },
-      { 'participants.userId': userId }
+      { 'participants.userId': userId },
+      { 'folderParticipants.userId': userId }
     ],
     status 
   };
 
+  // folderId 'none' lists chats outside any folder; folderIds covers a
+  // folder together with its subfolders
+  if (folderIds) {
+    query.folderId = { $in: folderIds };
+  } else if (folderId === 'none') {
+    query.folderId = null;
+  } else if (folderId) {
+    query.folderId = folderId;
+  }
+
   if (search) {
+    const pattern = new RegExp(escapeRegExp(String(search).slice(0, 200)), 'i');
     query.$and = [
       query.$and || {},
       {
         $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
+          { title: pattern },
+          { description: pattern },
+          { tags: pattern }
         ]
       }
     ];
@@ -405,13 +1002,14 @@ chatSchema.statics.getPublicChats = function(options = {}) {
   };
 
   if (search) {
+    const pattern = new RegExp(escapeRegExp(String(search).slice(0, 200)), 'i');
     query.$and = [
       query.$and || {},
       {
         $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
+          { title: pattern },
+          { description: pattern },
+          { tags: pattern }
         ]
       }
     ];
@@ -426,6 +1024,242 @@ chatSchema.statics.getPublicChats = function(options = {}) {
     .lean();
 };
 
+// Moves encrypted chats still on an older key version to the current one.
+// Runs in batches from the scheduler; failed chats are retried next run.
+chatSchema.statics.rotateEncryptionKeys = async function({ limit = 50 } = {}) {
+  if (!encryptionService.isConfigured()) {
+    return { rotated: 0, failed: 0 };
+  }
+
+  const chats = await this.find({
+    'encryption.enabled': true,
+    'encryption.keyVersion': { $ne: encryptionService.currentVersion }
+  }).limit(limit);
+
+  let rotated = 0;
+  let failed = 0;
+
+  for (const chat of chats) {
+    try {
+      await chat.rotateEncryptionKey();
+      rotated += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Key rotation failed for chat ${chat._id}:`, error);
+    }
+  }
+
+  return { rotated, failed };
+};
+
+// Reprices assistant messages with the catalog prices in effect when each
+// message was created, after historical prices have been corrected, and
+// rebuilds the chat cost totals from the message costs.
+chatSchema.statics.recomputeMessageCosts = async function({ provider, model, from, to } = {}) {
+  const inRange = (msg) =>
+    msg.role === 'assistant' &&
+    (!from || msg.createdAt >= new Date(from)) &&
+    (!to || msg.createdAt <= new Date(to));
+  const metadataOf = (msg) => (msg.metadata instanceof Map ? Object.fromEntries(msg.metadata) : msg.metadata || {});
+
+  // Messages are priced per token unless their metadata names another
+  // costType. Images are repriced at the size and quality they were made
+  // at; older image messages were stored without them and keep their cost.
+  const priceOf = (msg, metadata) => {
+    const costType = metadata.costType || (metadata.imagePrompt ? 'image' : 'tokens');
+
+    if (costType === 'tokens') {
+      return pricingService.tokenCost(
+        metadata.provider,
+        metadata.model,
+        msg.tokens.prompt || 0,
+        msg.tokens.completion || 0,
+        msg.createdAt
+      );
+    }
+    if (costType === 'image' && metadata.imageSize) {
+      return pricingService.imageCost(
+        metadata.provider,
+        metadata.model,
+        { size: metadata.imageSize, quality: metadata.imageQuality },
+        msg.createdAt
+      );
+    }
+    return null;
+  };
+
+  const query = { 'messages.role': 'assistant' };
+  if (provider) query['messages.metadata.provider'] = provider;
+  if (model) query['messages.metadata.model'] = model;
+
+  let chats = 0;
+  let messages = 0;
+  let delta = 0;
+
+  for await (const chat of this.find(query).cursor()) {
+    let changed = false;
+
+    for (const msg of chat.messages.filter(inRange)) {
+      const metadata = metadataOf(msg);
+      if (!metadata.provider || !metadata.model) continue;
+      if ((provider && metadata.provider !== provider) || (model && metadata.model !== model)) continue;
+
+      const cost = priceOf(msg, metadata);
+      if (cost === null) continue;
+
+      if (Math.abs(cost - (msg.cost || 0)) > 1e-12) {
+        delta += cost - (msg.cost || 0);
+        msg.cost = cost;
+        messages += 1;
+        changed = true;
+      }
+    }
+
+    if (!changed) continue;
+
+    const breakdown = new Map();
+    for (const msg of chat.messages) {
+      if (!msg.cost) continue;
+      const { provider: msgProvider, model: msgModel } = metadataOf(msg);
+      const key = pricingService.costKey(msgProvider, msgModel);
+      breakdown.set(key, (breakdown.get(key) || 0) + msg.cost);
+    }
+
+    chat.costTracking.totalCost = chat.messages.reduce((sum, msg) => sum + (msg.cost || 0), 0);
+    chat.costTracking.costBreakdown = breakdown;
+    await chat.save();
+    chats += 1;
+  }
+
+  return { chats, messages, delta };
+};
+
+chatSchema.statics.getAccessibleChatIds = function(userId) {
+  return this.distinct('_id', {
+    $or: [
+      { userId },
+      { 'participants.userId': userId },
+      { 'folderParticipants.userId': userId }
+    ],
+    status: 'active'
+  });
+};
+
+chatSchema.statics.searchMessages = async function(userId, options = {}) {
+  const {
+    query = '',
+    role,
+    model,
+    tag,
+    from,
+    to,
+    page = 1,
+    limit = 20,
+    candidateLimit = 200
+  } = options;
+
+  const terms = parseSearchTerms(query);
+  if (terms.length === 0) {
+    return { results: [], total: 0, page, limit, terms };
+  }
+
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const chatMatch = {
+    $text: { $search: terms.map(term => (term.includes(' ') ? `"${term}"` : term)).join(' ') },
+    $or: [
+      { userId: userObjectId },
+      { 'participants.userId': userObjectId },
+      { 'folderParticipants.userId': userObjectId }
+    ],
+    status: 'active',
+    // Encrypted message content cannot be matched server-side
+    'encryption.enabled': { $ne: true }
+  };
+
+  if (tag) {
+    chatMatch.tags = tag;
+  }
+
+  const messageMatch = {
+    'messages.content': { $regex: buildTermsRegex(terms) }
+  };
+
+  if (role) {
+    messageMatch['messages.role'] = role;
+  }
+
+  if (model) {
+    messageMatch.$or = [
+      { 'messages.metadata.model': model },
+      { 'settings.model': model }
+    ];
+  }
+
+  if (from || to) {
+    messageMatch['messages.createdAt'] = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) })
+    };
+  }
+
+  // $text narrows and ranks candidate chats; individual messages are then
+  // matched against the same terms so hits point at a specific message
+  const hits = await this.aggregate([
+    { $match: chatMatch },
+    { $addFields: { chatScore: { $meta: 'textScore' } } },
+    { $sort: { chatScore: -1 } },
+    { $limit: candidateLimit },
+    { $unwind: '$messages' },
+    { $match: messageMatch },
+    {
+      $project: {
+        _id: 0,
+        chatId: '$_id',
+        title: 1,
+        tags: 1,
+        chatScore: 1,
+        message: {
+          id: '$messages.id',
+          role: '$messages.role',
+          content: '$messages.content',
+          createdAt: '$messages.createdAt',
+          model: '$messages.metadata.model'
+        }
+      }
+    }
+  ]);
+
+  const ranked = hits
+    .map(hit => {
+      const { snippet, highlights, matchCount } = buildSnippet(hit.message.content, terms);
+      const termsMatched = terms.filter(term => hit.message.content.toLowerCase().includes(term)).length;
+
+      return {
+        chatId: hit.chatId,
+        chatTitle: hit.title,
+        tags: hit.tags,
+        messageId: hit.message.id,
+        role: hit.message.role,
+        model: hit.message.model,
+        createdAt: hit.message.createdAt,
+        snippet,
+        highlights,
+        score: hit.chatScore + termsMatched * 2 + Math.log1p(matchCount)
+      };
+    })
+    .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt));
+
+  const skip = (page - 1) * limit;
+
+  return {
+    results: ranked.slice(skip, skip + limit),
+    total: ranked.length,
+    page,
+    limit,
+    terms
+  };
+};
+
 // Plugins
 chatSchema.plugin(require('mongoose-autopopulate'));
 chatSchema.plugin(require('mongoose-paginate-v2'));
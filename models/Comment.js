@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Comment threads anchored to a chat message. A thread is a root comment
+// (parentId null) with its replies; resolving applies to the whole thread.
+const commentSchema = new mongoose.Schema({
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  messageId: {
+    type: String,
+    required: true
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  // Optional character range of the message content the thread refers to.
+  // The route adds the quoted text when sending comments.
+  range: {
+    start: Number,
+    end: Number
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ chatId: 1, messageId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+
+// Groups comments into threads: roots in order with their replies attached
+commentSchema.statics.toThreads = function(comments) {
+  const threads = comments
+    .filter(comment => !comment.parentId)
+    .map(comment => ({ ...comment, replies: [] }));
+  const byId = new Map(threads.map(thread => [thread._id.toString(), thread]));
+
+  for (const comment of comments) {
+    if (comment.parentId) {
+      byId.get(comment.parentId.toString())?.replies.push(comment);
+    }
+  }
+
+  return threads;
+};
+
+export default mongoose.model('Comment', commentSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const embeddingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: ['message', 'attachment'],
+    required: true
+  },
+  // Message id for messages, "<attachment key>:<chunk>" for attachment chunks
+  sourceId: {
+    type: String,
+    required: true
+  },
+  role: String,
+  // Attachment chunks keep their text so it can be injected into prompts
+  text: String,
+  attachment: {
+    key: String,
+    messageId: String,
+    name: String,
+    page: Number,
+    chunk: Number
+  },
+  // "<provider>:<model>" so vectors from different embedders never mix
+  embedder: {
+    type: String,
+    required: true
+  },
+  vector: {
+    type: [Number],
+    required: true
+  },
+  contentHash: String
+}, {
+  timestamps: true
+});
+
+embeddingSchema.index({ chatId: 1, sourceType: 1, sourceId: 1, embedder: 1 }, { unique: true });
+embeddingSchema.index({ embedder: 1, sourceType: 1, chatId: 1 });
+embeddingSchema.index({ chatId: 1, 'attachment.key': 1 }, { sparse: true });
+
+export default mongoose.model('Embedding', embeddingSchema);
@@ -0,0 +1,259 @@
+import mongoose from 'mongoose';
+import cacheService from '../services/cacheService.js';
+
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3 };
+
+// Keeps the strongest role per user
+const mergeParticipants = (...lists) => {
+  const byUser = new Map();
+
+  for (const participant of lists.flat()) {
+    const id = participant.userId.toString();
+    const current = byUser.get(id);
+    if (!current || ROLE_RANK[participant.role] > ROLE_RANK[current.role]) {
+      byUser.set(id, { userId: participant.userId, role: participant.role });
+    }
+  }
+
+  return [...byUser.values()];
+};
+
+// Nested chat folders. Each folder stores its ancestors in `path`, so a
+// subtree is a single query. Participants of a folder get access to every
+// chat below it; that access is copied onto the chats
+// (Chat.folderParticipants) so permission checks stay synchronous.
+const folderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  path: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  }],
+  order: {
+    type: Number,
+    default: 0
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/
+  },
+  icon: {
+    type: String,
+    maxlength: 50
+  },
+  participants: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'commenter', 'editor'],
+      default: 'viewer'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+folderSchema.index({ userId: 1, parentId: 1, order: 1 });
+folderSchema.index({ path: 1 });
+folderSchema.index({ 'participants.userId': 1 });
+
+folderSchema.methods.isOwner = function(userId) {
+  return this.userId.toString() === userId.toString();
+};
+
+folderSchema.methods.getSubtree = async function() {
+  const descendants = await this.constructor.find({ path: this._id });
+  return [this, ...descendants];
+};
+
+// Participants of this folder and its ancestors
+folderSchema.methods.getEffectiveParticipants = async function() {
+  const ancestors = this.path.length > 0
+    ? await this.constructor.find({ _id: { $in: this.path } }).select('participants').lean()
+    : [];
+
+  return mergeParticipants(...ancestors.map(folder => folder.participants), this.participants);
+};
+
+// Moves the folder under another of the owner's folders, or to the top level
+// with null, rewriting the path of everything below it
+folderSchema.methods.moveTo = async function(parent) {
+  if (parent && (parent._id.equals(this._id) || parent.path.some(id => id.equals(this._id)))) {
+    throw new Error('A folder cannot be moved into itself');
+  }
+
+  const oldDepth = this.path.length;
+  this.parentId = parent ? parent._id : null;
+  this.path = parent ? [...parent.path, parent._id] : [];
+  await this.save();
+
+  const descendants = await this.constructor.find({ path: this._id });
+  if (descendants.length > 0) {
+    await this.constructor.bulkWrite(descendants.map(folder => ({
+      updateOne: {
+        filter: { _id: folder._id },
+        update: { $set: { path: [...this.path, ...folder.path.slice(oldDepth)] } }
+      }
+    })));
+  }
+
+  await this.syncChatAccess();
+  return this;
+};
+
+// Copies folder access onto the chats in this folder and its subfolders
+folderSchema.methods.syncChatAccess = async function() {
+  const Chat = this.model('Chat');
+  const subtree = (await this.getSubtree()).sort((a, b) => a.path.length - b.path.length);
+  const inherited = new Map([[this._id.toString(), await this.getEffectiveParticipants()]]);
+
+  for (const folder of subtree.slice(1)) {
+    const parentAccess = inherited.get(folder.parentId.toString()) || [];
+    inherited.set(folder._id.toString(), mergeParticipants(parentAccess, folder.participants));
+  }
+
+  const chats = await Chat.find({ folderId: { $in: subtree.map(folder => folder._id) } })
+    .select('userId folderParticipants')
+    .lean();
+
+  for (const folder of subtree) {
+    await Chat.updateMany(
+      { folderId: folder._id },
+      { $set: { folderParticipants: inherited.get(folder._id.toString()) } }
+    );
+  }
+
+  invalidateChats(chats, [...inherited.values()].flat().map(p => p.userId));
+};
+
+// Drops cached chat lists and chats after bulk updates, which bypass the
+// Chat save hooks
+const invalidateChats = (chats, userIds = []) => {
+  const users = new Set(userIds.map(String));
+  for (const chat of chats) {
+    users.add(chat.userId.toString());
+    for (const participant of chat.folderParticipants || []) {
+      users.add(participant.userId.toString());
+    }
+  }
+
+  cacheService.invalidateQuietly(
+    ...chats.map(chat => `chat:${chat._id}`),
+    ...[...users].map(id => `user:${id}:chats`)
+  );
+};
+
+// Files the owner's chats under a folder, or takes them out of folders with
+// null. Returns the number of chats moved.
+folderSchema.statics.moveChats = async function(userId, chatIds, folder = null) {
+  const Chat = this.model('Chat');
+  const filter = { _id: { $in: chatIds }, userId };
+
+  const chats = await Chat.find(filter).select('userId folderParticipants').lean();
+  const folderParticipants = folder ? await folder.getEffectiveParticipants() : [];
+
+  const result = await Chat.updateMany(filter, {
+    $set: { folderId: folder ? folder._id : null, folderParticipants }
+  });
+
+  invalidateChats(chats, folderParticipants.map(p => p.userId));
+  return result.modifiedCount;
+};
+
+// Removes a folder. "cascade" deletes its subfolders and moves its chats to
+// the trash; "reparent" hands subfolders and chats to the folder's parent.
+folderSchema.methods.removeWithContents = async function(mode = 'reparent') {
+  const Chat = this.model('Chat');
+  const Folder = this.constructor;
+
+  if (mode === 'cascade') {
+    const subtreeIds = (await this.getSubtree()).map(folder => folder._id);
+    const filter = { folderId: { $in: subtreeIds }, userId: this.userId };
+    const chats = await Chat.find(filter).select('userId folderParticipants').lean();
+
+    await Chat.updateMany(
+      filter,
+      { $set: { status: 'deleted', folderId: null, folderParticipants: [] } }
+    );
+    await Folder.deleteMany({ _id: { $in: subtreeIds } });
+
+    invalidateChats(chats);
+    return { deletedFolders: subtreeIds.length, trashedChats: chats.length, movedFolders: 0, movedChats: 0 };
+  }
+
+  const parent = this.parentId ? await Folder.findById(this.parentId) : null;
+  const children = await Folder.find({ parentId: this._id });
+  const chatIds = await Chat.distinct('_id', { folderId: this._id });
+
+  await this.deleteOne();
+
+  for (const child of children) {
+    await child.moveTo(parent);
+  }
+  const movedChats = await Folder.moveChats(this.userId, chatIds, parent);
+
+  return { deletedFolders: 1, trashedChats: 0, movedFolders: children.length, movedChats };
+};
+
+// The user's own folders plus folders shared with them, nested. Shared
+// folders whose parent the user cannot see are returned at the top level.
+folderSchema.statics.getTree = async function(userId) {
+  const shared = await this.find({ 'participants.userId': userId }).select('_id').lean();
+  const folders = await this.find({
+    $or: [
+      { userId },
+      { _id: { $in: shared.map(folder => folder._id) } },
+      { path: { $in: shared.map(folder => folder._id) } }
+    ]
+  })
+    .sort({ order: 1, name: 1 })
+    .lean();
+
+  const byId = new Map(folders.map(folder => [folder._id.toString(), { ...folder, children: [] }]));
+  const roots = [];
+
+  for (const folder of byId.values()) {
+    const parent = folder.parentId && byId.get(folder.parentId.toString());
+    if (parent) {
+      parent.children.push(folder);
+    } else {
+      roots.push(folder);
+    }
+  }
+
+  return roots;
+};
+
+// Whether the user owns the folder or is a participant of it or an ancestor
+folderSchema.methods.canView = async function(userId) {
+  if (this.isOwner(userId)) return true;
+
+  const participants = await this.getEffectiveParticipants();
+  return participants.some(p => p.userId.toString() === userId.toString());
+};
+
+export { ROLE_RANK };
+export default mongoose.model('Folder', folderSchema);
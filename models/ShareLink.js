@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import encryptionService, { ALGORITHM } from '../services/encryptionService.js';
+
+const snapshotMessageSchema = new mongoose.Schema({
+  id: String,
+  role: String,
+  content: String,
+  model: String,
+  createdAt: Date
+}, { _id: false });
+
+// Read-only public link to a chat. The link serves a snapshot of the active
+// branch taken when it was created, so messages added later are not shared.
+const shareLinkSchema = new mongoose.Schema({
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  snapshot: {
+    title: String,
+    description: String,
+    messages: [snapshotMessageSchema],
+    takenAt: Date
+  },
+  passwordHash: String,
+  expiresAt: Date,
+  revokedAt: Date,
+  views: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  // Snapshots of encrypted chats are encrypted under their own data key, so
+  // rotating the chat's key does not orphan them
+  encryption: {
+    algorithm: String,
+    keyVersion: Number,
+    wrappedKey: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.encryption;
+      return ret;
+    }
+  }
+});
+
+shareLinkSchema.index({ userId: 1, revokedAt: 1, createdAt: -1 });
+shareLinkSchema.index({ chatId: 1 });
+
+shareLinkSchema.virtual('hasPassword').get(function() {
+  return !!this.passwordHash;
+});
+
+shareLinkSchema.virtual('url').get(function() {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/share/${this.token}`;
+});
+
+const transformSnapshot = (link, transform) => {
+  for (const msg of link.snapshot?.messages || []) {
+    const content = transform(msg.content);
+    if (content !== msg.content) msg.content = content;
+  }
+};
+
+const decryptSnapshot = (link) => {
+  if (!link.encryption?.wrappedKey) return;
+
+  const key = encryptionService.unwrapDataKey(link.encryption.wrappedKey, link.encryption.keyVersion);
+  transformSnapshot(link, value =>
+    encryptionService.isEncrypted(value) ? encryptionService.decrypt(value, key) : value
+  );
+};
+
+shareLinkSchema.pre('save', function(next) {
+  if (!this.encryption?.wrappedKey) return next();
+
+  try {
+    const key = encryptionService.unwrapDataKey(this.encryption.wrappedKey, this.encryption.keyVersion);
+    transformSnapshot(this, value =>
+      encryptionService.isEncrypted(value) ? value : encryptionService.encrypt(value, key)
+    );
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+shareLinkSchema.post('init', function(doc) {
+  decryptSnapshot(doc);
+});
+
+shareLinkSchema.post('save', function(doc) {
+  decryptSnapshot(doc);
+});
+
+shareLinkSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('base64url');
+};
+
+// Builds an unsaved link holding a snapshot of the chat's active branch
+shareLinkSchema.statics.fromChat = async function(chat, { userId, expiresAt, password }) {
+  const link = new this({
+    chatId: chat._id,
+    userId,
+    token: this.generateToken(),
+    expiresAt,
+    snapshot: {
+      title: chat.title,
+      description: chat.description,
+      messages: chat.getActivePath()
+        .filter(msg => ['user', 'assistant'].includes(msg.role))
+        .map(msg => ({
+          id: msg.id,
+          role: msg.role,
+          content: msg.content,
+          model: msg.role === 'assistant' ? msg.metadata?.get('model') : undefined,
+          createdAt: msg.createdAt
+        })),
+      takenAt: new Date()
+    }
+  });
+
+  await link.setPassword(password);
+
+  if (chat.encryption?.enabled) {
+    const { wrappedKey, keyVersion } = encryptionService.createDataKey();
+    link.encryption = { algorithm: ALGORITHM, wrappedKey, keyVersion };
+  }
+
+  return link;
+};
+
+// Links that are neither revoked nor expired
+shareLinkSchema.statics.activeFilter = function(now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+};
+
+shareLinkSchema.methods.isExpired = function(now = new Date()) {
+  return !!this.expiresAt && this.expiresAt <= now;
+};
+
+// An empty password removes the protection
+shareLinkSchema.methods.setPassword = async function(password) {
+  this.passwordHash = password ? await bcrypt.hash(String(password), 10) : undefined;
+};
+
+shareLinkSchema.methods.checkPassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(true);
+  return password ? bcrypt.compare(String(password), this.passwordHash) : Promise.resolve(false);
+};
+
+shareLinkSchema.methods.regenerateToken = function() {
+  this.token = this.constructor.generateToken();
+  return this.token;
+};
+
+export default mongoose.model('ShareLink', shareLinkSchema);
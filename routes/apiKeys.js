@@ -0,0 +1,77 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import ApiKey from '../models/ApiKey.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 20;
+
+// @desc    Get the user's API keys, without the keys themselves
+// @route   GET /api/v1/api-keys
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.json({ success: true, count: apiKeys.length, apiKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create an API key for the OpenAI-compatible /v1 endpoints. The key
+//          is only ever returned here.
+// @route   POST /api/v1/api-keys
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('expiresAt').optional({ nullable: true }).isISO8601().toDate()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { name, expiresAt } = req.body;
+
+      if (expiresAt && expiresAt <= new Date()) {
+        return res.status(400).json({ success: false, error: 'Expiry must be in the future' });
+      }
+
+      const count = await ApiKey.countDocuments({ userId: req.user.id, revokedAt: null });
+      if (count >= MAX_KEYS_PER_USER) {
+        return res.status(400).json({ success: false, error: `You can have at most ${MAX_KEYS_PER_USER} API keys` });
+      }
+
+      const { apiKey, key } = await ApiKey.issue(req.user.id, { name, expiresAt });
+      res.status(201).json({ success: true, apiKey, key });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Revoke an API key
+// @route   DELETE /api/v1/api-keys/:keyId
+// @access  Private
+router.delete('/:keyId', protect, [param('keyId').isMongoId()], validate, async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.keyId, userId: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,245 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import Assistant from '../models/Assistant.js';
+import Chat from '../models/Chat.js';
+import embeddingService from '../services/embeddingService.js';
+import ragService from '../services/ragService.js';
+import storageService from '../services/storageService.js';
+import { TemplateError, VARIABLE_NAME } from '../utils/template.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Anyone with access can view an assistant and start chats from it; only
+// the owner can change it
+const loadAssistant = (ownerOnly = false) => async (req, res, next) => {
+  try {
+    const assistant = await Assistant.findOne({
+      _id: req.params.assistantId,
+      ...(ownerOnly ? { userId: req.user.id } : Assistant.accessFilter(req.user))
+    }).select(ownerOnly ? '+history' : '');
+
+    if (!assistant) {
+      return res.status(404).json({ success: false, error: 'Assistant not found' });
+    }
+
+    req.assistant = assistant;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const assistantValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    field('instructions').isString().isLength({ min: 1, max: 20000 }),
+    body('description').optional().isString().isLength({ max: 500 }),
+    body('icon').optional().isString().isLength({ max: 50 }),
+    body('settings').optional().isObject(),
+    body('settings.temperature').optional().isFloat({ min: 0, max: 2 }).toFloat(),
+    body('settings.tools').optional().isArray(),
+    body('attachments').optional().isArray({ max: 20 }),
+    body('attachments.*.type').optional().isIn(['image', 'pdf', 'txt', 'code', 'audio', 'video']),
+    // Files are read server-side for retrieval, so only files uploaded here
+    // are accepted
+    body('attachments.*.url').optional().isURL()
+      .custom(url => storageService.isStoredUrl(url)).withMessage('Attachments must be uploaded files'),
+    body('variables').optional().isArray({ max: 50 }),
+    body('variables.*.name').optional().matches(VARIABLE_NAME)
+  ];
+};
+
+const pickVersioned = ({ instructions, settings, attachments, variables }) =>
+  ({ instructions, settings, attachments, variables });
+
+// @desc    List assistants the user can use
+// @route   GET /api/v1/assistants?scope=mine|organization|public
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [query('scope').optional().isIn(['mine', 'organization', 'public'])],
+  validate,
+  async (req, res, next) => {
+    try {
+      const filter = Assistant.accessFilter(req.user);
+      const { scope } = req.query;
+
+      if (scope === 'mine') {
+        filter.$or = [{ userId: req.user.id }];
+      } else if (scope) {
+        filter.$or = filter.$or.filter(condition => condition.visibility === scope);
+      }
+
+      const assistants = filter.$or.length > 0
+        ? await Assistant.find(filter).sort({ usageCount: -1, updatedAt: -1 }).limit(100)
+        : [];
+
+      res.json({ success: true, count: assistants.length, assistants });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Create an assistant
+// @route   POST /api/v1/assistants
+// @access  Private
+router.post('/', protect, assistantValidation(), validate, async (req, res, next) => {
+  try {
+    const { name, description, icon } = req.body;
+
+    const assistant = await Assistant.create({
+      userId: req.user.id,
+      organization: req.user.organization,
+      name,
+      description,
+      icon,
+      ...pickVersioned(req.body)
+    });
+
+    res.status(201).json({ success: true, assistant });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// @desc    Get an assistant
+// @route   GET /api/v1/assistants/:assistantId
+// @access  Private
+router.get('/:assistantId', protect, [param('assistantId').isMongoId()], validate, loadAssistant(), (req, res) => {
+  res.json({ success: true, assistant: req.assistant });
+});
+
+// @desc    Update an assistant; prompt, settings, files or variables make a new version
+// @route   PUT /api/v1/assistants/:assistantId
+// @access  Private
+router.put(
+  '/:assistantId',
+  protect,
+  [param('assistantId').isMongoId(), ...assistantValidation(true)],
+  validate,
+  loadAssistant(true),
+  async (req, res, next) => {
+    try {
+      const { assistant } = req;
+
+      for (const field of ['name', 'description', 'icon']) {
+        if (req.body[field] !== undefined) assistant[field] = req.body[field];
+      }
+      assistant.updateVersion(pickVersioned(req.body));
+
+      await assistant.save();
+      res.json({ success: true, assistant });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Get an assistant's earlier versions
+// @route   GET /api/v1/assistants/:assistantId/versions
+// @access  Private
+router.get('/:assistantId/versions', protect, [param('assistantId').isMongoId()], validate, loadAssistant(true), (req, res) => {
+  const { assistant } = req;
+
+  res.json({
+    success: true,
+    version: assistant.version,
+    versions: [...assistant.history].reverse()
+  });
+});
+
+// @desc    Share an assistant with the team, publish it, or make it private again
+// @route   PUT /api/v1/assistants/:assistantId/visibility
+// @access  Private
+router.put(
+  '/:assistantId/visibility',
+  protect,
+  [param('assistantId').isMongoId(), body('visibility').isIn(['private', 'organization', 'public'])],
+  validate,
+  loadAssistant(true),
+  async (req, res, next) => {
+    try {
+      const { assistant } = req;
+      const { visibility } = req.body;
+
+      if (visibility === 'organization' && !assistant.organization) {
+        return res.status(400).json({ success: false, error: 'You are not part of an organization' });
+      }
+
+      assistant.visibility = visibility;
+      assistant.publishedAt = visibility === 'public' ? assistant.publishedAt || new Date() : undefined;
+
+      await assistant.save();
+      res.json({ success: true, assistant });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Delete an assistant; chats started from it keep their settings
+// @route   DELETE /api/v1/assistants/:assistantId
+// @access  Private
+router.delete('/:assistantId', protect, [param('assistantId').isMongoId()], validate, loadAssistant(true), async (req, res, next) => {
+  try {
+    await req.assistant.deleteOne();
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Start a chat from an assistant, filling in its {{variables}}
+// @route   POST /api/v1/assistants/:assistantId/chats
+// @access  Private
+router.post(
+  '/:assistantId/chats',
+  protect,
+  [
+    param('assistantId').isMongoId(),
+    body('variables').optional().isObject(),
+    body('title').optional().isString().trim().isLength({ min: 1, max: 200 })
+  ],
+  validate,
+  loadAssistant(),
+  async (req, res, next) => {
+    try {
+      const { assistant } = req;
+      const data = assistant.toChatData(req.body.variables);
+
+      const chat = await Chat.create({
+        ...data,
+        title: req.body.title || data.title,
+        userId: req.user.id
+      });
+
+      await Assistant.updateOne({ _id: assistant._id }, { $inc: { usageCount: 1 } });
+
+      // Reference files are indexed ahead of the first question
+      if (embeddingService.enabled && chat.assistant.attachments.length > 0) {
+        embeddingService.schedule(() => ragService.indexChatAttachments(chat));
+      }
+
+      res.status(201).json({ success: true, chat });
+    } catch (error) {
+      if (error instanceof TemplateError) {
+        return res.status(400).json({ success: false, error: error.message, missing: error.missing });
+      }
+      next(error);
+    }
+  }
+);
+
+export default router;
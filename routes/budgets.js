@@ -0,0 +1,139 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import Budget from '../models/Budget.js';
+import Chat from '../models/Chat.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const budgetValidation = [
+  body('limit').isFloat({ min: 0 }).toFloat(),
+  body('period').optional().isIn(['daily', 'monthly', 'total']),
+  body('warningThresholds').optional().isArray(),
+  body('warningThresholds.*').isFloat({ gt: 0, lt: 1 }).toFloat(),
+  body('onExceeded').optional().isIn(['block', 'downgrade'])
+];
+
+// Warnings go out through our mail account, so only admins may send them to
+// addresses other than the user's own
+const notifyEmailsValidation = [
+  body('notifyEmails').optional().isArray(),
+  body('notifyEmails.*').isEmail()
+];
+
+const upsertBudget = (scope, scopeId, data) => {
+  const { limit, period, warningThresholds, onExceeded, notifyEmails } = data;
+  const update = { limit };
+  if (period) update.period = period;
+  if (warningThresholds) update.warningThresholds = warningThresholds;
+  if (onExceeded) update.onExceeded = onExceeded;
+  if (notifyEmails) update.notifyEmails = notifyEmails;
+
+  return Budget.findOneAndUpdate(
+    { scope, scopeId },
+    { $set: update, $setOnInsert: { periodStart: new Date() } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// @desc    Get the budgets that apply to the current user
+// @route   GET /api/v1/budgets
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const scopes = [{ scope: 'user', scopeId: req.user.id }];
+    if (req.user.organization) {
+      scopes.push({ scope: 'organization', scopeId: req.user.organization });
+    }
+
+    const budgets = await Budget.find({ $or: scopes });
+    await Promise.all(budgets.map(budget => budget.rollPeriod()));
+
+    res.json({ success: true, budgets });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Set the current user's budget
+// @route   PUT /api/v1/budgets/user
+// @access  Private
+router.put(
+  '/user',
+  protect,
+  [
+    ...budgetValidation,
+    body('notifyEmails').not().exists().withMessage('Only organization budgets can notify other addresses')
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const budget = await upsertBudget('user', req.user.id, req.body);
+      res.json({ success: true, budget });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Set an organization's budget
+// @route   PUT /api/v1/budgets/organization/:organizationId
+// @access  Private/Admin
+router.put(
+  '/organization/:organizationId',
+  protect,
+  authorize('admin'),
+  [param('organizationId').isMongoId(), ...budgetValidation, ...notifyEmailsValidation],
+  validate,
+  async (req, res, next) => {
+    try {
+      const budget = await upsertBudget('organization', req.params.organizationId, req.body);
+      res.json({ success: true, budget });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Set a chat's budget
+// @route   PUT /api/v1/budgets/chat/:chatId
+// @access  Private
+router.put(
+  '/chat/:chatId',
+  protect,
+  [
+    param('chatId').isMongoId(),
+    body('limit').isFloat({ min: 0 }).toFloat(),
+    body('budgetAlert').optional().isBoolean().toBoolean(),
+    body('warningThresholds').optional().isArray(),
+    body('warningThresholds.*').isFloat({ gt: 0, lt: 1 }).toFloat(),
+    body('onExceeded').optional().isIn(['block', 'downgrade'])
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const chat = await Chat.findById(req.params.chatId);
+      if (!chat || chat.userId.toString() !== req.user.id) {
+        return res.status(404).json({ success: false, error: 'Chat not found' });
+      }
+
+      const { limit, budgetAlert, warningThresholds, onExceeded } = req.body;
+      const tracking = chat.costTracking;
+
+      // Raising or lowering the limit re-arms the warnings
+      if (tracking.budget !== limit) tracking.alertsSent = [];
+      tracking.budget = limit;
+      if (budgetAlert !== undefined) tracking.budgetAlert = budgetAlert;
+      if (warningThresholds) tracking.warningThresholds = warningThresholds;
+      if (onExceeded) tracking.onExceeded = onExceeded;
+
+      await chat.save();
+      res.json({ success: true, costTracking: chat.costTracking });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { body } from 'express-validator';
+import cacheService from '../services/cacheService.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// @desc    Get response cache hit/miss metrics
+// @route   GET /api/v1/cache/metrics
+// @access  Private/Admin
+router.get('/metrics', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const metrics = await cacheService.getMetrics();
+    res.json({ success: true, metrics });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Reset response cache metrics
+// @route   DELETE /api/v1/cache/metrics
+// @access  Private/Admin
+router.delete('/metrics', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    await cacheService.resetMetrics();
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Drop cached responses by tag
+// @route   POST /api/v1/cache/invalidate
+// @access  Private/Admin
+router.post(
+  '/invalidate',
+  protect,
+  authorize('admin'),
+  [body('tags').isArray({ min: 1 }), body('tags.*').isString().notEmpty()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const removed = await cacheService.invalidate(req.body.tags);
+      res.json({ success: true, removed });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,256 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import Comment from '../models/Comment.js';
+import notificationService from '../services/notificationService.js';
+import { protect } from '../middleware/auth.js';
+import { loadChat } from '../middleware/loadChat.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router({ mergeParams: true });
+
+const loadComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, chatId: req.chat._id });
+
+    if (!comment) {
+      return res.status(404).json({ success: false, error: 'Comment not found' });
+    }
+
+    req.comment = comment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Keeps only mentions of people who can see the chat
+const filterMentions = (chat, mentions = []) => {
+  const audience = new Set([chat.userId, ...chat.participants.map(p => p.userId), ...chat.folderParticipants.map(p => p.userId)].map(String));
+  return [...new Set(mentions.map(String))].filter(id => audience.has(id));
+};
+
+const populate = comment => comment.populate([
+  { path: 'userId', select: 'username avatar' },
+  { path: 'mentions', select: 'username' }
+]);
+
+// Only the offsets of a range are stored, so text from encrypted chats never
+// ends up in comments. The quoted text is taken from the message on the way out.
+const withQuote = (chat, comment) => {
+  const data = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+  if (data.range?.start === undefined) return data;
+
+  const content = chat.findMessage(data.messageId)?.content || '';
+  return { ...data, range: { ...data.range, quote: content.slice(data.range.start, data.range.end) } };
+};
+
+const notifyMentions = (chat, comment, mentions, authorId) => {
+  for (const userId of mentions.filter(id => id !== authorId)) {
+    notificationService.emitToUser(userId, 'comment:mention', {
+      chatId: chat._id,
+      chatTitle: chat.title,
+      comment
+    });
+  }
+};
+
+// @desc    Get comment threads, optionally for one message
+// @route   GET /api/v1/chat/:chatId/comments?messageId=&resolved=
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [
+    query('messageId').optional().isString(),
+    query('resolved').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  loadChat('canView'),
+  async (req, res, next) => {
+    try {
+      const filter = { chatId: req.chat._id };
+      if (req.query.messageId) filter.messageId = req.query.messageId;
+
+      const comments = await Comment.find(filter)
+        .sort({ createdAt: 1 })
+        .populate('userId', 'username avatar')
+        .populate('mentions', 'username')
+        .lean();
+
+      let threads = Comment.toThreads(comments.map(comment => withQuote(req.chat, comment)));
+      if (req.query.resolved !== undefined) {
+        threads = threads.filter(thread => thread.resolved === req.query.resolved);
+      }
+
+      res.json({ success: true, count: threads.length, threads });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Start a thread on a message, or reply to one with parentId
+// @route   POST /api/v1/chat/:chatId/comments
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    body('content').isString().trim().isLength({ min: 1, max: 5000 }),
+    body('messageId').optional().isString(),
+    body('parentId').optional().isMongoId(),
+    body('range.start').optional().isInt({ min: 0 }).toInt(),
+    body('range.end').optional().isInt({ min: 1 }).toInt(),
+    body('mentions').optional().isArray(),
+    body('mentions.*').isMongoId()
+  ],
+  validate,
+  loadChat('canComment'),
+  async (req, res, next) => {
+    try {
+      const { chat } = req;
+      const { content, parentId, range, mentions } = req.body;
+      let { messageId } = req.body;
+
+      if (parentId) {
+        const parent = await Comment.findOne({ _id: parentId, chatId: chat._id, parentId: null });
+        if (!parent) {
+          return res.status(404).json({ success: false, error: 'Thread not found' });
+        }
+        messageId = parent.messageId;
+      }
+
+      const message = messageId && chat.findMessage(messageId);
+      if (!message) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+
+      let anchor;
+      if (range && !parentId) {
+        if (range.start === undefined || range.end === undefined ||
+          range.start >= range.end || range.end > message.content.length) {
+          return res.status(400).json({ success: false, error: 'Invalid range' });
+        }
+        anchor = { start: range.start, end: range.end };
+      }
+
+      const mentionIds = filterMentions(chat, mentions);
+      const comment = await Comment.create({
+        chatId: chat._id,
+        messageId,
+        parentId: parentId || null,
+        userId: req.user.id,
+        content,
+        range: anchor,
+        mentions: mentionIds
+      });
+
+      await populate(comment);
+      const created = withQuote(chat, comment);
+      notificationService.emitToChat(chat._id, 'comment:created', created);
+      notifyMentions(chat, created, mentionIds, req.user.id);
+
+      res.status(201).json({ success: true, comment: created });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Edit your own comment
+// @route   PATCH /api/v1/chat/:chatId/comments/:commentId
+// @access  Private
+router.patch(
+  '/:commentId',
+  protect,
+  [
+    body('content').isString().trim().isLength({ min: 1, max: 5000 }),
+    body('mentions').optional().isArray(),
+    body('mentions.*').isMongoId()
+  ],
+  validate,
+  loadChat('canComment'),
+  loadComment,
+  async (req, res, next) => {
+    try {
+      const { chat, comment } = req;
+      if (comment.userId.toString() !== req.user.id) {
+        return res.status(403).json({ success: false, error: 'Only the author can edit this comment' });
+      }
+
+      const previous = comment.mentions.map(String);
+      const mentionIds = req.body.mentions ? filterMentions(chat, req.body.mentions) : previous;
+
+      comment.content = req.body.content;
+      comment.mentions = mentionIds;
+      comment.editedAt = new Date();
+      await comment.save();
+
+      await populate(comment);
+      const updated = withQuote(chat, comment);
+      notificationService.emitToChat(chat._id, 'comment:updated', updated);
+      notifyMentions(chat, updated, mentionIds.filter(id => !previous.includes(id)), req.user.id);
+
+      res.json({ success: true, comment: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Resolve or reopen a thread
+// @route   POST /api/v1/chat/:chatId/comments/:commentId/resolve
+// @route   POST /api/v1/chat/:chatId/comments/:commentId/unresolve
+// @access  Private
+const setResolved = (resolved) => async (req, res, next) => {
+  try {
+    const { chat, comment } = req;
+    if (comment.parentId) {
+      return res.status(400).json({ success: false, error: 'Only threads can be resolved' });
+    }
+
+    comment.resolved = resolved;
+    comment.resolvedBy = resolved ? req.user.id : undefined;
+    comment.resolvedAt = resolved ? new Date() : undefined;
+    await comment.save();
+
+    await populate(comment);
+    const thread = withQuote(chat, comment);
+    notificationService.emitToChat(chat._id, resolved ? 'comment:resolved' : 'comment:unresolved', thread);
+
+    res.json({ success: true, comment: thread });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:commentId/resolve', protect, loadChat('canComment'), loadComment, setResolved(true));
+router.post('/:commentId/unresolve', protect, loadChat('canComment'), loadComment, setResolved(false));
+
+// @desc    Delete a comment; deleting a thread removes its replies
+// @route   DELETE /api/v1/chat/:chatId/comments/:commentId
+// @access  Private
+router.delete('/:commentId', protect, loadChat('canComment'), loadComment, async (req, res, next) => {
+  try {
+    const { chat, comment } = req;
+    const isAuthor = comment.userId.toString() === req.user.id;
+    const isOwner = chat.userId.toString() === req.user.id;
+
+    if (!isAuthor && !isOwner) {
+      return res.status(403).json({ success: false, error: 'Not allowed to delete this comment' });
+    }
+
+    await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+    notificationService.emitToChat(chat._id, 'comment:deleted', {
+      commentId: comment._id,
+      parentId: comment.parentId,
+      messageId: comment.messageId
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { query } from 'express-validator';
+import Chat from '../models/Chat.js';
+import { protect } from '../middleware/auth.js';
+import { loadChat } from '../middleware/loadChat.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router({ mergeParams: true });
+
+const FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  archive: { extension: 'chat.json', contentType: 'application/json' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const toFilename = (title) =>
+  (title || 'chat').replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').slice(0, 80) || 'chat';
+
+// @desc    Download a chat as JSON, archive, Markdown, CSV, HTML or PDF
+// @route   GET /api/v1/chat/:chatId/export?format=
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [query('format').optional().isIn(Object.keys(FORMATS))],
+  validate,
+  loadChat('canView'),
+  async (req, res, next) => {
+    try {
+      const { chat } = req;
+      const format = req.query.format || 'json';
+      const { extension, contentType } = FORMATS[format];
+      const output = await chat.export(format);
+
+      // Atomic increment, so the export does not rewrite the whole chat
+      await Chat.updateOne({ _id: chat._id }, { $inc: { 'analytics.downloads': 1 } });
+
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${toFilename(chat.title)}.${extension}"`);
+      res.send(typeof output === 'string' || Buffer.isBuffer(output) ? output : JSON.stringify(output, null, 2));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
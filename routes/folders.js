@@ -0,0 +1,293 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import Chat from '../models/Chat.js';
+import Folder from '../models/Folder.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Only the owner changes a folder; participants of shared folders can view
+const loadFolder = (ownerOnly = true) => async (req, res, next) => {
+  try {
+    const folder = await Folder.findById(req.params.folderId);
+    const allowed = folder && (ownerOnly ? folder.isOwner(req.user.id) : await folder.canView(req.user.id));
+
+    if (!allowed) {
+      return res.status(404).json({ success: false, error: 'Folder not found' });
+    }
+
+    req.folder = folder;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolves an optional parent or target folder id to one of the user's own
+// folders; null means the top level
+const findOwnFolder = async (folderId, userId) => {
+  if (!folderId) return null;
+
+  const folder = await Folder.findOne({ _id: folderId, userId });
+  if (!folder) {
+    const error = new Error('Folder not found');
+    error.status = 404;
+    throw error;
+  }
+  return folder;
+};
+
+const folderValidation = [
+  body('color').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/),
+  body('icon').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('order').optional().isInt().toInt(),
+  body('parentId').optional({ nullable: true }).isMongoId()
+];
+
+const sendNotFound = (res, error) => res.status(404).json({ success: false, error: error.message });
+
+// @desc    Get the user's folder tree, including folders shared with them
+// @route   GET /api/v1/folders
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const folders = await Folder.getTree(req.user.id);
+    res.json({ success: true, folders });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a folder
+// @route   POST /api/v1/folders
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [body('name').isString().trim().isLength({ min: 1, max: 100 }), ...folderValidation],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { name, parentId, color, icon, order } = req.body;
+      const parent = await findOwnFolder(parentId, req.user.id);
+
+      const folder = await Folder.create({
+        userId: req.user.id,
+        name,
+        parentId: parent ? parent._id : null,
+        path: parent ? [...parent.path, parent._id] : [],
+        color,
+        icon,
+        order: order ?? await Folder.countDocuments({ userId: req.user.id, parentId: parent ? parent._id : null })
+      });
+
+      res.status(201).json({ success: true, folder });
+    } catch (error) {
+      if (error.status === 404) return sendNotFound(res, error);
+      next(error);
+    }
+  }
+);
+
+// @desc    Move the user's chats into a folder, or out of folders with a null folderId
+// @route   POST /api/v1/folders/move
+// @access  Private
+router.post(
+  '/move',
+  protect,
+  [
+    body('chatIds').isArray({ min: 1, max: 500 }),
+    body('chatIds.*').isMongoId(),
+    body('folderId').optional({ nullable: true }).isMongoId()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const folder = await findOwnFolder(req.body.folderId, req.user.id);
+      const moved = await Folder.moveChats(req.user.id, req.body.chatIds, folder);
+
+      res.json({ success: true, moved });
+    } catch (error) {
+      if (error.status === 404) return sendNotFound(res, error);
+      next(error);
+    }
+  }
+);
+
+// @desc    Set the order of sibling folders
+// @route   PUT /api/v1/folders/order
+// @access  Private
+router.put(
+  '/order',
+  protect,
+  [body('folderIds').isArray({ min: 1, max: 500 }), body('folderIds.*').isMongoId()],
+  validate,
+  async (req, res, next) => {
+    try {
+      await Folder.bulkWrite(req.body.folderIds.map((id, order) => ({
+        updateOne: {
+          filter: { _id: id, userId: req.user.id },
+          update: { $set: { order } }
+        }
+      })));
+
+      res.json({ success: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get the chats in a folder, optionally with its subfolders
+// @route   GET /api/v1/folders/:folderId/chats?includeSubfolders=&page=&limit=
+// @access  Private
+router.get(
+  '/:folderId/chats',
+  protect,
+  [
+    param('folderId').isMongoId(),
+    query('includeSubfolders').optional().isBoolean().toBoolean(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validate,
+  loadFolder(false),
+  async (req, res, next) => {
+    try {
+      const { includeSubfolders, page = 1, limit = 20 } = req.query;
+      const folderIds = includeSubfolders
+        ? (await req.folder.getSubtree()).map(folder => folder._id)
+        : [req.folder._id];
+
+      const chats = await Chat.getUserChats(req.user.id, { folderIds, page, limit });
+      res.json({ success: true, count: chats.length, page, chats });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Rename, restyle, reorder or move a folder
+// @route   PATCH /api/v1/folders/:folderId
+// @access  Private
+router.patch(
+  '/:folderId',
+  protect,
+  [
+    param('folderId').isMongoId(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    ...folderValidation
+  ],
+  validate,
+  loadFolder(),
+  async (req, res, next) => {
+    try {
+      const { folder } = req;
+
+      for (const field of ['name', 'color', 'icon', 'order']) {
+        if (req.body[field] !== undefined) folder[field] = req.body[field] ?? undefined;
+      }
+
+      if (req.body.parentId !== undefined && String(req.body.parentId) !== String(folder.parentId)) {
+        const parent = await findOwnFolder(req.body.parentId, req.user.id);
+        try {
+          await folder.moveTo(parent);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+      } else {
+        await folder.save();
+      }
+
+      res.json({ success: true, folder });
+    } catch (error) {
+      if (error.status === 404) return sendNotFound(res, error);
+      next(error);
+    }
+  }
+);
+
+// @desc    Delete a folder, trashing its contents (cascade) or handing them to its parent (reparent)
+// @route   DELETE /api/v1/folders/:folderId?mode=cascade|reparent
+// @access  Private
+router.delete(
+  '/:folderId',
+  protect,
+  [param('folderId').isMongoId(), query('mode').optional().isIn(['cascade', 'reparent'])],
+  validate,
+  loadFolder(),
+  async (req, res, next) => {
+    try {
+      const result = await req.folder.removeWithContents(req.query.mode || 'reparent');
+      res.json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Share a folder, and every chat in it, with a user
+// @route   POST /api/v1/folders/:folderId/participants
+// @access  Private
+router.post(
+  '/:folderId/participants',
+  protect,
+  [
+    param('folderId').isMongoId(),
+    body('userId').isMongoId(),
+    body('role').optional().isIn(['viewer', 'commenter', 'editor'])
+  ],
+  validate,
+  loadFolder(),
+  async (req, res, next) => {
+    try {
+      const { folder } = req;
+      const { userId, role = 'viewer' } = req.body;
+
+      if (folder.isOwner(userId)) {
+        return res.status(400).json({ success: false, error: 'The owner already has access' });
+      }
+
+      const existing = folder.participants.find(p => p.userId.toString() === userId);
+      if (existing) {
+        existing.role = role;
+      } else {
+        folder.participants.push({ userId, role });
+      }
+
+      await folder.save();
+      await folder.syncChatAccess();
+
+      res.json({ success: true, folder });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Stop sharing a folder with a user
+// @route   DELETE /api/v1/folders/:folderId/participants/:userId
+// @access  Private
+router.delete(
+  '/:folderId/participants/:userId',
+  protect,
+  [param('folderId').isMongoId(), param('userId').isMongoId()],
+  validate,
+  loadFolder(),
+  async (req, res, next) => {
+    try {
+      const { folder } = req;
+      folder.participants = folder.participants.filter(p => p.userId.toString() !== req.params.userId);
+
+      await folder.save();
+      await folder.syncChatAccess();
+
+      res.json({ success: true, folder });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
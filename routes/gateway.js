@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import express from 'express';
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+// Registers the model rateLimitService looks API keys up in
+import '../models/ApiKey.js';
+import aiService from '../services/aiService.js';
+import budgetService, { BudgetExceededError } from '../services/budgetService.js';
+import rateLimitService from '../services/rateLimitService.js';
+import tokenizer from '../services/tokenizerService.js';
+import { validateWith } from '../middleware/validate.js';
+
+// OpenAI-compatible API (mounted at /v1) so OpenAI SDKs and editor plugins
+// can use any provider configured here. Requests authenticate with an API
+// key (or a session JWT) and go through the same budgets, quotas and
+// failover as chats. Errors use OpenAI's { error: { message, type, code } }
+// shape.
+const router = express.Router();
+
+const CREATED = Math.floor(Date.now() / 1000);
+
+// Provider finish reasons in OpenAI's vocabulary
+const FINISH_REASONS = {
+  length: 'length',
+  max_tokens: 'length',
+  MAX_TOKENS: 'length',
+  tool_calls: 'tool_calls',
+  tool_use: 'tool_calls',
+  content_filter: 'content_filter'
+};
+
+const sendError = (res, status, message, { type = 'invalid_request_error', code = null, param = null } = {}) => {
+  res.status(status).json({ error: { message, type, param, code } });
+};
+
+const validate = validateWith((res, [first]) => (
+  sendError(res, 400, `Invalid value for '${first.path}': ${first.msg}`, { param: first.path })
+));
+
+// API keys are sent as Bearer tokens by OpenAI clients; app JWTs work too
+const authenticate = async (req, res, next) => {
+  try {
+    const key = rateLimitService.getApiKey(req);
+    const apiKey = key ? await rateLimitService.findApiKey(req) : null;
+    const userId = key ? apiKey?.userId : rateLimitService.verifyBearer(req.get('authorization'));
+    const user = userId ? await mongoose.model('User').findById(userId) : null;
+
+    if (!user) {
+      return sendError(res, 401, 'Incorrect API key provided', { code: 'invalid_api_key' });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const completionValidation = [
+  body('model').isString().notEmpty(),
+  body('messages').isArray({ min: 1 }),
+  body('messages.*.role').isIn(['system', 'developer', 'user', 'assistant']),
+  body('messages.*.content').custom(value => typeof value === 'string' || Array.isArray(value)),
+  body('stream').optional().isBoolean(),
+  body('temperature').optional({ nullable: true }).isFloat({ min: 0, max: 2 }),
+  body('top_p').optional({ nullable: true }).isFloat({ min: 0, max: 1 }),
+  body('max_tokens').optional({ nullable: true }).isInt({ min: 1 }),
+  body('max_completion_tokens').optional({ nullable: true }).isInt({ min: 1 }),
+  body('frequency_penalty').optional({ nullable: true }).isFloat({ min: -2, max: 2 }),
+  body('presence_penalty').optional({ nullable: true }).isFloat({ min: -2, max: 2 }),
+  body('n').optional({ nullable: true }).equals('1').withMessage('only n=1 is supported')
+];
+
+// Content may be a list of parts; only text parts are passed on
+const toMessages = messages => messages.map(({ role, content }) => ({
+  role: role === 'developer' ? 'system' : role,
+  content: Array.isArray(content)
+    ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : content
+}));
+
+const toSettings = (target, params) => Object.fromEntries(Object.entries({
+  ...target,
+  temperature: params.temperature,
+  topP: params.top_p,
+  maxTokens: params.max_completion_tokens ?? params.max_tokens,
+  frequencyPenalty: params.frequency_penalty,
+  presencePenalty: params.presence_penalty
+}).filter(([, value]) => value !== undefined && value !== null));
+
+// Providers report a combined total, if anything; the completion is counted
+// and the prompt is the rest, or counted too when no total was reported
+const getUsage = (messages, content, { provider, model, tokens = 0 }) => {
+  const completion = tokenizer.countTokens(content, { provider, model });
+  const prompt = tokens > completion
+    ? tokens - completion
+    : tokenizer.countMessageTokens(messages, { provider, model });
+
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+};
+
+const toModel = (id, provider) => ({ id, object: 'model', created: CREATED, owned_by: provider });
+
+// Model ids offered by more than one provider are listed as provider/model
+// after the first
+const listModels = () => {
+  const seen = new Set();
+  const models = [];
+
+  for (const [provider, ids] of Object.entries(aiService.getAvailableModels())) {
+    for (const id of ids) {
+      models.push(toModel(seen.has(id) ? `${provider}/${id}` : id, provider));
+      seen.add(id);
+    }
+  }
+
+  return models;
+};
+
+// Charges the completion to the user's budgets, daily token quota and the
+// API key's usage counters
+const recordCompletion = async (req, usageChat, response, usage) => {
+  const cost = await budgetService.recordUsage(usageChat, req.user, {
+    metadata: { provider: response.provider, model: response.model },
+    tokens: { prompt: usage.prompt_tokens, completion: usage.completion_tokens }
+  });
+  const quota = await rateLimitService.consume(req.quotaSubject, 'tokens', usage.total_tokens);
+  await req.apiKey?.recordUsage({ tokens: usage.total_tokens, cost });
+
+  return quota;
+};
+
+const streamCompletion = async (req, res, messages, settings, usageChat) => {
+  const id = `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+  const created = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+
+  // The upstream request stops when the client goes away
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (data) => {
+    if (res.writableEnded || controller.signal.aborted) return;
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+    res.flush?.(); // compression buffers otherwise
+  };
+  const chunk = (delta, finishReason = null, model = settings.model) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  let content = '';
+  send(chunk({ role: 'assistant', content: '' }));
+
+  try {
+    const info = await new Promise((resolve, reject) => {
+      aiService.streamResponse(messages, settings, {
+        onChunk: (text) => {
+          content += text;
+          send(chunk({ content: text }));
+        },
+        onComplete: resolve,
+        onError: reject,
+        signal: controller.signal
+      });
+    });
+
+    const response = { ...info, content };
+    const usage = getUsage(messages, content, response);
+    await recordCompletion(req, usageChat, response, usage);
+
+    send(chunk({}, FINISH_REASONS[info.finishReason] || 'stop', info.model));
+    if (req.body.stream_options?.include_usage) {
+      send({ id, object: 'chat.completion.chunk', created, model: info.model, choices: [], usage });
+    }
+  } catch (error) {
+    console.error('Gateway stream failed:', error);
+    send({ error: { message: error.message, type: 'api_error', param: null, code: null } });
+  }
+
+  if (!res.writableEnded) {
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }
+};
+
+// @desc    List the models of every configured provider
+// @route   GET /v1/models
+// @access  Private (API key)
+router.get('/models', authenticate, (req, res) => {
+  res.json({ object: 'list', data: listModels() });
+});
+
+// @desc    Get a model
+// @route   GET /v1/models/:model
+// @access  Private (API key)
+router.get('/models/*', authenticate, (req, res) => {
+  const model = listModels().find(candidate => candidate.id === req.params[0]);
+  if (!model) {
+    return sendError(res, 404, `The model '${req.params[0]}' does not exist`, { code: 'model_not_found', param: 'model' });
+  }
+  res.json(model);
+});
+
+// @desc    Create a chat completion, streamed as server-sent events when stream is true
+// @route   POST /v1/chat/completions
+// @access  Private (API key)
+router.post('/chat/completions', authenticate, completionValidation, validate, async (req, res, next) => {
+  try {
+    const startedAt = Date.now();
+    const target = aiService.resolveModel(req.body.model);
+    if (!target) {
+      return sendError(res, 404, `The model '${req.body.model}' does not exist`, { code: 'model_not_found', param: 'model' });
+    }
+
+    req.quotaSubject = req.rateLimit || await rateLimitService.resolveSubject(req);
+    rateLimitService.setHeaders(res, await rateLimitService.assertQuota(req.quotaSubject, 'tokens'));
+
+    // Budgets are checked against a throwaway chat holding the request
+    const messages = toMessages(req.body.messages);
+    const usageChat = { messages, settings: {}, costTracking: {} };
+    const { settings } = await budgetService.preflight(usageChat, req.user, toSettings(target, req.body));
+
+    if (req.body.stream) {
+      return await streamCompletion(req, res, messages, settings, usageChat);
+    }
+
+    const response = await aiService.generateResponse(messages, settings);
+    const usage = getUsage(messages, response.content, response);
+    rateLimitService.setHeaders(res, await recordCompletion(req, usageChat, response, usage));
+
+    res.json({
+      id: `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`,
+      object: 'chat.completion',
+      created: Math.floor(startedAt / 1000),
+      model: response.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: response.content },
+        finish_reason: FINISH_REASONS[response.finishReason] || 'stop'
+      }],
+      usage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything under /v1 answers in OpenAI's error format
+router.use((error, req, res, next) => {
+  if (res.headersSent) return res.end();
+
+  if (error instanceof BudgetExceededError) {
+    return sendError(res, error.status, error.message, { type: 'insufficient_quota', code: 'budget_exceeded' });
+  }
+  if (error.code === 'RATE_LIMITED') {
+    res.set('Retry-After', String(error.quota.reset));
+    return sendError(res, 429, error.message, { type: 'rate_limit_error', code: 'rate_limit_exceeded' });
+  }
+  if (error.provider) {
+    // Upstream auth and rate limit problems are ours, not the client's
+    const status = error.status >= 400 && error.status < 500 && ![401, 403, 429].includes(error.status) ? 400 : 502;
+    return sendError(res, status, error.message, { type: status === 400 ? 'invalid_request_error' : 'api_error' });
+  }
+
+  console.error('Gateway request failed:', error);
+  sendError(res, error.status || 500, 'The server had an error while processing your request', { type: 'api_error' });
+});
+
+export default router;
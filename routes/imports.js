@@ -0,0 +1,88 @@
+import express from 'express';
+import multer from 'multer';
+import { query } from 'express-validator';
+import Chat from '../models/Chat.js';
+import exportService from '../services/exportService.js';
+import importService from '../services/importService.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }
+});
+
+// @desc    Import conversations from a ChatGPT or Claude data export
+//          (conversations.json) or a chat archive, sent as a `file` upload
+//          or as the JSON body
+// @route   POST /api/v1/chat/import?source=chatgpt|claude|archive
+// @access  Private
+router.post(
+  '/',
+  protect,
+  upload.single('file'),
+  [query('source').optional().isIn(['chatgpt', 'claude', 'archive'])],
+  validate,
+  async (req, res, next) => {
+    try {
+      let data = req.body;
+      if (req.file) {
+        try {
+          data = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch (error) {
+          return res.status(400).json({ success: false, error: 'Uploaded file is not valid JSON' });
+        }
+      }
+
+      const source = req.query.source || importService.detectSource(data);
+      if (!source) {
+        return res.status(400).json({ success: false, error: 'Unrecognized export format' });
+      }
+
+      const results = await importService.importConversations(data, req.user.id, source);
+      const count = (status) => results.filter(result => result.status === status).length;
+
+      res.status(201).json({
+        success: true,
+        source,
+        summary: {
+          total: results.length,
+          imported: count('imported'),
+          duplicates: count('duplicate'),
+          failed: count('failed')
+        },
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Restore a chat from an archive created by the export route
+// @route   POST /api/v1/chat/import/archive
+// @access  Private
+router.post('/archive', protect, async (req, res, next) => {
+  try {
+    let chatData;
+    try {
+      chatData = exportService.parseArchive(req.body);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const chat = await Chat.create({
+      ...chatData,
+      userId: req.user.id,
+      importSource: { source: 'archive', importedAt: new Date() }
+    });
+
+    res.status(201).json({ success: true, chat });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import Chat from '../models/Chat.js';
+import jobQueue from '../services/jobs/index.js';
+import aiService from '../services/aiService.js';
+import budgetService, { BudgetExceededError } from '../services/budgetService.js';
+import tokenizer from '../services/tokenizerService.js';
+import { protect } from '../middleware/auth.js';
+import { requireQuota } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Base64 of a 10MB recording
+const MAX_AUDIO_LENGTH = Math.ceil((10 * 1024 * 1024) / 3) * 4;
+
+const isType = (type) => body('type').equals(type);
+
+const jobValidation = [
+  body('type').isIn(['image', 'transcription', 'summarization', 'translation']),
+  body('chatId').optional().isMongoId(),
+
+  body('prompt').if(isType('image')).isString().trim().isLength({ min: 1, max: 4000 }),
+  body('settings').if(isType('image')).optional().isObject(),
+  body('settings.model').if(isType('image')).optional().isIn(['dall-e-2', 'dall-e-3']),
+  body('settings.size').if(isType('image')).optional().isIn(['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792']),
+  body('settings.quality').if(isType('image')).optional().isIn(['standard', 'hd']),
+  body('settings.style').if(isType('image')).optional().isIn(['vivid', 'natural']),
+
+  body('audio').if(isType('transcription')).isBase64().isLength({ max: MAX_AUDIO_LENGTH }),
+  body('language').if(isType('transcription')).optional().isString().isLength({ min: 2, max: 5 }),
+
+  body('text').if(body('type').isIn(['summarization', 'translation'])).isString().isLength({ min: 1, max: 50000 }),
+  body('maxLength').if(isType('summarization')).optional().isInt({ min: 30, max: 1000 }).toInt(),
+  body('targetLanguage').if(isType('translation')).isString().matches(/^[a-z]{2,3}$/)
+];
+
+// Images count against the daily images quota and text jobs against the
+// tokens quota when queued; both are used up once the job has run
+const JOB_QUOTAS = { image: 'images', summarization: 'tokens', translation: 'tokens' };
+
+const requireJobQuota = (req, res, next) => {
+  const bucket = JOB_QUOTAS[req.body.type];
+  return bucket ? requireQuota(bucket)(req, res, next) : next();
+};
+
+// Only the owner of a job can see or cancel it
+const loadJob = async (req, res, next) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+    if (!job || job.userId !== req.user.id.toString()) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const pickData = ({ type, prompt, settings, audio, language, text, maxLength, targetLanguage }) => {
+  switch (type) {
+    case 'image':
+      return { prompt, settings };
+    case 'transcription':
+      return { audio, language };
+    case 'summarization':
+      return { text, maxLength };
+    default:
+      return { text, targetLanguage };
+  }
+};
+
+// What a job is expected to cost. Summaries are capped at maxLength tokens
+// and a translation is about as long as its input.
+const estimateJob = (type, data) => {
+  if (type === 'image') return aiService.estimateImageCost(data.settings);
+
+  const target = { provider: 'huggingface', model: aiService.getTextModel(type, data) };
+  const usageChat = { messages: [{ role: 'user', content: data.text }], settings: {}, costTracking: {} };
+  const maxTokens = type === 'summarization' ? data.maxLength || 150 : tokenizer.countTokens(data.text, target);
+
+  return budgetService.estimateGeneration(usageChat, { ...target, maxTokens });
+};
+
+// @desc    Queue a background job: image, transcription, summarization or translation
+// @route   POST /api/v1/jobs
+// @access  Private
+router.post('/', protect, jobValidation, validate, requireJobQuota, async (req, res, next) => {
+  try {
+    const { type, chatId } = req.body;
+    const data = pickData(req.body);
+
+    let chat = null;
+    if (chatId) {
+      chat = await Chat.findById(chatId);
+      if (!chat || !chat.canEdit(req.user.id)) {
+        return res.status(404).json({ success: false, error: 'Chat not found' });
+      }
+    }
+
+    if (JOB_QUOTAS[type]) {
+      // Jobs run a fixed model, so an exhausted budget refuses the job
+      // rather than switching to a cheaper model
+      await budgetService.assertAffordable(chat || {}, req.user, estimateJob(type, data));
+
+      Object.assign(data, {
+        chatId: chat?.id,
+        user: {
+          id: req.user.id.toString(),
+          organization: req.user.organization?._id || req.user.organization,
+          email: req.user.email
+        },
+        quotaSubject: req.rateLimit
+      });
+    }
+
+    const job = await jobQueue.add(type, data, { userId: req.user.id, chatId: chat?.id });
+
+    res.status(202).json({ success: true, job: jobQueue.toPublic(job) });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(402).json({ success: false, error: error.message, budget: error.budget });
+    }
+    next(error);
+  }
+});
+
+// @desc    Get the user's recent jobs
+// @route   GET /api/v1/jobs?limit=
+// @access  Private
+router.get('/', protect, [query('limit').optional().isInt({ min: 1, max: 100 }).toInt()], validate, async (req, res, next) => {
+  try {
+    const jobs = await jobQueue.getUserJobs(req.user.id, req.query.limit || 20);
+    res.json({ success: true, count: jobs.length, jobs: jobs.map(job => jobQueue.toPublic(job)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a job's status, progress and result
+// @route   GET /api/v1/jobs/:jobId
+// @access  Private
+router.get('/:jobId', protect, [param('jobId').isUUID()], validate, loadJob, (req, res) => {
+  res.json({ success: true, job: jobQueue.toPublic(req.job) });
+});
+
+// @desc    Cancel a job that has not started yet
+// @route   DELETE /api/v1/jobs/:jobId
+// @access  Private
+router.delete('/:jobId', protect, [param('jobId').isUUID()], validate, loadJob, async (req, res, next) => {
+  try {
+    const job = await jobQueue.cancel(req.job.id);
+    if (!job) {
+      return res.status(409).json({ success: false, error: `The job is ${req.job.status} and can no longer be cancelled` });
+    }
+
+    res.json({ success: true, job: jobQueue.toPublic(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
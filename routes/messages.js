@@ -0,0 +1,227 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import Chat from '../models/Chat.js';
+import aiService from '../services/aiService.js';
+import budgetService, { BudgetExceededError } from '../services/budgetService.js';
+import rateLimitService from '../services/rateLimitService.js';
+import notificationService from '../services/notificationService.js';
+import streamService from '../services/streamService.js';
+import generationLockService, { GenerationInProgressError } from '../services/generationLockService.js';
+import { protect } from '../middleware/auth.js';
+import { requireQuota } from '../middleware/rateLimit.js';
+import { cache } from '../middleware/cache.js';
+import { loadChat } from '../middleware/loadChat.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router({ mergeParams: true });
+
+// Holds the chat's generation lock until the response is sent, so replies
+// from REST and live sessions never overlap. The chat is re-read under the
+// lock in case another generation finished since it was loaded.
+const lockGeneration = async (req, res, next) => {
+  try {
+    const lock = await generationLockService.acquire(req.chat.id, req.user.id);
+    res.once('close', () => {
+      generationLockService.release(req.chat.id, lock)
+        .catch(error => console.error('Generation lock release failed:', error));
+    });
+
+    req.chat = await Chat.findById(req.chat._id);
+    if (!req.chat) {
+      return res.status(404).json({ success: false, error: 'Chat not found' });
+    }
+    next();
+  } catch (error) {
+    if (error instanceof GenerationInProgressError) {
+      return res.status(409).json({ success: false, error: error.message, generation: error.holder });
+    }
+    next(error);
+  }
+};
+
+// Generates the next reply within the chat, user and organization budgets,
+// possibly on a cheaper model, and records what it cost and the tokens it
+// used against the caller's daily quota
+const generateReply = async (chat, user, quotaSubject) => {
+  const { settings, downgraded } = await budgetService.preflight(chat, user);
+  const response = await aiService.generateChatResponse(chat, settings);
+  const reply = chat.addAssistantMessage(
+    response,
+    downgraded ? { metadata: { budgetDowngrade: downgraded } } : {}
+  );
+
+  await budgetService.recordUsage(chat, user, reply);
+
+  if (quotaSubject) {
+    const quota = await rateLimitService.consume(quotaSubject, 'tokens', reply.tokens.total || 0);
+    notificationService.emitToUser(user.id, 'quota:update', quota);
+  }
+
+  return reply;
+};
+
+const sendBudgetError = (res, error) => {
+  res.status(402).json({ success: false, error: error.message, budget: error.budget });
+};
+
+// Lets everyone in a live session see messages added over REST
+const broadcastMessages = (chat, messages) => {
+  for (const message of messages.filter(Boolean)) {
+    notificationService.emitToChat(chat.id, 'message:created', { chatId: chat.id, message });
+  }
+};
+
+const sendActivePath = (res, chat) => {
+  res.json({
+    success: true,
+    activeLeafId: chat.activeLeafId,
+    messages: chat.getActivePathWithBranches()
+  });
+};
+
+// @desc    Get the messages on the active branch
+// @route   GET /api/v1/chat/:chatId/messages
+// @access  Private
+router.get(
+  '/',
+  protect,
+  loadChat('canView'),
+  // Cached per user after the access check; encrypted chats are never
+  // written to Redis in plaintext
+  cache({
+    name: 'messages',
+    tags: req => [`chat:${req.params.chatId}`],
+    skip: req => req.chat.encryption?.enabled
+  }),
+  (req, res) => {
+    sendActivePath(res, req.chat);
+  }
+);
+
+// @desc    Get the chat's current or latest streamed reply from a chunk offset,
+//          for clients catching up after a dropped connection
+// @route   GET /api/v1/chat/:chatId/messages/stream?from=
+// @access  Private
+router.get(
+  '/stream',
+  protect,
+  [query('from').optional().isInt({ min: 0 }).toInt()],
+  validate,
+  loadChat('canView'),
+  async (req, res, next) => {
+    try {
+      const resumed = await streamService.resume(req.chat.id, req.query.from || 0);
+      if (!resumed) {
+        return res.status(404).json({ success: false, error: 'No reply to resume' });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ success: true, ...resumed });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Stop the reply being generated; the text so far is kept as a
+//          message with finishReason "cancelled"
+// @route   POST /api/v1/chat/:chatId/messages/stop
+// @access  Private
+router.post('/stop', protect, loadChat('canEdit'), async (req, res, next) => {
+  try {
+    const stream = await streamService.cancel(req.chat.id);
+    if (!stream) {
+      return res.status(409).json({ success: false, error: 'No reply is being generated' });
+    }
+
+    res.json({ success: true, streamId: stream.id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Edit a message as a new sibling branch. Editing a user message
+//          also generates a new reply on that branch.
+// @route   POST /api/v1/chat/:chatId/messages/:messageId/edit
+// @access  Private
+router.post(
+  '/:messageId/edit',
+  protect,
+  [body('content').isString().trim().notEmpty()],
+  validate,
+  loadChat('canEdit'),
+  requireQuota('tokens'),
+  lockGeneration,
+  async (req, res, next) => {
+    try {
+      const { chat } = req;
+      if (!chat.findMessage(req.params.messageId)) {
+        return res.status(404).json({ success: false, error: 'Message not found' });
+      }
+
+      const edited = chat.editMessage(req.params.messageId, req.body.content);
+      const reply = edited.role === 'user'
+        ? await generateReply(chat, req.user, req.rateLimit)
+        : null;
+
+      await chat.save();
+      broadcastMessages(chat, [edited, reply]);
+      sendActivePath(res, chat);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return sendBudgetError(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Generate an alternative assistant reply as a new sibling branch
+// @route   POST /api/v1/chat/:chatId/messages/:messageId/regenerate
+// @access  Private
+router.post('/:messageId/regenerate', protect, loadChat('canEdit'), requireQuota('tokens'), lockGeneration, async (req, res, next) => {
+  try {
+    const { chat } = req;
+    const message = chat.findMessage(req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    if (message.role !== 'assistant') {
+      return res.status(400).json({ success: false, error: 'Only assistant messages can be regenerated' });
+    }
+
+    chat.prepareRegeneration(message.id);
+    const reply = await generateReply(chat, req.user, req.rateLimit);
+
+    await chat.save();
+    broadcastMessages(chat, [reply]);
+    sendActivePath(res, chat);
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return sendBudgetError(res, error);
+    }
+    next(error);
+  }
+});
+
+// @desc    Make the branch containing a message active
+// @route   POST /api/v1/chat/:chatId/messages/:messageId/switch
+// @access  Private
+router.post('/:messageId/switch', protect, loadChat('canEdit'), async (req, res, next) => {
+  try {
+    const { chat } = req;
+    if (!chat.findMessage(req.params.messageId)) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    chat.switchBranch(req.params.messageId);
+
+    await chat.save();
+    sendActivePath(res, chat);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
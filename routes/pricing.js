@@ -0,0 +1,95 @@
+import express from 'express';
+import { body } from 'express-validator';
+import Chat from '../models/Chat.js';
+import pricingService, { PricingError } from '../services/pricingService.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// @desc    Get the current pricing catalog
+// @route   GET /api/v1/pricing
+// @access  Private
+router.get('/', protect, (req, res) => {
+  res.json({ success: true, catalog: pricingService.getCatalog() });
+});
+
+// @desc    Resolve the price of a model on a date
+// @route   GET /api/v1/pricing/resolve?provider=&model=&type=&date=
+// @access  Private
+router.get('/resolve', protect, (req, res) => {
+  const { provider, model, type = 'models', date } = req.query;
+
+  if (!provider || !model || !['models', 'images', 'audio'].includes(type)) {
+    return res.status(400).json({ success: false, error: 'provider, model and a valid type are required' });
+  }
+
+  const price = pricingService.resolve(provider, model, { type, date: date ? new Date(date) : new Date() });
+  if (!price) {
+    return res.status(404).json({ success: false, error: 'No price found' });
+  }
+
+  res.json({ success: true, version: pricingService.getCatalog().version, price });
+});
+
+// @desc    List archived catalog versions
+// @route   GET /api/v1/pricing/versions
+// @access  Private/Admin
+router.get('/versions', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const versions = await pricingService.listVersions();
+    res.json({ success: true, current: pricingService.getCatalog().version, versions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace the pricing catalog with a new version
+// @route   PUT /api/v1/pricing
+// @access  Private/Admin
+router.put(
+  '/',
+  protect,
+  authorize('admin'),
+  [body('providers').isObject()],
+  validate,
+  async (req, res, next) => {
+    try {
+      const catalog = await pricingService.update(req.body, { updatedBy: req.user.id });
+      res.json({ success: true, catalog });
+    } catch (error) {
+      if (error instanceof PricingError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      next(error);
+    }
+  }
+);
+
+// @desc    Recompute recorded message costs with the current catalog
+// @route   POST /api/v1/pricing/recompute
+// @access  Private/Admin
+router.post(
+  '/recompute',
+  protect,
+  authorize('admin'),
+  [
+    body('provider').optional().isString(),
+    body('model').optional().isString(),
+    body('from').optional().isISO8601(),
+    body('to').optional().isISO8601()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { provider, model, from, to } = req.body;
+      const result = await Chat.recomputeMessageCosts({ provider, model, from, to });
+
+      res.json({ success: true, version: pricingService.getCatalog().version, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,136 @@
+import express from 'express';
+import { query, param } from 'express-validator';
+import Chat from '../models/Chat.js';
+import embeddingService from '../services/embeddingService.js';
+import { protect } from '../middleware/auth.js';
+import { cache } from '../middleware/cache.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Results depend on every chat the user can access
+const userChatsTag = req => [`user:${req.user.id}:chats`];
+
+// @desc    Search message content across the user's chats
+// @route   GET /api/v1/search/messages?q=&role=&model=&tag=&from=&to=&page=&limit=
+// @access  Private
+router.get(
+  '/messages',
+  protect,
+  cache({ name: 'search:messages', ttl: 120, tags: userChatsTag }),
+  [
+    query('q').isString().trim().isLength({ min: 2, max: 200 }),
+    query('role').optional().isIn(['user', 'assistant', 'system', 'tool']),
+    query('model').optional().isString(),
+    query('tag').optional().isString(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { q, role, model, tag, from, to, page = 1, limit = 20 } = req.query;
+
+      const { results, total, terms } = await Chat.searchMessages(req.user.id, {
+        query: q,
+        role,
+        model,
+        tag,
+        from,
+        to,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        count: results.length,
+        total,
+        page,
+        terms,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Attaches chat titles to ranked { chatId, messageId, score } hits
+const withChatDetails = async (hits) => {
+  const chats = await Chat.find({ _id: { $in: hits.map(hit => hit.chatId) } })
+    .select('title description tags lastMessageAt')
+    .lean();
+  const chatsById = new Map(chats.map(chat => [String(chat._id), chat]));
+
+  return hits
+    .filter(hit => chatsById.has(String(hit.chatId)))
+    .map(hit => ({ ...chatsById.get(String(hit.chatId)), ...hit }));
+};
+
+// @desc    Find conversations about a topic using message embeddings
+// @route   GET /api/v1/search/semantic?q=&limit=
+// @access  Private
+router.get(
+  '/semantic',
+  protect,
+  cache({ name: 'search:semantic', ttl: 120, tags: userChatsTag }),
+  [
+    query('q').isString().trim().isLength({ min: 2, max: 1000 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const chatIds = await Chat.getAccessibleChatIds(req.user.id);
+      const hits = await embeddingService.searchChats(req.query.q, {
+        chatIds,
+        limit: req.query.limit || 10
+      });
+
+      const results = await withChatDetails(hits);
+
+      res.json({ success: true, count: results.length, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Get chats related to the given chat
+// @route   GET /api/v1/search/related/:chatId?limit=
+// @access  Private
+router.get(
+  '/related/:chatId',
+  protect,
+  cache({ name: 'search:related', ttl: 120, tags: userChatsTag }),
+  [
+    param('chatId').isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const chat = await Chat.findById(req.params.chatId).select('userId participants folderParticipants visibility status');
+      if (!chat || !chat.canView(req.user.id)) {
+        return res.status(404).json({ success: false, error: 'Chat not found' });
+      }
+
+      const chatIds = await Chat.getAccessibleChatIds(req.user.id);
+      const hits = await embeddingService.relatedChats(chat, {
+        chatIds,
+        limit: req.query.limit || 5
+      });
+
+      const results = await withChatDetails(hits);
+
+      res.json({ success: true, count: results.length, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,224 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import Chat from '../models/Chat.js';
+import ShareLink from '../models/ShareLink.js';
+import rateLimitService from '../services/rateLimitService.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Wrong passwords a link accepts per window before it stops checking them
+const PASSWORD_ATTEMPTS = parseInt(process.env.SHARE_PASSWORD_ATTEMPTS || '10', 10);
+const PASSWORD_WINDOW_SECONDS = 15 * 60;
+
+// Links are managed by the owner of the chat they share
+const loadLink = async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOne({ _id: req.params.linkId, userId: req.user.id });
+
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+
+    req.link = link;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoked links stay listed for the owner but can no longer be changed
+const rejectRevoked = (req, res, next) => {
+  if (req.link.revokedAt) {
+    return res.status(409).json({ success: false, error: 'Share link has been revoked' });
+  }
+  next();
+};
+
+// @desc    Create a share link with a snapshot of the chat as it is now
+// @route   POST /api/v1/shares
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    body('chatId').isMongoId(),
+    body('expiresAt').optional({ nullable: true }).isISO8601().toDate()
+      .custom(value => value > new Date()).withMessage('Expiry must be in the future'),
+    body('password').optional({ nullable: true }).isString().isLength({ min: 4, max: 128 })
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const chat = await Chat.findById(req.body.chatId);
+
+      if (!chat || chat.userId.toString() !== req.user.id.toString()) {
+        return res.status(404).json({ success: false, error: 'Chat not found' });
+      }
+
+      const link = await ShareLink.fromChat(chat, {
+        userId: req.user.id,
+        expiresAt: req.body.expiresAt,
+        password: req.body.password
+      });
+      await link.save();
+
+      await Chat.updateOne({ _id: chat._id }, { $inc: { 'analytics.shares': 1 } });
+
+      res.status(201).json({ success: true, link });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    List the current user's share links, active ones by default
+// @route   GET /api/v1/shares?chatId=&includeInactive=
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [
+    query('chatId').optional().isMongoId(),
+    query('includeInactive').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const filter = { userId: req.user.id };
+      if (req.query.chatId) filter.chatId = req.query.chatId;
+      if (!req.query.includeInactive) Object.assign(filter, ShareLink.activeFilter());
+
+      const links = await ShareLink.find(filter)
+        .select('-snapshot.messages')
+        .populate('chatId', 'title')
+        .sort({ createdAt: -1 });
+
+      res.json({ success: true, count: links.length, links });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    View a shared chat snapshot
+// @route   GET /api/v1/shares/public/:token
+// @access  Public
+router.get('/public/:token', [param('token').isString().isLength({ max: 64 })], validate, async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOne({ token: req.params.token, revokedAt: null });
+
+    if (!link) {
+      return res.status(404).json({ success: false, error: 'Share link not found' });
+    }
+    if (link.isExpired()) {
+      return res.status(410).json({ success: false, error: 'Share link has expired' });
+    }
+
+    if (link.hasPassword) {
+      const target = `share:${link._id}`;
+      const lockout = await rateLimitService.getAttemptLockout(target, PASSWORD_ATTEMPTS);
+      if (lockout) {
+        res.set('Retry-After', String(lockout));
+        return res.status(429).json({ success: false, error: 'Too many password attempts, please try again later.' });
+      }
+
+      const password = req.get('x-share-password');
+      if (!(await link.checkPassword(password))) {
+        if (password) {
+          await rateLimitService.recordFailedAttempt(target, PASSWORD_WINDOW_SECONDS);
+        }
+        return res.status(401).json({ success: false, error: 'Password required', passwordRequired: true });
+      }
+    }
+
+    const viewedAt = new Date();
+    await Promise.all([
+      ShareLink.updateOne({ _id: link._id }, { $inc: { views: 1 }, $set: { lastViewedAt: viewedAt } }),
+      Chat.updateOne({ _id: link.chatId }, { $inc: { 'analytics.views': 1 } })
+    ]);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      share: {
+        ...link.toObject().snapshot,
+        expiresAt: link.expiresAt,
+        views: link.views + 1
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Change a link's expiry or password; null removes either
+// @route   PATCH /api/v1/shares/:linkId
+// @access  Private
+router.patch(
+  '/:linkId',
+  protect,
+  [
+    param('linkId').isMongoId(),
+    body('expiresAt').optional({ nullable: true }).isISO8601().toDate()
+      .custom(value => value > new Date()).withMessage('Expiry must be in the future'),
+    body('password').optional({ nullable: true }).isString().isLength({ min: 4, max: 128 })
+  ],
+  validate,
+  loadLink,
+  rejectRevoked,
+  async (req, res, next) => {
+    try {
+      const { link } = req;
+
+      if (req.body.expiresAt !== undefined) {
+        link.expiresAt = req.body.expiresAt;
+      }
+      if (req.body.password !== undefined) {
+        await link.setPassword(req.body.password);
+      }
+
+      await link.save();
+      res.json({ success: true, link });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @desc    Replace a link's token; the old URL stops working
+// @route   POST /api/v1/shares/:linkId/regenerate
+// @access  Private
+router.post('/:linkId/regenerate', protect, [param('linkId').isMongoId()], validate, loadLink, rejectRevoked, async (req, res, next) => {
+  try {
+    const { link } = req;
+
+    link.regenerateToken();
+    await link.save();
+
+    res.json({ success: true, link });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Revoke a share link
+// @route   DELETE /api/v1/shares/:linkId
+// @access  Private
+router.delete('/:linkId', protect, [param('linkId').isMongoId()], validate, loadLink, async (req, res, next) => {
+  try {
+    const { link } = req;
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.json({ success: true, link });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
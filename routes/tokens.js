@@ -0,0 +1,73 @@
+import express from 'express';
+import { body } from 'express-validator';
+import Chat from '../models/Chat.js';
+import aiService from '../services/aiService.js';
+import providerRegistry from '../services/providers/index.js';
+import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// A model offered by the given provider, or by any provider when none is given
+const isKnownModel = (model, { req }) => {
+  const adapters = req.body.provider
+    ? [providerRegistry.get(req.body.provider)].filter(Boolean)
+    : providerRegistry.list();
+
+  return adapters.some(adapter => adapter.listModels().includes(model));
+};
+
+// @desc    Count tokens for a draft message and the context left in the chat
+// @route   POST /api/v1/tokens/count
+// @access  Private
+router.post(
+  '/count',
+  protect,
+  [
+    body('text').optional().isString(),
+    body('chatId').optional().isMongoId(),
+    body('provider').optional().isString().custom(value => providerRegistry.has(value)).withMessage('Unknown provider'),
+    body('model').optional().isString().custom(isKnownModel).withMessage('Unknown model')
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { text = '', chatId, provider, model } = req.body;
+      let settings = {};
+      let messages = [];
+
+      if (chatId) {
+        const chat = await Chat.findById(chatId);
+        if (!chat || !chat.canView(req.user.id)) {
+          return res.status(404).json({ success: false, error: 'Chat not found' });
+        }
+
+        // Only the active branch is sent to the model
+        settings = chat.settings.toObject();
+        messages = [
+          { role: 'system', content: settings.systemPrompt },
+          ...chat.getActivePath()
+        ];
+      }
+
+      if (provider) settings.provider = provider;
+      if (model) settings.model = model;
+
+      const tokens = aiService.estimateTokens(text, settings);
+      const usage = aiService.getContextUsage(
+        [...messages, { role: 'user', content: text }],
+        settings
+      );
+
+      res.json({
+        success: true,
+        tokens,
+        ...usage
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,53 @@
+// Re-embeds chat messages and attachment chunks with the configured
+// embedding provider.
+//
+//   node scripts/rebuildEmbeddings.js [--user <userId>] [--chat <chatId>]
+//
+// Run after switching EMBEDDING_PROVIDER or the embedding model; vectors from
+// the previous embedder are ignored by search until they are rebuilt.
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import embeddingService from '../services/embeddingService.js';
+import ragService from '../services/ragService.js';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const rebuild = async () => {
+  const filter = { status: { $ne: 'deleted' } };
+  if (option('user')) filter.userId = option('user');
+  if (option('chat')) filter._id = option('chat');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Rebuilding embeddings with ${embeddingService.getEmbedderId()}`);
+
+  let chats = 0;
+  let messages = 0;
+  let chunks = 0;
+  let failed = 0;
+
+  for await (const chat of Chat.find(filter).cursor()) {
+    try {
+      messages += await embeddingService.indexChat(chat);
+      chunks += await ragService.indexChatAttachments(chat, { force: true });
+      chats += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Chat ${chat._id} failed:`, error.message);
+    }
+  }
+
+  console.log(`Embedded ${messages} messages and ${chunks} attachment chunks across ${chats} chats (${failed} failed)`);
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+rebuild().catch(async (error) => {
+  console.error('Embedding rebuild failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
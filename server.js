@@ -1,21 +1,21 @@
 import express from 'express';
 import http from 'http';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import compression from 'compression';
 import cluster from 'cluster';
 import os from 'os';
-import redis from 'redis';
 import winston from 'winston';
 import morgan from 'morgan';
 import session from 'express-session';
 import cookieParser from 'cookie-parser';
 import userAgent from 'express-useragent';
-import apicache from 'apicache';
+import cron from 'node-cron';
 import './config/env.js';
+import redisClient from './config/redis.js';
 
 // Import routes and middleware
 import authRoutes from './routes/auth.js';
@@ -25,9 +25,30 @@ import adminRoutes from './routes/admin.js';
 import paymentRoutes from './routes/payments.js';
 import fileRoutes from './routes/files.js';
 import analyticsRoutes from './routes/analytics.js';
+import searchRoutes from './routes/search.js';
+import tokenRoutes from './routes/tokens.js';
+import messageRoutes from './routes/messages.js';
+import exportRoutes from './routes/exports.js';
+import importRoutes from './routes/imports.js';
+import budgetRoutes from './routes/budgets.js';
+import pricingRoutes from './routes/pricing.js';
+import cacheRoutes from './routes/cache.js';
+import commentRoutes from './routes/comments.js';
+import shareRoutes from './routes/shares.js';
+import folderRoutes from './routes/folders.js';
+import assistantRoutes from './routes/assistants.js';
+import jobRoutes from './routes/jobs.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import gatewayRoutes from './routes/gateway.js';
+import Chat from './models/Chat.js';
+import notificationService from './services/notificationService.js';
+import streamService from './services/streamService.js';
+import jobQueue from './services/jobs/index.js';
+import sessionSocket from './sockets/sessionSocket.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { securityMiddleware } from './middleware/security.js';
 import { performanceMiddleware } from './middleware/performance.js';
+import { rateLimit } from './middleware/rateLimit.js';
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -49,14 +70,6 @@ const logger = winston.createLogger({
   ]
 });
 
-// Redis client for caching and sessions
-const redisClient = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379'
-});
-
-redisClient.on('error', (err) => logger.error('Redis Client Error', err));
-await redisClient.connect();
-
 // Cluster mode for production
 if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   const numCPUs = os.cpus().length;
@@ -76,17 +89,19 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   const app = express();
   const server = http.createServer(app);
   
-  // Enhanced Socket.io with Redis adapter for scaling
+  // Enhanced Socket.io with Redis adapter for scaling. Rooms, broadcasts and
+  // fetchSockets() span every worker through Redis pub/sub.
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
   const io = new Server(server, {
     cors: {
       origin: process.env.CLIENT_URLS?.split(',') || ["http://localhost:3000"],
       methods: ["GET", "POST", "PUT", "DELETE"],
       credentials: true
     },
-    adapter: require('socket.io-redis')({
-      host: process.env.REDIS_HOST || 'localhost',
-      port: process.env.REDIS_PORT || 6379
-    })
+    adapter: createAdapter(pubClient, subClient)
   });
 
   // Enhanced middleware stack
@@ -123,27 +138,16 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
   }));
 
-  // Rate limiting with Redis store
-  const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: process.env.NODE_ENV === 'production' ? 100 : 1000, // requests per window
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: {
-      error: 'Too many requests from this IP, please try again later.'
-    },
-    skip: (req) => {
-      // Skip rate limiting for certain paths or in development
-      if (process.env.NODE_ENV === 'development') return true;
-      if (req.path.includes('/health')) return true;
-      return false;
-    }
-  });
+  // Client IPs come from X-Forwarded-For behind the load balancer
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '1', 10));
 
-  app.use(limiter);
+  // Per-user, plan-aware rate limiting with Redis store
+  if (process.env.NODE_ENV !== 'development') {
+    app.use(rateLimit);
+  }
 
   // Enhanced session management
   app.use(session({
@@ -180,10 +184,6 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   // Performance middleware
   app.use(performanceMiddleware);
 
-  // Cache middleware for GET requests
-  const cache = apicache.middleware;
-  app.use(cache('5 minutes', (req, res) => req.method === 'GET' && res.statusCode === 200));
-
   // Database connection with retry logic
   const connectDB = async (retries = 5) => {
     while (retries) {
@@ -206,6 +206,41 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
 
   await connectDB();
 
+  // Background jobs (images, transcription, summaries) run on every worker
+  jobQueue.start();
+
+  // Re-encrypt chats still on an older key version. Every worker schedules
+  // the job and a Redis lock lets one of them run it at a time, so rotation
+  // carries on when workers are replaced.
+  const KEY_ROTATION_LOCK = 'lock:key-rotation';
+  const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+  cron.schedule(process.env.KEY_ROTATION_CRON || '*/10 * * * *', async () => {
+    const token = `${process.pid}:${Date.now()}`;
+    let locked = false;
+
+    try {
+      locked = await redisClient.set(KEY_ROTATION_LOCK, token, { NX: true, PX: 10 * 60 * 1000 });
+      if (!locked) return;
+
+      const { rotated, failed } = await Chat.rotateEncryptionKeys();
+      if (rotated || failed) {
+        logger.info(`Encryption key rotation: ${rotated} chats rotated, ${failed} failed`);
+      }
+    } catch (error) {
+      logger.error('Encryption key rotation failed', error);
+    } finally {
+      if (locked) {
+        await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [KEY_ROTATION_LOCK], arguments: [token] })
+          .catch(error => logger.error('Key rotation lock release failed', error));
+      }
+    }
+  });
+
   // Health check endpoint
   app.get('/health', async (req, res) => {
     const healthcheck = {
@@ -229,12 +264,29 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
 
   // API Routes with versioning
   app.use('/api/v1/auth', authRoutes);
+  app.use('/api/v1/chat/import', importRoutes);
+  app.use('/api/v1/chat/:chatId/messages', messageRoutes);
+  app.use('/api/v1/chat/:chatId/export', exportRoutes);
+  app.use('/api/v1/chat/:chatId/comments', commentRoutes);
   app.use('/api/v1/chat', chatRoutes);
   app.use('/api/v1/users', userRoutes);
   app.use('/api/v1/admin', adminRoutes);
   app.use('/api/v1/payments', paymentRoutes);
   app.use('/api/v1/files', fileRoutes);
   app.use('/api/v1/analytics', analyticsRoutes);
+  app.use('/api/v1/search', searchRoutes);
+  app.use('/api/v1/tokens', tokenRoutes);
+  app.use('/api/v1/budgets', budgetRoutes);
+  app.use('/api/v1/pricing', pricingRoutes);
+  app.use('/api/v1/cache', cacheRoutes);
+  app.use('/api/v1/shares', shareRoutes);
+  app.use('/api/v1/folders', folderRoutes);
+  app.use('/api/v1/assistants', assistantRoutes);
+  app.use('/api/v1/jobs', jobRoutes);
+  app.use('/api/v1/api-keys', apiKeyRoutes);
+
+  // OpenAI-compatible API for OpenAI SDKs and editor plugins
+  app.use('/v1', gatewayRoutes);
 
   // Webhook endpoints (must be before error handling)
   app.use('/webhooks/stripe', require('./webhooks/stripe.js'));
@@ -252,6 +304,9 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   app.use(errorHandler);
 
   // Socket.io configuration
+  notificationService.attach(io);
+  streamService.attach(io);
+  sessionSocket(io);
   require('./sockets/chatSocket.js')(io);
   require('./sockets/adminSocket.js')(io);
 
@@ -265,6 +320,7 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
   // Graceful shutdown
   process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, starting graceful shutdown');
+    await jobQueue.stop();
     server.close(() => {
       mongoose.connection.close(false, () => {
         redisClient.quit();
@@ -1,46 +1,23 @@
-import axios from 'axios';
-import { Configuration, OpenAIApi } from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
-import Cohere from 'cohere-ai';
-import { HfInference } from '@huggingface/inference';
+import providerRegistry from './providers/index.js';
+import CircuitBreaker from './circuitBreaker.js';
+import tokenizer from './tokenizerService.js';
+import contextBuilder from './contextBuilder.js';
+import toolRegistry from './tools/index.js';
+import ragService from './ragService.js';
+import pricingService from './pricingService.js';
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// Conversation summaries: reply length, the share of the context window one
+// piece of transcript may use, and how often summaries are summarized again
+const SUMMARY_MAX_TOKENS = 300;
+const SUMMARY_CHUNK_SHARE = 0.8;
+const SUMMARY_MAX_ROUNDS = 3;
 
 class UltraAIService {
   constructor() {
-    this.providers = {
-      openai: this.setupOpenAI(),
-      anthropic: this.setupAnthropic(),
-      cohere: this.setupCohere(),
-      huggingface: this.setupHuggingFace(),
-      local: this.setupLocal()
-    };
-
-    this.availableModels = {
-      openai: [
-        'gpt-4',
-        'gpt-4-32k',
-        'gpt-4-turbo-preview',
-        'gpt-3.5-turbo',
-        'gpt-3.5-turbo-16k',
-        'gpt-4-vision-preview'
-      ],
-      anthropic: [
-        'claude-3-opus-20240229',
-        'claude-3-sonnet-20240229',
-        'claude-2.1',
-        'claude-instant-1.2'
-      ],
-      cohere: [
-        'command',
-        'command-nightly',
-        'command-light',
-        'command-light-nightly'
-      ],
-      huggingface: [
-        'mistralai/Mistral-7B-Instruct-v0.2',
-        'google/flan-t5-xxl',
-        'microsoft/DialoGPT-large'
-      ]
-    };
+    this.registry = providerRegistry;
 
     this.defaultSettings = {
       provider: 'openai',
@@ -52,180 +29,482 @@ class UltraAIService {
       presencePenalty: 0,
       stream: true
     };
-  }
 
-  setupOpenAI() {
-    return new OpenAIApi(new Configuration({
-      apiKey: process.env.OPENAI_API_KEY
-    }));
-  }
+    // Fallback chain used when settings.fallbacks is not set (an empty list
+    // means no failover), e.g. AI_FALLBACK_CHAIN=anthropic:claude-3-sonnet-20240229,local
+    this.failover = {
+      chain: this.parseFallbackChain(process.env.AI_FALLBACK_CHAIN),
+      retries: parseInt(process.env.AI_RETRY_ATTEMPTS || '2', 10),
+      baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '500', 10),
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+      cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS || '60000', 10)
+    };
 
-  setupAnthropic() {
-    return new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
+    this.maxToolIterations = parseInt(process.env.AI_MAX_TOOL_ITERATIONS || '5', 10);
+
+    this.circuitBreakers = new Map();
   }
 
-  setupCohere() {
-    Cohere.init(process.env.COHERE_API_KEY);
-    return Cohere;
+  registerProvider(adapter) {
+    return this.registry.register(adapter);
   }
 
-  setupHuggingFace() {
-    return new HfInference(process.env.HUGGINGFACE_API_KEY);
+  getProvider(name) {
+    return this.registry.get(name);
   }
 
-  setupLocal() {
-    // Local model setup (Ollama, LocalAI, etc.)
-    return {
-      baseURL: process.env.LOCAL_AI_URL || 'http://localhost:11434'
-    };
+  getClient(name) {
+    const adapter = this.registry.get(name);
+    if (!adapter) {
+      throw new Error(`Unsupported provider: ${name}`);
+    }
+    return adapter.client;
   }
 
   async generateResponse(messages, settings = {}) {
     const finalSettings = { ...this.defaultSettings, ...settings };
-    const provider = finalSettings.provider;
+    const failures = [];
+    let lastError = null;
+
+    for (const target of this.buildFallbackChain(finalSettings)) {
+      const breaker = this.getCircuitBreaker(target.provider);
+      if (!breaker.canRequest()) {
+        failures.push({ ...target, error: 'Circuit open' });
+        continue;
+      }
+
+      try {
+        const response = await this.withRetry(() =>
+          this.requestProvider(messages, { ...finalSettings, ...target })
+        );
+        breaker.recordSuccess();
+
+        return {
+          ...response,
+          provider: target.provider,
+          model: response.model || target.model,
+          failures
+        };
+      } catch (error) {
+        breaker.recordFailure();
+        failures.push({ ...target, error: error.message });
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error('All AI providers are currently unavailable. Please try again later.');
+  }
+
+  async requestProvider(messages, settings) {
+    const provider = settings.provider;
 
     try {
-      switch (provider) {
-        case 'openai':
-          return await this.openAIRequest(messages, finalSettings);
-        case 'anthropic':
-          return await this.anthropicRequest(messages, finalSettings);
-        case 'cohere':
-          return await this.cohereRequest(messages, finalSettings);
-        case 'huggingface':
-          return await this.huggingFaceRequest(messages, finalSettings);
-        case 'local':
-          return await this.localRequest(messages, finalSettings);
-        default:
-          throw new Error(`Unsupported provider: ${provider}`);
+      const adapter = this.registry.get(provider);
+      if (!adapter) {
+        throw new Error(`Unsupported provider: ${provider}`);
       }
+
+      const toolDefinitions = adapter.supports('tools') ? settings.toolDefinitions : undefined;
+      return await adapter.complete(messages, { ...settings, toolDefinitions });
     } catch (error) {
       console.error(`AI Service Error (${provider}):`, error);
       throw this.handleProviderError(error, provider);
     }
   }
 
-  async openAIRequest(messages, settings) {
-    const response = await this.providers.openai.createChatCompletion({
-      model: settings.model,
-      messages: this.formatMessagesForOpenAI(messages),
-      temperature: settings.temperature,
-      max_tokens: settings.maxTokens,
-      top_p: settings.topP,
-      frequency_penalty: settings.frequencyPenalty,
-      presence_penalty: settings.presencePenalty,
-      stream: false
-    });
+  // Streams a reply, falling over to the next provider until text has been
+  // sent. Aborting callbacks.signal stops the upstream request; the stream
+  // then completes with finishReason 'cancelled' so the partial text can be
+  // kept.
+  async streamResponse(messages, settings, callbacks) {
+    const { onChunk, onComplete, onError, signal } = callbacks;
+    const provider = settings.provider || this.defaultSettings.provider;
+    const failures = [];
+    let lastError = null;
 
-    return {
-      content: response.data.choices[0].message.content,
-      tokens: response.data.usage.total_tokens,
-      model: response.data.model,
-      finishReason: response.data.choices[0].finish_reason
-    };
+    for (const target of this.buildFallbackChain({ ...settings, provider })) {
+      if (signal?.aborted) {
+        onComplete({ provider: target.provider, model: target.model, failures, finishReason: 'cancelled' });
+        return;
+      }
+
+      const breaker = this.getCircuitBreaker(target.provider);
+      if (!breaker.canRequest()) {
+        failures.push({ ...target, error: 'Circuit open' });
+        continue;
+      }
+
+      let received = false;
+
+      try {
+        await this.withRetry(() => this.streamProvider(messages, { ...settings, ...target }, (chunk) => {
+          received = true;
+          onChunk(chunk);
+        }, signal));
+        breaker.recordSuccess();
+
+        onComplete({
+          provider: target.provider,
+          model: target.model,
+          failures,
+          ...(signal?.aborted && { finishReason: 'cancelled' })
+        });
+        return;
+      } catch (error) {
+        if (signal?.aborted) {
+          onComplete({ provider: target.provider, model: target.model, failures, finishReason: 'cancelled' });
+          return;
+        }
+
+        breaker.recordFailure();
+        failures.push({ ...target, error: error.message });
+        lastError = error;
+
+        // Once text has reached the client, switching providers would mix answers
+        if (received) break;
+      }
+    }
+
+    onError(lastError || new Error('All AI providers are currently unavailable. Please try again later.'));
   }
 
-  async anthropicRequest(messages, settings) {
-    const response = await this.providers.anthropic.messages.create({
-      model: settings.model,
-      messages: this.formatMessagesForAnthropic(messages),
-      temperature: settings.temperature,
-      max_tokens: settings.maxTokens,
-      top_p: settings.topP
+  async streamProvider(messages, settings, onChunk, signal) {
+    const provider = settings.provider;
+    let received = false;
+    let streamError = null;
+
+    try {
+      const adapter = this.registry.get(provider);
+      if (!adapter || !adapter.supports('stream')) {
+        throw new Error(`Streaming not supported for provider: ${provider}`);
+      }
+
+      await adapter.stream(messages, settings, {
+        onChunk: (chunk) => {
+          received = true;
+          onChunk(chunk);
+        },
+        onComplete: () => {},
+        onError: (error) => {
+          streamError = error;
+        },
+        signal
+      });
+    } catch (error) {
+      streamError = error;
+    }
+
+    if (streamError) {
+      if (!signal?.aborted) console.error(`AI Stream Error (${provider}):`, streamError);
+      const providerError = this.handleProviderError(streamError, provider);
+      if (received || signal?.aborted) providerError.retryable = false;
+      throw providerError;
+    }
+  }
+
+  // Chat context
+  async buildChatContext(chat, settings = {}) {
+    const chatSettings = typeof chat.settings?.toObject === 'function' ? chat.settings.toObject() : chat.settings;
+    const finalSettings = { ...this.defaultSettings, ...chatSettings, ...settings };
+    const activePath = typeof chat.getActivePath === 'function' ? chat.getActivePath() : chat.messages;
+    const history = activePath.map(msg => this.normalizeMessage(msg));
+    const citations = await this.retrieveAttachmentContext(chat, history, finalSettings);
+
+    // Retrieved excerpts ride along in the system prompt so they are counted
+    // against the context window and never elided
+    const buildSettings = citations.length > 0
+      ? {
+        ...finalSettings,
+        systemPrompt: [finalSettings.systemPrompt, ragService.formatContext(citations)].filter(Boolean).join('\n\n')
+      }
+      : finalSettings;
+
+    const { messages, context } = await contextBuilder.build(history, buildSettings, {
+      summarize: (text) => this.summarizeConversation(text, finalSettings),
+      cacheKey: chat._id?.toString()
     });
 
-    return {
-      content: response.content[0].text,
-      tokens: response.usage.input_tokens + response.usage.output_tokens,
-      model: response.model,
-      finishReason: response.stop_reason
-    };
+    if (citations.length > 0) {
+      context.citations = citations.map(({ text, ...citation }) => citation);
+    }
+
+    return { messages, context, settings: finalSettings };
   }
 
-  async streamResponse(messages, settings, callbacks) {
-    const { onChunk, onComplete, onError } = callbacks;
-    const provider = settings.provider || this.defaultSettings.provider;
+  // Attachment chunks relevant to the latest user message. Retrieval problems
+  // are logged and the reply is generated without excerpts.
+  async retrieveAttachmentContext(chat, history, settings) {
+    const topK = settings.retrievalTopK ?? 4;
+    const query = [...history].reverse().find(msg => msg.role === 'user')?.content;
+
+    if (!chat._id || !query || topK <= 0) {
+      return [];
+    }
 
     try {
-      switch (provider) {
-        case 'openai':
-          await this.openAIStream(messages, settings, callbacks);
-          break;
-        case 'anthropic':
-          await this.anthropicStream(messages, settings, callbacks);
-          break;
-        default:
-          throw new Error(`Streaming not supported for provider: ${provider}`);
-      }
+      return await ragService.retrieve(chat, query, { limit: topK });
     } catch (error) {
-      onError(error);
+      console.error('Attachment retrieval failed:', error);
+      return [];
+    }
+  }
+
+  // Converts a stored chat message to the provider-neutral shape adapters
+  // format. Tool messages keep the call they answer in toolCall.
+  normalizeMessage(msg) {
+    const normalized = { id: msg.id, role: msg.role, content: msg.content };
+
+    if (msg.role === 'tool' && msg.tools?.length > 0) {
+      const metadata = this.toPlainObject(msg.metadata);
+      normalized.toolCall = {
+        id: metadata.toolCallId,
+        name: msg.tools[0].name,
+        input: this.toPlainObject(msg.tools[0].input)
+      };
     }
+
+    return normalized;
+  }
+
+  toPlainObject(value) {
+    if (!value) return {};
+    if (value instanceof Map) return Object.fromEntries(value);
+    return typeof value.toObject === 'function' ? value.toObject() : value;
   }
 
-  async openAIStream(messages, settings, { onChunk, onComplete, onError }) {
+  // Generates a reply to a Chat document, trimming its history to fit the
+  // model's context window. The returned context describes what was elided.
+  async generateChatResponse(chat, settings = {}) {
+    const { messages, context, settings: finalSettings } = await this.buildChatContext(chat, settings);
+    const tools = this.getEnabledTools(finalSettings);
+
+    const response = tools.length > 0
+      ? await this.generateWithTools(messages, finalSettings, { tools, chat })
+      : await this.generateResponse(messages, finalSettings);
+
+    return { ...response, context };
+  }
+
+  // Tool calls need the complete model turn, so chats with tools enabled run
+  // the tool loop and stream the final answer as a single chunk.
+  async streamChatResponse(chat, settings, callbacks) {
+    let built;
     try {
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ...settings,
-          messages: this.formatMessagesForOpenAI(messages),
-          stream: true
-        })
+      built = await this.buildChatContext(chat, settings);
+    } catch (error) {
+      callbacks.onError(error);
+      return;
+    }
+
+    const tools = this.getEnabledTools(built.settings);
+
+    if (tools.length > 0) {
+      try {
+        const response = await this.generateWithTools(built.messages, built.settings, { tools, chat });
+        if (callbacks.signal?.aborted) {
+          callbacks.onComplete({ provider: response.provider, model: response.model, finishReason: 'cancelled' });
+          return;
+        }
+
+        callbacks.onChunk(response.content);
+        callbacks.onComplete({
+          provider: response.provider,
+          model: response.model,
+          failures: response.failures,
+          toolMessages: response.toolMessages,
+          context: built.context
+        });
+      } catch (error) {
+        callbacks.onError(error);
+      }
+      return;
+    }
+
+    await this.streamResponse(built.messages, built.settings, {
+      ...callbacks,
+      onComplete: (info) => callbacks.onComplete({ ...info, context: built.context })
+    });
+  }
+
+  // Tools
+  getEnabledTools(settings) {
+    return (settings.tools || [])
+      .filter(tool => tool.enabled && toolRegistry.has(tool.name))
+      .map(tool => ({ name: tool.name, config: this.toPlainObject(tool.config) }));
+  }
+
+  // Agent loop: sends the tool schemas, runs the tools the model asks for and
+  // feeds the results back until the model answers without tool calls.
+  async generateWithTools(messages, settings, { tools, chat = null, maxIterations = this.maxToolIterations }) {
+    const toolDefinitions = toolRegistry.getDefinitions(tools.map(tool => tool.name));
+    const conversation = [...messages];
+    const toolMessages = [];
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const response = await this.generateResponse(conversation, { ...settings, toolDefinitions });
+
+      if (!response.toolCalls?.length) {
+        return { ...response, toolMessages, iterations: iteration + 1 };
+      }
+
+      conversation.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+
+      for (const call of response.toolCalls) {
+        // The model may name any registered tool; only the chat's are run
+        const tool = tools.find(entry => entry.name === call.name);
+        const result = tool
+          ? await toolRegistry.execute(call.name, call.input, { chat, config: tool.config })
+          : { success: false, output: { error: `Tool not enabled: ${call.name}` } };
+        const toolMessage = {
+          role: 'tool',
+          content: JSON.stringify(result.output),
+          toolCall: call,
+          output: result.output,
+          success: result.success
+        };
+
+        conversation.push(toolMessage);
+        toolMessages.push(toolMessage);
+      }
+    }
+
+    // Out of iterations: ask for a final answer. The definitions stay because
+    // providers reject tool turns for tools they were not given; toolChoice
+    // 'none' stops further calls.
+    const response = await this.generateResponse(conversation, { ...settings, toolDefinitions, toolChoice: 'none' });
+    return { ...response, toolMessages, iterations: maxIterations, maxIterationsReached: true };
+  }
+
+  // Summarizes in pieces that fit the model's context window, then
+  // summarizes the summaries until one is left
+  async summarizeConversation(text, settings) {
+    const contextWindow = tokenizer.getContextWindow(settings);
+    const maxTokens = Math.floor((contextWindow - SUMMARY_MAX_TOKENS) * SUMMARY_CHUNK_SHARE);
+    let chunks = this.splitByTokens(text, maxTokens, settings);
+
+    for (let round = 0; round < SUMMARY_MAX_ROUNDS; round++) {
+      const summaries = [];
+      for (const chunk of chunks) {
+        summaries.push(await this.summarizeChunk(chunk, settings));
+      }
+
+      if (summaries.length === 1) return summaries[0];
+      chunks = this.splitByTokens(summaries.join('\n\n'), maxTokens, settings);
+    }
+
+    return null;
+  }
+
+  async summarizeChunk(text, settings) {
+    const summary = await this.summarizeText(text, 200);
+    if (summary) return summary;
+
+    // Fall back to the chat model when the summarization model is unavailable
+    const response = await this.generateResponse([
+      { role: 'system', content: 'Summarize the following conversation in a few sentences. Keep names, decisions and open questions.' },
+      { role: 'user', content: text }
+    ], { ...settings, maxTokens: SUMMARY_MAX_TOKENS, fallbacks: [] });
+
+    return response.content;
+  }
+
+  // Splits text into pieces of at most maxTokens, between paragraphs where
+  // possible. Paragraphs too long on their own are cut.
+  splitByTokens(text, maxTokens, settings) {
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of text.split('\n\n')) {
+      const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+      if (tokenizer.countTokens(candidate, settings) <= maxTokens) {
+        current = candidate;
+        continue;
+      }
+
+      if (current) chunks.push(current);
+      current = paragraph;
+
+      while (tokenizer.countTokens(current, settings) > maxTokens) {
+        const ratio = maxTokens / tokenizer.countTokens(current, settings);
+        const end = Math.max(Math.floor(current.length * ratio * 0.9), 1);
+        chunks.push(current.slice(0, end));
+        current = current.slice(end);
+      }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  // Failover
+  parseFallbackChain(chain) {
+    if (!chain) return [];
+
+    return chain.split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [provider, ...model] = entry.split(':');
+        return { provider, model: model.join(':') || undefined };
       });
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  setFallbackChain(chain) {
+    this.failover.chain = typeof chain === 'string' ? this.parseFallbackChain(chain) : chain;
+  }
+
+  buildFallbackChain(settings) {
+    const fallbacks = Array.isArray(settings.fallbacks) ? settings.fallbacks : this.failover.chain;
+    const chain = [{ provider: settings.provider, model: settings.model }];
+
+    for (const fallback of fallbacks) {
+      const target = typeof fallback === 'string' ? this.parseFallbackChain(fallback)[0] : fallback;
+      const model = target.model || this.getAvailableModels(target.provider)[0] || settings.model;
+
+      if (!chain.some(entry => entry.provider === target.provider && entry.model === model)) {
+        chain.push({ provider: target.provider, model });
       }
+    }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          const trimmedLine = line.trim();
-          if (trimmedLine === '' || trimmedLine === 'data: [DONE]') {
-            onComplete();
-            return;
-          }
-
-          if (trimmedLine.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(trimmedLine.slice(6));
-              const chunk = data.choices[0]?.delta?.content;
-              
-              if (chunk) {
-                onChunk(chunk);
-              }
-            } catch (e) {
-              console.error('Error parsing stream data:', e);
-            }
-          }
-        }
+    return chain;
+  }
+
+  getCircuitBreaker(provider) {
+    if (!this.circuitBreakers.has(provider)) {
+      this.circuitBreakers.set(provider, new CircuitBreaker({
+        failureThreshold: this.failover.failureThreshold,
+        cooldownMs: this.failover.cooldownMs
+      }));
+    }
+    return this.circuitBreakers.get(provider);
+  }
+
+  getProviderHealth() {
+    return Object.fromEntries(
+      Array.from(this.circuitBreakers.entries()).map(([provider, breaker]) => [provider, breaker.getStatus()])
+    );
+  }
+
+  async withRetry(request) {
+    const { retries, baseDelayMs } = this.failover;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) throw error;
+
+        // Exponential backoff with jitter
+        const delay = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-    } catch (error) {
-      onError(error);
     }
   }
 
   // Advanced features
   async analyzeSentiment(text) {
     try {
-      const response = await this.providers.huggingface.textClassification({
+      const response = await this.getClient('huggingface').textClassification({
         model: 'cardiffnlp/twitter-roberta-base-sentiment-latest',
         inputs: text
       });
@@ -236,17 +515,22 @@ class UltraAIService {
     }
   }
 
-  async summarizeText(text, maxLength = 150) {
+  // Hugging Face models behind summarizeText() and translateText()
+  getTextModel(task, { targetLanguage } = {}) {
+    return task === 'summarization' ? 'facebook/bart-large-cnn' : `Helsinki-NLP/opus-mt-en-${targetLanguage}`;
+  }
+
+  async summarizeText(text, maxLength = 150, { signal } = {}) {
     try {
-      const response = await this.providers.huggingface.summarization({
-        model: 'facebook/bart-large-cnn',
+      const response = await this.getClient('huggingface').summarization({
+        model: this.getTextModel('summarization'),
         inputs: text,
         parameters: {
           max_length: maxLength,
           min_length: 30,
           do_sample: false
         }
-      });
+      }, { signal });
       return response[0].summary_text;
     } catch (error) {
       console.error('Text summarization failed:', error);
@@ -254,12 +538,12 @@ class UltraAIService {
     }
   }
 
-  async translateText(text, targetLanguage) {
+  async translateText(text, targetLanguage, { signal } = {}) {
     try {
-      const response = await this.providers.huggingface.translation({
-        model: 'Helsinki-NLP/opus-mt-en-' + targetLanguage,
+      const response = await this.getClient('huggingface').translation({
+        model: this.getTextModel('translation', { targetLanguage }),
         inputs: text
-      });
+      }, { signal });
       return response[0].translation_text;
     } catch (error) {
       console.error('Translation failed:', error);
@@ -267,15 +551,16 @@ class UltraAIService {
     }
   }
 
-  async generateImage(prompt, settings = {}) {
+  async generateImage(prompt, settings = {}, { signal } = {}) {
     try {
-      const response = await this.providers.openai.createImage({
+      const response = await this.getClient('openai').createImage({
+        model: settings.model || 'dall-e-3',
         prompt: prompt,
         n: settings.n || 1,
         size: settings.size || '1024x1024',
         quality: settings.quality || 'standard',
         style: settings.style || 'vivid'
-      });
+      }, { signal });
       return response.data.data[0].url;
     } catch (error) {
       console.error('Image generation failed:', error);
@@ -283,15 +568,16 @@ class UltraAIService {
     }
   }
 
-  async speechToText(audioBuffer, language = 'en') {
+  async speechToText(audioBuffer, language = 'en', { signal } = {}) {
     try {
-      const response = await this.providers.openai.createTranscription(
+      const response = await this.getClient('openai').createTranscription(
         audioBuffer,
         'whisper-1',
         undefined,
         'json',
         0,
-        language
+        language,
+        { signal }
       );
       return response.data.text;
     } catch (error) {
@@ -302,7 +588,7 @@ class UltraAIService {
 
   async textToSpeech(text, voice = 'alloy') {
     try {
-      const response = await this.providers.openai.createSpeech({
+      const response = await this.getClient('openai').createSpeech({
         model: 'tts-1',
         voice: voice,
         input: text,
@@ -316,21 +602,22 @@ class UltraAIService {
   }
 
   // Utility methods
-  formatMessagesForOpenAI(messages) {
-    return messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+  handleProviderError(error, provider) {
+    const providerError = this.createProviderError(error, provider);
+    providerError.provider = provider;
+    providerError.status = error.response?.status || error.status;
+    providerError.retryable = this.isRetryableError(error);
+    return providerError;
   }
 
-  formatMessagesForAnthropic(messages) {
-    return messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: msg.content
-    }));
+  isRetryableError(error) {
+    const status = error.response?.status || error.status;
+    if (status) return RETRYABLE_STATUSES.includes(status);
+
+    return RETRYABLE_CODES.includes(error.code || error.cause?.code) || !!error.request;
   }
 
-  handleProviderError(error, provider) {
+  createProviderError(error, provider) {
     if (error.response) {
       const status = error.response.status;
       const data = error.response.data;
@@ -354,22 +641,43 @@ class UltraAIService {
     }
   }
 
-  estimateTokens(text) {
-    // Improved token estimation
-    const words = text.split(/\s+/).length;
-    const characters = text.length;
-    return Math.ceil((words * 1.3 + characters / 4) / 2);
+  estimateTokens(text, settings = {}) {
+    return tokenizer.countTokens(text, { ...this.defaultSettings, ...settings });
+  }
+
+  getContextUsage(messages, settings = {}) {
+    return tokenizer.getContextUsage(messages, { ...this.defaultSettings, ...settings });
+  }
+
+  // Maps an OpenAI-style model id, "model" or "provider/model", to the
+  // provider serving it. Null when no registered provider lists the model.
+  resolveModel(id = '') {
+    const [prefix, ...rest] = id.split('/');
+    if (rest.length > 0 && this.registry.has(prefix)) {
+      return { provider: prefix, model: rest.join('/') };
+    }
+
+    const adapter = this.registry.list().find(candidate => candidate.listModels().includes(id));
+    return adapter ? { provider: adapter.name, model: id } : null;
   }
 
   getAvailableModels(provider = null) {
     if (provider) {
-      return this.availableModels[provider] || [];
+      return this.registry.get(provider)?.listModels() || [];
     }
-    return this.availableModels;
+
+    return Object.fromEntries(
+      this.registry.list().map(adapter => [adapter.name, adapter.listModels()])
+    );
   }
 
   validateSettings(settings) {
     const errors = [];
+    const provider = settings.provider || this.defaultSettings.provider;
+
+    if (!this.registry.has(provider)) {
+      errors.push(`Provider must be one of: ${this.registry.names().join(', ')}`);
+    }
     
     if (settings.temperature && (settings.temperature < 0 || settings.temperature > 2)) {
       errors.push('Temperature must be between 0 and 2');
@@ -380,9 +688,9 @@ class UltraAIService {
     }
     
     if (settings.model) {
-      const provider = settings.provider || this.defaultSettings.provider;
-      const models = this.availableModels[provider];
-      if (models && !models.includes(settings.model)) {
+      // Providers without a fixed model list (e.g. local) accept any model
+      const models = this.getAvailableModels(provider);
+      if (models.length > 0 && !models.includes(settings.model)) {
         errors.push(`Model must be one of: ${models.join(', ')}`);
       }
     }
@@ -391,28 +699,27 @@ class UltraAIService {
   }
 
   // Cost estimation
-  estimateCost(provider, model, inputTokens, outputTokens) {
-    const costRates = {
-      openai: {
-        'gpt-4': { input: 0.03, output: 0.06 },
-        'gpt-4-32k': { input: 0.06, output: 0.12 },
-        'gpt-3.5-turbo': { input: 0.0015, output: 0.002 },
-        'gpt-3.5-turbo-16k': { input: 0.003, output: 0.004 }
-      },
-      anthropic: {
-        'claude-3-opus': { input: 0.015, output: 0.075 },
-        'claude-3-sonnet': { input: 0.003, output: 0.015 },
-        'claude-2.1': { input: 0.008, output: 0.024 }
-      }
-    };
+  // Prices come from the pricing catalog as of the given date. Providers
+  // registered at runtime can carry their own rates for unlisted models.
+  estimateCost(provider, model, inputTokens, outputTokens, date = new Date()) {
+    const adapterRates = this.registry.get(provider)?.getPricing(model);
+    if (!pricingService.getTokenRates(provider, model, date) && adapterRates) {
+      return (inputTokens / 1000) * adapterRates.input + (outputTokens / 1000) * adapterRates.output;
+    }
 
-    const rates = costRates[provider]?.[model];
-    if (!rates) return 0;
+    return pricingService.tokenCost(provider, model, inputTokens, outputTokens, date);
+  }
 
-    const inputCost = (inputTokens / 1000) * rates.input;
-    const outputCost = (outputTokens / 1000) * rates.output;
-    
-    return inputCost + outputCost;
+  estimateImageCost({ model = 'dall-e-3', size = '1024x1024', quality = 'standard', n = 1 } = {}) {
+    return pricingService.imageCost('openai', model, { size, quality, n });
+  }
+
+  estimateTranscriptionCost(seconds, model = 'whisper-1') {
+    return pricingService.audioCost('openai', model, { seconds });
+  }
+
+  estimateSpeechCost(text, model = 'tts-1') {
+    return pricingService.audioCost('openai', model, { characters: text.length });
   }
 }
 
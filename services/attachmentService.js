@@ -0,0 +1,69 @@
+import pdfParse from 'pdf-parse';
+import storageService from './storageService.js';
+
+const TEXT_TYPES = ['txt', 'code'];
+
+class AttachmentService {
+  // All attachments of a chat, newest last. Reference files of the
+  // assistant the chat was started from come first, under messageId
+  // "assistant".
+  listChatAttachments(chat) {
+    const toEntry = messageId => attachment => ({
+      messageId,
+      type: attachment.type,
+      name: attachment.name,
+      url: attachment.url,
+      size: attachment.size
+    });
+
+    return [
+      ...(chat.assistant?.attachments || []).map(toEntry('assistant')),
+      ...chat.messages.flatMap(msg => (msg.attachments || []).map(toEntry(msg.id)))
+    ];
+  }
+
+  findChatAttachment(chat, name) {
+    const attachments = this.listChatAttachments(chat);
+    return attachments.reverse().find(attachment => attachment.name === name) || null;
+  }
+
+  // Only files saved in our storage are fetched; imported chats can carry
+  // attachment URLs pointing anywhere
+  isTextExtractable(attachment) {
+    return (attachment.type === 'pdf' || TEXT_TYPES.includes(attachment.type)) &&
+      storageService.isStoredUrl(attachment.url);
+  }
+
+  // Returns the attachment text split into pages. Plain text files are a
+  // single page.
+  async extractText(attachment) {
+    if (!storageService.isStoredUrl(attachment.url)) {
+      throw new Error(`Attachment ${attachment.name} is not a stored file`);
+    }
+    if (!this.isTextExtractable(attachment)) {
+      throw new Error(`Cannot extract text from ${attachment.type} attachments`);
+    }
+
+    // Downloads are capped in size and time like every other file fetch
+    const { buffer } = await storageService.download(attachment.url);
+
+    if (attachment.type === 'pdf') {
+      const pages = [];
+
+      await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+          const content = await pageData.getTextContent();
+          const text = content.items.map(item => item.str).join(' ');
+          pages[pageData.pageIndex] = text;
+          return text;
+        }
+      });
+
+      return pages.map((text, index) => ({ page: index + 1, text: text || '' }));
+    }
+
+    return [{ page: 1, text: buffer.toString('utf8') }];
+  }
+}
+
+export default new AttachmentService();
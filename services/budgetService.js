@@ -0,0 +1,250 @@
+import Budget from '../models/Budget.js';
+import aiService from './aiService.js';
+import tokenizer from './tokenizerService.js';
+import notificationService from './notificationService.js';
+import pricingService from './pricingService.js';
+
+const DEFAULT_THRESHOLDS = (process.env.BUDGET_WARNING_THRESHOLDS || '0.5,0.8,0.9')
+  .split(',')
+  .map(value => parseFloat(value))
+  .filter(value => value > 0 && value < 1);
+
+class BudgetExceededError extends Error {
+  constructor(budget, estimate) {
+    super(`The ${budget.scope} budget of $${budget.limit.toFixed(2)} has been reached`);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.status = 402;
+    this.budget = { scope: budget.scope, limit: budget.limit, spent: budget.spent, estimate };
+  }
+}
+
+// Pre-flight budget checks and spend tracking. Budgets apply at three
+// levels: the chat (Chat.costTracking), the user and the user's organization
+// (Budget documents). A generation must fit all of them.
+class BudgetService {
+  async getBudgets(chat, user) {
+    const budgets = [];
+    const tracking = chat.costTracking || {};
+
+    if (tracking.budget > 0) {
+      budgets.push({
+        scope: 'chat',
+        limit: tracking.budget,
+        spent: tracking.totalCost || 0,
+        thresholds: tracking.budgetAlert
+          ? (tracking.warningThresholds?.length ? tracking.warningThresholds : DEFAULT_THRESHOLDS)
+          : [],
+        alertsSent: tracking.alertsSent || [],
+        onExceeded: tracking.onExceeded || 'block',
+        chat
+      });
+    }
+
+    const scopes = [['user', user?._id || user?.id]];
+    if (user?.organization) {
+      scopes.push(['organization', user.organization._id || user.organization]);
+    }
+
+    for (const [scope, scopeId] of scopes) {
+      if (!scopeId) continue;
+
+      const doc = await Budget.findOne({ scope, scopeId });
+      if (!doc) continue;
+
+      await doc.rollPeriod();
+      budgets.push({
+        scope,
+        limit: doc.limit,
+        spent: doc.spent,
+        thresholds: doc.warningThresholds?.length ? doc.warningThresholds : DEFAULT_THRESHOLDS,
+        alertsSent: doc.alertsSent,
+        onExceeded: doc.onExceeded,
+        notifyEmails: doc.notifyEmails,
+        doc
+      });
+    }
+
+    return budgets;
+  }
+
+  // Worst-case cost of the next reply: the prompt as it would be sent (capped
+  // at the context window) plus a full maxTokens completion
+  estimateGeneration(chat, settings) {
+    const history = typeof chat.getActivePath === 'function' ? chat.getActivePath() : chat.messages;
+    const messages = [
+      ...(settings.systemPrompt ? [{ role: 'system', content: settings.systemPrompt }] : []),
+      ...history.map(msg => ({ role: msg.role, content: msg.content }))
+    ];
+    const { promptTokens, contextWindow, reserved } = tokenizer.getContextUsage(messages, settings);
+    const inputTokens = Math.min(promptTokens, Math.max(contextWindow - reserved, 0));
+
+    return aiService.estimateCost(settings.provider, settings.model, inputTokens, reserved);
+  }
+
+  // Checks the estimated cost against every budget before a generation.
+  // Returns the settings to generate with, which name a cheaper model when a
+  // budget that allows downgrading is exceeded. Throws BudgetExceededError
+  // when the request has to be blocked.
+  async preflight(chat, user, settings = {}) {
+    const chatSettings = typeof chat.settings?.toObject === 'function' ? chat.settings.toObject() : chat.settings;
+    const finalSettings = { ...aiService.defaultSettings, ...chatSettings, ...settings };
+    const budgets = await this.getBudgets(chat, user);
+
+    if (budgets.length === 0) {
+      return { settings: finalSettings, estimate: 0, downgraded: null };
+    }
+
+    const estimate = this.estimateGeneration(chat, finalSettings);
+    const exceeded = budgets.filter(budget => budget.spent + estimate > budget.limit);
+
+    if (exceeded.length === 0) {
+      this.sendWarnings(budgets, estimate, chat, user);
+      return { settings: finalSettings, estimate, downgraded: null };
+    }
+
+    const blocking = exceeded.find(budget => budget.onExceeded !== 'downgrade');
+    if (blocking) {
+      throw new BudgetExceededError(blocking, estimate);
+    }
+
+    const remaining = Math.min(...budgets.map(budget => budget.limit - budget.spent));
+    const cheaper = this.findCheaperModel(chat, finalSettings, remaining);
+
+    if (!cheaper) {
+      throw new BudgetExceededError(exceeded[0], estimate);
+    }
+
+    this.sendWarnings(budgets, cheaper.estimate, chat, user);
+    notificationService.emitToUser(user._id || user.id, 'budget:downgraded', {
+      chatId: chat._id,
+      from: { provider: finalSettings.provider, model: finalSettings.model },
+      to: { provider: cheaper.settings.provider, model: cheaper.settings.model }
+    });
+
+    return {
+      settings: cheaper.settings,
+      estimate: cheaper.estimate,
+      downgraded: { from: finalSettings.model, to: cheaper.settings.model }
+    };
+  }
+
+  // Checks a fixed-price request, such as an image, against every budget.
+  // There is no cheaper model to fall back to, so any exceeded budget blocks.
+  async assertAffordable(chat, user, estimate) {
+    const budgets = await this.getBudgets(chat, user);
+    const exceeded = budgets.find(budget => budget.spent + estimate > budget.limit);
+
+    if (exceeded) {
+      throw new BudgetExceededError(exceeded, estimate);
+    }
+
+    this.sendWarnings(budgets, estimate, chat, user);
+    return estimate;
+  }
+
+  // Cheapest priced model of the same provider whose estimate fits the
+  // remaining budget
+  findCheaperModel(chat, settings, remaining) {
+    const candidates = aiService.getAvailableModels(settings.provider)
+      .filter(model => model !== settings.model)
+      .map((model) => {
+        const candidate = { ...settings, model };
+        return { settings: candidate, estimate: this.estimateGeneration(chat, candidate) };
+      })
+      .filter(({ estimate }) => estimate > 0 && estimate <= remaining)
+      .sort((a, b) => a.estimate - b.estimate);
+
+    return candidates[0] || null;
+  }
+
+  sendWarnings(budgets, estimate, chat, user) {
+    for (const budget of budgets) {
+      const usage = (budget.spent + estimate) / budget.limit;
+      const crossed = budget.thresholds
+        .filter(threshold => usage >= threshold && !budget.alertsSent.includes(threshold))
+        .sort((a, b) => b - a)[0];
+
+      if (crossed === undefined) continue;
+
+      this.markAlertSent(budget, crossed)
+        .then(first => first && this.notify(budget, crossed, chat, user))
+        .catch(error => console.error('Budget warning failed:', error));
+    }
+  }
+
+  // Resolves true only for the first request to cross a threshold
+  async markAlertSent(budget, threshold) {
+    if (budget.scope === 'chat') {
+      budget.chat.costTracking.alertsSent = [...(budget.chat.costTracking.alertsSent || []), threshold];
+      return true;
+    }
+
+    const result = await Budget.updateOne(
+      { _id: budget.doc._id, alertsSent: { $ne: threshold } },
+      { $addToSet: { alertsSent: threshold } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async notify(budget, threshold, chat, user) {
+    const percent = Math.round(threshold * 100);
+    const payload = {
+      scope: budget.scope,
+      chatId: chat._id,
+      threshold,
+      limit: budget.limit,
+      spent: budget.spent
+    };
+
+    notificationService.emitToUser(user._id || user.id, 'budget:warning', payload);
+
+    // Extra recipients are set by admins on organization budgets only
+    const notifyEmails = budget.scope === 'organization' ? budget.notifyEmails || [] : [];
+
+    await notificationService.sendEmail(
+      [user.email, ...notifyEmails],
+      `You have used ${percent}% of your ${budget.scope} budget`,
+      `Your ${budget.scope} budget of $${budget.limit.toFixed(2)} is ${percent}% used ` +
+      `($${budget.spent.toFixed(4)} spent${budget.scope === 'chat' ? ` in "${chat.title}"` : ''}).`
+    );
+  }
+
+  // Prices a generated message and adds it to the chat, user and
+  // organization totals. The chat itself is saved by the caller.
+  async recordUsage(chat, user, message) {
+    const metadata = message.metadata instanceof Map ? Object.fromEntries(message.metadata) : message.metadata || {};
+    const cost = aiService.estimateCost(
+      metadata.provider,
+      metadata.model,
+      message.tokens?.prompt || 0,
+      message.tokens?.completion || 0
+    );
+
+    message.cost = cost;
+    return this.addCost(chat, user, pricingService.costKey(metadata.provider, metadata.model), cost);
+  }
+
+  // Adds a priced charge to the chat, user and organization totals under a
+  // cost breakdown key. The chat itself is saved by the caller.
+  async addCost(chat, user, key, cost) {
+    if (cost <= 0) return 0;
+
+    if (!chat.costTracking.costBreakdown) {
+      chat.costTracking.costBreakdown = new Map();
+    }
+    chat.costTracking.totalCost = (chat.costTracking.totalCost || 0) + cost;
+    chat.costTracking.costBreakdown.set(key, (chat.costTracking.costBreakdown.get(key) || 0) + cost);
+
+    const scopes = [{ scope: 'user', scopeId: user._id || user.id }];
+    if (user.organization) {
+      scopes.push({ scope: 'organization', scopeId: user.organization._id || user.organization });
+    }
+
+    await Budget.updateMany({ $or: scopes }, { $inc: { spent: cost } });
+    return cost;
+  }
+}
+
+export { BudgetExceededError };
+export default new BudgetService();
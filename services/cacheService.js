@@ -0,0 +1,91 @@
+import redisClient from '../config/redis.js';
+
+const PREFIX = 'cache';
+const METRICS_KEY = `${PREFIX}:metrics`;
+
+// Redis response cache. Entries are stored per user and grouped under tags
+// such as "chat:<id>" so model hooks can drop every cached response that
+// depends on a document when it changes.
+class CacheService {
+  buildKey(userId, url) {
+    return `${PREFIX}:entry:${userId || 'anon'}:${url}`;
+  }
+
+  tagKey(tag) {
+    return `${PREFIX}:tag:${tag}`;
+  }
+
+  async get(key, route) {
+    const value = await redisClient.get(key);
+    await this.recordMetric(value ? 'hits' : 'misses', route);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, { ttl = 300, tags = [] } = {}) {
+    const multi = redisClient.multi().set(key, JSON.stringify(value), { EX: ttl });
+
+    // Tag sets outlive their entries by a little so no entry goes untracked
+    for (const tag of tags) {
+      multi.sAdd(this.tagKey(tag), key).expire(this.tagKey(tag), ttl + 60);
+    }
+
+    await multi.exec();
+  }
+
+  async invalidate(...tags) {
+    let removed = 0;
+
+    for (const tag of tags.flat().filter(Boolean)) {
+      const keys = await redisClient.sMembers(this.tagKey(tag));
+      if (keys.length > 0) {
+        removed += await redisClient.del(keys);
+      }
+      await redisClient.del(this.tagKey(tag));
+    }
+
+    if (removed > 0) {
+      await redisClient.hIncrBy(METRICS_KEY, 'invalidations', removed);
+    }
+    return removed;
+  }
+
+  // Same as invalidate() but never rejects, for use from model hooks
+  invalidateQuietly(...tags) {
+    this.invalidate(...tags).catch(error => console.error('Cache invalidation failed:', error));
+  }
+
+  async recordMetric(type, route) {
+    const multi = redisClient.multi().hIncrBy(METRICS_KEY, type, 1);
+    if (route) multi.hIncrBy(METRICS_KEY, `${type}:${route}`, 1);
+    await multi.exec();
+  }
+
+  async getMetrics() {
+    const raw = await redisClient.hGetAll(METRICS_KEY);
+    const totals = { hits: 0, misses: 0, invalidations: 0 };
+    const routes = {};
+
+    for (const [field, value] of Object.entries(raw)) {
+      const [type, route] = field.split(/:(.*)/s);
+      if (!route) {
+        totals[type] = Number(value);
+        continue;
+      }
+      routes[route] = routes[route] || { hits: 0, misses: 0 };
+      routes[route][type] = Number(value);
+    }
+
+    const lookups = totals.hits + totals.misses;
+    return {
+      ...totals,
+      hitRate: lookups > 0 ? totals.hits / lookups : 0,
+      routes
+    };
+  }
+
+  async resetMetrics() {
+    await redisClient.del(METRICS_KEY);
+  }
+}
+
+export default new CacheService();
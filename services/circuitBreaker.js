@@ -0,0 +1,47 @@
+// Tracks consecutive failures for a single provider. After `failureThreshold`
+// failures the circuit opens and requests are skipped until `cooldownMs` has
+// passed; the next request is then let through as a trial (half-open).
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  canRequest() {
+    if (this.state !== 'open') return true;
+
+    if (Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null
+    };
+  }
+}
+
+export default CircuitBreaker;
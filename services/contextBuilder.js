@@ -0,0 +1,106 @@
+import tokenizer from './tokenizerService.js';
+
+const DEFAULT_PINNED_TURNS = 2;
+const SUMMARY_BUDGET_RATIO = 0.2;
+const MAX_SUMMARY_TOKENS = 500;
+const SUMMARY_CACHE_SIZE = 500;
+
+// Fits a conversation into the model's context window. The system prompt and
+// the most recent turns are always kept; older messages are dropped, or
+// replaced by a summary when settings.contextStrategy is 'summarize'.
+class ContextBuilder {
+  constructor() {
+    this.summaryCache = new Map();
+  }
+
+  async build(messages, settings = {}, { summarize = null, cacheKey = null } = {}) {
+    const contextWindow = tokenizer.getContextWindow(settings);
+    const budget = contextWindow - (settings.maxTokens || 0);
+    const pinnedCount = (settings.pinnedTurns ?? DEFAULT_PINNED_TURNS) * 2;
+    const conversation = Array.from(messages);
+
+    const system = settings.systemPrompt
+      ? [{ role: 'system', content: settings.systemPrompt }]
+      : [];
+    const shouldSummarize = settings.contextStrategy === 'summarize' && typeof summarize === 'function';
+    const summaryBudget = shouldSummarize
+      ? Math.min(MAX_SUMMARY_TOKENS, Math.floor(budget * SUMMARY_BUDGET_RATIO))
+      : 0;
+
+    let used = tokenizer.countMessageTokens(system, settings);
+    const kept = [];
+
+    // Walk back from the newest message. Pinned turns may use the space
+    // reserved for the summary, and the newest message is always sent.
+    for (let i = conversation.length - 1; i >= 0; i--) {
+      const msg = conversation[i];
+      const cost = tokenizer.countMessageTokens([msg], settings);
+      const pinned = conversation.length - i <= pinnedCount;
+      const fits = used + cost + summaryBudget <= budget;
+      const pinnedFits = pinned && used + cost <= budget;
+
+      if (!fits && !pinnedFits && kept.length > 0) break;
+
+      kept.unshift(msg);
+      used += cost;
+    }
+
+    const elided = conversation.slice(0, conversation.length - kept.length);
+    const context = {
+      contextWindow,
+      promptTokens: used,
+      elidedCount: elided.length,
+      elidedMessageIds: elided.map(msg => msg.id).filter(Boolean),
+      summarized: false
+    };
+
+    if (elided.length === 0) {
+      return { messages: [...system, ...kept], context };
+    }
+
+    if (shouldSummarize) {
+      const summary = await this.summarize(elided, summarize, cacheKey);
+
+      if (summary) {
+        const summaryMessage = {
+          role: 'system',
+          content: `Summary of the earlier conversation:\n${summary}`
+        };
+        context.summarized = true;
+        context.promptTokens += tokenizer.countMessageTokens([summaryMessage], settings);
+
+        return { messages: [...system, summaryMessage, ...kept], context };
+      }
+    }
+
+    return { messages: [...system, ...kept], context };
+  }
+
+  async summarize(elided, summarize, cacheKey) {
+    // The elided prefix only grows, so the last elided ID identifies it
+    const key = cacheKey && `${cacheKey}:${elided[elided.length - 1].id || elided.length}`;
+    if (key && this.summaryCache.has(key)) {
+      return this.summaryCache.get(key);
+    }
+
+    const transcript = elided
+      .map(msg => `${msg.role}: ${msg.content}`)
+      .join('\n\n');
+
+    try {
+      const summary = await summarize(transcript);
+      if (key && summary) {
+        if (this.summaryCache.size >= SUMMARY_CACHE_SIZE) {
+          this.summaryCache.delete(this.summaryCache.keys().next().value);
+        }
+        this.summaryCache.set(key, summary);
+      }
+      return summary;
+    } catch (error) {
+      console.error('Context summarization failed:', error);
+      return null;
+    }
+  }
+}
+
+export default new ContextBuilder();
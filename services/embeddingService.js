@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import Embedding from '../models/Embedding.js';
+import { getEmbedder } from './embeddings/index.js';
+import vectorStore from './vectorStore.js';
+
+const EMBEDDABLE_ROLES = ['user', 'assistant'];
+const MAX_EMBED_CHARS = 8000;
+const BATCH_SIZE = 32;
+
+class EmbeddingService {
+  constructor() {
+    this.enabled = process.env.EMBEDDINGS_ENABLED !== 'false';
+    this.queue = [];
+    this.processing = false;
+  }
+
+  getEmbedder() {
+    return getEmbedder();
+  }
+
+  getEmbedderId(embedder = this.getEmbedder()) {
+    return `${embedder.name}:${embedder.model}`;
+  }
+
+  async embedTexts(texts, embedder = this.getEmbedder()) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const batch = texts.slice(i, i + BATCH_SIZE).map(text => text.slice(0, MAX_EMBED_CHARS));
+      vectors.push(...await embedder.embed(batch));
+    }
+
+    return vectors;
+  }
+
+  isEmbeddable(message) {
+    return EMBEDDABLE_ROLES.includes(message.role) && Boolean(message.content?.trim());
+  }
+
+  // Queues messages for embedding so the request that added them never waits
+  // on the embedding provider
+  enqueue(chat, messageIds) {
+    if (!this.enabled || messageIds.length === 0) {
+      return;
+    }
+
+    const messages = messageIds
+      .map(id => chat.messages.find(msg => msg.id === id))
+      .filter(msg => msg && this.isEmbeddable(msg))
+      .map(({ id, role, content }) => ({ id, role, content }));
+
+    if (messages.length === 0) {
+      return;
+    }
+
+    const job = { userId: chat.userId, chatId: chat._id, messages, encrypted: chat.encryption?.enabled };
+    this.schedule(() => this.embedMessages(job));
+  }
+
+  // Runs embedding work one task at a time in the background
+  schedule(task) {
+    this.queue.push(task);
+
+    if (!this.processing) {
+      this.processing = true;
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  async processQueue() {
+    while (this.queue.length > 0) {
+      const task = this.queue.shift();
+      try {
+        await task();
+      } catch (error) {
+        console.error('Background embedding failed:', error);
+      }
+    }
+
+    this.processing = false;
+  }
+
+  async embedMessages({ userId, chatId, messages, encrypted = false }) {
+    const embedder = this.getEmbedder();
+    const embedderId = this.getEmbedderId(embedder);
+    const vectors = await this.embedTexts(messages.map(msg => msg.content), embedder);
+
+    await Promise.all(messages.map((msg, i) => vectorStore.upsert({
+      userId,
+      chatId,
+      sourceType: 'message',
+      sourceId: msg.id,
+      role: msg.role,
+      embedder: embedderId,
+      vector: vectors[i],
+      // A plaintext hash would let anyone with the index confirm guessed content
+      contentHash: encrypted ? undefined : crypto.createHash('sha256').update(msg.content).digest('hex')
+    })));
+
+    return messages.length;
+  }
+
+  // Drops every message vector of the chat and embeds all branches again
+  async indexChat(chat) {
+    await vectorStore.removeChat(chat._id, { sourceType: 'message' });
+
+    const messages = chat.messages
+      .filter(msg => this.isEmbeddable(msg))
+      .map(({ id, role, content }) => ({ id, role, content }));
+
+    if (messages.length === 0) {
+      return 0;
+    }
+
+    return this.embedMessages({
+      userId: chat.userId,
+      chatId: chat._id,
+      messages,
+      encrypted: chat.encryption?.enabled
+    });
+  }
+
+  async removeChat(chatId) {
+    await vectorStore.removeChat(chatId);
+  }
+
+  // Chats whose messages are closest to the query, best match first
+  async searchChats(query, { chatIds, limit = 10 } = {}) {
+    const [vector] = await this.embedTexts([query]);
+    const hits = await vectorStore.findNearest(vector, {
+      filter: {
+        embedder: this.getEmbedderId(),
+        sourceType: 'message',
+        chatId: { $in: chatIds }
+      },
+      limit: limit * 5
+    });
+
+    return this.groupByChat(hits, limit);
+  }
+
+  // Chats closest to the centroid of this chat's message vectors
+  async relatedChats(chat, { chatIds, limit = 5 } = {}) {
+    const embedderId = this.getEmbedderId();
+    const entries = await Embedding.find({
+      chatId: chat._id,
+      embedder: embedderId,
+      sourceType: 'message'
+    }).select('vector').lean();
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const centroid = entries[0].vector.map((_, i) =>
+      entries.reduce((sum, entry) => sum + entry.vector[i], 0) / entries.length
+    );
+
+    const hits = await vectorStore.findNearest(centroid, {
+      filter: {
+        embedder: embedderId,
+        sourceType: 'message',
+        chatId: { $in: chatIds.filter(id => String(id) !== String(chat._id)) }
+      },
+      limit: limit * 5
+    });
+
+    return this.groupByChat(hits, limit);
+  }
+
+  groupByChat(hits, limit) {
+    const byChat = new Map();
+
+    for (const hit of hits) {
+      const key = String(hit.chatId);
+      if (!byChat.has(key) || byChat.get(key).score < hit.score) {
+        byChat.set(key, { chatId: hit.chatId, messageId: hit.sourceId, score: hit.score });
+      }
+    }
+
+    return [...byChat.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export default new EmbeddingService();
@@ -0,0 +1,41 @@
+const DIMENSIONS = 512;
+
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Crude suffix stripping so "deploy", "deploying" and "deployed" share a feature
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+
+// Offline feature-hashing embedder over words and word bigrams. Needs no
+// model or network access, at the cost of purely lexical similarity.
+export default {
+  name: 'hash',
+  model: `hash-${DIMENSIONS}`,
+
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Array(DIMENSIONS).fill(0);
+      const words = tokenize(text);
+      const features = [
+        ...words,
+        ...words.slice(1).map((word, i) => `${words[i]} ${word}`)
+      ];
+
+      for (const feature of features) {
+        const hash = fnv1a(feature);
+        vector[hash % DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+  }
+};
@@ -0,0 +1,17 @@
+import openaiEmbedder from './openaiEmbedder.js';
+import localEmbedder from './localEmbedder.js';
+import hashEmbedder from './hashEmbedder.js';
+
+const embedders = new Map(
+  [openaiEmbedder, localEmbedder, hashEmbedder].map(embedder => [embedder.name, embedder])
+);
+
+export const getEmbedder = (name = process.env.EMBEDDING_PROVIDER || 'hash') => {
+  const embedder = embedders.get(name);
+  if (!embedder) {
+    throw new Error(`Unsupported embedding provider: ${name}`);
+  }
+  return embedder;
+};
+
+export default embedders;
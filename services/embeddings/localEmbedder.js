@@ -0,0 +1,25 @@
+const model = process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text';
+
+// Embeddings served by a local Ollama instance
+export default {
+  name: 'local',
+  model,
+
+  async embed(texts) {
+    const baseURL = process.env.LOCAL_AI_URL || 'http://localhost:11434';
+    const response = await fetch(`${baseURL}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: texts })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Local embedding request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    return data.embeddings;
+  }
+};
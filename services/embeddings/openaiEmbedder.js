@@ -0,0 +1,19 @@
+import providerRegistry from '../providers/index.js';
+
+const model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+export default {
+  name: 'openai',
+  model,
+
+  async embed(texts) {
+    const response = await providerRegistry.get('openai').client.createEmbedding({
+      model,
+      input: texts
+    });
+
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+};
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const PREFIX = 'enc:v1:';
+const MAX_CACHED_KEYS = 1000;
+
+// Envelope encryption for chat content. Each chat gets a random data key
+// (DEK) that encrypts its fields; the DEK is stored wrapped by a
+// key-encryption key (KEK) from config. KEKs are versioned so chats can be
+// moved to a new one without downtime:
+//
+//   ENCRYPTION_KEYS=1:<base64 32 bytes>,2:<base64 32 bytes>
+//   ENCRYPTION_KEY_VERSION=2
+class EncryptionService {
+  constructor() {
+    this.keys = this.parseKeys(process.env.ENCRYPTION_KEYS || '');
+    this.currentVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION, 10) ||
+      Math.max(0, ...this.keys.keys());
+    this.dataKeyCache = new Map();
+  }
+
+  parseKeys(value) {
+    const keys = new Map();
+
+    for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+      const [version, material] = entry.split(':');
+      const key = Buffer.from(material || '', 'base64');
+
+      if (!parseInt(version, 10) || key.length !== 32) {
+        throw new Error(`Invalid encryption key entry for version "${version}"`);
+      }
+      keys.set(parseInt(version, 10), key);
+    }
+
+    return keys;
+  }
+
+  isConfigured() {
+    return this.keys.has(this.currentVersion);
+  }
+
+  getKeyEncryptionKey(version) {
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(`Encryption key version ${version} is not configured`);
+    }
+    return key;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  decrypt(value, key) {
+    const payload = Buffer.from(value.slice(PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+    return Buffer.concat([
+      decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  // New DEK wrapped with the current KEK
+  createDataKey() {
+    const dataKey = crypto.randomBytes(32);
+
+    return {
+      dataKey,
+      wrappedKey: this.encrypt(dataKey.toString('base64'), this.getKeyEncryptionKey(this.currentVersion)),
+      keyVersion: this.currentVersion
+    };
+  }
+
+  unwrapDataKey(wrappedKey, keyVersion) {
+    const cacheKey = `${keyVersion}:${wrappedKey}`;
+
+    if (!this.dataKeyCache.has(cacheKey)) {
+      if (this.dataKeyCache.size >= MAX_CACHED_KEYS) {
+        this.dataKeyCache.delete(this.dataKeyCache.keys().next().value);
+      }
+      const dataKey = Buffer.from(this.decrypt(wrappedKey, this.getKeyEncryptionKey(keyVersion)), 'base64');
+      this.dataKeyCache.set(cacheKey, dataKey);
+    }
+
+    return this.dataKeyCache.get(cacheKey);
+  }
+
+  // DEK for a chat document, or null when the chat has none yet
+  getChatDataKey(chat) {
+    const { wrappedKey, keyVersion } = chat.encryption || {};
+    return wrappedKey ? this.unwrapDataKey(wrappedKey, keyVersion) : null;
+  }
+
+  // Encrypts a value with the chat's DEK when the chat is encrypted, for data
+  // derived from chat content that is stored outside the chat document
+  encryptForChat(chat, value) {
+    const key = chat.encryption?.enabled ? this.getChatDataKey(chat) : null;
+    return key ? this.encrypt(value, key) : value;
+  }
+
+  decryptForChat(chat, value) {
+    return this.isEncrypted(value) ? this.decrypt(value, this.getChatDataKey(chat)) : value;
+  }
+}
+
+export { ALGORITHM };
+export default new EncryptionService();
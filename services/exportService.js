@@ -0,0 +1,288 @@
+import PDFDocument from 'pdfkit';
+import { v4 as uuidv4 } from 'uuid';
+
+export const ARCHIVE_FORMAT = 'ultra-chat-archive';
+export const ARCHIVE_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'id', 'parentId', 'role', 'createdAt', 'content', 'model',
+  'promptTokens', 'completionTokens', 'totalTokens', 'cost',
+  'attachments', 'tools', 'isEdited', 'version'
+];
+
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool'
+};
+
+const plain = (value) => {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Map) return Object.fromEntries(value);
+  return typeof value.toObject === 'function' ? value.toObject() : value;
+};
+
+const escapeHTML = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Quotes every field; a leading =, +, - or @ is prefixed so spreadsheets do
+// not evaluate it as a formula
+const escapeCSV = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const safeURL = (url = '') => (/^https?:\/\//i.test(url) ? url : '#');
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : '');
+
+class ExportService {
+  // Readable formats export the active branch; the archive keeps every branch
+  getTranscript(chat) {
+    return typeof chat.getActivePath === 'function' ? chat.getActivePath() : chat.messages;
+  }
+
+  getMetadata(msg) {
+    return plain(msg.metadata) || {};
+  }
+
+  toMarkdown(chat) {
+    const lines = [`# ${chat.title}`, ''];
+
+    if (chat.description) {
+      lines.push(`> ${chat.description}`, '');
+    }
+
+    lines.push(
+      `- Model: ${chat.settings.provider} / ${chat.settings.model}`,
+      `- Created: ${formatDate(chat.createdAt)}`,
+      `- Messages: ${chat.messageCount.total}`,
+      `- Tokens: ${chat.tokenCount.total}`,
+      ''
+    );
+
+    for (const msg of this.getTranscript(chat)) {
+      lines.push('---', '', `## ${ROLE_LABELS[msg.role] || msg.role} · ${formatDate(msg.createdAt)}`, '', msg.content, '');
+
+      if (msg.attachments?.length > 0) {
+        lines.push('**Attachments:**');
+        for (const attachment of msg.attachments) {
+          lines.push(`- [${attachment.name}](${attachment.url}) (${attachment.type}, ${attachment.size || 0} bytes)`);
+        }
+        lines.push('');
+      }
+
+      for (const tool of msg.tools || []) {
+        lines.push(
+          `**Tool call:** \`${tool.name}\` ${tool.success ? '(succeeded)' : '(failed)'}`,
+          '',
+          '```json',
+          JSON.stringify({ input: plain(tool.input), output: plain(tool.output) }, null, 2),
+          '```',
+          ''
+        );
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  toCSV(chat) {
+    const rows = this.getTranscript(chat).map(msg => [
+      msg.id,
+      msg.parentId,
+      msg.role,
+      formatDate(msg.createdAt),
+      msg.content,
+      this.getMetadata(msg).model,
+      msg.tokens?.prompt,
+      msg.tokens?.completion,
+      msg.tokens?.total,
+      msg.cost,
+      (msg.attachments || []).map(attachment => attachment.name).join('; '),
+      (msg.tools || []).map(tool => tool.name).join('; '),
+      msg.isEdited,
+      msg.version
+    ]);
+
+    return [CSV_COLUMNS, ...rows]
+      .map(row => row.map(escapeCSV).join(','))
+      .join('\r\n');
+  }
+
+  toHTML(chat) {
+    const messages = this.getTranscript(chat).map(msg => {
+      const attachments = (msg.attachments || []).map(attachment =>
+        `<li><a href="${escapeHTML(safeURL(attachment.url))}">${escapeHTML(attachment.name)}</a> <span class="muted">(${escapeHTML(attachment.type)})</span></li>`
+      ).join('');
+
+      const tools = (msg.tools || []).map(tool =>
+        `<details><summary>Tool call: ${escapeHTML(tool.name)}</summary><pre>${escapeHTML(JSON.stringify({ input: plain(tool.input), output: plain(tool.output) }, null, 2))}</pre></details>`
+      ).join('');
+
+      return `
+    <article class="message ${escapeHTML(msg.role)}">
+      <header><strong>${escapeHTML(ROLE_LABELS[msg.role] || msg.role)}</strong> <time class="muted">${escapeHTML(formatDate(msg.createdAt))}</time></header>
+      <div class="content">${escapeHTML(msg.content)}</div>
+      ${attachments ? `<ul class="attachments">${attachments}</ul>` : ''}
+      ${tools}
+    </article>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHTML(chat.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #f9fafb; color: #111827; margin: 0; padding: 2rem 1rem; }
+    main { max-width: 48rem; margin: 0 auto; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .muted { color: #6b7280; font-size: 0.8rem; }
+    .message { border: 1px solid #e5e7eb; border-radius: 1rem; padding: 1rem 1.5rem; margin: 1rem 0; background: #fff; }
+    .message.user { background: #eff6ff; border-color: #bfdbfe; }
+    .message.tool { background: #f3f4f6; }
+    .content { white-space: pre-wrap; line-height: 1.6; margin-top: 0.5rem; }
+    pre { background: #111827; color: #f3f4f6; padding: 1rem; border-radius: 0.5rem; overflow-x: auto; }
+    .attachments { margin: 0.75rem 0 0; padding-left: 1.25rem; font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHTML(chat.title)}</h1>
+    ${chat.description ? `<p>${escapeHTML(chat.description)}</p>` : ''}
+    <p class="muted">${escapeHTML(chat.settings.provider)} / ${escapeHTML(chat.settings.model)} · ${chat.messageCount.total} messages · ${chat.tokenCount.total} tokens · exported ${escapeHTML(formatDate(new Date()))}</p>
+    ${messages}
+  </main>
+</body>
+</html>`;
+  }
+
+  toPDF(chat) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, info: { Title: chat.title } });
+      const buffers = [];
+
+      doc.on('data', (chunk) => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      doc.fontSize(20).text(chat.title);
+      if (chat.description) {
+        doc.moveDown(0.5).fontSize(11).fillColor('#374151').text(chat.description);
+      }
+      doc.moveDown(0.5).fontSize(9).fillColor('#6b7280')
+        .text(`${chat.settings.provider} / ${chat.settings.model} · ${chat.messageCount.total} messages · ${chat.tokenCount.total} tokens`);
+
+      for (const msg of this.getTranscript(chat)) {
+        doc.moveDown(1.5)
+          .fontSize(11).fillColor('#111827').text(ROLE_LABELS[msg.role] || msg.role, { continued: true })
+          .fontSize(9).fillColor('#6b7280').text(`  ${formatDate(msg.createdAt)}`);
+        doc.moveDown(0.3).fontSize(10).fillColor('#111827').text(msg.content);
+
+        for (const attachment of msg.attachments || []) {
+          const link = safeURL(attachment.url);
+          doc.fontSize(9).fillColor('#2563eb').text(`Attachment: ${attachment.name}`, link === '#' ? {} : { link });
+        }
+        for (const tool of msg.tools || []) {
+          doc.fontSize(9).fillColor('#6b7280').text(`Tool call: ${tool.name} (${tool.success ? 'succeeded' : 'failed'})`);
+        }
+      }
+
+      doc.end();
+    });
+  }
+
+  // Versioned archive with every branch, attachment metadata and costs.
+  // POST /api/v1/chat/import/archive restores it via parseArchive().
+  toArchive(chat) {
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      chat: {
+        title: chat.title,
+        description: chat.description,
+        settings: plain(chat.settings),
+        tags: Array.from(chat.tags || []),
+        labels: (chat.labels || []).map(({ name, color }) => ({ name, color })),
+        activeLeafId: chat.activeLeafId,
+        costTracking: {
+          ...plain(chat.costTracking),
+          costBreakdown: plain(chat.costTracking?.costBreakdown) || {}
+        },
+        tokenCount: plain(chat.tokenCount),
+        messageCount: plain(chat.messageCount),
+        createdAt: chat.createdAt,
+        updatedAt: chat.updatedAt,
+        messages: chat.messages.map(msg => ({
+          id: msg.id,
+          parentId: msg.parentId,
+          role: msg.role,
+          content: msg.content,
+          tokens: plain(msg.tokens),
+          metadata: this.getMetadata(msg),
+          attachments: (msg.attachments || []).map(({ type, url, name, size, preview }) => ({ type, url, name, size, preview })),
+          tools: (msg.tools || []).map(tool => ({
+            name: tool.name,
+            input: plain(tool.input),
+            output: plain(tool.output),
+            success: tool.success
+          })),
+          sentiment: plain(msg.sentiment),
+          cost: msg.cost,
+          isEdited: msg.isEdited,
+          editedAt: msg.editedAt,
+          version: msg.version,
+          createdAt: msg.createdAt,
+          updatedAt: msg.updatedAt
+        }))
+      }
+    };
+  }
+
+  // Validates an archive and returns chat data ready for new Chat(). Message
+  // IDs are unique across all chats, so they are reissued and parent links
+  // remapped.
+  parseArchive(archive) {
+    if (archive?.format !== ARCHIVE_FORMAT) {
+      throw new Error('Not a chat archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+      throw new Error(`Unsupported archive version: ${archive.version}`);
+    }
+    if (!archive.chat || !Array.isArray(archive.chat.messages)) {
+      throw new Error('Archive has no messages');
+    }
+
+    const { chat } = archive;
+    const ids = new Map(chat.messages.filter(msg => msg.id).map(msg => [msg.id, uuidv4()]));
+    const remap = (id) => (id === null || id === undefined ? id : ids.get(id) ?? null);
+
+    return {
+      title: chat.title || 'Imported chat',
+      description: chat.description,
+      settings: chat.settings,
+      tags: chat.tags,
+      labels: chat.labels,
+      activeLeafId: remap(chat.activeLeafId),
+      costTracking: chat.costTracking,
+      messages: chat.messages.map(msg => ({
+        ...msg,
+        id: ids.get(msg.id) || uuidv4(),
+        parentId: remap(msg.parentId)
+      })),
+      createdAt: chat.createdAt,
+      updatedAt: chat.updatedAt
+    };
+  }
+}
+
+export default new ExportService();
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+import notificationService from './notificationService.js';
+
+const LOCK_TTL_MS = parseInt(process.env.GENERATION_LOCK_TTL_MS || '300000', 10);
+
+// Deletes the lock only while it still holds our token, so a run that
+// outlived its TTL cannot release a lock someone else has since taken
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+class GenerationInProgressError extends Error {
+  constructor(holder) {
+    super('A reply is already being generated for this chat');
+    this.name = 'GenerationInProgressError';
+    this.code = 'GENERATION_IN_PROGRESS';
+    this.status = 409;
+    this.holder = holder;
+  }
+}
+
+// One generation per chat at a time, across every worker. Participants are
+// told in the chat room when a generation starts and finishes.
+class GenerationLockService {
+  lockKey(chatId) {
+    return `lock:generation:${chatId}`;
+  }
+
+  async acquire(chatId, userId) {
+    const lock = {
+      token: crypto.randomUUID(),
+      userId: userId.toString(),
+      startedAt: new Date().toISOString()
+    };
+    const value = JSON.stringify(lock);
+
+    const acquired = await redisClient.set(this.lockKey(chatId), value, { NX: true, PX: LOCK_TTL_MS });
+    if (!acquired) {
+      throw new GenerationInProgressError(await this.getHolder(chatId));
+    }
+
+    notificationService.emitToChat(chatId, 'generation:started', { chatId, userId: lock.userId, startedAt: lock.startedAt });
+    return { ...lock, value };
+  }
+
+  async release(chatId, lock) {
+    const released = await redisClient.eval(RELEASE_SCRIPT, {
+      keys: [this.lockKey(chatId)],
+      arguments: [lock.value]
+    });
+
+    if (released !== 1) return false;
+
+    notificationService.emitToChat(chatId, 'generation:finished', { chatId, userId: lock.userId });
+    return true;
+  }
+
+  // Who is generating in a chat, without the token
+  async getHolder(chatId) {
+    const value = await redisClient.get(this.lockKey(chatId));
+    if (!value) return null;
+
+    const { token, ...holder } = JSON.parse(value);
+    return holder;
+  }
+
+  async withLock(chatId, userId, fn) {
+    const lock = await this.acquire(chatId, userId);
+
+    try {
+      return await fn(lock);
+    } finally {
+      await this.release(chatId, lock).catch(error => console.error('Generation lock release failed:', error));
+    }
+  }
+}
+
+export { GenerationInProgressError };
+export default new GenerationLockService();
@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import Chat from '../models/Chat.js';
+import exportService, { ARCHIVE_FORMAT } from './exportService.js';
+
+const CHATGPT_ROLES = ['user', 'assistant', 'system', 'tool'];
+const CODE_EXTENSIONS = ['js', 'ts', 'jsx', 'tsx', 'py', 'java', 'go', 'rb', 'rs', 'c', 'cpp', 'cs', 'php', 'sh', 'sql', 'json', 'yml', 'yaml', 'html', 'css'];
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp'];
+const MAX_TITLE_LENGTH = 200;
+
+// Epoch seconds (ChatGPT) or ISO strings (Claude)
+const toDate = (value) => {
+  if (value === null || value === undefined) return undefined;
+  return new Date(typeof value === 'number' ? value * 1000 : value);
+};
+
+const attachmentType = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'pdf') return 'pdf';
+  if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  if (CODE_EXTENSIONS.includes(extension)) return 'code';
+  return 'txt';
+};
+
+const truncateTitle = (title) => (title || 'Imported chat').slice(0, MAX_TITLE_LENGTH);
+
+class ImportService {
+  detectSource(data) {
+    if (data?.format === ARCHIVE_FORMAT) return 'archive';
+
+    const sample = Array.isArray(data) ? data[0] : data;
+    if (sample?.mapping) return 'chatgpt';
+    if (sample?.chat_messages) return 'claude';
+
+    return null;
+  }
+
+  // Fallback identity for conversations exported without an ID
+  fingerprint(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  // ChatGPT stores each conversation as a tree in `mapping`. Nodes without a
+  // visible message are skipped and their children re-attached to the
+  // nearest kept ancestor, so edits and regenerations become branches.
+  parseChatGPT(conversation) {
+    const { mapping = {} } = conversation;
+    const ids = new Map();
+    const messages = [];
+    let model;
+
+    const keptAncestor = (nodeId) => {
+      let current = nodeId;
+      while (current && !ids.has(current)) {
+        current = mapping[current]?.parent;
+      }
+      return current ? ids.get(current) : null;
+    };
+
+    const roots = Object.values(mapping).filter(node => !node.parent || !mapping[node.parent]);
+    const queue = [...roots];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const message = node.message;
+      const content = this.chatGPTContent(message);
+
+      if (message && content && CHATGPT_ROLES.includes(message.author?.role) &&
+          !message.metadata?.is_visually_hidden_from_conversation) {
+        const id = uuidv4();
+        const metadata = { importedFrom: 'chatgpt', externalId: message.id };
+
+        if (message.metadata?.model_slug) {
+          metadata.model = message.metadata.model_slug;
+          model = message.metadata.model_slug;
+        }
+
+        messages.push({
+          id,
+          parentId: keptAncestor(node.parent),
+          role: message.author.role,
+          content,
+          metadata,
+          createdAt: toDate(message.create_time) || toDate(conversation.create_time)
+        });
+        ids.set(node.id, id);
+      }
+
+      for (const childId of node.children || []) {
+        if (mapping[childId]) queue.push(mapping[childId]);
+      }
+    }
+
+    return {
+      externalId: conversation.conversation_id || conversation.id ||
+        this.fingerprint(conversation.title, conversation.create_time),
+      title: truncateTitle(conversation.title),
+      createdAt: toDate(conversation.create_time),
+      settings: model ? { provider: 'openai', model } : { provider: 'openai' },
+      activeLeafId: keptAncestor(conversation.current_node) || messages[messages.length - 1]?.id,
+      messages
+    };
+  }
+
+  chatGPTContent(message) {
+    const parts = message?.content?.parts;
+    if (Array.isArray(parts)) {
+      return parts.filter(part => typeof part === 'string').join('\n').trim();
+    }
+    return typeof message?.content?.text === 'string' ? message.content.text.trim() : '';
+  }
+
+  // Claude exports are linear unless messages carry parent_message_uuid
+  parseClaude(conversation) {
+    const ids = new Map();
+    const messages = [];
+
+    for (const message of conversation.chat_messages || []) {
+      const content = this.claudeContent(message);
+      if (!content) continue;
+
+      const id = uuidv4();
+      const previous = messages[messages.length - 1];
+      const parentId = message.parent_message_uuid
+        ? ids.get(message.parent_message_uuid) ?? null
+        : previous ? previous.id : null;
+
+      messages.push({
+        id,
+        parentId,
+        role: message.sender === 'human' ? 'user' : 'assistant',
+        content,
+        attachments: [...(message.attachments || []), ...(message.files || [])]
+          .filter(file => file.file_name)
+          .map(file => ({
+            type: attachmentType(file.file_name),
+            name: file.file_name,
+            size: file.file_size
+          })),
+        metadata: { importedFrom: 'claude', externalId: message.uuid },
+        createdAt: toDate(message.created_at)
+      });
+      ids.set(message.uuid, id);
+    }
+
+    return {
+      externalId: conversation.uuid || this.fingerprint(conversation.name, conversation.created_at),
+      title: truncateTitle(conversation.name),
+      createdAt: toDate(conversation.created_at),
+      settings: { provider: 'anthropic', model: 'claude-3-opus-20240229' },
+      activeLeafId: messages[messages.length - 1]?.id,
+      messages
+    };
+  }
+
+  claudeContent(message) {
+    if (Array.isArray(message.content) && message.content.length > 0) {
+      return message.content
+        .filter(block => block.type === 'text' && block.text)
+        .map(block => block.text)
+        .join('\n')
+        .trim();
+    }
+    return (message.text || '').trim();
+  }
+
+  async importConversation(conversation, source, userId) {
+    const { externalId, ...chatData } = source === 'chatgpt'
+      ? this.parseChatGPT(conversation)
+      : this.parseClaude(conversation);
+
+    const existing = await Chat.findOne({
+      userId,
+      'importSource.source': source,
+      'importSource.externalId': externalId
+    }).select('_id');
+
+    if (existing) {
+      return { externalId, title: chatData.title, status: 'duplicate', chatId: existing._id };
+    }
+    if (chatData.messages.length === 0) {
+      return { externalId, title: chatData.title, status: 'failed', error: 'Conversation has no messages' };
+    }
+
+    const chat = new Chat({
+      ...chatData,
+      messages: [],
+      userId,
+      importSource: { source, externalId, importedAt: new Date() }
+    });
+
+    for (const message of chatData.messages) {
+      chat.messages.push({ ...message, tokens: chat.countMessageTokens(message) });
+    }
+    await chat.save();
+
+    return { externalId, title: chat.title, status: 'imported', chatId: chat._id };
+  }
+
+  // Imports a ChatGPT or Claude conversations.json, or a chat archive.
+  // Each conversation is reported separately so one bad entry does not fail
+  // the whole import.
+  async importConversations(data, userId, source = this.detectSource(data)) {
+    if (!source) {
+      throw new Error('Unrecognized export format');
+    }
+
+    if (source === 'archive') {
+      try {
+        const chat = await Chat.create({
+          ...exportService.parseArchive(data),
+          userId,
+          importSource: { source, importedAt: new Date() }
+        });
+        return [{ title: chat.title, status: 'imported', chatId: chat._id }];
+      } catch (error) {
+        return [{ title: data?.chat?.title, status: 'failed', error: error.message }];
+      }
+    }
+
+    const conversations = Array.isArray(data) ? data : [data];
+    const results = [];
+
+    for (const conversation of conversations) {
+      try {
+        results.push(await this.importConversation(conversation, source, userId));
+      } catch (error) {
+        results.push({
+          externalId: conversation?.conversation_id || conversation?.id || conversation?.uuid,
+          title: conversation?.title || conversation?.name,
+          status: 'failed',
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+export default new ImportService();
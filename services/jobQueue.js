@@ -0,0 +1,334 @@
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+import notificationService from './notificationService.js';
+
+const WAITING = 'jobs:waiting';
+const ACTIVE = 'jobs:active';
+const DELAYED = 'jobs:delayed';
+
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+const LOCK_MS = 30000;
+const MAINTENANCE_INTERVAL_MS = 5000;
+const BLOCK_SECONDS = 5;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const USER_HISTORY = 100;
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+// Redis-backed background jobs shared by every worker. Job ids move from a
+// waiting list to an active list atomically (BLMOVE); running jobs renew a
+// lock key, and a periodic sweep requeues jobs whose worker died and
+// promotes retries whose backoff has elapsed. Progress and results are
+// pushed to the job owner's socket room.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workers = [];
+    this.running = false;
+    this.maintenanceTimer = null;
+    this.stalledCandidates = new Set();
+  }
+
+  jobKey(jobId) {
+    return `jobs:job:${jobId}`;
+  }
+
+  lockKey(jobId) {
+    return `jobs:lock:${jobId}`;
+  }
+
+  userKey(userId) {
+    return `jobs:user:${userId}`;
+  }
+
+  // A handler is { name, execute(data, context), maxAttempts?, timeoutMs?,
+  // backoffMs? }. execute() returns the job's result. context.signal aborts
+  // when the attempt times out; handlers pass it on and check it between
+  // steps.
+  register(handler) {
+    if (!handler?.name || typeof handler.execute !== 'function') {
+      throw new Error('Job handler must have a name and an execute() function');
+    }
+
+    this.handlers.set(handler.name, handler);
+    return handler;
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  async add(type, data = {}, { userId, chatId } = {}) {
+    const handler = this.handlers.get(type);
+    if (!handler) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      userId: userId?.toString(),
+      chatId: chatId?.toString(),
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      maxAttempts: handler.maxAttempts || 3,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.save(job);
+    if (job.userId) {
+      await redisClient.multi()
+        .zAdd(this.userKey(job.userId), { score: Date.now(), value: job.id })
+        .zRemRangeByRank(this.userKey(job.userId), 0, -USER_HISTORY - 1)
+        .expire(this.userKey(job.userId), JOB_TTL_SECONDS)
+        .exec();
+    }
+    await redisClient.rPush(WAITING, job.id);
+
+    return job;
+  }
+
+  async getJob(jobId) {
+    const value = await redisClient.get(this.jobKey(jobId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async save(job) {
+    await redisClient.set(this.jobKey(job.id), JSON.stringify(job), { EX: JOB_TTL_SECONDS });
+  }
+
+  // Re-reads the job before applying changes so concurrent writers (the
+  // worker, a cancel request) do not overwrite each other's fields
+  async update(jobId, changes) {
+    const job = await this.getJob(jobId);
+    if (!job) return null;
+
+    Object.assign(job, changes);
+    await this.save(job);
+    return job;
+  }
+
+  async getUserJobs(userId, limit = 20) {
+    const ids = await redisClient.zRange(this.userKey(userId), 0, limit - 1, { REV: true });
+    const jobs = await Promise.all(ids.map(id => this.getJob(id)));
+    return jobs.filter(Boolean);
+  }
+
+  // What the job's owner may see; the input data can hold large payloads
+  // such as audio, so it is left out
+  toPublic(job) {
+    const { data, checkpoint, ...rest } = job;
+    return rest;
+  }
+
+  // Only jobs that have not started can be cancelled
+  async cancel(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || !['queued', 'delayed'].includes(job.status)) return null;
+
+    const [waiting, delayed] = await Promise.all([
+      redisClient.lRem(WAITING, 0, jobId),
+      redisClient.zRem(DELAYED, jobId)
+    ]);
+    if (!waiting && !delayed) return null;
+
+    const cancelled = await this.update(jobId, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    this.emit(cancelled, 'job:cancelled');
+    return cancelled;
+  }
+
+  emit(job, event, extra = {}) {
+    if (job?.userId) {
+      notificationService.emitToUser(job.userId, event, { ...this.toPublic(job), ...extra });
+    }
+  }
+
+  start(concurrency = parseInt(process.env.JOB_CONCURRENCY || '2', 10)) {
+    if (this.running) return;
+    this.running = true;
+
+    for (let i = 0; i < concurrency; i++) {
+      // BLMOVE blocks its connection, so each worker gets its own
+      const client = redisClient.duplicate();
+      client.on('error', (err) => console.error('Job worker Redis error', err));
+      this.workers.push({ client, loop: this.work(client) });
+    }
+
+    this.maintenanceTimer = setInterval(() => {
+      this.maintain().catch(error => console.error('Job maintenance failed:', error));
+    }, MAINTENANCE_INTERVAL_MS);
+  }
+
+  async stop() {
+    this.running = false;
+    clearInterval(this.maintenanceTimer);
+
+    // Workers finish their current job and exit after the blocking call times out
+    await Promise.all(this.workers.map(worker => worker.loop));
+    await Promise.all(this.workers.map(worker => worker.client.quit().catch(() => {})));
+    this.workers = [];
+  }
+
+  async work(client) {
+    await client.connect();
+
+    while (this.running) {
+      try {
+        const jobId = await client.blMove(WAITING, ACTIVE, 'LEFT', 'RIGHT', BLOCK_SECONDS);
+        if (jobId) await this.process(jobId);
+      } catch (error) {
+        console.error('Job worker failed:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async process(jobId) {
+    const job = await this.getJob(jobId);
+    const handler = job && this.handlers.get(job.type);
+
+    if (!job || job.status !== 'queued' || !handler) {
+      await redisClient.lRem(ACTIVE, 0, jobId);
+      if (job && !handler) await this.fail(job, new Error(`Unknown job type: ${job.type}`), false);
+      return;
+    }
+
+    Object.assign(job, {
+      status: 'active',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString(),
+      error: undefined
+    });
+    await redisClient.set(this.lockKey(jobId), job.attempts.toString(), { PX: LOCK_MS });
+    await this.save(job);
+    this.emit(job, 'job:active');
+
+    // The lock lives in its own key so renewing it never rewrites the job
+    const heartbeat = setInterval(() => {
+      redisClient.pExpire(this.lockKey(jobId), LOCK_MS)
+        .catch(error => console.error('Job heartbeat failed:', error));
+    }, LOCK_MS / 3);
+
+    const controller = new AbortController();
+    const context = {
+      job,
+      signal: controller.signal,
+      progress: async (progress, message) => {
+        const updated = await this.update(jobId, { progress, message });
+        this.emit(updated, 'job:progress');
+      },
+      // Saves partial results so a retry can resume instead of redoing paid work
+      checkpoint: async (data) => {
+        job.checkpoint = { ...job.checkpoint, ...data };
+        await this.update(jobId, { checkpoint: job.checkpoint });
+      }
+    };
+
+    const timeoutError = new Error('Job timed out');
+    const execution = Promise.resolve().then(() => handler.execute(job.data, context));
+    let timer;
+    try {
+      let result;
+      try {
+        result = await Promise.race([
+          execution,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(timeoutError), handler.timeoutMs || 5 * 60 * 1000);
+          })
+        ]);
+      } catch (error) {
+        if (error !== timeoutError) throw error;
+
+        // Stop the attempt and wait for it to settle, still holding the lock,
+        // so a retry never runs alongside it. An attempt that finishes anyway
+        // counts as completed; however else it ends, it timed out.
+        controller.abort(timeoutError);
+        result = await execution.catch(() => {
+          throw timeoutError;
+        });
+      }
+
+      const completed = await this.update(jobId, {
+        status: 'completed',
+        progress: 100,
+        result,
+        finishedAt: new Date().toISOString()
+      });
+      this.emit(completed, 'job:completed');
+    } catch (error) {
+      console.error(`Job ${job.type} failed:`, error);
+      await this.fail(await this.getJob(jobId) || job, error, error.retryable !== false);
+    } finally {
+      clearTimeout(timer);
+      clearInterval(heartbeat);
+      await redisClient.del(this.lockKey(jobId));
+      await redisClient.lRem(ACTIVE, 0, jobId);
+    }
+  }
+
+  // Schedules a retry with exponential backoff, or marks the job failed
+  // once its attempts are used up
+  async fail(job, error, retryable = true) {
+    const handler = this.handlers.get(job.type);
+
+    if (retryable && job.attempts < job.maxAttempts) {
+      const delay = Math.min((handler?.backoffMs || 2000) * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+      const retrying = await this.update(job.id, {
+        status: 'delayed',
+        error: error.message,
+        retryAt: new Date(Date.now() + delay).toISOString()
+      });
+      await redisClient.zAdd(DELAYED, { score: Date.now() + delay, value: job.id });
+      this.emit(retrying, 'job:retrying');
+      return;
+    }
+
+    const failed = await this.update(job.id, {
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date().toISOString()
+    });
+    this.emit(failed, 'job:failed');
+  }
+
+  async maintain() {
+    const now = Date.now();
+
+    // Promote retries that are due; ZREM decides which worker gets each one
+    const due = await redisClient.zRangeByScore(DELAYED, 0, now);
+    for (const jobId of due) {
+      if (await redisClient.zRem(DELAYED, jobId)) {
+        await this.update(jobId, { status: 'queued' });
+        await redisClient.rPush(WAITING, jobId);
+      }
+    }
+
+    // Requeue jobs whose worker stopped renewing the lock. A job moved to the
+    // active list but not yet marked active is only recovered once it has
+    // been seen that way on two sweeps in a row.
+    const stalled = new Set();
+    for (const jobId of await redisClient.lRange(ACTIVE, 0, -1)) {
+      const job = await this.getJob(jobId);
+
+      if (!job || FINISHED.includes(job.status) || job.status === 'delayed') {
+        // Finished, or already waiting for a retry in the delayed set
+        await redisClient.lRem(ACTIVE, 0, jobId);
+      } else if (job.status === 'active') {
+        if (!await redisClient.exists(this.lockKey(jobId)) && await redisClient.lRem(ACTIVE, 0, jobId)) {
+          await this.fail(job, new Error('Job stalled'));
+        }
+      } else if (this.stalledCandidates.has(jobId)) {
+        if (await redisClient.lRem(ACTIVE, 0, jobId)) {
+          await redisClient.rPush(WAITING, jobId);
+        }
+      } else {
+        stalled.add(jobId);
+      }
+    }
+    this.stalledCandidates = stalled;
+  }
+}
+
+export default new JobQueue();
@@ -0,0 +1,91 @@
+import Chat from '../../models/Chat.js';
+import aiService from '../aiService.js';
+import budgetService from '../budgetService.js';
+import notificationService from '../notificationService.js';
+import pricingService from '../pricingService.js';
+import rateLimitService from '../rateLimitService.js';
+import storageService from '../storageService.js';
+
+const notRetryable = (message) => Object.assign(new Error(message), { retryable: false });
+
+// Generates an image, copies it from the provider's expiring URL to our
+// storage and, when the job has a chat, adds it there as an image
+// attachment. The stored image is checkpointed so a retry after a failure
+// further on does not pay for a second generation.
+export default {
+  name: 'image',
+  maxAttempts: 3,
+  timeoutMs: 3 * 60 * 1000,
+
+  async execute({ prompt, settings = {}, chatId, user, quotaSubject }, { job, progress, checkpoint, signal }) {
+    const imageSettings = {
+      model: 'dall-e-3',
+      size: '1024x1024',
+      quality: 'standard',
+      style: 'vivid',
+      ...settings,
+      n: 1
+    };
+    let { image, cost } = job.checkpoint || {};
+
+    if (!image) {
+      await progress(10, 'Generating image');
+
+      let providerUrl;
+      try {
+        providerUrl = await aiService.generateImage(prompt, imageSettings, { signal });
+      } catch (error) {
+        error.retryable = aiService.isRetryableError(error);
+        throw error;
+      }
+
+      await progress(60, 'Saving image');
+      image = await storageService.saveFromUrl(providerUrl, `images/${user.id}/${job.id}.png`, { signal });
+      cost = aiService.estimateImageCost(imageSettings);
+      await checkpoint({ image, cost });
+
+      if (quotaSubject) {
+        const quota = await rateLimitService.consume(quotaSubject, 'images');
+        notificationService.emitToUser(user.id, 'quota:update', quota);
+      }
+    }
+
+    const result = { url: image.url, size: image.size, model: imageSettings.model, cost };
+    if (!chatId) return result;
+
+    // A timed-out attempt stops here; the retry picks up the stored image
+    signal?.throwIfAborted();
+
+    await progress(80, 'Adding image to chat');
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      throw notRetryable('Chat not found');
+    }
+
+    const request = chat.addMessage({ role: 'user', content: prompt, metadata: { jobId: job.id } });
+    const message = chat.addMessage({
+      role: 'assistant',
+      content: `![${prompt.replace(/[[\]]/g, '')}](${image.url})`,
+      attachments: [{ type: 'image', url: image.url, name: `${job.id}.png`, size: image.size }],
+      metadata: {
+        provider: 'openai',
+        model: imageSettings.model,
+        costType: 'image',
+        imageSize: imageSettings.size,
+        imageQuality: imageSettings.quality,
+        imagePrompt: prompt,
+        jobId: job.id
+      },
+      cost
+    });
+
+    await budgetService.addCost(chat, user, pricingService.costKey('openai', imageSettings.model), cost);
+    await chat.save();
+
+    for (const created of [request, message]) {
+      notificationService.emitToChat(chat.id, 'message:created', { chatId: chat.id, message: created });
+    }
+
+    return { ...result, chatId: chat.id, messageId: message.id };
+  }
+};
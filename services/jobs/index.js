@@ -0,0 +1,12 @@
+import jobQueue from '../jobQueue.js';
+import imageGeneration from './imageGeneration.js';
+import transcription from './transcription.js';
+import summarization from './summarization.js';
+import translation from './translation.js';
+
+jobQueue.register(imageGeneration);
+jobQueue.register(transcription);
+jobQueue.register(summarization);
+jobQueue.register(translation);
+
+export default jobQueue;
@@ -0,0 +1,30 @@
+import aiService from '../aiService.js';
+import { recordTextUsage } from './textUsage.js';
+
+export default {
+  name: 'summarization',
+  maxAttempts: 3,
+  timeoutMs: 2 * 60 * 1000,
+
+  async execute(data, context) {
+    const { text, maxLength } = data;
+    const { job, progress, checkpoint, signal } = context;
+    let { summary } = job.checkpoint || {};
+
+    if (!summary) {
+      await progress(20, 'Summarizing text');
+
+      // aiService logs the provider error and returns null
+      summary = await aiService.summarizeText(text, maxLength, { signal });
+      if (summary === null) {
+        throw new Error('Text summarization failed');
+      }
+      await checkpoint({ summary });
+    }
+
+    const target = { provider: 'huggingface', model: aiService.getTextModel('summarization') };
+    await recordTextUsage(data, target, text, summary, context);
+
+    return { summary };
+  }
+};
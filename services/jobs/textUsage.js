@@ -0,0 +1,28 @@
+import Chat from '../../models/Chat.js';
+import budgetService from '../budgetService.js';
+import notificationService from '../notificationService.js';
+import rateLimitService from '../rateLimitService.js';
+import tokenizer from '../tokenizerService.js';
+
+// Charges a text job's tokens to the daily token quota and its cost to the
+// budgets and, when the job has one, its chat. Runs once per job, so a retry
+// after a later failure is not charged twice.
+export const recordTextUsage = async ({ chatId, user, quotaSubject }, target, text, output, { job, checkpoint }) => {
+  if (job.checkpoint?.charged) return;
+
+  const tokens = {
+    prompt: tokenizer.countTokens(text, target),
+    completion: tokenizer.countTokens(output, target)
+  };
+
+  if (quotaSubject) {
+    const quota = await rateLimitService.consume(quotaSubject, 'tokens', tokens.prompt + tokens.completion);
+    notificationService.emitToUser(user.id, 'quota:update', quota);
+  }
+
+  const chat = chatId ? await Chat.findById(chatId) : null;
+  await budgetService.recordUsage(chat || { costTracking: {} }, user, { metadata: target, tokens });
+  if (chat) await chat.save();
+
+  await checkpoint({ charged: true });
+};
@@ -0,0 +1,20 @@
+import aiService from '../aiService.js';
+
+// Transcribes base64 audio recorded in the browser
+export default {
+  name: 'transcription',
+  maxAttempts: 3,
+  timeoutMs: 2 * 60 * 1000,
+
+  async execute({ audio, language = 'en' }, { progress, signal }) {
+    await progress(20, 'Transcribing audio');
+
+    try {
+      const text = await aiService.speechToText(Buffer.from(audio, 'base64'), language, { signal });
+      return { text, language };
+    } catch (error) {
+      error.retryable = aiService.isRetryableError(error);
+      throw error;
+    }
+  }
+};
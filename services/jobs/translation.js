@@ -0,0 +1,30 @@
+import aiService from '../aiService.js';
+import { recordTextUsage } from './textUsage.js';
+
+export default {
+  name: 'translation',
+  maxAttempts: 3,
+  timeoutMs: 2 * 60 * 1000,
+
+  async execute(data, context) {
+    const { text, targetLanguage } = data;
+    const { job, progress, checkpoint, signal } = context;
+    let { translation } = job.checkpoint || {};
+
+    if (!translation) {
+      await progress(20, 'Translating text');
+
+      // aiService logs the provider error and returns null
+      translation = await aiService.translateText(text, targetLanguage, { signal });
+      if (translation === null) {
+        throw new Error('Translation failed');
+      }
+      await checkpoint({ translation });
+    }
+
+    const target = { provider: 'huggingface', model: aiService.getTextModel('translation', { targetLanguage }) };
+    await recordTextUsage(data, target, text, translation, context);
+
+    return { translation, targetLanguage };
+  }
+};
@@ -0,0 +1,56 @@
+import nodemailer from 'nodemailer';
+
+// Delivers user notifications over socket.io and email. server.js attaches
+// the socket server at startup; sockets join "user:<id>" rooms on connect.
+class NotificationService {
+  constructor() {
+    this.io = null;
+    this.transporter = null;
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  emitToUser(userId, event, payload) {
+    this.io?.to(`user:${userId}`).emit(event, payload);
+  }
+
+  emitToChat(chatId, event, payload) {
+    this.io?.to(`chat:${chatId}`).emit(event, payload);
+  }
+
+  getTransporter() {
+    if (!this.transporter && process.env.SMTP_HOST) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_PORT === '465',
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  async sendEmail(to, subject, text) {
+    const transporter = this.getTransporter();
+    const recipients = [].concat(to).filter(Boolean);
+
+    if (!transporter || recipients.length === 0) {
+      return false;
+    }
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: recipients.join(', '),
+      subject,
+      text
+    });
+    return true;
+  }
+}
+
+export default new NotificationService();
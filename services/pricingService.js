@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CATALOG_PATH = process.env.PRICING_CATALOG_PATH || path.join(__dirname, '..', 'config', 'pricing.json');
+const HISTORY_DIR = path.join(path.dirname(CATALOG_PATH), 'pricing-history');
+const RELOAD_CHECK_MS = 30 * 1000;
+const PRICE_TYPES = ['models', 'images', 'audio'];
+// Characters that may follow a catalog key in a longer model ID, so that
+// "claude-3-opus" covers "claude-3-opus-20240229" but "gpt-4" not "gpt-4o"
+const MODEL_ID_BOUNDARY = /[-:@/.]/;
+
+class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = 400;
+  }
+}
+
+// Prices from the versioned catalog in config/pricing.json. Token prices are
+// USD per 1K tokens. Every entry keeps its price history as a list of prices
+// with effective dates, so costs can be computed as of any date. Other
+// workers pick up catalog updates by watching the file's modification time.
+class PricingService {
+  constructor() {
+    this.catalog = null;
+    this.mtimeMs = 0;
+    this.checkedAt = 0;
+    this.warned = new Set();
+    this.load();
+  }
+
+  load() {
+    const stat = fs.statSync(CATALOG_PATH);
+    const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+
+    this.validate(catalog);
+    this.catalog = catalog;
+    this.mtimeMs = stat.mtimeMs;
+    this.checkedAt = Date.now();
+  }
+
+  refresh() {
+    if (Date.now() - this.checkedAt < RELOAD_CHECK_MS) return;
+    this.checkedAt = Date.now();
+
+    try {
+      if (fs.statSync(CATALOG_PATH).mtimeMs !== this.mtimeMs) {
+        this.load();
+      }
+    } catch (error) {
+      console.error('Pricing catalog reload failed:', error);
+    }
+  }
+
+  getCatalog() {
+    this.refresh();
+    return this.catalog;
+  }
+
+  validate(catalog) {
+    if (!catalog || !Number.isInteger(catalog.version) || typeof catalog.providers !== 'object') {
+      throw new PricingError('Pricing catalog needs an integer version and a providers object');
+    }
+
+    for (const [provider, config] of Object.entries(catalog.providers)) {
+      for (const type of PRICE_TYPES) {
+        for (const entry of config[type] || []) {
+          const where = `${provider}.${type}.${entry.match}`;
+
+          if (typeof entry.match !== 'string' || !entry.match) {
+            throw new PricingError(`Missing match in ${provider}.${type}`);
+          }
+          if (!Array.isArray(entry.prices) || entry.prices.length === 0) {
+            throw new PricingError(`No prices for ${where}`);
+          }
+
+          for (const price of entry.prices) {
+            if (Number.isNaN(Date.parse(price.effectiveFrom))) {
+              throw new PricingError(`Invalid effectiveFrom for ${where}`);
+            }
+
+            const amounts = [price.input, price.output, price.perMinute, price.per1KCharacters,
+              ...Object.values(price.perImage || {})].filter(value => value !== undefined);
+            if (amounts.length === 0 || amounts.some(value => typeof value !== 'number' || value < 0)) {
+              throw new PricingError(`Invalid price for ${where}`);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Exact model ID, then the longest matching key, then a "*" catch-all
+  findEntry(entries = [], model = '') {
+    const exact = entries.find(entry => entry.match === model);
+    if (exact) return exact;
+
+    const prefixed = entries
+      .filter(entry => entry.match !== '*' &&
+        model.startsWith(entry.match) &&
+        MODEL_ID_BOUNDARY.test(model.charAt(entry.match.length)))
+      .sort((a, b) => b.match.length - a.match.length)[0];
+
+    return prefixed || entries.find(entry => entry.match === '*') || null;
+  }
+
+  // Price in effect on the given date. Dates before the first listed price
+  // use the earliest one.
+  priceAt(entry, date = new Date()) {
+    const time = new Date(date).getTime();
+    const prices = [...entry.prices].sort((a, b) => Date.parse(a.effectiveFrom) - Date.parse(b.effectiveFrom));
+
+    return prices.filter(price => Date.parse(price.effectiveFrom) <= time).pop() || prices[0];
+  }
+
+  resolve(provider, model, { type = 'models', date = new Date() } = {}) {
+    const entries = this.getCatalog().providers[provider]?.[type];
+    const entry = this.findEntry(entries, model);
+
+    return entry ? { match: entry.match, ...this.priceAt(entry, date) } : null;
+  }
+
+  warnUnpriced(provider, model, type) {
+    const key = `${provider}:${model}:${type}`;
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      console.warn(`No ${type} price for ${provider}/${model} in pricing catalog v${this.catalog.version}`);
+    }
+  }
+
+  // Rates per 1K tokens, or null when the catalog has no price
+  getTokenRates(provider, model, date) {
+    const price = this.resolve(provider, model, { date });
+    return price && price.input !== undefined ? { input: price.input, output: price.output || 0 } : null;
+  }
+
+  tokenCost(provider, model, inputTokens, outputTokens, date) {
+    const rates = this.getTokenRates(provider, model, date);
+    if (!rates) {
+      this.warnUnpriced(provider, model, 'token');
+      return 0;
+    }
+
+    return (inputTokens / 1000) * rates.input + (outputTokens / 1000) * rates.output;
+  }
+
+  imageCost(provider, model, { size = '1024x1024', quality = 'standard', n = 1 } = {}, date) {
+    const price = this.resolve(provider, model, { type: 'images', date });
+    const perImage = price?.perImage?.[`${quality}:${size}`] ?? price?.perImage?.[size];
+
+    if (perImage === undefined) {
+      this.warnUnpriced(provider, `${model} ${quality} ${size}`, 'image');
+      return 0;
+    }
+    return perImage * n;
+  }
+
+  // Transcription is priced per minute of audio, speech per 1K characters
+  audioCost(provider, model, { seconds = 0, characters = 0 } = {}, date) {
+    const price = this.resolve(provider, model, { type: 'audio', date });
+
+    if (!price) {
+      this.warnUnpriced(provider, model, 'audio');
+      return 0;
+    }
+    return (price.perMinute || 0) * (seconds / 60) + (price.per1KCharacters || 0) * (characters / 1000);
+  }
+
+  // Key for Chat.costTracking.costBreakdown; Mongoose map keys cannot contain dots
+  costKey(provider, model) {
+    return `${provider}:${model}`.replace(/\./g, '_');
+  }
+
+  // Replaces the catalog with the next version. The previous version is kept
+  // under config/pricing-history.
+  async update(catalog, { updatedBy } = {}) {
+    const current = this.getCatalog();
+    const next = {
+      ...catalog,
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+      ...(updatedBy && { updatedBy: String(updatedBy) })
+    };
+
+    this.validate(next);
+
+    await fs.promises.mkdir(HISTORY_DIR, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(HISTORY_DIR, `pricing.v${current.version}.json`),
+      JSON.stringify(current, null, 2)
+    );
+
+    // Write then rename so readers never see a partial file
+    const tmpPath = `${CATALOG_PATH}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(next, null, 2));
+    await fs.promises.rename(tmpPath, CATALOG_PATH);
+
+    this.load();
+    return this.catalog;
+  }
+
+  async listVersions() {
+    try {
+      const files = await fs.promises.readdir(HISTORY_DIR);
+      return files
+        .map(file => parseInt(file.match(/^pricing\.v(\d+)\.json$/)?.[1], 10))
+        .filter(Number.isInteger)
+        .sort((a, b) => b - a);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+export { PricingError };
+export default new PricingService();
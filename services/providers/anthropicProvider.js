@@ -0,0 +1,150 @@
+import Anthropic from '@anthropic-ai/sdk';
+import BaseProvider from './baseProvider.js';
+
+class AnthropicProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'anthropic',
+      models: [
+        'claude-3-opus-20240229',
+        'claude-3-sonnet-20240229',
+        'claude-2.1',
+        'claude-instant-1.2'
+      ],
+      capabilities: {
+        stream: true,
+        vision: true,
+        tools: true
+      },
+      contextWindows: {
+        'claude-3': 200000,
+        'claude-2.1': 200000,
+        'claude-instant': 100000
+      }
+    });
+  }
+
+  setup() {
+    return new Anthropic({
+      apiKey: process.env.ANTHROPIC_API_KEY
+    });
+  }
+
+  async complete(messages, settings) {
+    const response = await this.client.messages.create({
+      model: settings.model,
+      system: this.formatSystem(messages),
+      messages: this.formatMessages(messages),
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens,
+      top_p: settings.topP,
+      ...this.formatTools(settings.toolDefinitions, settings.toolChoice)
+    });
+
+    return {
+      content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      tokens: response.usage.input_tokens + response.usage.output_tokens,
+      model: response.model,
+      finishReason: response.stop_reason,
+      toolCalls: response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, input: block.input }))
+    };
+  }
+
+  async stream(messages, settings, { onChunk, onComplete, onError, signal }) {
+    try {
+      const stream = await this.client.messages.create({
+        model: settings.model,
+        system: this.formatSystem(messages),
+        messages: this.formatMessages(messages),
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        top_p: settings.topP,
+        stream: true
+      }, { signal });
+
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta?.text) {
+          onChunk(event.delta.text);
+        }
+      }
+
+      onComplete();
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  // Anthropic takes system prompts as a separate parameter
+  formatSystem(messages) {
+    const system = messages.filter(msg => msg.role === 'system');
+    return system.length > 0 ? system.map(msg => msg.content).join('\n\n') : undefined;
+  }
+
+  // Conversations with tool_use blocks need the tool schemas even when no
+  // more calls are allowed, which toolChoice 'none' expresses
+  formatTools(toolDefinitions, toolChoice) {
+    if (!toolDefinitions?.length) return {};
+
+    return {
+      tools: toolDefinitions.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      })),
+      ...(toolChoice && { tool_choice: { type: toolChoice } })
+    };
+  }
+
+  formatToolUse(call) {
+    return { type: 'tool_use', id: call.id, name: call.name, input: call.input || {} };
+  }
+
+  // Tool results go back as user turns of tool_result blocks, after an
+  // assistant turn containing the matching tool_use blocks. Tool messages
+  // loaded from a chat carry their call in msg.toolCall, so the tool_use
+  // block is rebuilt when the history does not contain it.
+  formatMessages(messages) {
+    const formatted = [];
+
+    for (const msg of messages.filter(msg => msg.role !== 'system')) {
+      if (msg.role === 'tool' && msg.toolCall) {
+        let previous = formatted[formatted.length - 1];
+        const isResultTurn = previous?.role === 'user' && Array.isArray(previous.content) &&
+          previous.content.every(block => block.type === 'tool_result');
+        const announcing = isResultTurn ? formatted[formatted.length - 2] : previous;
+
+        if (announcing?.role !== 'assistant' || !Array.isArray(announcing.content)) {
+          formatted.push({ role: 'assistant', content: [this.formatToolUse(msg.toolCall)] });
+        } else if (!announcing.content.some(block => block.id === msg.toolCall.id)) {
+          announcing.content.push(this.formatToolUse(msg.toolCall));
+        }
+
+        previous = formatted[formatted.length - 1];
+        const result = { type: 'tool_result', tool_use_id: msg.toolCall.id, content: msg.content };
+
+        if (previous.role === 'user' && Array.isArray(previous.content)) {
+          previous.content.push(result);
+        } else {
+          formatted.push({ role: 'user', content: [result] });
+        }
+      } else if (msg.toolCalls?.length > 0) {
+        const content = msg.content ? [{ type: 'text', text: msg.content }] : [];
+        formatted.push({
+          role: 'assistant',
+          content: [...content, ...msg.toolCalls.map(call => this.formatToolUse(call))]
+        });
+      } else {
+        formatted.push({
+          role: msg.role === 'assistant' ? 'assistant' : 'user',
+          content: msg.content
+        });
+      }
+    }
+
+    return formatted;
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,99 @@
+// Base class for provider adapters. Subclasses implement complete() and,
+// when capabilities.stream is true, stream(), which should pass the
+// callbacks' AbortSignal on to the upstream request. Register instances with
+// the provider registry (see ./index.js) to make them available to
+// UltraAIService.
+class BaseProvider {
+  constructor({ name, models = [], capabilities = {}, pricing = {}, contextWindows = {}, defaultContextWindow = 4096 }) {
+    this.name = name;
+    this.models = models;
+    this.capabilities = {
+      stream: false,
+      vision: false,
+      tools: false,
+      images: false,
+      speech: false,
+      ...capabilities
+    };
+    this.pricing = pricing;
+    this.contextWindows = contextWindows;
+    this.defaultContextWindow = defaultContextWindow;
+    this.client = this.setup();
+  }
+
+  setup() {
+    return null;
+  }
+
+  async complete(messages, settings) {
+    throw new Error(`complete() not implemented for provider: ${this.name}`);
+  }
+
+  async stream(messages, settings, callbacks) {
+    throw new Error(`Streaming not supported for provider: ${this.name}`);
+  }
+
+  listModels() {
+    return this.models;
+  }
+
+  supports(capability) {
+    return this.capabilities[capability] === true;
+  }
+
+  getPricing(model) {
+    return this.pricing[model] || null;
+  }
+
+  // Exact model ID first, then the longest key the model ID starts with
+  // (so dated snapshots such as gpt-4-0613 resolve to gpt-4)
+  getContextWindow(model) {
+    if (this.contextWindows[model]) return this.contextWindows[model];
+
+    const prefix = Object.keys(this.contextWindows)
+      .filter(key => model?.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.contextWindows[prefix] : this.defaultContextWindow;
+  }
+
+  httpError(response) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    return error;
+  }
+
+  // Reads a fetch response body line by line. The handler returns true once
+  // the provider signals the end of the stream.
+  async readStreamLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmedLine = line.trim();
+        if (trimmedLine === '') continue;
+
+        if (onLine(trimmedLine)) {
+          await reader.cancel();
+          return;
+        }
+      }
+    }
+
+    if (buffer.trim() !== '') {
+      onLine(buffer.trim());
+    }
+  }
+}
+
+export default BaseProvider;
@@ -0,0 +1,106 @@
+import Cohere from 'cohere-ai';
+import BaseProvider from './baseProvider.js';
+
+class CohereProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'cohere',
+      models: [
+        'command',
+        'command-nightly',
+        'command-light',
+        'command-light-nightly'
+      ],
+      capabilities: {
+        stream: true
+      },
+      contextWindows: {
+        'command': 4096
+      }
+    });
+  }
+
+  setup() {
+    Cohere.init(process.env.COHERE_API_KEY);
+    return Cohere;
+  }
+
+  async complete(messages, settings) {
+    const response = await this.chatRequest(messages, settings, false);
+    const data = await response.json();
+    const units = data.meta?.billed_units || {};
+
+    return {
+      content: data.text,
+      tokens: (units.input_tokens || 0) + (units.output_tokens || 0),
+      model: settings.model,
+      finishReason: data.finish_reason
+    };
+  }
+
+  async stream(messages, settings, { onChunk, onComplete, onError, signal }) {
+    try {
+      const response = await this.chatRequest(messages, settings, true, signal);
+
+      // Cohere streams newline-delimited JSON events rather than SSE
+      await this.readStreamLines(response, (line) => {
+        const data = JSON.parse(line);
+
+        if (data.event_type === 'text-generation' && data.text) {
+          onChunk(data.text);
+        }
+        return data.event_type === 'stream-end';
+      });
+
+      onComplete();
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  async chatRequest(messages, settings, stream, signal) {
+    const { message, chatHistory, preamble } = this.formatMessages(messages);
+
+    const response = await fetch('https://api.cohere.ai/v1/chat', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: settings.model,
+        message,
+        chat_history: chatHistory,
+        preamble,
+        temperature: settings.temperature,
+        max_tokens: settings.maxTokens,
+        p: settings.topP,
+        stream
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw this.httpError(response);
+    }
+
+    return response;
+  }
+
+  formatMessages(messages) {
+    const system = messages.filter(msg => msg.role === 'system');
+    const conversation = messages.filter(msg => msg.role !== 'system');
+    const last = conversation[conversation.length - 1];
+
+    return {
+      message: last ? last.content : '',
+      chatHistory: conversation.slice(0, -1).map(msg => ({
+        role: msg.role === 'assistant' ? 'CHATBOT' : 'USER',
+        message: msg.content
+      })),
+      preamble: system.length > 0 ? system.map(msg => msg.content).join('\n') : undefined
+    };
+  }
+}
+
+export default CohereProvider;
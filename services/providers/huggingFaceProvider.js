@@ -0,0 +1,83 @@
+import { HfInference } from '@huggingface/inference';
+import BaseProvider from './baseProvider.js';
+
+class HuggingFaceProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'huggingface',
+      models: [
+        'mistralai/Mistral-7B-Instruct-v0.2',
+        'google/flan-t5-xxl',
+        'microsoft/DialoGPT-large'
+      ],
+      capabilities: {
+        stream: true
+      },
+      contextWindows: {
+        'mistralai/Mistral-7B-Instruct-v0.2': 32768,
+        'google/flan-t5-xxl': 512,
+        'microsoft/DialoGPT-large': 1024
+      }
+    });
+  }
+
+  setup() {
+    return new HfInference(process.env.HUGGINGFACE_API_KEY);
+  }
+
+  async complete(messages, settings) {
+    const response = await this.client.textGeneration({
+      model: settings.model,
+      inputs: this.formatMessages(messages),
+      parameters: this.buildParameters(settings, { details: true })
+    });
+
+    return {
+      content: response.generated_text,
+      tokens: response.details?.generated_tokens || 0,
+      model: settings.model,
+      finishReason: response.details?.finish_reason
+    };
+  }
+
+  async stream(messages, settings, { onChunk, onComplete, onError, signal }) {
+    try {
+      const stream = this.client.textGenerationStream({
+        model: settings.model,
+        inputs: this.formatMessages(messages),
+        parameters: this.buildParameters(settings)
+      }, { signal });
+
+      for await (const output of stream) {
+        if (output.token && !output.token.special) {
+          onChunk(output.token.text);
+        }
+      }
+
+      onComplete();
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  buildParameters(settings, extra = {}) {
+    return {
+      temperature: settings.temperature,
+      max_new_tokens: settings.maxTokens,
+      top_p: settings.topP,
+      return_full_text: false,
+      ...extra
+    };
+  }
+
+  formatMessages(messages) {
+    const prompt = messages.map(msg => {
+      const speaker = msg.role === 'assistant' ? 'Assistant' : msg.role === 'system' ? 'System' : 'User';
+      return `${speaker}: ${msg.content}`;
+    }).join('\n\n');
+
+    return `${prompt}\n\nAssistant:`;
+  }
+}
+
+export default HuggingFaceProvider;
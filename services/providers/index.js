@@ -0,0 +1,18 @@
+import ProviderRegistry from './registry.js';
+import OpenAIProvider from './openaiProvider.js';
+import AnthropicProvider from './anthropicProvider.js';
+import CohereProvider from './cohereProvider.js';
+import HuggingFaceProvider from './huggingFaceProvider.js';
+import LocalProvider from './localProvider.js';
+
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(new OpenAIProvider());
+providerRegistry.register(new AnthropicProvider());
+providerRegistry.register(new CohereProvider());
+providerRegistry.register(new HuggingFaceProvider());
+providerRegistry.register(new LocalProvider());
+
+export { default as BaseProvider } from './baseProvider.js';
+export { OpenAIProvider, ProviderRegistry };
+export default providerRegistry;
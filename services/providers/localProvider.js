@@ -0,0 +1,86 @@
+import BaseProvider from './baseProvider.js';
+
+// Local models served through the Ollama chat API (Ollama, LocalAI, etc.)
+class LocalProvider extends BaseProvider {
+  constructor() {
+    super({
+      name: 'local',
+      models: process.env.LOCAL_AI_MODELS ? process.env.LOCAL_AI_MODELS.split(',') : [],
+      capabilities: {
+        stream: true
+      },
+      defaultContextWindow: parseInt(process.env.LOCAL_AI_CONTEXT_WINDOW || '4096', 10)
+    });
+  }
+
+  setup() {
+    return {
+      baseURL: process.env.LOCAL_AI_URL || 'http://localhost:11434'
+    };
+  }
+
+  async complete(messages, settings) {
+    const response = await this.chatRequest(messages, settings, false);
+    const data = await response.json();
+
+    return {
+      content: data.message.content,
+      tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0),
+      model: data.model,
+      finishReason: data.done_reason || 'stop'
+    };
+  }
+
+  async stream(messages, settings, { onChunk, onComplete, onError, signal }) {
+    try {
+      const response = await this.chatRequest(messages, settings, true, signal);
+
+      await this.readStreamLines(response, (line) => {
+        const data = JSON.parse(line);
+
+        if (data.error) {
+          throw new Error(data.error);
+        }
+        if (data.message?.content) {
+          onChunk(data.message.content);
+        }
+        return data.done === true;
+      });
+
+      onComplete();
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  async chatRequest(messages, settings, stream, signal) {
+    const response = await fetch(`${this.client.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: settings.model,
+        messages: messages.map(msg => ({
+          role: msg.role,
+          content: msg.content
+        })),
+        options: {
+          temperature: settings.temperature,
+          top_p: settings.topP,
+          num_predict: settings.maxTokens
+        },
+        stream
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw this.httpError(response);
+    }
+
+    return response;
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,210 @@
+import { Configuration, OpenAIApi } from 'openai';
+import BaseProvider from './baseProvider.js';
+
+// Also usable for OpenAI-compatible gateways: register another instance with
+// its own name, baseURL, apiKey and model list.
+class OpenAIProvider extends BaseProvider {
+  constructor(options = {}) {
+    const baseURL = options.baseURL || 'https://api.openai.com/v1';
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    super({
+      name: options.name || 'openai',
+      models: options.models || [
+        'gpt-4',
+        'gpt-4-32k',
+        'gpt-4-turbo-preview',
+        'gpt-3.5-turbo',
+        'gpt-3.5-turbo-16k',
+        'gpt-4-vision-preview'
+      ],
+      capabilities: {
+        stream: true,
+        vision: true,
+        tools: true,
+        images: true,
+        speech: true,
+        ...options.capabilities
+      },
+      // Built-in models are priced by the pricing catalog
+      pricing: options.pricing || {},
+      contextWindows: options.contextWindows || {
+        'gpt-4': 8192,
+        'gpt-4-32k': 32768,
+        'gpt-4-turbo-preview': 128000,
+        'gpt-4-vision-preview': 128000,
+        'gpt-3.5-turbo': 4096,
+        'gpt-3.5-turbo-16k': 16384
+      }
+    });
+
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
+    this.client = new OpenAIApi(new Configuration({
+      apiKey,
+      basePath: baseURL
+    }));
+  }
+
+  async complete(messages, settings) {
+    const response = await this.client.createChatCompletion({
+      model: settings.model,
+      messages: this.formatMessages(messages),
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens,
+      top_p: settings.topP,
+      frequency_penalty: settings.frequencyPenalty,
+      presence_penalty: settings.presencePenalty,
+      ...this.formatTools(settings.toolDefinitions, settings.toolChoice),
+      stream: false
+    });
+
+    const message = response.data.choices[0].message;
+
+    return {
+      content: message.content || '',
+      tokens: response.data.usage.total_tokens,
+      model: response.data.model,
+      finishReason: response.data.choices[0].finish_reason,
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        input: this.parseToolArguments(call.function.arguments)
+      }))
+    };
+  }
+
+  async stream(messages, settings, { onChunk, onComplete, onError, signal }) {
+    try {
+      const response = await fetch(`${this.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: settings.model,
+          messages: this.formatMessages(messages),
+          temperature: settings.temperature,
+          max_tokens: settings.maxTokens,
+          top_p: settings.topP,
+          frequency_penalty: settings.frequencyPenalty,
+          presence_penalty: settings.presencePenalty,
+          stream: true
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        throw this.httpError(response);
+      }
+
+      await this.readStreamLines(response, (line) => {
+        if (line === 'data: [DONE]') return true;
+        if (!line.startsWith('data: ')) return false;
+
+        try {
+          const data = JSON.parse(line.slice(6));
+          const chunk = data.choices[0]?.delta?.content;
+
+          if (chunk) {
+            onChunk(chunk);
+          }
+        } catch (e) {
+          console.error('Error parsing stream data:', e);
+        }
+        return false;
+      });
+
+      onComplete();
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  // toolChoice 'none' keeps the schemas (needed to read earlier tool turns)
+  // while stopping the model from calling them
+  formatTools(toolDefinitions, toolChoice) {
+    if (!toolDefinitions?.length) return {};
+
+    return {
+      tools: toolDefinitions.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      })),
+      ...(toolChoice && { tool_choice: toolChoice })
+    };
+  }
+
+  parseToolArguments(args) {
+    try {
+      return JSON.parse(args || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  formatToolCall(call) {
+    return {
+      id: call.id,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: JSON.stringify(call.input || {})
+      }
+    };
+  }
+
+  // Tool results must follow an assistant message announcing the call. Tool
+  // messages loaded from a chat carry their call in msg.toolCall, so the
+  // announcement is rebuilt when the history does not contain it. Parallel
+  // calls share one announcement followed by all of their results.
+  formatMessages(messages) {
+    const formatted = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool' && msg.toolCall) {
+        let announcement = this.findAnnouncement(formatted);
+
+        if (!announcement) {
+          announcement = { role: 'assistant', content: null, tool_calls: [] };
+          formatted.push(announcement);
+        }
+
+        if (!announcement.tool_calls.some(call => call.id === msg.toolCall.id)) {
+          announcement.tool_calls.push(this.formatToolCall(msg.toolCall));
+        }
+
+        formatted.push({ role: 'tool', tool_call_id: msg.toolCall.id, content: msg.content });
+      } else if (msg.role === 'tool') {
+        formatted.push({ role: 'user', content: msg.content });
+      } else if (msg.toolCalls?.length > 0) {
+        formatted.push({
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => this.formatToolCall(call))
+        });
+      } else {
+        formatted.push({ role: msg.role, content: msg.content });
+      }
+    }
+
+    return formatted;
+  }
+
+  // The assistant message before the trailing run of tool results, if it
+  // announces tool calls
+  findAnnouncement(formatted) {
+    let index = formatted.length - 1;
+    while (formatted[index]?.role === 'tool') index--;
+
+    const candidate = formatted[index];
+    return candidate?.role === 'assistant' && candidate.tool_calls ? candidate : null;
+  }
+}
+
+export default OpenAIProvider;
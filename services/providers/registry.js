@@ -0,0 +1,39 @@
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!adapter?.name) {
+      throw new Error('Provider adapter must have a name');
+    }
+    if (typeof adapter.complete !== 'function') {
+      throw new Error(`Provider adapter ${adapter.name} must implement complete()`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  unregister(name) {
+    return this.adapters.delete(name);
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  names() {
+    return Array.from(this.adapters.keys());
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+}
+
+export default ProviderRegistry;
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import Embedding from '../models/Embedding.js';
+import attachmentService from './attachmentService.js';
+import embeddingService from './embeddingService.js';
+import encryptionService from './encryptionService.js';
+import vectorStore from './vectorStore.js';
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const MIN_SCORE = parseFloat(process.env.RAG_MIN_SCORE || '0.2');
+
+// Retrieval over a chat's attachments: text is extracted per page, split into
+// overlapping chunks and embedded, and the chunks closest to the latest user
+// message are handed to the model with numbered references it can cite.
+class RagService {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  // Hashes the name so stored keys reveal nothing about encrypted chats
+  getAttachmentKey(attachment) {
+    const nameHash = crypto.createHash('sha256').update(attachment.name || '').digest('hex').slice(0, 16);
+    return `${attachment.messageId}:${nameHash}`;
+  }
+
+  chunkText(pages, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    const chunks = [];
+
+    for (const { page, text } of pages) {
+      const clean = text.replace(/\s+/g, ' ').trim();
+      let start = 0;
+
+      while (start < clean.length) {
+        let end = Math.min(start + size, clean.length);
+
+        // Prefer to break on whitespace rather than mid-word
+        if (end < clean.length) {
+          const lastSpace = clean.lastIndexOf(' ', end);
+          if (lastSpace > start + size / 2) end = lastSpace;
+        }
+
+        chunks.push({ page, text: clean.slice(start, end).trim() });
+        if (end >= clean.length) break;
+        start = Math.max(end - overlap, start + 1);
+      }
+    }
+
+    return chunks.filter(chunk => chunk.text.length > 0);
+  }
+
+  // Concurrent calls for the same attachment share one indexing run
+  indexAttachment(chat, attachment) {
+    const key = `${chat._id}:${this.getAttachmentKey(attachment)}`;
+
+    if (!this.inFlight.has(key)) {
+      const run = this.runIndexAttachment(chat, attachment)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, run);
+    }
+
+    return this.inFlight.get(key);
+  }
+
+  async runIndexAttachment(chat, attachment) {
+    const key = this.getAttachmentKey(attachment);
+    const embedderId = embeddingService.getEmbedderId();
+    const pages = await attachmentService.extractText(attachment);
+    const chunks = this.chunkText(pages);
+
+    await vectorStore.removeChat(chat._id, { sourceType: 'attachment', 'attachment.key': key });
+
+    if (chunks.length === 0) {
+      return 0;
+    }
+
+    const vectors = await embeddingService.embedTexts(chunks.map(chunk => chunk.text));
+
+    await Promise.all(chunks.map((chunk, i) => vectorStore.upsert({
+      userId: chat.userId,
+      chatId: chat._id,
+      sourceType: 'attachment',
+      sourceId: `${key}:${i}`,
+      embedder: embedderId,
+      vector: vectors[i],
+      text: encryptionService.encryptForChat(chat, chunk.text),
+      attachment: {
+        key,
+        messageId: attachment.messageId,
+        name: encryptionService.encryptForChat(chat, attachment.name),
+        page: chunk.page,
+        chunk: i
+      }
+    })));
+
+    return chunks.length;
+  }
+
+  // Indexes the chat's extractable attachments, skipping those already
+  // indexed with the current embedder unless force is set
+  async indexChatAttachments(chat, { force = false } = {}) {
+    const attachments = attachmentService.listChatAttachments(chat)
+      .filter(attachment => attachmentService.isTextExtractable(attachment));
+
+    if (attachments.length === 0) {
+      return 0;
+    }
+
+    const indexed = force ? [] : await Embedding.distinct('attachment.key', {
+      chatId: chat._id,
+      sourceType: 'attachment',
+      embedder: embeddingService.getEmbedderId()
+    });
+
+    const pending = attachments.filter(attachment => !indexed.includes(this.getAttachmentKey(attachment)));
+    let chunkCount = 0;
+
+    for (const attachment of pending) {
+      try {
+        chunkCount += await this.indexAttachment(chat, attachment);
+      } catch (error) {
+        console.error(`Attachment indexing failed for ${attachment.name}:`, error);
+      }
+    }
+
+    return chunkCount;
+  }
+
+  // Schedules background indexing for attachments on newly added messages
+  enqueue(chat, messageIds) {
+    if (!embeddingService.enabled) {
+      return;
+    }
+
+    const hasAttachments = messageIds.some((id) => {
+      const message = chat.messages.find(msg => msg.id === id);
+      return message?.attachments?.some(attachment => attachmentService.isTextExtractable(attachment));
+    });
+
+    if (hasAttachments) {
+      embeddingService.schedule(() => this.indexChatAttachments(chat));
+    }
+  }
+
+  // Returns the chunks most relevant to the query with 1-based citation refs.
+  // Attachments not yet indexed are indexed first so a question asked right
+  // after an upload can still use it.
+  async retrieve(chat, query, { limit = 4, minScore = MIN_SCORE } = {}) {
+    await this.indexChatAttachments(chat);
+
+    const [vector] = await embeddingService.embedTexts([query]);
+    const hits = await vectorStore.findNearest(vector, {
+      filter: {
+        chatId: chat._id,
+        sourceType: 'attachment',
+        embedder: embeddingService.getEmbedderId()
+      },
+      limit
+    });
+
+    return hits
+      .filter(hit => hit.score >= minScore)
+      .map(hit => this.decryptHit(chat, hit))
+      .filter(Boolean)
+      .map((hit, index) => ({
+        ref: index + 1,
+        name: hit.attachment.name,
+        messageId: hit.attachment.messageId,
+        page: hit.attachment.page,
+        chunk: hit.attachment.chunk,
+        score: hit.score,
+        text: hit.text
+      }));
+  }
+
+  // Chunks of encrypted chats are stored under the chat's data key. Chunks
+  // left over from before a key rotation are skipped until re-indexed.
+  decryptHit(chat, hit) {
+    try {
+      return {
+        ...hit,
+        text: encryptionService.decryptForChat(chat, hit.text),
+        attachment: {
+          ...hit.attachment,
+          name: encryptionService.decryptForChat(chat, hit.attachment.name)
+        }
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  formatContext(chunks) {
+    const excerpts = chunks
+      .map(chunk => `[${chunk.ref}] ${chunk.name}, page ${chunk.page}\n${chunk.text}`)
+      .join('\n\n');
+
+    return 'Excerpts from files attached to this conversation are listed below. ' +
+      'Use them when they are relevant and cite the excerpts you rely on inline as [1], [2], etc. ' +
+      'If the excerpts do not contain the answer, say so instead of guessing.\n\n' +
+      excerpts;
+  }
+}
+
+export default new RagService();
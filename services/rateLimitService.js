@@ -0,0 +1,217 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import redisClient from '../config/redis.js';
+import plans, { DEFAULT_PLAN } from '../config/plans.js';
+
+const BUCKETS = {
+  requests: { field: 'requestsPerMinute', window: 60 },
+  tokens: { field: 'tokensPerDay', window: 24 * 60 * 60 },
+  images: { field: 'imagesPerDay', window: 24 * 60 * 60 }
+};
+const PLAN_CACHE_SECONDS = 300;
+
+// Pending ApiKey lookups per request
+const apiKeyLookups = new WeakMap();
+
+class RateLimitError extends Error {
+  constructor(status) {
+    super(status.bucket === 'requests'
+      ? 'Too many requests, please try again later.'
+      : `Daily ${status.bucket} quota exhausted`);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.status = 429;
+    this.quota = status;
+  }
+}
+
+// Fixed-window counters in Redis, shared by every worker. Requests count
+// against an API key, else the signed-in user, else the client IP, with
+// limits taken from the subscription plan (config/plans.js).
+class RateLimitService {
+  // Resolves who a request counts against without waiting for the route's
+  // own authentication. A key that is unknown, revoked or expired is
+  // ignored, so made-up keys cannot open fresh buckets.
+  async resolveSubject(req) {
+    const apiKey = await this.findApiKey(req);
+    if (apiKey) {
+      return {
+        identity: `key:${apiKey.keyHash}`,
+        userId: String(apiKey.userId),
+        plan: await this.getPlan({ userId: apiKey.userId })
+      };
+    }
+
+    const userId = req.user?.id || this.verifyBearer(req.get('authorization'));
+    if (userId) {
+      return { identity: `user:${userId}`, userId, plan: await this.getPlan({ userId }) };
+    }
+
+    return { identity: `ip:${req.ip}`, plan: 'anonymous' };
+  }
+
+  // API keys come in X-API-Key or, from OpenAI clients, as a Bearer token
+  getApiKey(req) {
+    const header = req.get('authorization') || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7) : '';
+    return req.get('x-api-key') || (mongoose.models.ApiKey?.isApiKey(bearer) ? bearer : null);
+  }
+
+  // The active ApiKey document for the key a request carries, if any. The
+  // lookup is shared by everything handling the same request.
+  findApiKey(req) {
+    const key = this.getApiKey(req);
+    if (!key || !mongoose.models.ApiKey) return Promise.resolve(null);
+
+    if (!apiKeyLookups.has(req)) {
+      apiKeyLookups.set(req, mongoose.models.ApiKey.findActive(key));
+    }
+    return apiKeyLookups.get(req);
+  }
+
+  verifyBearer(header = '') {
+    if (!header.startsWith('Bearer ')) return null;
+
+    try {
+      return jwt.verify(header.slice(7), process.env.JWT_SECRET).id || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Plan of a user, cached in Redis. A changed plan applies once the cached
+  // one expires.
+  async getPlan({ userId }) {
+    const cacheKey = `rl:plan:${userId}`;
+    const cached = await redisClient.get(cacheKey);
+    if (cached) return cached;
+
+    let plan = DEFAULT_PLAN;
+    if (mongoose.models.User) {
+      const user = await mongoose.models.User.findById(userId).select('subscription plan').lean();
+      plan = user?.subscription?.plan || user?.plan || DEFAULT_PLAN;
+    }
+    if (!plans[plan]) plan = DEFAULT_PLAN;
+
+    await redisClient.set(cacheKey, plan, { EX: PLAN_CACHE_SECONDS });
+    return plan;
+  }
+
+  getWindow(bucket, identity, now = Date.now()) {
+    const { window } = BUCKETS[bucket];
+    const seconds = Math.floor(now / 1000);
+    const slot = Math.floor(seconds / window);
+
+    return {
+      key: `rl:${bucket}:${identity}:${slot}`,
+      window,
+      reset: (slot + 1) * window - seconds
+    };
+  }
+
+  getLimit(plan, bucket) {
+    return (plans[plan] || plans[DEFAULT_PLAN])[BUCKETS[bucket].field];
+  }
+
+  buildStatus(subject, bucket, used) {
+    const { window, reset } = this.getWindow(bucket, subject.identity);
+    const limit = this.getLimit(subject.plan, bucket);
+
+    return {
+      bucket,
+      plan: subject.plan,
+      limit,
+      used,
+      remaining: Math.max(limit - used, 0),
+      window,
+      reset
+    };
+  }
+
+  async consume(subject, bucket, amount = 1) {
+    const { key, reset } = this.getWindow(bucket, subject.identity);
+    const [used] = await redisClient.multi()
+      .incrBy(key, amount)
+      .expire(key, reset + 1)
+      .exec();
+
+    const status = this.buildStatus(subject, bucket, Number(used));
+    return { ...status, allowed: status.used <= status.limit };
+  }
+
+  async peek(subject, bucket) {
+    const { key } = this.getWindow(bucket, subject.identity);
+    const status = this.buildStatus(subject, bucket, Number(await redisClient.get(key)) || 0);
+    return { ...status, allowed: status.remaining > 0 };
+  }
+
+  // Throws RateLimitError when a daily quota is used up
+  async assertQuota(subject, bucket) {
+    const status = await this.peek(subject, bucket);
+    if (!status.allowed) {
+      throw new RateLimitError(status);
+    }
+    return status;
+  }
+
+  setHeaders(res, status) {
+    if (status.bucket === 'requests') {
+      res.set({
+        'RateLimit-Limit': String(status.limit),
+        'RateLimit-Remaining': String(status.remaining),
+        'RateLimit-Reset': String(status.reset),
+        'RateLimit-Policy': `${status.limit};w=${status.window}`
+      });
+      return;
+    }
+
+    const name = status.bucket.charAt(0).toUpperCase() + status.bucket.slice(1);
+    res.set({
+      [`X-RateLimit-${name}-Limit`]: String(status.limit),
+      [`X-RateLimit-${name}-Remaining`]: String(status.remaining),
+      [`X-RateLimit-${name}-Reset`]: String(status.reset)
+    });
+  }
+
+  // Failed attempts at a secret, such as a share link password, counted per
+  // target rather than per client. Resolves the seconds until the target
+  // accepts attempts again, or 0 while it still does.
+  async getAttemptLockout(target, limit) {
+    const key = `rl:attempts:${target}`;
+    const failures = Number(await redisClient.get(key)) || 0;
+    return failures < limit ? 0 : Math.max(await redisClient.ttl(key), 1);
+  }
+
+  // The window starts with the first failure and is not extended by later ones
+  async recordFailedAttempt(target, window) {
+    const key = `rl:attempts:${target}`;
+    const failures = await redisClient.incr(key);
+    if (failures === 1) {
+      await redisClient.expire(key, window);
+    }
+    return failures;
+  }
+
+  // Socket counterpart of the HTTP middleware: counts the event and, when
+  // over the limit, reports it with a "rate_limit" error event
+  async checkSocket(socket, bucket = 'requests', amount = 1) {
+    const userId = socket.user?.id || socket.data?.userId;
+    const subject = userId
+      ? { identity: `user:${userId}`, userId, plan: await this.getPlan({ userId }) }
+      : { identity: `ip:${socket.handshake.address}`, plan: 'anonymous' };
+
+    const status = bucket === 'requests'
+      ? await this.consume(subject, bucket, amount)
+      : await this.peek(subject, bucket);
+
+    if (!status.allowed) {
+      socket.emit('error', { code: 'RATE_LIMITED', message: new RateLimitError(status).message, quota: status });
+      socket.emit('rate_limit', status);
+    }
+
+    return { allowed: status.allowed, subject, status };
+  }
+}
+
+export { RateLimitError };
+export default new RateLimitService();
@@ -0,0 +1,138 @@
+import axios from 'axios';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { v2 as cloudinary } from 'cloudinary';
+
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+
+// Permanent storage for generated files. Uses S3 when a bucket is
+// configured, otherwise Cloudinary; STORAGE_PROVIDER picks one explicitly.
+class StorageService {
+  constructor() {
+    this.s3 = null;
+    this.cloudinaryConfigured = false;
+  }
+
+  getProvider() {
+    if (process.env.STORAGE_PROVIDER) return process.env.STORAGE_PROVIDER;
+    if (process.env.S3_BUCKET_NAME) return 's3';
+    if (process.env.CLOUDINARY_CLOUD_NAME) return 'cloudinary';
+    return null;
+  }
+
+  getS3() {
+    if (!this.s3) {
+      this.s3 = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+    return this.s3;
+  }
+
+  configureCloudinary() {
+    if (!this.cloudinaryConfigured) {
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+        secure: true
+      });
+      this.cloudinaryConfigured = true;
+    }
+    return cloudinary;
+  }
+
+  getS3BaseUrl() {
+    return process.env.S3_PUBLIC_URL ||
+      `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com`;
+  }
+
+  // Where files saved here are served from, for each configured provider
+  getBaseUrls() {
+    const urls = [];
+    if (process.env.S3_BUCKET_NAME) urls.push(this.getS3BaseUrl());
+    if (process.env.CLOUDINARY_CLOUD_NAME) urls.push(`https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}`);
+    return urls;
+  }
+
+  // Whether a URL names a file saved here rather than an arbitrary address.
+  // URLs supplied by users are only fetched server-side when this holds.
+  isStoredUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    return this.getBaseUrls().some((baseUrl) => {
+      const base = new URL(baseUrl);
+      const prefix = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+      return parsed.origin === base.origin && parsed.pathname.startsWith(prefix);
+    });
+  }
+
+  async download(url, { signal } = {}) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_DOWNLOAD_BYTES,
+      timeout: 60000,
+      signal
+    });
+
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || 'application/octet-stream'
+    };
+  }
+
+  // Copies a file from a temporary URL, such as a provider's image link, to
+  // storage at `key`. Returns the permanent URL and size.
+  async saveFromUrl(url, key, { signal } = {}) {
+    const provider = this.getProvider();
+
+    if (provider === 's3') {
+      const { buffer, contentType } = await this.download(url, { signal });
+      return this.saveBuffer(buffer, key, contentType);
+    }
+
+    if (provider === 'cloudinary') {
+      // Cloudinary fetches the URL itself
+      const result = await this.configureCloudinary().uploader.upload(url, {
+        public_id: key.replace(/\.[^./]+$/, ''),
+        resource_type: 'auto',
+        overwrite: true
+      });
+      return { url: result.secure_url, size: result.bytes, key };
+    }
+
+    throw new Error('No file storage is configured');
+  }
+
+  async saveBuffer(buffer, key, contentType) {
+    const provider = this.getProvider();
+
+    if (provider === 's3') {
+      const bucket = process.env.S3_BUCKET_NAME;
+      await this.getS3().send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+
+      return { url: `${this.getS3BaseUrl()}/${key}`, size: buffer.length, key };
+    }
+
+    if (provider === 'cloudinary') {
+      const dataUri = `data:${contentType};base64,${buffer.toString('base64')}`;
+      const result = await this.configureCloudinary().uploader.upload(dataUri, {
+        public_id: key.replace(/\.[^./]+$/, ''),
+        resource_type: 'auto',
+        overwrite: true
+      });
+      return { url: result.secure_url, size: result.bytes, key };
+    }
+
+    throw new Error('No file storage is configured');
+  }
+}
+
+export default new StorageService();
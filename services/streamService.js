@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+
+const BUFFER_TTL_SECONDS = parseInt(process.env.STREAM_BUFFER_TTL_SECONDS || '600', 10);
+const CANCEL_EVENT = 'generation:cancel';
+
+// Streamed replies, buffered in Redis chunk by chunk so a client that
+// reconnects mid-answer can catch up from the last chunk it received, and
+// cancellable from any worker. Each chat has at most one stream at a time
+// (see generationLockService); its state outlives the reply for
+// BUFFER_TTL_SECONDS. Replies in encrypted chats are not buffered, since the
+// chunks would sit in Redis as plaintext; clients catch up on those once the
+// message is saved.
+class StreamService {
+  constructor() {
+    this.io = null;
+    this.controllers = new Map();
+  }
+
+  // Stop requests can reach any worker; they are forwarded over the
+  // socket.io adapter to the one running the stream
+  attach(io) {
+    this.io = io;
+    io.on(CANCEL_EVENT, ({ streamId }) => this.abortLocal(streamId));
+  }
+
+  metaKey(chatId) {
+    return `stream:meta:${chatId}`;
+  }
+
+  chunksKey(streamId) {
+    return `stream:chunks:${streamId}`;
+  }
+
+  // Starts buffering a reply. The returned stream carries the AbortSignal to
+  // hand to aiService.
+  async begin(chatId, { userId, parentId, buffered = true } = {}) {
+    const controller = new AbortController();
+    const stream = {
+      id: crypto.randomUUID(),
+      chatId: chatId.toString(),
+      userId: userId?.toString(),
+      parentId,
+      buffered,
+      status: 'streaming',
+      startedAt: new Date().toISOString()
+    };
+
+    await redisClient.set(this.metaKey(stream.chatId), JSON.stringify(stream), { EX: BUFFER_TTL_SECONDS });
+    this.controllers.set(stream.id, controller);
+
+    return { ...stream, signal: controller.signal, index: 0 };
+  }
+
+  // Buffers a chunk and returns its index. Commands on one connection run in
+  // order, so indexes match the order chunks were sent in.
+  append(stream, chunk) {
+    const index = stream.index++;
+    if (!stream.buffered) return index;
+
+    redisClient.multi()
+      .rPush(this.chunksKey(stream.id), chunk)
+      .expire(this.chunksKey(stream.id), BUFFER_TTL_SECONDS)
+      .exec()
+      .catch(error => console.error('Stream buffering failed:', error));
+    return index;
+  }
+
+  // Records how the stream ended: completed, cancelled or error
+  async end(stream, status, extra = {}) {
+    this.controllers.delete(stream.id);
+
+    const { signal, index, ...meta } = stream;
+    await redisClient.set(
+      this.metaKey(stream.chatId),
+      JSON.stringify({ ...meta, ...extra, status, chunks: index, endedAt: new Date().toISOString() }),
+      { EX: BUFFER_TTL_SECONDS }
+    );
+  }
+
+  async getStream(chatId) {
+    const value = await redisClient.get(this.metaKey(chatId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  // The current or most recent stream of a chat with the chunks from `from`
+  // onwards
+  async resume(chatId, from = 0) {
+    const stream = await this.getStream(chatId);
+    if (!stream) return null;
+
+    const chunks = stream.buffered === false
+      ? []
+      : await redisClient.lRange(this.chunksKey(stream.id), Math.max(from, 0), -1);
+    return { stream, from, chunks };
+  }
+
+  // Stops the chat's running stream, wherever it is. Resolves to the stream
+  // or null when nothing is streaming.
+  async cancel(chatId, { streamId } = {}) {
+    const stream = await this.getStream(chatId);
+    if (!stream || stream.status !== 'streaming' || (streamId && stream.id !== streamId)) {
+      return null;
+    }
+
+    if (!this.abortLocal(stream.id)) {
+      this.io?.serverSideEmit(CANCEL_EVENT, { streamId: stream.id });
+    }
+    return stream;
+  }
+
+  abortLocal(streamId) {
+    const controller = this.controllers.get(streamId);
+    if (!controller) return false;
+
+    controller.abort();
+    return true;
+  }
+}
+
+export default new StreamService();
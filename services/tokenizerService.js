@@ -0,0 +1,94 @@
+import { getEncoding, getEncodingNameForModel } from 'js-tiktoken';
+import providerRegistry from './providers/index.js';
+
+// Average characters per token for model families without a bundled
+// tokenizer. Checked in order; the first matching pattern wins.
+const APPROXIMATIONS = [
+  { pattern: /^claude/, charsPerToken: 3.5 },
+  { pattern: /^command/, charsPerToken: 4 },
+  { pattern: /llama|mistral|mixtral/i, charsPerToken: 3.6 },
+  { pattern: /flan-t5/i, charsPerToken: 3.2 },
+  { pattern: /.*/, charsPerToken: 4 }
+];
+
+// CJK, Hiragana/Katakana and Hangul are close to one token per character
+const DENSE_SCRIPT_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+const NON_ASCII_REGEX = /[^\x00-\x7f]/g;
+
+// Per-message framing tokens added by chat formats
+const MESSAGE_OVERHEAD = 3;
+const REPLY_PRIMING = 3;
+
+class TokenizerService {
+  constructor() {
+    this.encoders = new Map();
+  }
+
+  usesBPE(provider, model = '') {
+    return provider === 'openai' || /^(gpt-|text-embedding-)/.test(model);
+  }
+
+  // Encoders are large, so one is kept per encoding and shared by every
+  // model that uses it. Unknown models fall back to cl100k_base.
+  getEncoder(model) {
+    let name;
+    try {
+      name = getEncodingNameForModel(model);
+    } catch (error) {
+      name = 'cl100k_base';
+    }
+
+    if (!this.encoders.has(name)) {
+      this.encoders.set(name, getEncoding(name));
+    }
+    return this.encoders.get(name);
+  }
+
+  approximateTokens(text, model = '') {
+    const { charsPerToken } = APPROXIMATIONS.find(entry => entry.pattern.test(model));
+    const dense = (text.match(DENSE_SCRIPT_REGEX) || []).length;
+    const nonAscii = (text.match(NON_ASCII_REGEX) || []).length - dense;
+    const ascii = text.length - dense - nonAscii;
+
+    return Math.ceil(dense + nonAscii / 2 + ascii / charsPerToken);
+  }
+
+  countTokens(text, { provider = 'openai', model = 'gpt-3.5-turbo' } = {}) {
+    if (!text) return 0;
+
+    if (this.usesBPE(provider, model)) {
+      return this.getEncoder(model).encode(text).length;
+    }
+    return this.approximateTokens(text, model);
+  }
+
+  countMessageTokens(messages, settings = {}) {
+    const total = messages.reduce(
+      (sum, msg) => sum + MESSAGE_OVERHEAD + this.countTokens(msg.content, settings),
+      0
+    );
+    return messages.length > 0 ? total + REPLY_PRIMING : 0;
+  }
+
+  getContextWindow({ provider = 'openai', model = 'gpt-3.5-turbo' } = {}) {
+    const adapter = providerRegistry.get(provider);
+    return adapter ? adapter.getContextWindow(model) : 4096;
+  }
+
+  // Token usage of a prompt against the model's context window. maxTokens
+  // is reserved for the completion.
+  getContextUsage(messages, settings = {}) {
+    const contextWindow = this.getContextWindow(settings);
+    const promptTokens = this.countMessageTokens(messages, settings);
+    const reserved = settings.maxTokens || 0;
+
+    return {
+      promptTokens,
+      contextWindow,
+      reserved,
+      contextLeft: Math.max(contextWindow - promptTokens - reserved, 0)
+    };
+  }
+}
+
+export default new TokenizerService();
@@ -0,0 +1,154 @@
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const TOKEN_REGEX = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z]+|\*\*|[-+*/%^(),])/gy;
+
+function tokenize(expression) {
+  const tokens = [];
+  const input = expression.toLowerCase();
+  TOKEN_REGEX.lastIndex = 0;
+
+  while (TOKEN_REGEX.lastIndex < input.length) {
+    const start = TOKEN_REGEX.lastIndex;
+    const match = TOKEN_REGEX.exec(input);
+
+    if (!match) {
+      if (input.slice(start).trim() === '') break;
+      throw new Error(`Unexpected character at position ${start}`);
+    }
+    tokens.push(match[1] === '**' ? '^' : match[1]);
+  }
+
+  return tokens;
+}
+
+// Recursive-descent evaluator, so model input never reaches eval()
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseFactor();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseFactor();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseFactor = () => {
+    if (peek() === '-') {
+      next();
+      return -parseFactor();
+    }
+    if (peek() === '+') {
+      next();
+      return parseFactor();
+    }
+
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return base ** parseFactor();
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) return parseFloat(token);
+
+    if (Object.hasOwn(CONSTANTS, token)) return CONSTANTS[token];
+
+    if (Object.hasOwn(FUNCTIONS, token)) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[token](...args);
+    }
+
+    throw new Error(`Unknown token "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${peek()}"`);
+  }
+  return result;
+}
+
+export default {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, sin, cos, tan, log, ln, exp, round, floor, ceil, min, max.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(2 + 3) * sqrt(16)"'
+      }
+    },
+    required: ['expression']
+  },
+
+  async execute({ expression }) {
+    if (typeof expression !== 'string' || expression.length > 1000) {
+      throw new Error('Expression must be a string of at most 1000 characters');
+    }
+
+    const result = evaluate(expression);
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+
+    return { expression, result };
+  }
+};
@@ -0,0 +1,28 @@
+export default {
+  name: 'current_time',
+  description: 'Get the current date and time, optionally in a specific IANA timezone such as "Europe/Berlin".',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA timezone name. Defaults to UTC.'
+      }
+    }
+  },
+
+  async execute({ timezone }, { config = {} } = {}) {
+    const timeZone = timezone || config.timezone || 'UTC';
+    const now = new Date();
+
+    return {
+      iso: now.toISOString(),
+      timezone: timeZone,
+      formatted: new Intl.DateTimeFormat('en-US', {
+        dateStyle: 'full',
+        timeStyle: 'long',
+        timeZone
+      }).format(now)
+    };
+  }
+};
@@ -0,0 +1,13 @@
+import ToolRegistry from './toolRegistry.js';
+import calculator from './calculator.js';
+import currentTime from './currentTime.js';
+import readAttachment from './readAttachment.js';
+
+const toolRegistry = new ToolRegistry();
+
+toolRegistry.register(calculator);
+toolRegistry.register(currentTime);
+toolRegistry.register(readAttachment);
+
+export { ToolRegistry };
+export default toolRegistry;
@@ -0,0 +1,48 @@
+import attachmentService from '../attachmentService.js';
+
+const MAX_CHARACTERS = 20000;
+
+export default {
+  name: 'read_attachment',
+  description: 'Read the text of a file attached to this chat. Call without a name to list the available attachments.',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'File name of the attachment to read'
+      }
+    }
+  },
+
+  async execute({ name }, { chat, config = {} } = {}) {
+    if (!chat) {
+      throw new Error('No chat available');
+    }
+
+    if (!name) {
+      return {
+        attachments: attachmentService.listChatAttachments(chat)
+          .filter(attachment => attachmentService.isTextExtractable(attachment))
+          .map(attachment => ({ name: attachment.name, type: attachment.type }))
+      };
+    }
+
+    // Only attachments of the current chat can be read
+    const attachment = attachmentService.findChatAttachment(chat, name);
+    if (!attachment) {
+      throw new Error(`Attachment not found: ${name}`);
+    }
+
+    const pages = await attachmentService.extractText(attachment);
+    const limit = config.maxCharacters || MAX_CHARACTERS;
+    const text = pages.map(page => page.text).join('\n\n');
+
+    return {
+      name: attachment.name,
+      pages: pages.length,
+      truncated: text.length > limit,
+      text: text.slice(0, limit)
+    };
+  }
+};
@@ -0,0 +1,55 @@
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool?.name || typeof tool.execute !== 'function') {
+      throw new Error('Tool must have a name and an execute() function');
+    }
+
+    this.tools.set(tool.name, tool);
+    return tool;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  names() {
+    return Array.from(this.tools.keys());
+  }
+
+  // Provider-neutral definitions; adapters convert them to their wire format
+  getDefinitions(names) {
+    return names
+      .map(name => this.tools.get(name))
+      .filter(Boolean)
+      .map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  async execute(name, input = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { success: false, output: { error: `Unknown tool: ${name}` } };
+    }
+
+    try {
+      const output = await tool.execute(input, context);
+      return { success: true, output };
+    } catch (error) {
+      console.error(`Tool ${name} failed:`, error);
+      return { success: false, output: { error: error.message } };
+    }
+  }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,75 @@
+import Embedding from '../models/Embedding.js';
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Nearest-neighbour lookup over stored embeddings. Uses an Atlas vector index
+// when VECTOR_SEARCH_INDEX names one (with chatId, embedder and sourceType
+// declared as filter fields), otherwise scans the candidate vectors in process.
+class VectorStore {
+  constructor() {
+    this.atlasIndex = process.env.VECTOR_SEARCH_INDEX;
+  }
+
+  async upsert(entry) {
+    const { chatId, sourceType, sourceId, embedder } = entry;
+
+    await Embedding.updateOne(
+      { chatId, sourceType, sourceId, embedder },
+      { $set: entry },
+      { upsert: true }
+    );
+  }
+
+  async removeChat(chatId, filter = {}) {
+    await Embedding.deleteMany({ chatId, ...filter });
+  }
+
+  async findNearest(vector, { filter = {}, limit = 10, numCandidates = limit * 20 } = {}) {
+    if (this.atlasIndex) {
+      return Embedding.aggregate([
+        {
+          $vectorSearch: {
+            index: this.atlasIndex,
+            path: 'vector',
+            queryVector: vector,
+            numCandidates,
+            limit,
+            filter
+          }
+        },
+        { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+        { $project: { vector: 0 } }
+      ]);
+    }
+
+    const nearest = [];
+    const cursor = Embedding.find(filter).lean().cursor();
+
+    for await (const entry of cursor) {
+      const score = cosineSimilarity(vector, entry.vector);
+      if (nearest.length < limit || score > nearest[nearest.length - 1].score) {
+        const { vector: _vector, ...rest } = entry;
+        nearest.push({ ...rest, score });
+        nearest.sort((a, b) => b.score - a.score);
+        nearest.length = Math.min(nearest.length, limit);
+      }
+    }
+
+    return nearest;
+  }
+}
+
+export { cosineSimilarity };
+export default new VectorStore();
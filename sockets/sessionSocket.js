@@ -0,0 +1,338 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import aiService from '../services/aiService.js';
+import budgetService, { BudgetExceededError } from '../services/budgetService.js';
+import rateLimitService from '../services/rateLimitService.js';
+import streamService from '../services/streamService.js';
+import generationLockService, { GenerationInProgressError } from '../services/generationLockService.js';
+
+const TYPING_TIMEOUT_MS = 5000;
+
+const chatRoom = chatId => `chat:${chatId}`;
+
+const getToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7);
+
+  const cookie = (handshake.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith('token='));
+  return cookie ? decodeURIComponent(cookie.slice(6)) : null;
+};
+
+// Identifies the socket from its JWT. Anonymous sockets stay connected but
+// cannot join live sessions.
+const authenticate = async (socket, next) => {
+  try {
+    const token = getToken(socket.handshake);
+    const { id } = token ? jwt.verify(token, process.env.JWT_SECRET) : {};
+
+    if (id) {
+      const user = mongoose.models.User
+        ? await mongoose.models.User.findById(id).select('username email avatar organization').lean()
+        : null;
+
+      socket.data.userId = id;
+      socket.data.user = {
+        id,
+        username: user?.username,
+        email: user?.email,
+        avatar: user?.avatar,
+        organization: user?.organization
+      };
+      socket.data.typing = [];
+      socket.join(`user:${id}`);
+    }
+  } catch (error) {
+    socket.data.user = null;
+  }
+  next();
+};
+
+// Who is viewing a chat, across every worker. A user with several tabs open
+// is listed once.
+const getPresence = async (io, chatId) => {
+  const sockets = await io.in(chatRoom(chatId)).fetchSockets();
+  const viewers = new Map();
+
+  for (const { data } of sockets) {
+    if (!data.user) continue;
+
+    const { id, username, avatar } = data.user;
+    const viewer = viewers.get(id) || { id, username, avatar, typing: false };
+    viewer.typing = viewer.typing || data.typing.includes(chatId);
+    viewers.set(id, viewer);
+  }
+
+  return [...viewers.values()];
+};
+
+const broadcastPresence = async (io, chatId) => {
+  try {
+    io.to(chatRoom(chatId)).emit('presence:update', { chatId, viewers: await getPresence(io, chatId) });
+  } catch (error) {
+    console.error('Presence update failed:', error);
+  }
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Adapts the callback-style stream to a promise resolving to the full reply,
+// or the part received before the stream was stopped
+const streamReply = (chat, settings, signal, onChunk) => new Promise((resolve, reject) => {
+  let content = '';
+
+  aiService.streamChatResponse(chat, settings, {
+    onChunk: (chunk) => {
+      content += chunk;
+      onChunk(chunk);
+    },
+    onComplete: info => resolve({ ...info, content }),
+    onError: reject,
+    signal
+  });
+});
+
+// Live chat sessions: presence, typing indicators and assistant replies
+// streamed to everyone viewing the chat. Rooms live in the Redis adapter, so
+// participants connected to different workers see the same session.
+export default (io) => {
+  io.use(authenticate);
+
+  io.on('connection', (socket) => {
+    const typingTimers = new Map();
+
+    const requireUser = (ack) => {
+      if (socket.data.user) return socket.data.user;
+      reply(ack, { success: false, error: 'Not authorized' });
+      return null;
+    };
+
+    const setTyping = (chatId, typing) => {
+      clearTimeout(typingTimers.get(chatId));
+      typingTimers.delete(chatId);
+
+      const wasTyping = socket.data.typing.includes(chatId);
+      socket.data.typing = typing
+        ? [...new Set([...socket.data.typing, chatId])]
+        : socket.data.typing.filter(id => id !== chatId);
+
+      // Clients that vanish mid-sentence stop "typing" on their own
+      if (typing) {
+        typingTimers.set(chatId, setTimeout(() => setTyping(chatId, false), TYPING_TIMEOUT_MS));
+      }
+
+      if (wasTyping !== typing) {
+        socket.to(chatRoom(chatId)).emit('typing:update', {
+          chatId,
+          userId: socket.data.user.id,
+          username: socket.data.user.username,
+          typing
+        });
+      }
+    };
+
+    socket.on('chat:join', async ({ chatId } = {}, ack) => {
+      const user = requireUser(ack);
+      if (!user) return;
+
+      try {
+        const chat = await Chat.findById(chatId).select('userId visibility participants folderParticipants');
+        if (!chat || !chat.canView(user.id)) {
+          return reply(ack, { success: false, error: 'Chat not found' });
+        }
+
+        await socket.join(chatRoom(chatId));
+        await broadcastPresence(io, chatId);
+
+        reply(ack, {
+          success: true,
+          canEdit: chat.canEdit(user.id),
+          viewers: await getPresence(io, chatId),
+          generation: await generationLockService.getHolder(chatId),
+          stream: await streamService.getStream(chatId)
+        });
+      } catch (error) {
+        console.error('Chat join failed:', error);
+        reply(ack, { success: false, error: 'Could not join chat' });
+      }
+    });
+
+    socket.on('chat:leave', async ({ chatId } = {}, ack) => {
+      if (!socket.data.user || !socket.rooms.has(chatRoom(chatId))) {
+        return reply(ack, { success: false, error: 'Not in chat' });
+      }
+
+      setTyping(chatId, false);
+      await socket.leave(chatRoom(chatId));
+      await broadcastPresence(io, chatId);
+      reply(ack, { success: true });
+    });
+
+    socket.on('typing:start', ({ chatId } = {}) => {
+      if (socket.data.user && socket.rooms.has(chatRoom(chatId))) setTyping(chatId, true);
+    });
+
+    socket.on('typing:stop', ({ chatId } = {}) => {
+      if (socket.data.user && socket.rooms.has(chatRoom(chatId))) setTyping(chatId, false);
+    });
+
+    // Adds an editor's message and streams the reply to the whole room. While
+    // a reply is being generated other editors get "generation:busy".
+    socket.on('message:send', async ({ chatId, content } = {}, ack) => {
+      const user = requireUser(ack);
+      if (!user) return;
+
+      if (typeof content !== 'string' || !content.trim()) {
+        return reply(ack, { success: false, error: 'Message content is required' });
+      }
+
+      const room = chatRoom(chatId);
+
+      try {
+        const access = await Chat.findById(chatId).select('userId visibility participants folderParticipants');
+        if (!access || !access.canEdit(user.id)) {
+          return reply(ack, { success: false, error: 'Chat not found' });
+        }
+
+        const requests = await rateLimitService.checkSocket(socket, 'requests');
+        const tokens = requests.allowed && await rateLimitService.checkSocket(socket, 'tokens');
+        if (!requests.allowed || !tokens.allowed) {
+          return reply(ack, { success: false, error: 'Rate limit exceeded' });
+        }
+
+        await generationLockService.withLock(chatId, user.id, async () => {
+          // Re-read under the lock so the reply follows any that just finished
+          const chat = await Chat.findById(chatId);
+          if (!chat) {
+            return reply(ack, { success: false, error: 'Chat not found' });
+          }
+
+          setTyping(chatId, false);
+
+          const message = chat.addMessage({ role: 'user', content: content.trim() });
+          const { settings, downgraded } = await budgetService.preflight(chat, user);
+          await chat.save();
+
+          io.to(room).emit('message:created', { chatId, message });
+          reply(ack, { success: true, messageId: message.id });
+
+          const stream = await streamService.begin(chatId, {
+            userId: user.id,
+            parentId: message.id,
+            buffered: !chat.encryption?.enabled
+          });
+          const generation = { chatId, userId: user.id, parentId: message.id, streamId: stream.id };
+          io.to(room).emit('generation:start', generation);
+
+          let response;
+          try {
+            response = await streamReply(chat, settings, stream.signal, (chunk) => {
+              io.to(room).emit('generation:chunk', { ...generation, index: streamService.append(stream, chunk), chunk });
+            });
+          } catch (error) {
+            await streamService.end(stream, 'error', { error: error.message });
+            throw error;
+          }
+
+          const cancelled = response.finishReason === 'cancelled';
+
+          // A reply stopped before any text arrived leaves nothing to keep
+          if (cancelled && !response.content) {
+            await streamService.end(stream, 'cancelled');
+            io.to(room).emit('generation:complete', { ...generation, finishReason: 'cancelled' });
+            return;
+          }
+
+          const assistantMessage = chat.addAssistantMessage(
+            response,
+            downgraded ? { metadata: { budgetDowngrade: downgraded } } : {}
+          );
+          await budgetService.recordUsage(chat, user, assistantMessage);
+          await chat.save();
+          await streamService.end(stream, cancelled ? 'cancelled' : 'completed', { messageId: assistantMessage.id });
+
+          const quota = await rateLimitService.consume(tokens.subject, 'tokens', assistantMessage.tokens.total || 0);
+          socket.emit('quota:update', quota);
+
+          io.to(room).emit('message:created', { chatId, message: assistantMessage });
+          io.to(room).emit('generation:complete', {
+            ...generation,
+            messageId: assistantMessage.id,
+            finishReason: response.finishReason || 'stop'
+          });
+        });
+      } catch (error) {
+        if (error instanceof GenerationInProgressError) {
+          socket.emit('generation:busy', { chatId, generation: error.holder });
+          return reply(ack, { success: false, error: error.message, generation: error.holder });
+        }
+        if (error instanceof BudgetExceededError) {
+          return reply(ack, { success: false, error: error.message, budget: error.budget });
+        }
+
+        console.error('Live message failed:', error);
+        io.to(room).emit('generation:error', { chatId, userId: user.id, error: error.message });
+        reply(ack, { success: false, error: error.message });
+      }
+    });
+
+    // Stops the reply being generated in a chat; any editor can stop it. The
+    // text received so far is kept with finishReason "cancelled".
+    socket.on('generation:stop', async ({ chatId } = {}, ack) => {
+      const user = requireUser(ack);
+      if (!user) return;
+
+      try {
+        const chat = await Chat.findById(chatId).select('userId visibility participants folderParticipants');
+        if (!chat || !chat.canEdit(user.id)) {
+          return reply(ack, { success: false, error: 'Chat not found' });
+        }
+
+        const stream = await streamService.cancel(chatId);
+        reply(ack, stream
+          ? { success: true, streamId: stream.id }
+          : { success: false, error: 'No reply is being generated' });
+      } catch (error) {
+        console.error('Stopping generation failed:', error);
+        reply(ack, { success: false, error: 'Could not stop generation' });
+      }
+    });
+
+    // Catches a reconnecting client up on the chunks it missed
+    socket.on('generation:resume', async ({ chatId, from = 0 } = {}, ack) => {
+      if (!socket.data.user || !socket.rooms.has(chatRoom(chatId))) {
+        return reply(ack, { success: false, error: 'Not in chat' });
+      }
+
+      try {
+        const resumed = await streamService.resume(chatId, parseInt(from, 10) || 0);
+        reply(ack, resumed ? { success: true, ...resumed } : { success: false, error: 'No reply to resume' });
+      } catch (error) {
+        console.error('Resuming stream failed:', error);
+        reply(ack, { success: false, error: 'Could not resume stream' });
+      }
+    });
+
+    // Rooms are already empty by "disconnect", so remember them first
+    socket.on('disconnecting', () => {
+      socket.data.leaving = [...socket.rooms].filter(room => room.startsWith('chat:'));
+    });
+
+    socket.on('disconnect', () => {
+      for (const timer of typingTimers.values()) clearTimeout(timer);
+      if (!socket.data.user) return;
+
+      for (const room of socket.data.leaving || []) {
+        const chatId = room.slice('chat:'.length);
+        if (socket.data.typing.includes(chatId)) {
+          io.to(room).emit('typing:update', { chatId, userId: socket.data.user.id, username: socket.data.user.username, typing: false });
+        }
+        broadcastPresence(io, chatId);
+      }
+    });
+  });
+};
@@ -0,0 +1,241 @@
+// In-memory stand-in for the node-redis v4 client, covering the commands the
+// services use. Expiry is tracked but only enforced on read, which is enough
+// for tests that move the clock with jest's fake timers or Date.now mocks.
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.expiries = new Map();
+    this.isOpen = true;
+  }
+
+  flushAll() {
+    this.data.clear();
+    this.expiries.clear();
+  }
+
+  alive(key) {
+    const expiry = this.expiries.get(key);
+    if (expiry !== undefined && expiry <= Date.now()) {
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+    return this.data.has(key);
+  }
+
+  read(key, fallback) {
+    return this.alive(key) ? this.data.get(key) : fallback;
+  }
+
+  write(key, value) {
+    this.data.set(key, value);
+  }
+
+  // Strings
+  async get(key) {
+    const value = this.read(key, null);
+    return value === null ? null : String(value);
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.alive(key)) return null;
+
+    this.write(key, String(value));
+    this.expiries.delete(key);
+    if (options.EX) this.expiries.set(key, Date.now() + options.EX * 1000);
+    if (options.PX) this.expiries.set(key, Date.now() + options.PX);
+    return 'OK';
+  }
+
+  async incrBy(key, amount) {
+    const value = parseInt(this.read(key, '0'), 10) + amount;
+    this.write(key, String(value));
+    return value;
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys.flat()) {
+      if (this.alive(key)) removed += 1;
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+    return removed;
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter(key => this.alive(key)).length;
+  }
+
+  async expire(key, seconds) {
+    return this.pExpire(key, seconds * 1000);
+  }
+
+  async pExpire(key, ms) {
+    if (!this.alive(key)) return false;
+    this.expiries.set(key, Date.now() + ms);
+    return true;
+  }
+
+  async pTTL(key) {
+    if (!this.alive(key)) return -2;
+    const expiry = this.expiries.get(key);
+    return expiry === undefined ? -1 : expiry - Date.now();
+  }
+
+  async ttl(key) {
+    const ttl = await this.pTTL(key);
+    return ttl < 0 ? ttl : Math.ceil(ttl / 1000);
+  }
+
+  // Lists
+  list(key) {
+    if (!this.alive(key)) this.write(key, []);
+    return this.data.get(key);
+  }
+
+  async rPush(key, ...values) {
+    const list = this.list(key);
+    list.push(...values.flat().map(String));
+    return list.length;
+  }
+
+  async lRange(key, start, stop) {
+    const list = this.read(key, []);
+    const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+    return list.slice(start < 0 ? Math.max(list.length + start, 0) : start, end);
+  }
+
+  async lRem(key, count, value) {
+    const list = this.read(key, []);
+    const kept = list.filter(item => item !== String(value));
+    this.write(key, kept);
+    return list.length - kept.length;
+  }
+
+  async lLen(key) {
+    return this.read(key, []).length;
+  }
+
+  async blMove(source, destination, from, to) {
+    const list = this.read(source, []);
+    if (list.length === 0) return null;
+
+    const value = from === 'LEFT' ? list.shift() : list.pop();
+    const target = this.list(destination);
+    if (to === 'LEFT') target.unshift(value);
+    else target.push(value);
+    return value;
+  }
+
+  // Sorted sets
+  zset(key) {
+    if (!this.alive(key)) this.write(key, new Map());
+    return this.data.get(key);
+  }
+
+  sortedMembers(key) {
+    return [...this.read(key, new Map()).entries()]
+      .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || a.localeCompare(b));
+  }
+
+  async zAdd(key, members) {
+    const zset = this.zset(key);
+    let added = 0;
+    for (const { score, value } of [members].flat()) {
+      if (!zset.has(value)) added += 1;
+      zset.set(String(value), score);
+    }
+    return added;
+  }
+
+  async zRem(key, ...values) {
+    const zset = this.read(key, new Map());
+    return values.flat().filter(value => zset.delete(String(value))).length;
+  }
+
+  async zRange(key, start, stop, options = {}) {
+    const members = this.sortedMembers(key).map(([value]) => value);
+    if (options.REV) members.reverse();
+    return members.slice(start, stop < 0 ? members.length + stop + 1 : stop + 1);
+  }
+
+  async zRangeByScore(key, min, max) {
+    const low = min === '-inf' ? -Infinity : Number(min);
+    const high = max === '+inf' ? Infinity : Number(max);
+    return this.sortedMembers(key).filter(([, score]) => score >= low && score <= high).map(([value]) => value);
+  }
+
+  async zRemRangeByRank(key, start, stop) {
+    const members = await this.zRange(key, start, stop);
+    return this.zRem(key, ...members);
+  }
+
+  async zCard(key) {
+    return this.read(key, new Map()).size;
+  }
+
+  // Sets
+  async sAdd(key, ...values) {
+    if (!this.alive(key)) this.write(key, new Set());
+    const set = this.data.get(key);
+    let added = 0;
+    for (const value of values.flat()) {
+      if (!set.has(String(value))) added += 1;
+      set.add(String(value));
+    }
+    return added;
+  }
+
+  async sMembers(key) {
+    return [...this.read(key, new Set())];
+  }
+
+  // Hashes
+  async hIncrBy(key, field, amount) {
+    if (!this.alive(key)) this.write(key, {});
+    const hash = this.data.get(key);
+    hash[field] = String(parseInt(hash[field] || '0', 10) + amount);
+    return parseInt(hash[field], 10);
+  }
+
+  async hGetAll(key) {
+    return { ...this.read(key, {}) };
+  }
+
+  // MULTI queues commands and runs them in order on exec()
+  multi() {
+    const commands = [];
+    const chain = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') return () => Promise.all(commands.map(run => run()));
+        return (...args) => {
+          commands.push(() => this[name](...args));
+          return chain;
+        };
+      }
+    });
+    return chain;
+  }
+
+  duplicate() {
+    const copy = Object.create(this);
+    copy.connect = async () => {};
+    copy.quit = async () => {};
+    copy.on = () => copy;
+    return copy;
+  }
+
+  on() {
+    return this;
+  }
+
+  async connect() {}
+
+  async quit() {}
+}
+
+export default FakeRedis;
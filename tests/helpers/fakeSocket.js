@@ -0,0 +1,82 @@
+// In-memory stand-ins for a socket.io server and its sockets, enough to run
+// the handlers in sockets/ without a network. Everything emitted is recorded
+// in io.emitted (rooms) and socket.emitted (the socket itself).
+export class FakeServer {
+  constructor() {
+    this.sockets = [];
+    this.emitted = [];
+  }
+
+  use(middleware) {
+    this.middleware = middleware;
+  }
+
+  on(event, handler) {
+    if (event === 'connection') this.onConnection = handler;
+  }
+
+  to(room) {
+    return { emit: (event, payload) => this.emitted.push({ room, event, payload }) };
+  }
+
+  in(room) {
+    return { fetchSockets: async () => this.sockets.filter(socket => socket.rooms.has(room)) };
+  }
+
+  serverSideEmit() {}
+
+  async connect(token) {
+    const socket = new FakeSocket(this, token);
+    await new Promise(resolve => this.middleware(socket, resolve));
+    this.sockets.push(socket);
+    this.onConnection(socket);
+    return socket;
+  }
+
+  // Events sent to a room, optionally only those of one type
+  sent(room, event) {
+    return this.emitted
+      .filter(entry => entry.room === room && (!event || entry.event === event))
+      .map(entry => entry.payload);
+  }
+}
+
+export class FakeSocket {
+  constructor(server, token) {
+    this.server = server;
+    this.handshake = { auth: { token }, headers: {} };
+    this.data = {};
+    this.rooms = new Set();
+    this.handlers = new Map();
+    this.emitted = [];
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  leave(room) {
+    this.rooms.delete(room);
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+  }
+
+  emit(event, payload) {
+    this.emitted.push({ event, payload });
+  }
+
+  // Broadcasts from a socket skip the socket itself
+  to(room) {
+    return { emit: (event, payload) => this.server.emitted.push({ room, event, payload, from: this }) };
+  }
+
+  // Runs a client event and resolves once its handler has finished, with
+  // whatever the handler acknowledged
+  async call(event, payload) {
+    let ack;
+    await this.handlers.get(event)(payload, (response) => { ack = response; });
+    return ack;
+  }
+}
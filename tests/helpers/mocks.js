@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import FakeRedis from './fakeRedis.js';
+
+// Module mocks shared by the test suites. They must be registered before the
+// module under test is imported, so suites call these and then import it
+// with `await import(...)`.
+
+// Provider SDKs are not needed by the logic under test; the adapters only
+// construct their clients
+export const mockProviderSdks = () => {
+  class Client {}
+
+  mockPackage('openai', { Configuration: Client, OpenAIApi: Client });
+  mockPackage('@anthropic-ai/sdk', { default: Client });
+  mockPackage('cohere-ai', { default: { init: () => {} } });
+  mockPackage('@huggingface/inference', { HfInference: Client });
+};
+
+// Mocks a package that may not be installed. Jest looks virtual ES module
+// mocks up among the CommonJS ones, so the package is registered as both.
+export const mockPackage = (name, exports) => {
+  jest.mock(name, () => exports, { virtual: true });
+  jest.unstable_mockModule(name, () => exports, { virtual: true });
+};
+
+// The shared connection in config/redis.js connects on import; suites get an
+// in-memory stand-in instead
+export const mockRedis = () => {
+  const redis = new FakeRedis();
+  jest.unstable_mockModule('../../config/redis.js', () => ({ default: redis }));
+  return redis;
+};
+
+// Replaces the auth middleware, which is not part of this tree, with one that
+// trusts an x-test-user header
+export const mockAuth = () => {
+  const protect = (req, res, next) => {
+    const userId = req.get('x-test-user');
+    if (!userId) return res.status(401).json({ success: false, error: 'Not authorized' });
+
+    req.user = { id: userId, _id: userId, email: `${userId}@example.com`, plan: req.get('x-test-plan') || 'free' };
+    next();
+  };
+  const optionalAuth = (req, res, next) => (req.get('x-test-user') ? protect(req, res, next) : next());
+  const authorize = () => (req, res, next) => next();
+
+  mockPackage('../../middleware/auth.js', { protect, optionalAuth, authorize });
+  return { protect, optionalAuth, authorize };
+};
+
+// Embedding and attachment indexing run after chat saves; suites that save
+// chats replace them with no-ops
+export const mockIndexing = () => {
+  const embeddingService = {
+    enqueue: jest.fn(),
+    schedule: jest.fn(),
+    removeChat: jest.fn(async () => {})
+  };
+  const ragService = {
+    enqueue: jest.fn(),
+    indexChatAttachments: jest.fn(async () => {}),
+    retrieve: jest.fn(async () => []),
+    formatContext: jest.fn(() => '')
+  };
+
+  jest.unstable_mockModule('../../services/embeddingService.js', () => ({ default: embeddingService }));
+  jest.unstable_mockModule('../../services/ragService.js', () => ({ default: ragService }));
+  return { embeddingService, ragService };
+};
+
+// Answers a model's writes without a database. The returned mocks hold the
+// documents and updates that were sent.
+export const stubWrites = (Model) => {
+  const collection = Model.collection;
+  const writes = {
+    insertOne: jest.fn(async () => ({ acknowledged: true, insertedId: null })),
+    updateOne: jest.fn(async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }))
+  };
+
+  Object.assign(collection, writes);
+  return writes;
+};
+
+// models/Chat.js loads its Mongoose plugins with require(); under ES modules
+// the test context provides one that returns no-op plugins
+export const mockSchemaPlugins = () => {
+  globalThis.require = () => () => {};
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { body } from 'express-validator';
+import { validate, validateWith } from '../../middleware/validate.js';
+
+const appWith = (validator) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/', body('name').isString(), validator, (req, res) => res.json({ success: true }));
+  return app;
+};
+
+describe('validate', () => {
+  it('passes valid requests on', async () => {
+    const res = await request(appWith(validate)).post('/').send({ name: 'ok' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('answers 400 with the validation errors', async () => {
+    const res = await request(appWith(validate)).post('/').send({ name: 1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors[0]).toMatchObject({ path: 'name' });
+  });
+
+  it('lets validateWith shape the error response', async () => {
+    const app = appWith(validateWith((res, [first]) => res.status(422).json({ error: { param: first.path } })));
+
+    const res = await request(app).post('/').send({});
+
+    expect(res.status).toBe(422);
+    expect(res.body).toEqual({ error: { param: 'name' } });
+  });
+});
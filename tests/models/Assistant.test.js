@@ -0,0 +1,74 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks } from '../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { default: Assistant } = await import('../../models/Assistant.js');
+
+const build = (fields = {}) => new Assistant({
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Reviewer',
+  instructions: 'Review {{language}} code for {{team}}.',
+  ...fields
+});
+
+describe('Assistant', () => {
+  it('declares variables used in the instructions', async () => {
+    const assistant = build();
+
+    await assistant.validate();
+
+    expect(assistant.variables.map(variable => variable.name)).toEqual(['language', 'team']);
+  });
+
+  it('rejects variable names with dots', async () => {
+    const assistant = build({ variables: [{ name: 'user.name' }] });
+
+    await expect(assistant.validate()).rejects.toThrow(/variables\.0\.name/);
+  });
+
+  it('does not treat dotted placeholders as variables', async () => {
+    const assistant = build({ instructions: 'Hello {{user.name}}' });
+
+    await assistant.validate();
+
+    expect(assistant.variables).toHaveLength(0);
+  });
+
+  describe('toChatData', () => {
+    it('records given values and the defaults it used', async () => {
+      const assistant = build({
+        variables: [{ name: 'language' }, { name: 'team', default: 'platform' }, { name: 'tone', required: false }]
+      });
+      await assistant.validate();
+
+      const data = assistant.toChatData({ language: 'Go', ignored: 'x' });
+
+      expect(data.settings.systemPrompt).toBe('Review Go code for platform.');
+      expect(data.assistant.variables).toEqual({ language: 'Go', team: 'platform' });
+    });
+
+    it('reports required variables without a value', async () => {
+      const assistant = build();
+      await assistant.validate();
+
+      expect(() => assistant.toChatData({ language: 'Go' })).toThrow('Missing values for: team');
+    });
+
+    it('does not take values from Object.prototype', async () => {
+      const assistant = build({
+        instructions: 'Use {{constructor}} and {{toString}}.',
+        variables: [{ name: 'constructor', default: 'Go' }, { name: 'toString' }]
+      });
+      await assistant.validate();
+
+      expect(() => assistant.toChatData({})).toThrow('Missing values for: toString');
+
+      const data = assistant.toChatData({ toString: 'tabs' });
+
+      expect(data.settings.systemPrompt).toBe('Use Go and tabs.');
+      expect(data.assistant.variables).toEqual({ constructor: 'Go', toString: 'tabs' });
+    });
+  });
+});
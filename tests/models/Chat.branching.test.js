@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+
+const contents = path => path.map(msg => msg.content);
+
+describe('Chat branching', () => {
+  let chat;
+  let question;
+  let answer;
+
+  beforeEach(() => {
+    chat = new Chat({ title: 'Branches', userId: new mongoose.Types.ObjectId() });
+    question = chat.addMessage({ role: 'user', content: 'Question' });
+    answer = chat.addMessage({ role: 'assistant', content: 'Answer' });
+    chat.addMessage({ role: 'user', content: 'Follow-up' });
+  });
+
+  it('chains new messages to the active leaf', () => {
+    expect(answer.parentId).toBe(question.id);
+    expect(contents(chat.getActivePath())).toEqual(['Question', 'Answer', 'Follow-up']);
+  });
+
+  it('adds edits as sibling branches and keeps the original', () => {
+    const edited = chat.editMessage(question.id, 'Better question');
+
+    expect(edited).toMatchObject({ parentId: null, version: 2, isEdited: true });
+    expect(contents(chat.getActivePath())).toEqual(['Better question']);
+    expect(chat.getBranchInfo(edited.id)).toEqual({ index: 1, count: 2, siblingIds: [question.id, edited.id] });
+    expect(chat.messages).toHaveLength(4);
+  });
+
+  it('regenerates from the prompt of an assistant message', () => {
+    expect(contents(chat.prepareRegeneration(answer.id))).toEqual(['Question']);
+
+    const retry = chat.addMessage({ role: 'assistant', content: 'Another answer' });
+
+    expect(retry).toMatchObject({ parentId: question.id, version: 2 });
+    expect(chat.getActivePathWithBranches().map(msg => msg.branch.count)).toEqual([1, 2]);
+  });
+
+  it('only regenerates assistant messages with a prompt', () => {
+    expect(() => chat.prepareRegeneration(question.id)).toThrow('Only assistant messages can be regenerated');
+  });
+
+  it('switches back to the newest leaf of another branch', () => {
+    chat.editMessage(question.id, 'Better question');
+
+    expect(contents(chat.switchBranch(question.id))).toEqual(['Question', 'Answer', 'Follow-up']);
+    expect(() => chat.switchBranch('missing')).toThrow('Message not found');
+  });
+
+  it('reads messages stored before branching as one linear thread', () => {
+    const legacy = new Chat({
+      title: 'Old',
+      userId: new mongoose.Types.ObjectId(),
+      messages: [
+        { id: 'a', role: 'user', content: 'One' },
+        { id: 'b', role: 'assistant', content: 'Two' }
+      ]
+    });
+
+    expect(contents(legacy.getActivePath())).toEqual(['One', 'Two']);
+    expect(legacy.addMessage({ role: 'user', content: 'Three' }).parentId).toBe('b');
+  });
+});
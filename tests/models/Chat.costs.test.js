@@ -0,0 +1,68 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins, stubWrites } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+const { default: pricingService } = await import('../../services/pricingService.js');
+
+const buildChat = () => {
+  const chat = new Chat({ title: 'Costs', userId: new mongoose.Types.ObjectId() });
+  chat.addMessage({ role: 'user', content: 'Explain' });
+  chat.addMessage({
+    role: 'assistant',
+    content: 'Answer',
+    tokens: { prompt: 100, completion: 50, total: 150 },
+    metadata: { provider: 'openai', model: 'gpt-4' },
+    cost: 0.01
+  });
+  chat.addMessage({
+    role: 'assistant',
+    content: '![cat](https://files/cat.png)',
+    metadata: { provider: 'openai', model: 'dall-e-3', costType: 'image', imageSize: '1024x1792', imageQuality: 'hd', imagePrompt: 'cat' },
+    cost: 0.04
+  });
+  chat.addMessage({
+    role: 'assistant',
+    content: '![dog](https://files/dog.png)',
+    metadata: { provider: 'openai', model: 'dall-e-3', imagePrompt: 'dog' },
+    cost: 0.04
+  });
+  return chat;
+};
+
+describe('Chat.recomputeMessageCosts', () => {
+  let chat;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    stubWrites(Chat);
+    chat = buildChat();
+    jest.spyOn(Chat, 'find').mockReturnValue({ cursor: () => [chat][Symbol.iterator]() });
+    jest.spyOn(pricingService, 'tokenCost').mockReturnValue(0.02);
+    jest.spyOn(pricingService, 'imageCost').mockReturnValue(0.12);
+  });
+
+  it('reprices token and image messages with their own prices', async () => {
+    const result = await Chat.recomputeMessageCosts();
+
+    const [, tokenReply, image, legacyImage] = chat.messages;
+    expect(tokenReply.cost).toBe(0.02);
+    expect(image.cost).toBe(0.12);
+    expect(pricingService.imageCost).toHaveBeenCalledWith('openai', 'dall-e-3', { size: '1024x1792', quality: 'hd' }, image.createdAt);
+    expect(pricingService.tokenCost).toHaveBeenCalledTimes(1);
+    expect(legacyImage.cost).toBe(0.04);
+    expect(result).toMatchObject({ chats: 1, messages: 2 });
+  });
+
+  it('rebuilds the totals from the message costs', async () => {
+    await Chat.recomputeMessageCosts();
+
+    expect(chat.costTracking.totalCost).toBeCloseTo(0.18);
+    expect(chat.costTracking.costBreakdown.get(pricingService.costKey('openai', 'dall-e-3'))).toBeCloseTo(0.16);
+  });
+});
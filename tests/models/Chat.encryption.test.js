@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins, stubWrites } from '../helpers/mocks.js';
+
+process.env.ENCRYPTION_KEYS = `1:${crypto.randomBytes(32).toString('base64')},2:${crypto.randomBytes(32).toString('base64')}`;
+process.env.ENCRYPTION_KEY_VERSION = '1';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+const { default: encryptionService } = await import('../../services/encryptionService.js');
+
+const isEncrypted = value => encryptionService.isEncrypted(value);
+
+describe('Chat at-rest encryption', () => {
+  let writes;
+
+  beforeEach(() => {
+    writes = stubWrites(Chat);
+    encryptionService.currentVersion = 1;
+  });
+
+  // Saves a new encrypted chat and loads it back from what was written
+  const loadStoredChat = async () => {
+    const chat = new Chat({ title: 'Secret', userId: new mongoose.Types.ObjectId(), encryption: { enabled: true } });
+    chat.addMessage({ role: 'user', content: 'first question', attachments: [{ type: 'pdf', url: 'https://files/a.pdf', name: 'a.pdf' }] });
+    chat.addMessage({ role: 'assistant', content: 'first answer' });
+    await chat.save();
+
+    const [stored] = writes.insertOne.mock.calls[0];
+    writes.insertOne.mockClear();
+    return { stored, chat: Chat.hydrate(stored) };
+  };
+
+  it('writes new chats encrypted and keeps plaintext in memory', async () => {
+    const chat = new Chat({ title: 'Secret', userId: new mongoose.Types.ObjectId(), encryption: { enabled: true } });
+    chat.addMessage({ role: 'user', content: 'hello' });
+    await chat.save();
+
+    const [stored] = writes.insertOne.mock.calls[0];
+    expect(isEncrypted(stored.messages[0].content)).toBe(true);
+    expect(stored.encryption.wrappedKey).toBeTruthy();
+    expect(chat.messages[0].content).toBe('hello');
+    expect(chat.isModified()).toBe(false);
+  });
+
+  it('decrypts on load without marking the chat modified', async () => {
+    const { stored, chat } = await loadStoredChat();
+
+    expect(isEncrypted(stored.messages[1].content)).toBe(true);
+    expect(isEncrypted(stored.messages[0].attachments[0].url)).toBe(true);
+    expect(chat.messages[0].content).toBe('first question');
+    expect(chat.messages[0].attachments[0].url).toBe('https://files/a.pdf');
+    expect(chat.isModified()).toBe(false);
+  });
+
+  it('writes added messages encrypted and leaves the chat clean', async () => {
+    const { chat } = await loadStoredChat();
+
+    chat.addMessage({ role: 'user', content: 'second question' });
+    await chat.save();
+
+    // Message timestamps make Mongoose rewrite the array on push
+    const [, update] = writes.updateOne.mock.calls[0];
+    const written = update.$push?.messages.$each || update.$set.messages;
+    expect(written.every(msg => isEncrypted(msg.content))).toBe(true);
+    expect(chat.messages.map(msg => msg.content)).toEqual(['first question', 'first answer', 'second question']);
+    expect(chat.isModified()).toBe(false);
+  });
+
+  it('encrypts only the edited message', async () => {
+    const { chat } = await loadStoredChat();
+
+    chat.messages[1].content = 'corrected answer';
+    await chat.save();
+
+    const [, update] = writes.updateOne.mock.calls[0];
+    const contentPaths = Object.keys(update.$set).filter(path => /content|url|name/.test(path));
+    expect(contentPaths).toEqual(['messages.1.content']);
+    expect(isEncrypted(update.$set['messages.1.content'])).toBe(true);
+    expect(chat.messages[1].content).toBe('corrected answer');
+  });
+
+  it('encrypts every message when the whole array is rewritten', async () => {
+    const { chat } = await loadStoredChat();
+
+    chat.messages[0].content = 'changed';
+    chat.addMessage({ role: 'user', content: 'appended' });
+    await chat.save();
+
+    const [, update] = writes.updateOne.mock.calls[0];
+    const written = update.$set.messages;
+    expect(written).toHaveLength(3);
+    expect(written.every(msg => isEncrypted(msg.content))).toBe(true);
+    expect(isEncrypted(written[0].attachments[0].name)).toBe(true);
+  });
+
+  it('restores plaintext and keeps changes pending when a save fails', async () => {
+    const { chat } = await loadStoredChat();
+    writes.updateOne.mockRejectedValueOnce(new Error('connection lost'));
+
+    chat.messages[1].content = 'unsaved edit';
+    await expect(chat.save()).rejects.toThrow('connection lost');
+
+    const [, failed] = writes.updateOne.mock.calls[0];
+    expect(isEncrypted(failed.$set['messages.1.content'])).toBe(true);
+    expect(chat.messages[1].content).toBe('unsaved edit');
+    expect(chat.isModified('messages.1.content')).toBe(true);
+
+    await chat.save();
+    const [, retried] = writes.updateOne.mock.calls[1];
+    expect(isEncrypted(retried.$set['messages.1.content'])).toBe(true);
+    expect(chat.messages[1].content).toBe('unsaved edit');
+  });
+
+  it('re-encrypts everything under the current key version when rotating', async () => {
+    const { chat } = await loadStoredChat();
+    encryptionService.currentVersion = 2;
+
+    await chat.rotateEncryptionKey();
+
+    const [, update] = writes.updateOne.mock.calls[0];
+    expect(update.$set['encryption.keyVersion'] ?? update.$set.encryption?.keyVersion).toBe(2);
+    expect(update.$set.messages.every(msg => isEncrypted(msg.content))).toBe(true);
+
+    const reloaded = Chat.hydrate({ ...chat.toObject(), ...update.$set, encryption: chat.encryption.toObject() });
+    expect(reloaded.messages.map(msg => msg.content)).toEqual(['first question', 'first answer']);
+  });
+
+  it('encrypts tool calls, their results and citations', async () => {
+    const chat = new Chat({ title: 'Secret', userId: new mongoose.Types.ObjectId(), encryption: { enabled: true } });
+    chat.addMessage({ role: 'user', content: 'What does the handbook say?' });
+    chat.addAssistantMessage({
+      content: 'Two weeks notice [1].',
+      provider: 'openai',
+      model: 'gpt-4',
+      tokens: 20,
+      context: { elidedCount: 0, citations: [{ ref: 1, name: 'handbook.pdf', page: 2 }] },
+      toolMessages: [{
+        content: '{"text":"Vacation needs two weeks notice"}',
+        toolCall: { id: 'call-1', name: 'read_attachment', input: { name: 'handbook.pdf' } },
+        output: { text: 'Vacation needs two weeks notice' },
+        success: true
+      }]
+    });
+    await chat.save();
+
+    const [stored] = writes.insertOne.mock.calls[0];
+    const [, tool, answer] = stored.messages;
+    const withMaps = (key, value) => (value instanceof Map ? Object.fromEntries(value) : value);
+    expect(JSON.stringify(stored.messages, withMaps)).not.toMatch(/handbook|Vacation/);
+    expect(isEncrypted(tool.tools[0].input.get('name'))).toBe(true);
+    expect(isEncrypted(tool.tools[0].output.get('text'))).toBe(true);
+    expect(isEncrypted(answer.metadata.get('citations'))).toBe(true);
+    expect(answer.metadata.get('provider')).toBe('openai');
+    expect(chat.isModified()).toBe(false);
+
+    const loaded = Chat.hydrate(stored);
+    expect(Object.fromEntries(loaded.messages[1].tools[0].input)).toEqual({ name: 'handbook.pdf' });
+    expect(loaded.messages[1].tools[0].output.get('text')).toBe('Vacation needs two weeks notice');
+    expect(loaded.messages[2].metadata.get('citations')).toEqual([{ ref: 1, name: 'handbook.pdf', page: 2 }]);
+    expect(loaded.isModified()).toBe(false);
+  });
+});
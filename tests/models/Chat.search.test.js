@@ -0,0 +1,63 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+
+const hit = (chatScore, content, createdAt = '2024-01-01') => ({
+  chatId: new mongoose.Types.ObjectId(),
+  title: 'Chat',
+  chatScore,
+  message: { id: content, role: 'user', content, createdAt }
+});
+
+describe('Chat.searchMessages', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not query for queries without terms', async () => {
+    const aggregate = jest.spyOn(Chat, 'aggregate');
+
+    expect(await Chat.searchMessages(userId, { query: ' a ' })).toMatchObject({ results: [], total: 0 });
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+
+  it('searches accessible, unencrypted chats and applies filters', async () => {
+    const aggregate = jest.spyOn(Chat, 'aggregate').mockResolvedValue([]);
+
+    await Chat.searchMessages(userId, { query: 'redis "rate limit"', role: 'assistant', tag: 'infra', from: '2024-01-01' });
+
+    const [chatMatch, , , , , messageMatch] = aggregate.mock.calls[0][0].map(stage => stage.$match);
+    expect(chatMatch).toMatchObject({
+      $text: { $search: 'redis "rate limit"' },
+      status: 'active',
+      tags: 'infra',
+      'encryption.enabled': { $ne: true }
+    });
+    expect(chatMatch.$or).toHaveLength(3);
+    expect(messageMatch).toMatchObject({ 'messages.role': 'assistant', 'messages.createdAt': { $gte: new Date('2024-01-01') } });
+    expect(messageMatch['messages.content'].$regex.test('Rate limit')).toBe(true);
+  });
+
+  it('ranks messages matching more terms first and pages the results', async () => {
+    jest.spyOn(Chat, 'aggregate').mockResolvedValue([
+      hit(1, 'redis only'),
+      hit(1, 'redis with a rate limit'),
+      hit(1.5, 'rate limit only')
+    ]);
+
+    const { results, total } = await Chat.searchMessages(userId, { query: 'redis "rate limit"', limit: 2 });
+
+    expect(total).toBe(3);
+    expect(results.map(result => result.messageId)).toEqual(['redis with a rate limit', 'rate limit only']);
+    expect(results[0].highlights).toEqual([[0, 5], [13, 23]]);
+  });
+});
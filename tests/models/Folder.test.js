@@ -0,0 +1,131 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+const { default: Folder } = await import('../../models/Folder.js');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A query that can be awaited directly or narrowed with select() and lean()
+const query = value => ({
+  select: () => query(value),
+  lean: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const includesId = (ids, value) => ids.some(entry => entry.equals(value));
+
+describe('Folder', () => {
+  const owner = id();
+  let folders;
+  let chatUpdates;
+
+  const addFolder = (name, parent = null, participants = []) => {
+    const folder = new Folder({
+      userId: owner,
+      name,
+      parentId: parent ? parent._id : null,
+      path: parent ? [...parent.path, parent._id] : [],
+      participants
+    });
+    folders.push(folder);
+    return folder;
+  };
+
+  beforeEach(() => {
+    folders = [];
+    chatUpdates = [];
+
+    jest.spyOn(Folder.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Folder, 'find').mockImplementation(({ path, _id }) => query(folders.filter(folder => (
+      path ? includesId(folder.path, path) : includesId(_id.$in, folder._id)
+    ))));
+    jest.spyOn(Folder, 'bulkWrite').mockImplementation(async (operations) => {
+      for (const { updateOne: { filter, update } } of operations) {
+        folders.find(folder => folder._id.equals(filter._id)).path = update.$set.path;
+      }
+    });
+    jest.spyOn(Chat, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Chat, 'updateMany').mockImplementation(async (filter, update) => {
+      chatUpdates.push({ folderId: filter.folderId, participants: update.$set.folderParticipants });
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('inherits the strongest role from its ancestors', async () => {
+    const [alice, bob] = [id(), id()];
+    const work = addFolder('Work', null, [{ userId: alice, role: 'editor' }, { userId: bob, role: 'viewer' }]);
+    const reports = addFolder('Reports', work, [{ userId: alice, role: 'viewer' }, { userId: bob, role: 'commenter' }]);
+
+    const participants = await reports.getEffectiveParticipants();
+
+    expect(participants.map(p => [p.userId.toString(), p.role])).toEqual([
+      [alice.toString(), 'editor'],
+      [bob.toString(), 'commenter']
+    ]);
+  });
+
+  it('refuses to move a folder into itself or below itself', async () => {
+    const work = addFolder('Work');
+    const reports = addFolder('Reports', work);
+
+    await expect(work.moveTo(work)).rejects.toThrow('A folder cannot be moved into itself');
+    await expect(work.moveTo(reports)).rejects.toThrow('A folder cannot be moved into itself');
+    expect(Folder.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rewrites the path of everything below a moved folder', async () => {
+    const archive = addFolder('Archive');
+    const work = addFolder('Work');
+    const reports = addFolder('Reports', work);
+    const quarterly = addFolder('Quarterly', reports);
+
+    await reports.moveTo(archive);
+
+    expect(reports.parentId).toEqual(archive._id);
+    expect(reports.path).toEqual([archive._id]);
+    expect(quarterly.path).toEqual([archive._id, reports._id]);
+
+    await reports.moveTo(null);
+
+    expect(reports.path).toEqual([]);
+    expect(quarterly.path).toEqual([reports._id]);
+  });
+
+  it('copies inherited access onto the chats of each subfolder', async () => {
+    const [alice, bob] = [id(), id()];
+    const work = addFolder('Work', null, [{ userId: alice, role: 'viewer' }]);
+    const reports = addFolder('Reports', work, [{ userId: bob, role: 'editor' }]);
+
+    await work.syncChatAccess();
+
+    const access = Object.fromEntries(chatUpdates.map(({ folderId, participants }) => [
+      folderId.toString(),
+      participants.map(p => `${p.userId}:${p.role}`)
+    ]));
+    expect(access).toEqual({
+      [work._id]: [`${alice}:viewer`],
+      [reports._id]: [`${alice}:viewer`, `${bob}:editor`]
+    });
+  });
+
+  it('lets participants of an ancestor view a folder', async () => {
+    const alice = id();
+    const work = addFolder('Work', null, [{ userId: alice, role: 'viewer' }]);
+    const reports = addFolder('Reports', work);
+
+    expect(await reports.canView(alice)).toBe(true);
+    expect(await reports.canView(owner)).toBe(true);
+    expect(await reports.canView(id())).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { mockAuth, mockIndexing, mockProviderSdks, stubWrites } from '../helpers/mocks.js';
+
+process.env.S3_BUCKET_NAME = 'chat-files';
+process.env.AWS_REGION = 'eu-west-1';
+
+mockProviderSdks();
+mockAuth();
+mockIndexing();
+jest.unstable_mockModule('../../models/Chat.js', () => ({ default: { create: jest.fn() } }));
+
+const { default: Assistant } = await import('../../models/Assistant.js');
+const { default: assistantRoutes } = await import('../../routes/assistants.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/assistants', assistantRoutes);
+
+const create = attachments => request(app)
+  .post('/api/v1/assistants')
+  .set('x-test-user', new mongoose.Types.ObjectId().toString())
+  .send({ name: 'Helper', instructions: 'Help with {{topic}}', attachments });
+
+describe('POST /api/v1/assistants', () => {
+  beforeEach(() => {
+    stubWrites(Assistant);
+  });
+
+  it('accepts files from the app storage', async () => {
+    const res = await create([{ type: 'pdf', name: 'guide.pdf', url: 'https://chat-files.s3.eu-west-1.amazonaws.com/uploads/guide.pdf' }]);
+
+    expect(res.status).toBe(201);
+  });
+
+  it.each([
+    'http://169.254.169.254/latest/meta-data/iam/',
+    'http://internal-admin.local/export.pdf',
+    'https://example.com/guide.pdf'
+  ])('rejects attachments at %s', async (url) => {
+    const res = await create([{ type: 'pdf', name: 'guide.pdf', url }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe('attachments[0].url');
+  });
+});
@@ -0,0 +1,55 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { mockAuth } from '../helpers/mocks.js';
+
+mockAuth();
+
+const Budget = { findOneAndUpdate: jest.fn(async (filter, update) => ({ ...filter, ...update.$set })) };
+
+jest.unstable_mockModule('../../models/Budget.js', () => ({ default: Budget }));
+jest.unstable_mockModule('../../models/Chat.js', () => ({ default: { findById: jest.fn() } }));
+
+const { default: budgetRoutes } = await import('../../routes/budgets.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/budgets', budgetRoutes);
+
+describe('budget routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('sets the user budget', async () => {
+    const res = await request(app)
+      .put('/api/v1/budgets/user')
+      .set('x-test-user', 'user-1')
+      .send({ limit: 20, warningThresholds: [0.5] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.budget).toMatchObject({ scope: 'user', scopeId: 'user-1', limit: 20, warningThresholds: [0.5] });
+  });
+
+  it('does not let users mail warnings to other addresses', async () => {
+    const res = await request(app)
+      .put('/api/v1/budgets/user')
+      .set('x-test-user', 'user-1')
+      .send({ limit: 20, notifyEmails: ['someone@example.com'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ path: 'notifyEmails', msg: 'Only organization budgets can notify other addresses' });
+    expect(Budget.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('lets admins set addresses on organization budgets', async () => {
+    const organizationId = '64b7f0c2a1b2c3d4e5f60718';
+    const res = await request(app)
+      .put(`/api/v1/budgets/organization/${organizationId}`)
+      .set('x-test-user', 'admin-1')
+      .send({ limit: 500, notifyEmails: ['finance@example.com'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.budget).toMatchObject({ scope: 'organization', notifyEmails: ['finance@example.com'] });
+  });
+});
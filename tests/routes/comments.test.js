@@ -0,0 +1,91 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { mockAuth, stubWrites } from '../helpers/mocks.js';
+
+mockAuth();
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const chatId = new mongoose.Types.ObjectId().toString();
+
+const chat = {
+  _id: chatId,
+  id: chatId,
+  title: 'Secret plans',
+  userId: ownerId,
+  participants: [],
+  folderParticipants: [],
+  canView: userId => userId === ownerId,
+  canComment: userId => userId === ownerId,
+  findMessage: id => (id === 'm1' ? { id: 'm1', content: 'The launch is on Friday' } : null)
+};
+
+jest.unstable_mockModule('../../models/Chat.js', () => ({
+  default: { findById: jest.fn(async id => (String(id) === chatId ? chat : null)) }
+}));
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  default: { emitToChat: jest.fn(), emitToUser: jest.fn() }
+}));
+
+const { default: Comment } = await import('../../models/Comment.js');
+const { default: commentRoutes } = await import('../../routes/comments.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/chat/:chatId/comments', commentRoutes);
+
+describe('comment routes', () => {
+  let writes;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    writes = stubWrites(Comment);
+    jest.spyOn(Comment.prototype, 'populate').mockImplementation(async function() { return this; });
+  });
+
+  it('stores only the offsets of a quoted range', async () => {
+    const res = await request(app)
+      .post(`/api/v1/chat/${chatId}/comments`)
+      .set('x-test-user', ownerId)
+      .send({ content: 'Too soon?', messageId: 'm1', range: { start: 17, end: 23 } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.comment.range).toEqual({ start: 17, end: 23, quote: 'Friday' });
+
+    const [stored] = writes.insertOne.mock.calls[0];
+    expect(stored.range).toEqual({ start: 17, end: 23 });
+    expect(JSON.stringify(stored)).not.toContain('Friday');
+  });
+
+  it('rejects ranges outside the message', async () => {
+    const res = await request(app)
+      .post(`/api/v1/chat/${chatId}/comments`)
+      .set('x-test-user', ownerId)
+      .send({ content: 'Hm', messageId: 'm1', range: { start: 5, end: 500 } });
+
+    expect(res.status).toBe(400);
+    expect(writes.insertOne).not.toHaveBeenCalled();
+  });
+
+  it('adds the quoted text when listing threads', async () => {
+    const stored = { _id: new mongoose.Types.ObjectId(), messageId: 'm1', parentId: null, content: 'Too soon?', range: { start: 4, end: 10 } };
+    const chain = { sort: () => chain, populate: () => chain, lean: async () => [stored] };
+    jest.spyOn(Comment, 'find').mockReturnValue(chain);
+
+    const res = await request(app)
+      .get(`/api/v1/chat/${chatId}/comments`)
+      .set('x-test-user', ownerId);
+
+    expect(res.status).toBe(200);
+    expect(res.body.threads[0].range.quote).toBe('launch');
+  });
+
+  it('hides chats the user cannot see', async () => {
+    const res = await request(app)
+      .get(`/api/v1/chat/${chatId}/comments`)
+      .set('x-test-user', new mongoose.Types.ObjectId().toString());
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,154 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { mockProviderSdks, mockRedis } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+
+const { default: ApiKey } = await import('../../models/ApiKey.js');
+const { default: aiService } = await import('../../services/aiService.js');
+const { default: budgetService, BudgetExceededError } = await import('../../services/budgetService.js');
+const { default: rateLimitService } = await import('../../services/rateLimitService.js');
+const { default: gatewayRoutes } = await import('../../routes/gateway.js');
+
+// The User model is not part of this tree
+const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema({ email: String }));
+
+const app = express();
+app.use(express.json());
+app.use('/v1', gatewayRoutes);
+
+const user = { _id: new mongoose.Types.ObjectId(), id: 'user-1', email: 'user@example.com' };
+const validKey = 'sk-valid';
+
+const post = (body, key = validKey) => request(app)
+  .post('/v1/chat/completions')
+  .set('Authorization', `Bearer ${key}`)
+  .send(body);
+
+const completion = { model: 'gpt-4', messages: [{ role: 'user', content: 'Hi' }] };
+
+describe('gateway routes', () => {
+  let apiKey;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+
+    apiKey = { id: 'key-1', userId: user._id, keyHash: ApiKey.hashKey(validKey), recordUsage: jest.fn(async () => {}) };
+    jest.spyOn(ApiKey, 'findActive').mockImplementation(async key => (key === validKey ? apiKey : null));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(rateLimitService, 'getPlan').mockResolvedValue('free');
+
+    jest.spyOn(aiService, 'getAvailableModels').mockReturnValue({ openai: ['gpt-4'], azure: ['gpt-4', 'gpt-4o'] });
+    jest.spyOn(aiService, 'resolveModel').mockImplementation(model => (model === 'gpt-4' ? { provider: 'openai', model } : null));
+    jest.spyOn(budgetService, 'preflight').mockImplementation(async (chat, owner, settings) => ({ settings }));
+    jest.spyOn(budgetService, 'recordUsage').mockResolvedValue(0.002);
+  });
+
+  describe('authentication', () => {
+    it('rejects unknown keys in OpenAI error format', async () => {
+      const res = await request(app).get('/v1/models').set('Authorization', 'Bearer sk-made-up');
+
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({
+        error: { message: 'Incorrect API key provided', type: 'invalid_request_error', param: null, code: 'invalid_api_key' }
+      });
+    });
+
+    it('accepts keys sent as X-API-Key', async () => {
+      const res = await request(app).get('/v1/models').set('X-API-Key', validKey);
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('GET /models', () => {
+    it('lists models offered by several providers once per provider', async () => {
+      const res = await request(app).get('/v1/models').set('Authorization', `Bearer ${validKey}`);
+
+      expect(res.body.data.map(model => model.id)).toEqual(['gpt-4', 'azure/gpt-4', 'gpt-4o']);
+    });
+
+    it('finds models named provider/model', async () => {
+      const res = await request(app).get('/v1/models/azure/gpt-4').set('Authorization', `Bearer ${validKey}`);
+
+      expect(res.body).toMatchObject({ id: 'azure/gpt-4', owned_by: 'azure' });
+    });
+  });
+
+  describe('POST /chat/completions', () => {
+    it('answers with a completion and charges it to the key', async () => {
+      jest.spyOn(aiService, 'generateResponse').mockResolvedValue({
+        content: 'Hello!', provider: 'openai', model: 'gpt-4', tokens: 30, finishReason: 'max_tokens'
+      });
+
+      const res = await post({ ...completion, max_tokens: 50, temperature: 0.2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        object: 'chat.completion',
+        model: 'gpt-4',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'length' }],
+        usage: { total_tokens: 30 }
+      });
+      expect(aiService.generateResponse.mock.calls[0][1]).toMatchObject({ provider: 'openai', model: 'gpt-4', maxTokens: 50, temperature: 0.2 });
+      expect(apiKey.recordUsage).toHaveBeenCalledWith({ tokens: 30, cost: 0.002 });
+      expect(Number(res.headers['x-ratelimit-tokens-remaining'])).toBe(Number(res.headers['x-ratelimit-tokens-limit']) - 30);
+    });
+
+    it('reports invalid parameters with the offending field', async () => {
+      const res = await post({ ...completion, temperature: 5 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatchObject({ type: 'invalid_request_error', param: 'temperature' });
+    });
+
+    it('reports unknown models', async () => {
+      const res = await post({ ...completion, model: 'made-up' });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toMatchObject({ code: 'model_not_found', param: 'model' });
+    });
+
+    it('reports exhausted budgets as insufficient quota', async () => {
+      budgetService.preflight.mockRejectedValue(new BudgetExceededError({ scope: 'user', limit: 5, spent: 5 }, 0.01));
+
+      const res = await post(completion);
+
+      expect(res.status).toBe(402);
+      expect(res.body.error).toMatchObject({ type: 'insufficient_quota', code: 'budget_exceeded' });
+    });
+
+    it('hides upstream authentication failures from the client', async () => {
+      jest.spyOn(aiService, 'generateResponse').mockRejectedValue(Object.assign(new Error('Invalid upstream key'), { provider: 'openai', status: 401 }));
+
+      const res = await post(completion);
+
+      expect(res.status).toBe(502);
+      expect(res.body.error.type).toBe('api_error');
+    });
+
+    it('streams chunks as server-sent events', async () => {
+      jest.spyOn(aiService, 'streamResponse').mockImplementation(async (messages, settings, { onChunk, onComplete }) => {
+        onChunk('Hel');
+        onChunk('lo');
+        onComplete({ provider: 'openai', model: 'gpt-4', finishReason: 'stop' });
+      });
+
+      const res = await post({ ...completion, stream: true, stream_options: { include_usage: true } });
+
+      const events = res.text.trim().split('\n\n').map(event => event.replace(/^data: /, ''));
+      expect(res.headers['content-type']).toMatch('text/event-stream');
+      expect(events.at(-1)).toBe('[DONE]');
+
+      const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+      expect(chunks.map(chunk => chunk.choices[0]?.delta.content)).toEqual(['', 'Hel', 'lo', undefined, undefined]);
+      expect(chunks[3].choices[0].finish_reason).toBe('stop');
+      expect(chunks[4].usage.completion_tokens).toBeGreaterThan(0);
+      expect(apiKey.recordUsage).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { mockAuth, mockRedis } from '../helpers/mocks.js';
+
+const redis = mockRedis();
+mockAuth();
+
+const chats = new Map();
+const Chat = { findById: jest.fn(async id => chats.get(String(id)) || null) };
+
+jest.unstable_mockModule('../../models/Chat.js', () => ({ default: Chat }));
+jest.unstable_mockModule('../../services/aiService.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../services/budgetService.js', () => ({
+  default: {},
+  BudgetExceededError: class BudgetExceededError extends Error {}
+}));
+
+const { default: messageRoutes } = await import('../../routes/messages.js');
+const { default: streamService } = await import('../../services/streamService.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/chat/:chatId/messages', messageRoutes);
+
+const addChat = (id, { viewers = ['owner'], encrypted = false, content = 'hello' } = {}) => {
+  chats.set(id, {
+    id,
+    _id: id,
+    activeLeafId: 'm1',
+    encryption: { enabled: encrypted },
+    canView: userId => viewers.includes(userId),
+    canEdit: userId => viewers.includes(userId),
+    getActivePathWithBranches: () => [{ id: 'm1', role: 'user', content }]
+  });
+};
+
+const getMessages = (chatId, user) => request(app)
+  .get(`/api/v1/chat/${chatId}/messages`)
+  .set('x-test-user', user);
+
+describe('GET /api/v1/chat/:chatId/messages', () => {
+  beforeEach(() => {
+    redis.flushAll();
+    chats.clear();
+  });
+
+  it('serves repeat requests from the cache', async () => {
+    addChat('c1');
+
+    const first = await getMessages('c1', 'owner');
+    const second = await getMessages('c1', 'owner');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body.messages[0].content).toBe('hello');
+  });
+
+  it('checks access before answering from the cache', async () => {
+    addChat('c1', { viewers: ['owner', 'guest'] });
+    await getMessages('c1', 'guest');
+    await getMessages('c1', 'guest');
+
+    // Access is withdrawn while the guest's cached response is still live
+    addChat('c1', { viewers: ['owner'] });
+    const res = await getMessages('c1', 'guest');
+
+    expect(res.status).toBe(404);
+    expect(res.body.messages).toBeUndefined();
+  });
+
+  it('never caches encrypted chats', async () => {
+    addChat('c2', { encrypted: true, content: 'secret' });
+
+    const first = await getMessages('c2', 'owner');
+    const second = await getMessages('c2', 'owner');
+
+    expect(first.body.messages[0].content).toBe('secret');
+    expect(second.headers['x-cache']).toBeUndefined();
+    const stored = await Promise.all([...redis.data.keys()].map(key => redis.get(key).catch(() => '')));
+    expect(stored.some(value => value?.includes('secret'))).toBe(false);
+  });
+});
+
+describe('stopping and resuming replies', () => {
+  beforeEach(() => {
+    redis.flushAll();
+    chats.clear();
+    addChat('c1');
+  });
+
+  it('stops the reply being streamed in the chat', async () => {
+    const stream = await streamService.begin('c1', { userId: 'owner' });
+
+    const res = await request(app).post('/api/v1/chat/c1/messages/stop').set('x-test-user', 'owner');
+
+    expect(res.body).toEqual({ success: true, streamId: stream.id });
+    expect(stream.signal.aborted).toBe(true);
+  });
+
+  it('answers 409 when nothing is being streamed', async () => {
+    const res = await request(app).post('/api/v1/chat/c1/messages/stop').set('x-test-user', 'owner');
+
+    expect(res.status).toBe(409);
+  });
+
+  it('returns the chunks after the given offset', async () => {
+    const stream = await streamService.begin('c1');
+    ['a', 'b', 'c'].forEach(chunk => streamService.append(stream, chunk));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const res = await request(app).get('/api/v1/chat/c1/messages/stream?from=2').set('x-test-user', 'owner');
+
+    expect(res.body).toMatchObject({ success: true, from: 2, chunks: ['c'], stream: { id: stream.id } });
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+});
@@ -0,0 +1,133 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { mockAuth, mockRedis, stubWrites } from '../helpers/mocks.js';
+
+process.env.SHARE_PASSWORD_ATTEMPTS = '3';
+
+const redis = mockRedis();
+mockAuth();
+
+jest.unstable_mockModule('../../models/Chat.js', () => ({
+  default: { findById: jest.fn(), updateOne: jest.fn(async () => ({})) }
+}));
+
+const { default: ShareLink } = await import('../../models/ShareLink.js');
+const { default: shareRoutes } = await import('../../routes/shares.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/shares', shareRoutes);
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+
+const makeLink = async ({ password, revokedAt } = {}) => {
+  const link = new ShareLink({
+    chatId: new mongoose.Types.ObjectId(),
+    userId: ownerId,
+    token: ShareLink.generateToken(),
+    snapshot: { title: 'Shared', messages: [{ id: 'm1', role: 'user', content: 'Hi' }] },
+    revokedAt
+  });
+  await link.setPassword(password);
+  jest.spyOn(ShareLink, 'findOne').mockResolvedValue(link);
+  return link;
+};
+
+const view = (link, password) => {
+  const req = request(app).get(`/api/v1/shares/public/${link.token}`);
+  return password ? req.set('x-share-password', password) : req;
+};
+
+describe('share routes', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    redis.flushAll();
+    stubWrites(ShareLink);
+  });
+
+  describe('GET /public/:token', () => {
+    it('serves the snapshot of links without a password', async () => {
+      const link = await makeLink();
+
+      const res = await view(link);
+
+      expect(res.status).toBe(200);
+      expect(res.body.share.messages[0].content).toBe('Hi');
+    });
+
+    it('asks for the password and accepts the right one', async () => {
+      const link = await makeLink({ password: 'opensesame' });
+
+      expect((await view(link)).body.passwordRequired).toBe(true);
+      expect((await view(link, 'opensesame')).status).toBe(200);
+    });
+
+    it('stops checking passwords after too many wrong ones', async () => {
+      const link = await makeLink({ password: 'opensesame' });
+
+      for (let i = 0; i < 3; i += 1) {
+        expect((await view(link, `guess-${i}`)).status).toBe(401);
+      }
+      const locked = await view(link, 'opensesame');
+
+      expect(locked.status).toBe(429);
+      expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('does not count requests without a password as attempts', async () => {
+      const link = await makeLink({ password: 'opensesame' });
+
+      for (let i = 0; i < 5; i += 1) await view(link);
+
+      expect((await view(link, 'opensesame')).status).toBe(200);
+    });
+
+    it('counts attempts per link', async () => {
+      const first = await makeLink({ password: 'opensesame' });
+      for (let i = 0; i < 3; i += 1) await view(first, 'wrong');
+
+      const second = await makeLink({ password: 'opensesame' });
+
+      expect((await view(second, 'opensesame')).status).toBe(200);
+    });
+  });
+
+  describe('changing revoked links', () => {
+    it('rejects updates', async () => {
+      const link = await makeLink({ revokedAt: new Date() });
+
+      const res = await request(app)
+        .patch(`/api/v1/shares/${link._id}`)
+        .set('x-test-user', ownerId)
+        .send({ password: null });
+
+      expect(res.status).toBe(409);
+    });
+
+    it('rejects new tokens', async () => {
+      const link = await makeLink({ revokedAt: new Date() });
+      const { token } = link;
+
+      const res = await request(app)
+        .post(`/api/v1/shares/${link._id}/regenerate`)
+        .set('x-test-user', ownerId);
+
+      expect(res.status).toBe(409);
+      expect(link.token).toBe(token);
+    });
+
+    it('still updates active links', async () => {
+      const link = await makeLink({ password: 'opensesame' });
+
+      const res = await request(app)
+        .patch(`/api/v1/shares/${link._id}`)
+        .set('x-test-user', ownerId)
+        .send({ password: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body.link.hasPassword).toBe(false);
+    });
+  });
+});
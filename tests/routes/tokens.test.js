@@ -0,0 +1,44 @@
+import { jest, describe, it, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { mockAuth, mockProviderSdks } from '../helpers/mocks.js';
+
+mockAuth();
+mockProviderSdks();
+
+const aiService = {
+  estimateTokens: jest.fn(() => 2),
+  getContextUsage: jest.fn(() => ({ promptTokens: 8, contextWindow: 8192, reserved: 0, contextLeft: 8184 }))
+};
+
+jest.unstable_mockModule('../../models/Chat.js', () => ({ default: { findById: jest.fn() } }));
+jest.unstable_mockModule('../../services/aiService.js', () => ({ default: aiService }));
+
+const { default: tokenRoutes } = await import('../../routes/tokens.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/tokens', tokenRoutes);
+
+const count = body => request(app).post('/api/v1/tokens/count').set('x-test-user', 'user-1').send(body);
+
+describe('token routes', () => {
+  it('counts text for a known model', async () => {
+    const res = await count({ text: 'hello world', provider: 'openai', model: 'gpt-4' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, tokens: 2, contextLeft: 8184 });
+    expect(aiService.estimateTokens).toHaveBeenCalledWith('hello world', { provider: 'openai', model: 'gpt-4' });
+  });
+
+  it('rejects providers and models that are not registered', async () => {
+    const unknownProvider = await count({ text: 'hi', provider: 'made-up' });
+    const unknownModel = await count({ text: 'hi', model: 'gpt-a' });
+    const otherProvider = await count({ text: 'hi', provider: 'anthropic', model: 'gpt-4' });
+
+    expect(unknownProvider.status).toBe(400);
+    expect(unknownProvider.body.errors[0]).toMatchObject({ path: 'provider', msg: 'Unknown provider' });
+    expect(unknownModel.body.errors[0]).toMatchObject({ path: 'model', msg: 'Unknown model' });
+    expect(otherProvider.status).toBe(400);
+  });
+});
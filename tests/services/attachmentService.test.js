@@ -0,0 +1,30 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+
+process.env.S3_BUCKET_NAME = 'chat-files';
+process.env.S3_PUBLIC_URL = 'https://files';
+
+const { default: storageService } = await import('../../services/storageService.js');
+const { default: attachmentService } = await import('../../services/attachmentService.js');
+
+describe('attachmentService.extractText', () => {
+  beforeEach(() => {
+    jest.spyOn(storageService, 'download').mockImplementation(async () => ({ buffer: Buffer.from('Notes') }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads stored text files as a single page', async () => {
+    expect(await attachmentService.extractText({ type: 'txt', name: 'a.txt', url: 'https://files/uploads/a.txt' }))
+      .toEqual([{ page: 1, text: 'Notes' }]);
+  });
+
+  it('refuses to fetch URLs outside storage', async () => {
+    const internal = { type: 'txt', name: 'meta.txt', url: 'http://169.254.169.254/latest/meta-data/' };
+
+    expect(attachmentService.isTextExtractable(internal)).toBe(false);
+    await expect(attachmentService.extractText(internal)).rejects.toThrow('Attachment meta.txt is not a stored file');
+    expect(storageService.download).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const Budget = { findOne: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() };
+const aiService = {
+  defaultSettings: { provider: 'openai', model: 'gpt-4' },
+  estimateCost: jest.fn(),
+  getAvailableModels: jest.fn(() => ['gpt-4', 'gpt-3.5-turbo'])
+};
+const notificationService = { emitToUser: jest.fn(), sendEmail: jest.fn(async () => true) };
+
+jest.unstable_mockModule('../../models/Budget.js', () => ({ default: Budget }));
+jest.unstable_mockModule('../../services/aiService.js', () => ({ default: aiService }));
+jest.unstable_mockModule('../../services/notificationService.js', () => ({ default: notificationService }));
+jest.unstable_mockModule('../../services/tokenizerService.js', () => ({
+  default: { getContextUsage: () => ({ promptTokens: 100, contextWindow: 8000, reserved: 500 }) }
+}));
+
+const { default: budgetService, BudgetExceededError } = await import('../../services/budgetService.js');
+
+// Lets the fire-and-forget warning chain settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const user = { id: 'user-1', email: 'owner@example.com' };
+
+const chatWithBudget = (tracking = {}) => ({
+  _id: 'chat-1',
+  title: 'Plans',
+  messages: [{ role: 'user', content: 'Hi' }],
+  costTracking: { budget: 1, totalCost: 0, budgetAlert: true, alertsSent: [], ...tracking }
+});
+
+describe('budgetService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Budget.findOne.mockResolvedValue(null);
+    aiService.estimateCost.mockImplementation((provider, model) => (model === 'gpt-4' ? 0.3 : 0.01));
+  });
+
+  it('emails the user when a generation crosses a warning threshold', async () => {
+    const chat = chatWithBudget({ totalCost: 0.55 });
+
+    await budgetService.preflight(chat, user);
+    await flush();
+
+    expect(notificationService.emitToUser).toHaveBeenCalledWith('user-1', 'budget:warning', expect.objectContaining({ threshold: 0.8 }));
+    expect(notificationService.sendEmail).toHaveBeenCalledTimes(1);
+    expect(notificationService.sendEmail.mock.calls[0][0]).toEqual(['owner@example.com']);
+    expect(chat.costTracking.alertsSent).toEqual([0.8]);
+  });
+
+  it('warns once per threshold', async () => {
+    const chat = chatWithBudget({ totalCost: 0.55, alertsSent: [0.5, 0.8] });
+
+    await budgetService.preflight(chat, user);
+    await flush();
+
+    expect(notificationService.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('mails extra addresses for organization budgets only', async () => {
+    const budget = {
+      _id: 'budget-1',
+      limit: 10,
+      spent: 8.9,
+      warningThresholds: [0.9],
+      alertsSent: [],
+      onExceeded: 'block',
+      notifyEmails: ['finance@example.com'],
+      rollPeriod: async () => {}
+    };
+    Budget.findOne.mockImplementation(async ({ scope }) => (scope === 'user' || scope === 'organization' ? { ...budget } : null));
+    Budget.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await budgetService.preflight({ _id: 'chat-1', messages: [], costTracking: {} }, { ...user, organization: 'org-1' });
+    await flush();
+
+    const recipients = Object.fromEntries(notificationService.sendEmail.mock.calls.map(([to, subject]) => [subject.match(/your (\w+) budget/)[1], to]));
+    expect(recipients).toEqual({
+      user: ['owner@example.com'],
+      organization: ['owner@example.com', 'finance@example.com']
+    });
+  });
+
+  it('blocks a generation that would exceed a blocking budget', async () => {
+    const chat = chatWithBudget({ totalCost: 0.9 });
+
+    await expect(budgetService.preflight(chat, user)).rejects.toBeInstanceOf(BudgetExceededError);
+  });
+
+  it('downgrades to a cheaper model when the budget allows it', async () => {
+    const chat = chatWithBudget({ totalCost: 0.9, onExceeded: 'downgrade' });
+
+    const { settings, downgraded } = await budgetService.preflight(chat, user);
+
+    expect(settings.model).toBe('gpt-3.5-turbo');
+    expect(downgraded).toEqual({ from: 'gpt-4', to: 'gpt-3.5-turbo' });
+  });
+});
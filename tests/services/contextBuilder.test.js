@@ -0,0 +1,112 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { default: tokenizer } = await import('../../services/tokenizerService.js');
+const { default: contextBuilder } = await import('../../services/contextBuilder.js');
+const { default: aiService } = await import('../../services/aiService.js');
+
+const turns = count => Array.from({ length: count }, (value, index) => ({
+  id: `m${index + 1}`,
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: `message ${index + 1}`
+}));
+
+describe('contextBuilder', () => {
+  beforeEach(() => {
+    contextBuilder.summaryCache.clear();
+    // Every message costs 10 tokens in a 100 token window
+    jest.spyOn(tokenizer, 'getContextWindow').mockReturnValue(100);
+    jest.spyOn(tokenizer, 'countMessageTokens').mockImplementation(messages => messages.length * 10);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends short chats whole after the system prompt', async () => {
+    const { messages, context } = await contextBuilder.build(turns(4), { systemPrompt: 'Be brief' });
+
+    expect(messages.map(msg => msg.content)).toEqual(['Be brief', 'message 1', 'message 2', 'message 3', 'message 4']);
+    expect(context).toMatchObject({ contextWindow: 100, promptTokens: 50, elidedCount: 0 });
+  });
+
+  it('drops the oldest messages, keeping room for the reply', async () => {
+    const { messages, context } = await contextBuilder.build(turns(8), { systemPrompt: 'Be brief', maxTokens: 40 });
+
+    expect(messages.map(msg => msg.id)).toEqual([undefined, 'm4', 'm5', 'm6', 'm7', 'm8']);
+    expect(context).toMatchObject({ promptTokens: 60, elidedCount: 3, elidedMessageIds: ['m1', 'm2', 'm3'] });
+  });
+
+  it('always sends the newest message', async () => {
+    tokenizer.countMessageTokens.mockImplementation(messages => messages.length * 500);
+
+    const { messages } = await contextBuilder.build(turns(3));
+
+    expect(messages.map(msg => msg.id)).toEqual(['m3']);
+  });
+
+  it('replaces dropped messages with a summary and reuses it', async () => {
+    const summarize = jest.fn(async () => 'They said hello.');
+    const settings = { contextStrategy: 'summarize', maxTokens: 40 };
+
+    const { messages, context } = await contextBuilder.build(turns(8), settings, { summarize, cacheKey: 'chat-1' });
+    await contextBuilder.build(turns(8), settings, { summarize, cacheKey: 'chat-1' });
+
+    // 12 tokens are set aside for the summary, which only the pinned turns may use
+    expect(messages[0]).toEqual({ role: 'system', content: 'Summary of the earlier conversation:\nThey said hello.' });
+    expect(messages.slice(1).map(msg => msg.id)).toEqual(['m5', 'm6', 'm7', 'm8']);
+    expect(context).toMatchObject({ summarized: true, elidedCount: 4, promptTokens: 50 });
+    expect(summarize).toHaveBeenCalledTimes(1);
+    expect(summarize.mock.calls[0][0]).toBe('user: message 1\n\nassistant: message 2\n\nuser: message 3\n\nassistant: message 4');
+  });
+
+  it('drops messages without a summary when summarizing fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const summarize = jest.fn(async () => { throw new Error('model down'); });
+
+    const { messages, context } = await contextBuilder.build(turns(8), { contextStrategy: 'summarize', maxTokens: 40 }, { summarize });
+
+    expect(messages.every(msg => msg.role !== 'system')).toBe(true);
+    expect(context.summarized).toBe(false);
+  });
+});
+
+describe('aiService.summarizeConversation', () => {
+  beforeEach(() => {
+    // A word is a token; 300 tokens of the 800 token window are kept for the
+    // reply, so a piece of transcript may have 400
+    jest.spyOn(tokenizer, 'getContextWindow').mockReturnValue(800);
+    jest.spyOn(tokenizer, 'countTokens').mockImplementation(text => text.split(/\s+/).filter(Boolean).length);
+    jest.spyOn(aiService, 'summarizeText').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const transcript = count => turns(count).map(msg => `${msg.role}: ${'word '.repeat(99)}${msg.id}`).join('\n\n');
+
+  it('summarizes long transcripts in pieces that fit the context window', async () => {
+    const generate = jest.spyOn(aiService, 'generateResponse').mockImplementation(async ([, { content }]) => ({
+      content: content.startsWith('summary') ? 'combined summary' : `summary of ${content.split(' ').at(-1)}`
+    }));
+
+    const summary = await aiService.summarizeConversation(transcript(10), { provider: 'openai', model: 'gpt-4' });
+
+    const prompts = generate.mock.calls.map(([messages]) => messages[1].content);
+    expect(prompts.every(prompt => tokenizer.countTokens(prompt) <= 400)).toBe(true);
+    expect(prompts.slice(0, -1).map(prompt => prompt.split(' ').at(-1))).toEqual(['m3', 'm6', 'm9', 'm10']);
+    expect(summary).toBe('combined summary');
+  });
+
+  it('does not fail over to other providers', async () => {
+    const generate = jest.spyOn(aiService, 'generateResponse').mockResolvedValue({ content: 'short' });
+
+    await aiService.summarizeConversation(transcript(2), { provider: 'openai', model: 'gpt-4' });
+
+    expect(generate.mock.calls[0][1]).toMatchObject({ fallbacks: [], maxTokens: 300 });
+    expect(aiService.buildFallbackChain({ provider: 'openai', model: 'gpt-4', fallbacks: [] })).toHaveLength(1);
+  });
+});
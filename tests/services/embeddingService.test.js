@@ -0,0 +1,106 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { default: Embedding } = await import('../../models/Embedding.js');
+const { default: embeddingService } = await import('../../services/embeddingService.js');
+const { cosineSimilarity } = await import('../../services/vectorStore.js');
+const { getEmbedder } = await import('../../services/embeddings/index.js');
+const { default: providerRegistry } = await import('../../services/providers/index.js');
+
+// Embedding documents kept in memory; find() understands the filters the
+// service sends
+const matches = filter => entry => Object.entries(filter).every(([field, condition]) => (
+  condition?.$in ? condition.$in.map(String).includes(String(entry[field])) : String(entry[field]) === String(condition)
+));
+
+const query = results => ({
+  select: () => query(results),
+  lean: () => ({
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject),
+    cursor: async function* () { yield* results; }
+  })
+});
+
+describe('embeddingService', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(Embedding, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      stored = stored.filter(entry => !matches(filter)(entry)).concat($set);
+    });
+    jest.spyOn(Embedding, 'deleteMany').mockImplementation(async (filter) => {
+      stored = stored.filter(entry => !matches(filter)(entry));
+    });
+    jest.spyOn(Embedding, 'find').mockImplementation(filter => query(stored.filter(matches(filter))));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const chat = (id, messages, encrypted = false) => ({
+    _id: id,
+    userId: 'user-1',
+    encryption: { enabled: encrypted },
+    messages: messages.map((content, index) => ({ id: `${id}-m${index}`, role: 'user', content }))
+  });
+
+  it('places texts about the same words closer together', async () => {
+    const [deploy, deploying, cooking] = await getEmbedder('hash').embed([
+      'how do I deploy the server',
+      'deploying servers',
+      'a recipe for pancakes'
+    ]);
+
+    expect(cosineSimilarity(deploy, deploying)).toBeGreaterThan(cosineSimilarity(deploy, cooking));
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  it('embeds through the OpenAI client in input order', async () => {
+    const createEmbedding = jest.fn(async () => ({
+      data: { data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] }
+    }));
+    providerRegistry.get('openai').client.createEmbedding = createEmbedding;
+
+    const embedder = getEmbedder('openai');
+    const vectors = await embedder.embed(['first', 'second']);
+
+    expect(createEmbedding).toHaveBeenCalledWith({ model: embedder.model, input: ['first', 'second'] });
+    expect(vectors).toEqual([[1, 0], [0, 1]]);
+  });
+
+  it('stores no content hash for encrypted chats', async () => {
+    await embeddingService.indexChat(chat('plain', ['hello there']));
+    await embeddingService.indexChat(chat('secret', ['hello there'], true));
+
+    const byChat = Object.fromEntries(stored.map(entry => [entry.chatId, entry]));
+    expect(byChat.plain).toMatchObject({ sourceType: 'message', embedder: 'hash:hash-512', contentHash: expect.any(String) });
+    expect(byChat.secret.contentHash).toBeUndefined();
+  });
+
+  it('returns the best message per chat, only from the given chats', async () => {
+    await embeddingService.indexChat(chat('a', ['kubernetes deployment rollout', 'deployment failed again']));
+    await embeddingService.indexChat(chat('b', ['banana bread recipe']));
+    await embeddingService.indexChat(chat('hidden', ['kubernetes deployment rollout']));
+
+    const results = await embeddingService.searchChats('kubernetes deployment', { chatIds: ['a', 'b'] });
+
+    expect(results.map(result => result.chatId)).toEqual(['a', 'b']);
+    expect(results[0].messageId).toBe('a-m0');
+  });
+
+  it('finds related chats other than the chat itself', async () => {
+    const source = chat('source', ['postgres index tuning']);
+    await embeddingService.indexChat(source);
+    await embeddingService.indexChat(chat('similar', ['tuning a postgres index']));
+    await embeddingService.indexChat(chat('other', ['holiday photos']));
+
+    const results = await embeddingService.relatedChats(source, { chatIds: ['source', 'similar', 'other'], limit: 1 });
+
+    expect(results.map(result => result.chatId)).toEqual(['similar']);
+    expect(await embeddingService.relatedChats(chat('new', []), { chatIds: ['similar'] })).toEqual([]);
+  });
+});
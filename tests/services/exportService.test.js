@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+const { default: exportService, ARCHIVE_FORMAT } = await import('../../services/exportService.js');
+
+describe('exportService', () => {
+  let chat;
+  let question;
+
+  beforeEach(() => {
+    chat = new Chat({ title: 'Report <draft>', userId: new mongoose.Types.ObjectId() });
+    question = chat.addMessage({ role: 'user', content: '=SUM(A1:A3) "quoted"' });
+    chat.addMessage({
+      role: 'assistant',
+      content: '<script>alert(1)</script>',
+      attachments: [{ type: 'pdf', name: 'evil.pdf', url: 'javascript:alert(1)' }]
+    });
+    chat.editMessage(question.id, 'Edited question');
+    // The first message names the chat
+    chat.title = 'Report <draft>';
+  });
+
+  it('exports the active branch only in readable formats', () => {
+    const csv = exportService.toCSV(chat);
+
+    expect(csv.split('\r\n')).toHaveLength(2);
+    expect(csv).toContain('"Edited question"');
+  });
+
+  it('keeps spreadsheets from evaluating message content', () => {
+    chat.switchBranch(question.id);
+
+    const [, row] = exportService.toCSV(chat).split('\r\n');
+
+    expect(row).toContain('"\'=SUM(A1:A3) ""quoted"""');
+  });
+
+  it('escapes HTML and drops links that are not http(s)', () => {
+    chat.switchBranch(question.id);
+
+    const html = exportService.toHTML(chat);
+
+    expect(html).toContain('<title>Report &lt;draft&gt;</title>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<a href="#">evil.pdf</a>');
+  });
+
+  it('renders a PDF', async () => {
+    const pdf = await exportService.toPDF(chat);
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('links only http(s) attachments in PDFs', async () => {
+    chat.switchBranch(question.id);
+    chat.getActivePath().at(-1).attachments.push({ type: 'txt', name: 'notes.txt', url: 'https://files/notes.txt' });
+
+    const pdf = (await exportService.toPDF(chat)).toString('latin1');
+
+    expect(pdf).toContain('/URI (https://files/notes.txt)');
+    expect(pdf).not.toContain('javascript:');
+  });
+
+  describe('archives', () => {
+    it('round-trip every branch under new message ids', () => {
+      const archive = JSON.parse(JSON.stringify(exportService.toArchive(chat)));
+      const restored = new Chat({ ...exportService.parseArchive(archive), userId: chat.userId });
+
+      expect(archive.format).toBe(ARCHIVE_FORMAT);
+      expect(restored.messages).toHaveLength(3);
+      expect(restored.messages.map(msg => msg.id)).not.toContain(question.id);
+      expect(restored.getActivePath().map(msg => msg.content)).toEqual(['Edited question']);
+
+      const [, answer] = restored.messages;
+      expect(answer.parentId).toBe(restored.messages[0].id);
+    });
+
+    it('rejects other files and newer versions', () => {
+      const archive = exportService.toArchive(chat);
+
+      expect(() => exportService.parseArchive({ ...archive, format: 'other' })).toThrow('Not a chat archive');
+      expect(() => exportService.parseArchive({ ...archive, version: 99 })).toThrow('Unsupported archive version: 99');
+      expect(() => exportService.parseArchive({ ...archive, chat: {} })).toThrow('Archive has no messages');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { BaseProvider } = await import('../../services/providers/index.js');
+const { default: CircuitBreaker } = await import('../../services/circuitBreaker.js');
+const { default: aiService } = await import('../../services/aiService.js');
+
+// A provider whose replies are scripted per test
+class ScriptedProvider extends BaseProvider {
+  constructor(name) {
+    super({ name, models: [`${name}-model`], capabilities: { stream: true } });
+    this.complete = jest.fn();
+    this.stream = jest.fn();
+  }
+}
+
+const httpError = status => Object.assign(new Error(`status ${status}`), { response: { status, data: {} } });
+
+const streamAll = (settings) => new Promise((resolve) => {
+  const chunks = [];
+  aiService.streamResponse([{ role: 'user', content: 'Hi' }], settings, {
+    onChunk: chunk => chunks.push(chunk),
+    onComplete: info => resolve({ chunks, info }),
+    onError: error => resolve({ chunks, error })
+  });
+});
+
+describe('provider failover', () => {
+  let primary;
+  let backup;
+  const failover = { ...aiService.failover };
+  const settings = { provider: 'primary', model: 'primary-model', fallbacks: ['backup'] };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    primary = aiService.registerProvider(new ScriptedProvider('primary'));
+    backup = aiService.registerProvider(new ScriptedProvider('backup'));
+    aiService.circuitBreakers.clear();
+    Object.assign(aiService.failover, { retries: 1, baseDelayMs: 0, failureThreshold: 2 });
+  });
+
+  afterEach(() => {
+    aiService.registry.unregister('primary');
+    aiService.registry.unregister('backup');
+    Object.assign(aiService.failover, failover);
+    jest.restoreAllMocks();
+  });
+
+  it('uses the server chain unless the settings list their own fallbacks', () => {
+    aiService.setFallbackChain('backup');
+    const targets = chain => chain.map(({ provider }) => provider);
+
+    expect(targets(aiService.buildFallbackChain({ provider: 'primary', model: 'primary-model' }))).toEqual(['primary', 'backup']);
+    expect(targets(aiService.buildFallbackChain({ provider: 'primary', model: 'primary-model', fallbacks: [] }))).toEqual(['primary']);
+  });
+
+  it('retries retryable errors on the same provider', async () => {
+    primary.complete.mockRejectedValueOnce(httpError(503)).mockResolvedValueOnce({ content: 'ok' });
+
+    const response = await aiService.generateResponse([], settings);
+
+    expect(response).toMatchObject({ content: 'ok', provider: 'primary', failures: [] });
+    expect(primary.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('moves on to the fallback provider and its first model', async () => {
+    primary.complete.mockRejectedValue(httpError(401));
+    backup.complete.mockResolvedValue({ content: 'from backup' });
+
+    const response = await aiService.generateResponse([], settings);
+
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+    expect(response).toMatchObject({
+      content: 'from backup',
+      provider: 'backup',
+      model: 'backup-model',
+      failures: [{ provider: 'primary', model: 'primary-model', error: 'Invalid primary API key' }]
+    });
+  });
+
+  it('skips providers whose circuit is open', async () => {
+    primary.complete.mockRejectedValue(httpError(401));
+    backup.complete.mockResolvedValue({ content: 'from backup' });
+
+    await aiService.generateResponse([], settings);
+    await aiService.generateResponse([], settings);
+    const response = await aiService.generateResponse([], settings);
+
+    expect(primary.complete).toHaveBeenCalledTimes(2);
+    expect(response.failures).toEqual([{ provider: 'primary', model: 'primary-model', error: 'Circuit open' }]);
+    expect(aiService.getProviderHealth().primary.state).toBe('open');
+  });
+
+  it('throws the last error once every provider failed', async () => {
+    primary.complete.mockRejectedValue(httpError(401));
+    backup.complete.mockRejectedValue(httpError(500));
+
+    await expect(aiService.generateResponse([], settings)).rejects.toThrow('backup server error');
+  });
+
+  describe('streaming', () => {
+    it('falls over when a provider fails before sending text', async () => {
+      primary.stream.mockImplementation(async (messages, streamSettings, { onError }) => onError(httpError(401)));
+      backup.stream.mockImplementation(async (messages, streamSettings, { onChunk }) => onChunk('Hi!'));
+
+      const { chunks, info } = await streamAll(settings);
+
+      expect(chunks).toEqual(['Hi!']);
+      expect(info).toMatchObject({ provider: 'backup', failures: [expect.objectContaining({ provider: 'primary' })] });
+    });
+
+    it('does not mix providers once text has been sent', async () => {
+      primary.stream.mockImplementation(async (messages, streamSettings, { onChunk, onError }) => {
+        onChunk('Hel');
+        onError(httpError(503));
+      });
+
+      const { chunks, error } = await streamAll(settings);
+
+      expect(chunks).toEqual(['Hel']);
+      expect(error.message).toBe('primary service unavailable. Please try again later.');
+      expect(primary.stream).toHaveBeenCalledTimes(1);
+      expect(backup.stream).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens after the threshold and lets one trial through after the cooldown', () => {
+    let now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(false);
+
+    now = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(false);
+
+    now = 2000;
+    breaker.canRequest();
+    breaker.recordSuccess();
+    expect(breaker.getStatus()).toEqual({ state: 'closed', failures: 0, openedAt: null });
+  });
+});
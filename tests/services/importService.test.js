@@ -0,0 +1,103 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { mockProviderSdks, mockRedis, mockIndexing, mockSchemaPlugins, stubWrites } from '../helpers/mocks.js';
+
+mockProviderSdks();
+mockRedis();
+mockIndexing();
+mockSchemaPlugins();
+
+const { default: Chat } = await import('../../models/Chat.js');
+const { default: importService } = await import('../../services/importService.js');
+
+const node = (id, parent, children, message) => ({ id, parent, children, message });
+const chatGPTMessage = (id, role, text, extra = {}) => ({
+  id,
+  author: { role },
+  content: { content_type: 'text', parts: [text] },
+  create_time: 1700000000,
+  ...extra
+});
+
+// A question answered twice (regenerated), below a hidden system message
+const chatGPTExport = {
+  conversation_id: 'conv-1',
+  title: 'Capitals',
+  create_time: 1700000000,
+  current_node: 'a2',
+  mapping: {
+    root: node('root', null, ['sys'], null),
+    sys: node('sys', 'root', ['q'], chatGPTMessage('sys', 'system', 'hidden', { metadata: { is_visually_hidden_from_conversation: true } })),
+    q: node('q', 'sys', ['a1', 'a2'], chatGPTMessage('q', 'user', 'Capital of France?')),
+    a1: node('a1', 'q', [], chatGPTMessage('a1', 'assistant', 'Paris', { metadata: { model_slug: 'gpt-4' } })),
+    a2: node('a2', 'q', [], chatGPTMessage('a2', 'assistant', 'It is Paris.', { metadata: { model_slug: 'gpt-4' } }))
+  }
+};
+
+const claudeExport = {
+  uuid: 'claude-1',
+  name: 'Review',
+  created_at: '2024-03-01T10:00:00Z',
+  chat_messages: [
+    { uuid: 'h1', sender: 'human', text: 'Review this', attachments: [{ file_name: 'main.py', file_size: 120 }], created_at: '2024-03-01T10:00:00Z' },
+    { uuid: 'b1', sender: 'assistant', content: [{ type: 'text', text: 'Looks good' }, { type: 'tool_use' }], created_at: '2024-03-01T10:00:05Z' },
+    { uuid: 'empty', sender: 'assistant', text: '   ' }
+  ]
+};
+
+describe('importService', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    stubWrites(Chat);
+    jest.spyOn(Chat, 'findOne').mockReturnValue({ select: async () => null });
+  });
+
+  it('recognizes each export format', () => {
+    expect(importService.detectSource([chatGPTExport])).toBe('chatgpt');
+    expect(importService.detectSource(claudeExport)).toBe('claude');
+    expect(importService.detectSource({ format: 'ultra-chat-archive' })).toBe('archive');
+    expect(importService.detectSource({ foo: 1 })).toBeNull();
+  });
+
+  it('keeps ChatGPT regenerations as branches and skips hidden messages', () => {
+    const { messages, activeLeafId, settings } = importService.parseChatGPT(chatGPTExport);
+    const [question, first, second] = messages;
+
+    expect(messages.map(msg => msg.content)).toEqual(['Capital of France?', 'Paris', 'It is Paris.']);
+    expect(question.parentId).toBeNull();
+    expect([first.parentId, second.parentId]).toEqual([question.id, question.id]);
+    expect(activeLeafId).toBe(second.id);
+    expect(settings).toEqual({ provider: 'openai', model: 'gpt-4' });
+  });
+
+  it('reads Claude text blocks and attachment names', () => {
+    const { messages } = importService.parseClaude(claudeExport);
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({ role: 'user', attachments: [{ type: 'code', name: 'main.py', size: 120 }] });
+    expect(messages[1]).toMatchObject({ role: 'assistant', content: 'Looks good', parentId: messages[0].id });
+  });
+
+  it('imports conversations and skips ones imported before', async () => {
+    Chat.findOne.mockReturnValueOnce({ select: async () => ({ _id: 'existing' }) });
+
+    const results = await importService.importConversations([chatGPTExport, { ...chatGPTExport, conversation_id: 'conv-2' }], userId);
+
+    expect(results.map(result => result.status)).toEqual(['duplicate', 'imported']);
+    expect(results[0].chatId).toBe('existing');
+    expect(Chat.findOne).toHaveBeenLastCalledWith({ userId, 'importSource.source': 'chatgpt', 'importSource.externalId': 'conv-2' });
+  });
+
+  it('reports conversations without messages separately', async () => {
+    const results = await importService.importConversations([claudeExport, { ...claudeExport, uuid: 'claude-2', chat_messages: [] }], userId);
+
+    expect(results.map(result => result.status)).toEqual(['imported', 'failed']);
+    expect(results[1].error).toBe('Conversation has no messages');
+  });
+
+  it('rejects files it does not recognize', async () => {
+    await expect(importService.importConversations({ foo: 1 }, userId)).rejects.toThrow('Unrecognized export format');
+  });
+});
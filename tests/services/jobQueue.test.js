@@ -0,0 +1,215 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockRedis } from '../helpers/mocks.js';
+
+const redis = mockRedis();
+const notificationService = { emitToUser: jest.fn() };
+jest.unstable_mockModule('../../services/notificationService.js', () => ({ default: notificationService }));
+
+const { default: jobQueue } = await import('../../services/jobQueue.js');
+
+// Takes the next waiting job the way a worker does and runs it
+const runNext = async () => {
+  const jobId = await redis.blMove('jobs:waiting', 'jobs:active', 'LEFT', 'RIGHT', 0);
+  await jobQueue.process(jobId);
+  return jobQueue.getJob(jobId);
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('jobQueue', () => {
+  let now;
+
+  beforeEach(() => {
+    redis.flushAll();
+    jobQueue.handlers.clear();
+    jobQueue.stalledCandidates = new Set();
+    jest.clearAllMocks();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs a job and stores its result', async () => {
+    jobQueue.register({ name: 'echo', execute: async data => ({ echoed: data.text }) });
+    await jobQueue.add('echo', { text: 'hi' }, { userId: 'user-1' });
+
+    const job = await runNext();
+
+    expect(job).toMatchObject({ status: 'completed', progress: 100, attempts: 1, result: { echoed: 'hi' } });
+    expect(await redis.lLen('jobs:active')).toBe(0);
+    expect(notificationService.emitToUser).toHaveBeenCalledWith('user-1', 'job:completed', expect.not.objectContaining({ data: expect.anything() }));
+  });
+
+  it('retries failed attempts after a backoff', async () => {
+    const execute = jest.fn()
+      .mockRejectedValueOnce(new Error('provider down'))
+      .mockResolvedValueOnce({ ok: true });
+    jobQueue.register({ name: 'flaky', backoffMs: 1000, execute });
+    const { id } = await jobQueue.add('flaky');
+
+    expect(await runNext()).toMatchObject({ status: 'delayed', error: 'provider down' });
+
+    await jobQueue.maintain();
+    expect(await redis.lLen('jobs:waiting')).toBe(0);
+
+    now += 1000;
+    await jobQueue.maintain();
+    expect((await jobQueue.getJob(id)).status).toBe('queued');
+
+    expect(await runNext()).toMatchObject({ status: 'completed', attempts: 2, result: { ok: true } });
+  });
+
+  it('gives up after the last attempt', async () => {
+    jobQueue.register({ name: 'broken', maxAttempts: 2, backoffMs: 1, execute: async () => { throw new Error('nope'); } });
+    await jobQueue.add('broken');
+
+    await runNext();
+    now += 10;
+    await jobQueue.maintain();
+
+    expect(await runNext()).toMatchObject({ status: 'failed', attempts: 2, error: 'nope' });
+    expect(await redis.zCard('jobs:delayed')).toBe(0);
+  });
+
+  it('does not retry errors marked as not retryable', async () => {
+    jobQueue.register({
+      name: 'invalid',
+      execute: async () => { throw Object.assign(new Error('bad input'), { retryable: false }); }
+    });
+    await jobQueue.add('invalid');
+
+    expect(await runNext()).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  it('keeps checkpoints for the next attempt', async () => {
+    const seen = [];
+    jobQueue.register({
+      name: 'resumable',
+      backoffMs: 1,
+      async execute(data, { job, checkpoint }) {
+        seen.push(job.checkpoint);
+        if (!job.checkpoint) {
+          await checkpoint({ step: 1 });
+          throw new Error('later step failed');
+        }
+        return job.checkpoint;
+      }
+    });
+    await jobQueue.add('resumable');
+
+    await runNext();
+    now += 10;
+    await jobQueue.maintain();
+
+    expect(await runNext()).toMatchObject({ status: 'completed', result: { step: 1 } });
+    expect(seen).toEqual([undefined, { step: 1 }]);
+  });
+
+  describe('timeouts', () => {
+    it('aborts the attempt and waits for it before scheduling a retry', async () => {
+      const release = deferred();
+      let signal;
+      let stateWhileAborted;
+
+      jobQueue.register({
+        name: 'slow',
+        timeoutMs: 10,
+        async execute(data, context) {
+          ({ signal } = context);
+          await new Promise(resolve => signal.addEventListener('abort', resolve));
+          stateWhileAborted = {
+            job: await jobQueue.getJob(context.job.id),
+            locked: await redis.exists(jobQueue.lockKey(context.job.id))
+          };
+          await release.promise;
+          throw signal.reason;
+        }
+      });
+      const { id } = await jobQueue.add('slow');
+
+      const running = runNext();
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(signal.aborted).toBe(true);
+      expect((await jobQueue.getJob(id)).status).toBe('active');
+
+      release.resolve();
+      const job = await running;
+
+      expect(stateWhileAborted).toEqual({ job: expect.objectContaining({ status: 'active' }), locked: 1 });
+      expect(job).toMatchObject({ status: 'delayed', error: 'Job timed out' });
+    });
+
+    it('reports a timeout however the aborted attempt ends', async () => {
+      jobQueue.register({
+        name: 'cancellable',
+        timeoutMs: 10,
+        execute: (data, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { retryable: false })));
+        })
+      });
+      await jobQueue.add('cancellable');
+
+      expect(await runNext()).toMatchObject({ status: 'delayed', error: 'Job timed out' });
+    });
+
+    it('completes an attempt that finishes after the timeout', async () => {
+      jobQueue.register({
+        name: 'late',
+        timeoutMs: 10,
+        execute: (data, { signal }) => new Promise((resolve) => {
+          signal.addEventListener('abort', () => setTimeout(() => resolve({ done: true }), 5));
+        })
+      });
+      await jobQueue.add('late');
+
+      expect(await runNext()).toMatchObject({ status: 'completed', attempts: 1, result: { done: true } });
+    });
+  });
+
+  describe('stall recovery', () => {
+    it('retries active jobs whose lock expired', async () => {
+      jobQueue.register({ name: 'work', execute: async () => ({}) });
+      const { id } = await jobQueue.add('work');
+      await redis.blMove('jobs:waiting', 'jobs:active', 'LEFT', 'RIGHT', 0);
+      await jobQueue.update(id, { status: 'active', attempts: 1 });
+
+      await jobQueue.maintain();
+
+      expect(await jobQueue.getJob(id)).toMatchObject({ status: 'delayed', error: 'Job stalled' });
+      expect(await redis.lLen('jobs:active')).toBe(0);
+    });
+
+    it('leaves active jobs with a live lock alone', async () => {
+      jobQueue.register({ name: 'work', execute: async () => ({}) });
+      const { id } = await jobQueue.add('work');
+      await redis.blMove('jobs:waiting', 'jobs:active', 'LEFT', 'RIGHT', 0);
+      await jobQueue.update(id, { status: 'active', attempts: 1 });
+      await redis.set(jobQueue.lockKey(id), '1', { PX: 30000 });
+
+      await jobQueue.maintain();
+
+      expect((await jobQueue.getJob(id)).status).toBe('active');
+    });
+
+    it('requeues jobs taken but never started once seen on two sweeps', async () => {
+      jobQueue.register({ name: 'work', execute: async () => ({}) });
+      const { id } = await jobQueue.add('work');
+      await redis.blMove('jobs:waiting', 'jobs:active', 'LEFT', 'RIGHT', 0);
+
+      await jobQueue.maintain();
+      expect(await redis.lRange('jobs:waiting', 0, -1)).toEqual([]);
+
+      await jobQueue.maintain();
+      expect(await redis.lRange('jobs:waiting', 0, -1)).toEqual([id]);
+      expect(await redis.lLen('jobs:active')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const chat = { id: 'chat-1', costTracking: {}, save: jest.fn(async () => {}) };
+const Chat = { findById: jest.fn(async () => chat) };
+const aiService = {
+  summarizeText: jest.fn(async () => 'short'),
+  translateText: jest.fn(async () => 'hola'),
+  getTextModel: jest.fn((task, { targetLanguage } = {}) => (task === 'summarization' ? 'bart' : `opus-${targetLanguage}`))
+};
+const budgetService = { recordUsage: jest.fn(async () => 0.01) };
+const rateLimitService = { consume: jest.fn(async () => ({ bucket: 'tokens', remaining: 10 })) };
+const notificationService = { emitToUser: jest.fn() };
+const tokenizer = { countTokens: jest.fn(text => text.length) };
+
+jest.unstable_mockModule('../../../models/Chat.js', () => ({ default: Chat }));
+jest.unstable_mockModule('../../../services/aiService.js', () => ({ default: aiService }));
+jest.unstable_mockModule('../../../services/budgetService.js', () => ({ default: budgetService }));
+jest.unstable_mockModule('../../../services/rateLimitService.js', () => ({ default: rateLimitService }));
+jest.unstable_mockModule('../../../services/notificationService.js', () => ({ default: notificationService }));
+jest.unstable_mockModule('../../../services/tokenizerService.js', () => ({ default: tokenizer }));
+
+const { default: summarization } = await import('../../../services/jobs/summarization.js');
+const { default: translation } = await import('../../../services/jobs/translation.js');
+
+// The context jobQueue.process() hands to a job
+const context = (saved = {}) => {
+  const job = { checkpoint: saved };
+  return {
+    job,
+    progress: jest.fn(async () => {}),
+    checkpoint: jest.fn(async (data) => { job.checkpoint = { ...job.checkpoint, ...data }; }),
+    signal: new AbortController().signal
+  };
+};
+
+const user = { id: 'user-1', organization: 'org-1' };
+const quotaSubject = { type: 'user', id: 'user-1' };
+
+describe('text jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('charges a summary to the tokens quota and the chat costs', async () => {
+    const result = await summarization.execute(
+      { text: 'a long text', maxLength: 50, chatId: 'chat-1', user, quotaSubject },
+      context()
+    );
+
+    expect(result).toEqual({ summary: 'short' });
+    expect(rateLimitService.consume).toHaveBeenCalledWith(quotaSubject, 'tokens', 16);
+    expect(notificationService.emitToUser).toHaveBeenCalledWith('user-1', 'quota:update', expect.any(Object));
+    expect(budgetService.recordUsage).toHaveBeenCalledWith(chat, user, {
+      metadata: { provider: 'huggingface', model: 'bart' },
+      tokens: { prompt: 11, completion: 5 }
+    });
+    expect(chat.save).toHaveBeenCalled();
+  });
+
+  it('charges the user budgets for translations outside a chat', async () => {
+    await translation.execute({ text: 'hello', targetLanguage: 'es', user, quotaSubject }, context());
+
+    expect(Chat.findById).not.toHaveBeenCalled();
+    expect(budgetService.recordUsage).toHaveBeenCalledWith({ costTracking: {} }, user, {
+      metadata: { provider: 'huggingface', model: 'opus-es' },
+      tokens: { prompt: 5, completion: 4 }
+    });
+  });
+
+  it('does not generate or charge again when retried after charging', async () => {
+    const result = await summarization.execute(
+      { text: 'a long text', user, quotaSubject },
+      context({ summary: 'short', charged: true })
+    );
+
+    expect(result).toEqual({ summary: 'short' });
+    expect(aiService.summarizeText).not.toHaveBeenCalled();
+    expect(rateLimitService.consume).not.toHaveBeenCalled();
+    expect(budgetService.recordUsage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+import { jest, describe, it, expect, beforeEach, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+const catalogPath = path.join(dir, 'pricing.json');
+process.env.PRICING_CATALOG_PATH = catalogPath;
+
+const catalog = {
+  version: 1,
+  providers: {
+    openai: {
+      models: [
+        { match: 'gpt-4', prices: [{ effectiveFrom: '2023-03-14', input: 0.03, output: 0.06 }] },
+        {
+          match: 'gpt-4o',
+          prices: [
+            { effectiveFrom: '2024-05-13', input: 0.005, output: 0.015 },
+            { effectiveFrom: '2024-08-06', input: 0.0025, output: 0.01 }
+          ]
+        }
+      ],
+      images: [{ match: 'dall-e-3', prices: [{ effectiveFrom: '2023-11-06', perImage: { 'standard:1024x1024': 0.04, 'hd:1024x1024': 0.08 } }] }],
+      audio: [{ match: 'whisper-1', prices: [{ effectiveFrom: '2023-03-01', perMinute: 0.006 }] }]
+    },
+    anthropic: {
+      models: [{ match: 'claude-3-opus', prices: [{ effectiveFrom: '2024-03-04', input: 0.015, output: 0.075 }] }]
+    }
+  }
+};
+fs.writeFileSync(catalogPath, JSON.stringify(catalog));
+
+const { default: pricingService, PricingError } = await import('../../services/pricingService.js');
+
+describe('pricingService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    fs.writeFileSync(catalogPath, JSON.stringify(catalog));
+    pricingService.load();
+    pricingService.warned.clear();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('matches dated model ids but not other models sharing a prefix', () => {
+    expect(pricingService.resolve('anthropic', 'claude-3-opus-20240229').match).toBe('claude-3-opus');
+    expect(pricingService.resolve('openai', 'gpt-4-0613').match).toBe('gpt-4');
+    expect(pricingService.resolve('openai', 'gpt-4o-mini').match).toBe('gpt-4o');
+    expect(pricingService.resolve('openai', 'gpt-4turbo')).toBeNull();
+  });
+
+  it('prices usage as of the given date', () => {
+    expect(pricingService.tokenCost('openai', 'gpt-4o', 1000, 1000, new Date('2024-06-01'))).toBeCloseTo(0.02);
+    expect(pricingService.tokenCost('openai', 'gpt-4o', 1000, 1000, new Date('2024-09-01'))).toBeCloseTo(0.0125);
+    expect(pricingService.tokenCost('openai', 'gpt-4o', 1000, 1000, new Date('2020-01-01'))).toBeCloseTo(0.02);
+  });
+
+  it('prices images by quality and size, and audio by the minute', () => {
+    expect(pricingService.imageCost('openai', 'dall-e-3', { quality: 'hd', n: 2 })).toBeCloseTo(0.16);
+    expect(pricingService.audioCost('openai', 'whisper-1', { seconds: 90 })).toBeCloseTo(0.009);
+  });
+
+  it('charges nothing for unpriced models and warns once', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(pricingService.tokenCost('cohere', 'command', 1000, 1000)).toBe(0);
+    pricingService.tokenCost('cohere', 'command', 1000, 1000);
+
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects catalogs with invalid prices', async () => {
+    const invalid = { providers: { openai: { models: [{ match: 'gpt-4', prices: [{ effectiveFrom: '2024-01-01', input: -1 }] }] } } };
+
+    await expect(pricingService.update(invalid)).rejects.toThrow(PricingError);
+    expect(pricingService.getCatalog().version).toBe(1);
+  });
+
+  it('keeps the previous version when the catalog is updated', async () => {
+    const next = await pricingService.update({ providers: { openai: { models: catalog.providers.openai.models.slice(0, 1) } } }, { updatedBy: 'admin-1' });
+
+    expect(next).toMatchObject({ version: 2, updatedBy: 'admin-1' });
+    expect(pricingService.resolve('openai', 'gpt-4o')).toBeNull();
+    expect(await pricingService.listVersions()).toEqual([1]);
+  });
+});
@@ -0,0 +1,69 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { BaseProvider, ProviderRegistry } = await import('../../../services/providers/index.js');
+const { default: aiService } = await import('../../../services/aiService.js');
+
+class EchoProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'echo',
+      models: ['echo-1', 'echo-1-large'],
+      contextWindows: { 'echo-1': 1000, 'echo-1-large': 8000 },
+      ...options
+    });
+    this.complete = jest.fn(async (messages, settings) => ({ content: messages.at(-1).content, settings }));
+  }
+}
+
+describe('provider registry', () => {
+  afterEach(() => {
+    aiService.registry.unregister('echo');
+  });
+
+  it('requires a name and complete()', () => {
+    const registry = new ProviderRegistry();
+
+    expect(() => registry.register({ complete() {} })).toThrow('must have a name');
+    expect(() => registry.register({ name: 'broken' })).toThrow('must implement complete()');
+  });
+
+  it('routes requests to providers registered at runtime', async () => {
+    aiService.registerProvider(new EchoProvider());
+
+    const response = await aiService.generateResponse([{ role: 'user', content: 'ping' }], { provider: 'echo', model: 'echo-1', fallbacks: [] });
+
+    expect(response).toMatchObject({ content: 'ping', provider: 'echo', model: 'echo-1' });
+    expect(aiService.validateSettings({ provider: 'echo', model: 'echo-1' })).toEqual([]);
+    expect(aiService.validateSettings({ provider: 'echo', model: 'gpt-4' })).toEqual(['Model must be one of: echo-1, echo-1-large']);
+    expect(aiService.resolveModel('echo-1-large')).toEqual({ provider: 'echo', model: 'echo-1-large' });
+  });
+
+  it('leaves tools out for providers that do not support them', async () => {
+    const provider = aiService.registerProvider(new EchoProvider());
+
+    await aiService.generateResponse([{ role: 'user', content: 'ping' }], {
+      provider: 'echo',
+      model: 'echo-1',
+      fallbacks: [],
+      toolDefinitions: [{ name: 'calculator' }]
+    });
+
+    expect(provider.complete.mock.calls[0][1].toolDefinitions).toBeUndefined();
+  });
+
+  it('rejects providers that are not registered', () => {
+    expect(aiService.validateSettings({ provider: 'echo' })[0]).toMatch('Provider must be one of');
+    expect(() => aiService.getClient('echo')).toThrow('Unsupported provider: echo');
+  });
+
+  it('matches dated model ids to the longest known prefix', () => {
+    const provider = new EchoProvider();
+
+    expect(provider.getContextWindow('echo-1-large-0613')).toBe(8000);
+    expect(provider.getContextWindow('echo-1-0613')).toBe(1000);
+    expect(provider.getContextWindow('other')).toBe(4096);
+  });
+});
@@ -0,0 +1,152 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { default: CohereProvider } = await import('../../../services/providers/cohereProvider.js');
+const { default: HuggingFaceProvider } = await import('../../../services/providers/huggingFaceProvider.js');
+const { default: LocalProvider } = await import('../../../services/providers/localProvider.js');
+
+// A fetch response whose body arrives in the given pieces
+const streamResponse = (pieces, init = {}) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, ...init });
+};
+
+const collect = async (provider, messages = [{ role: 'user', content: 'Hi' }], settings = { model: 'test' }) => {
+  const chunks = [];
+  const result = await new Promise((resolve) => {
+    provider.stream(messages, settings, {
+      onChunk: chunk => chunks.push(chunk),
+      onComplete: () => resolve({ completed: true }),
+      onError: error => resolve({ error })
+    });
+  });
+  return { chunks, ...result };
+};
+
+describe('provider streaming', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('CohereProvider', () => {
+    it('emits text-generation events and stops at stream-end', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        '{"event_type":"stream-start"}\n{"event_type":"text-generation","text":"Hel',
+        'lo"}\n{"event_type":"text-generation","text":" there"}\n',
+        '{"event_type":"stream-end","finish_reason":"COMPLETE"}\n',
+        '{"event_type":"text-generation","text":"ignored"}\n'
+      ]));
+
+      const { chunks, completed } = await collect(new CohereProvider());
+
+      expect(chunks).toEqual(['Hello', ' there']);
+      expect(completed).toBe(true);
+    });
+
+    it('sends the system prompt as preamble and earlier turns as chat history', async () => {
+      global.fetch.mockResolvedValue(streamResponse(['{"event_type":"stream-end"}\n']));
+
+      await collect(new CohereProvider(), [
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'One' },
+        { role: 'assistant', content: 'Two' },
+        { role: 'user', content: 'Three' }
+      ]);
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toMatchObject({
+        message: 'Three',
+        preamble: 'Be brief',
+        chat_history: [{ role: 'USER', message: 'One' }, { role: 'CHATBOT', message: 'Two' }],
+        stream: true
+      });
+    });
+
+    it('reports HTTP errors with their status', async () => {
+      global.fetch.mockResolvedValue(new Response('nope', { status: 429 }));
+
+      const { error } = await collect(new CohereProvider());
+
+      expect(error.status).toBe(429);
+    });
+  });
+
+  describe('LocalProvider', () => {
+    it('emits message content until done', async () => {
+      global.fetch.mockResolvedValue(streamResponse([
+        '{"message":{"content":"A"},"done":false}\n{"message":{"content":"B"},"done":false}',
+        '\n{"message":{"content":""},"done":true}\n'
+      ]));
+
+      const { chunks, completed } = await collect(new LocalProvider());
+
+      expect(chunks).toEqual(['A', 'B']);
+      expect(completed).toBe(true);
+    });
+
+    it('turns error lines into stream errors', async () => {
+      global.fetch.mockResolvedValue(streamResponse(['{"error":"model not found"}\n']));
+
+      const { error } = await collect(new LocalProvider());
+
+      expect(error.message).toBe('model not found');
+    });
+
+    it('passes the abort signal to fetch', async () => {
+      global.fetch.mockResolvedValue(streamResponse(['{"done":true}\n']));
+      const controller = new AbortController();
+
+      await new Promise((resolve) => {
+        new LocalProvider().stream([], { model: 'llama' }, {
+          onChunk: () => {},
+          onComplete: resolve,
+          onError: resolve,
+          signal: controller.signal
+        });
+      });
+
+      expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+  });
+
+  describe('HuggingFaceProvider', () => {
+    it('emits generated tokens and skips special ones', async () => {
+      const provider = new HuggingFaceProvider();
+      provider.client = {
+        textGenerationStream: async function* () {
+          yield { token: { text: 'Hi', special: false } };
+          yield { token: { text: '</s>', special: true } };
+          yield { token: { text: '!', special: false } };
+        }
+      };
+
+      const { chunks, completed } = await collect(provider);
+
+      expect(chunks).toEqual(['Hi', '!']);
+      expect(completed).toBe(true);
+    });
+
+    it('builds a speaker-labelled prompt', () => {
+      const prompt = new HuggingFaceProvider().formatMessages([
+        { role: 'system', content: 'Rules' },
+        { role: 'user', content: 'Question' }
+      ]);
+
+      expect(prompt).toBe('System: Rules\n\nUser: Question\n\nAssistant:');
+    });
+  });
+});
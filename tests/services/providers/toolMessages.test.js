@@ -0,0 +1,155 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { default: OpenAIProvider } = await import('../../../services/providers/openaiProvider.js');
+const { default: AnthropicProvider } = await import('../../../services/providers/anthropicProvider.js');
+const { default: aiService } = await import('../../../services/aiService.js');
+const { default: toolRegistry } = await import('../../../services/tools/index.js');
+
+const calls = [
+  { id: 'call-1', name: 'calculator', input: { expression: '1+1' } },
+  { id: 'call-2', name: 'current_time', input: {} }
+];
+
+// Tool messages as they are loaded from a chat: the assistant turn that made
+// the calls is not stored, only the results carrying their call
+const storedHistory = [
+  { role: 'system', content: 'Be brief' },
+  { role: 'user', content: 'What is 1+1 and what time is it?' },
+  { role: 'tool', content: '2', toolCall: calls[0] },
+  { role: 'tool', content: '12:00', toolCall: calls[1] },
+  { role: 'assistant', content: '2, and it is noon.' }
+];
+
+describe('tool messages', () => {
+  describe('OpenAIProvider', () => {
+    const provider = new OpenAIProvider();
+
+    it('rebuilds one announcement for parallel calls followed by every result', () => {
+      const formatted = provider.formatMessages(storedHistory);
+
+      expect(formatted.slice(2)).toEqual([
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            { id: 'call-1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"1+1"}' } },
+            { id: 'call-2', type: 'function', function: { name: 'current_time', arguments: '{}' } }
+          ]
+        },
+        { role: 'tool', tool_call_id: 'call-1', content: '2' },
+        { role: 'tool', tool_call_id: 'call-2', content: '12:00' },
+        { role: 'assistant', content: '2, and it is noon.' }
+      ]);
+    });
+
+    it('does not repeat calls the history already announces', () => {
+      const formatted = provider.formatMessages([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: '', toolCalls: calls },
+        { role: 'tool', content: '2', toolCall: calls[0] },
+        { role: 'tool', content: '12:00', toolCall: calls[1] }
+      ]);
+
+      expect(formatted.map(msg => msg.role)).toEqual(['user', 'assistant', 'tool', 'tool']);
+      expect(formatted[1].tool_calls.map(call => call.id)).toEqual(['call-1', 'call-2']);
+    });
+
+    it('keeps the tool schemas when calls are turned off', () => {
+      const tools = provider.formatTools([{ name: 'calculator', description: 'Math', parameters: { type: 'object' } }], 'none');
+
+      expect(tools).toEqual({
+        tools: [{ type: 'function', function: { name: 'calculator', description: 'Math', parameters: { type: 'object' } } }],
+        tool_choice: 'none'
+      });
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    const provider = new AnthropicProvider();
+
+    it('groups parallel results into one user turn after the tool_use blocks', () => {
+      const formatted = provider.formatMessages(storedHistory);
+
+      expect(formatted).toEqual([
+        { role: 'user', content: 'What is 1+1 and what time is it?' },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'tool_use', id: 'call-1', name: 'calculator', input: { expression: '1+1' } },
+            { type: 'tool_use', id: 'call-2', name: 'current_time', input: {} }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'call-1', content: '2' },
+            { type: 'tool_result', tool_use_id: 'call-2', content: '12:00' }
+          ]
+        },
+        { role: 'assistant', content: '2, and it is noon.' }
+      ]);
+    });
+
+    it('keeps text said alongside tool calls', () => {
+      const [, announcement] = provider.formatMessages([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Let me check.', toolCalls: [calls[1]] },
+        { role: 'tool', content: '12:00', toolCall: calls[1] }
+      ]);
+
+      expect(announcement.content).toEqual([
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'call-2', name: 'current_time', input: {} }
+      ]);
+    });
+
+    it('sends tool_choice as an object', () => {
+      expect(provider.formatTools([{ name: 'calculator', parameters: {} }], 'none').tool_choice).toEqual({ type: 'none' });
+      expect(provider.formatTools([], 'none')).toEqual({});
+    });
+  });
+
+  describe('aiService.generateWithTools', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('asks for a final answer with the tools still defined once out of iterations', async () => {
+      jest.spyOn(toolRegistry, 'execute').mockResolvedValue({ success: true, output: 2 });
+      const generate = jest.spyOn(aiService, 'generateResponse')
+        .mockResolvedValueOnce({ content: '', toolCalls: [calls[0]] })
+        .mockResolvedValueOnce({ content: 'It is 2.' });
+
+      const result = await aiService.generateWithTools([{ role: 'user', content: '1+1?' }], { model: 'gpt-4' }, {
+        tools: [{ name: 'calculator' }],
+        maxIterations: 1
+      });
+
+      const [conversation, settings] = generate.mock.calls[1];
+      expect(conversation.map(msg => msg.role)).toEqual(['user', 'assistant', 'tool']);
+      expect(settings.toolChoice).toBe('none');
+      expect(settings.toolDefinitions.map(tool => tool.name)).toEqual(['calculator']);
+      expect(result).toMatchObject({ content: 'It is 2.', maxIterationsReached: true, toolMessages: [expect.objectContaining({ output: 2 })] });
+    });
+
+    it('refuses calls to tools the chat has not enabled', async () => {
+      const execute = jest.spyOn(toolRegistry, 'execute');
+      jest.spyOn(aiService, 'generateResponse')
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call-3', name: 'read_attachment', input: { name: 'secrets.txt' } }] })
+        .mockResolvedValueOnce({ content: 'I cannot read that.' });
+
+      const result = await aiService.generateWithTools([{ role: 'user', content: 'Read secrets.txt' }], { model: 'gpt-4' }, {
+        tools: [{ name: 'calculator' }]
+      });
+
+      expect(execute).not.toHaveBeenCalled();
+      expect(result.toolMessages).toEqual([expect.objectContaining({
+        success: false,
+        output: { error: 'Tool not enabled: read_attachment' }
+      })]);
+    });
+  });
+});
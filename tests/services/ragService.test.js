@@ -0,0 +1,105 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockProviderSdks } from '../helpers/mocks.js';
+
+mockProviderSdks();
+
+process.env.S3_BUCKET_NAME = 'chat-files';
+process.env.S3_PUBLIC_URL = 'https://files';
+
+const { default: Embedding } = await import('../../models/Embedding.js');
+const { default: attachmentService } = await import('../../services/attachmentService.js');
+const { default: ragService } = await import('../../services/ragService.js');
+
+const matches = filter => entry => Object.entries(filter).every(([field, value]) => (
+  String(field.split('.').reduce((object, key) => object?.[key], entry)) === String(value)
+));
+
+const files = {
+  'handbook.txt': [{ page: 1, text: 'Vacation requests need two weeks notice.' }, { page: 2, text: 'Expenses are reimbursed monthly.' }],
+  'menu.txt': [{ page: 1, text: 'Soup of the day is tomato.' }]
+};
+
+describe('ragService', () => {
+  let stored;
+  let chat;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(Embedding, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      stored = stored.filter(entry => !matches(filter)(entry)).concat($set);
+    });
+    jest.spyOn(Embedding, 'deleteMany').mockImplementation(async (filter) => {
+      stored = stored.filter(entry => !matches(filter)(entry));
+    });
+    jest.spyOn(Embedding, 'find').mockImplementation(filter => ({
+      lean: () => ({ cursor: async function* () { yield* stored.filter(matches(filter)); } })
+    }));
+    jest.spyOn(Embedding, 'distinct').mockImplementation(async (field, filter) => (
+      [...new Set(stored.filter(matches(filter)).map(entry => entry.attachment.key))]
+    ));
+    jest.spyOn(attachmentService, 'extractText').mockImplementation(async attachment => files[attachment.name]);
+
+    chat = {
+      _id: 'chat-1',
+      userId: 'user-1',
+      messages: [{
+        id: 'm1',
+        attachments: [
+          { type: 'txt', name: 'handbook.txt', url: 'https://files/handbook.txt' },
+          { type: 'txt', name: 'menu.txt', url: 'https://files/menu.txt' },
+          { type: 'image', name: 'photo.png', url: 'https://files/photo.png' },
+          { type: 'txt', name: 'imported.txt', url: 'http://169.254.169.254/latest/meta-data/' }
+        ]
+      }]
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('splits pages into overlapping chunks that end on word boundaries', () => {
+    const words = Array.from({ length: 30 }, (value, index) => `word${index}`);
+    const text = words.join(' ');
+
+    const chunks = ragService.chunkText([{ page: 3, text }], { size: 60, overlap: 20 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expect(chunks.every(chunk => chunk.page === 3 && chunk.text.length <= 60)).toBe(true);
+    expect(chunks.every(chunk => words.includes(chunk.text.split(' ').at(-1)))).toBe(true);
+    expect(chunks[0].text).toContain(chunks[1].text.slice(0, 10));
+  });
+
+  it('indexes attachments on first use and cites the best chunks', async () => {
+    const citations = await ragService.retrieve(chat, 'how much notice for vacation requests', { limit: 1, minScore: 0 });
+
+    expect(attachmentService.extractText).toHaveBeenCalledTimes(2);
+    expect(citations).toEqual([expect.objectContaining({ ref: 1, name: 'handbook.txt', messageId: 'm1', page: 1 })]);
+    expect(citations[0].text).toBe('Vacation requests need two weeks notice.');
+  });
+
+  it('never fetches attachments that are not stored files', async () => {
+    await ragService.indexChatAttachments(chat);
+
+    expect(attachmentService.extractText.mock.calls.map(([attachment]) => attachment.name)).toEqual(['handbook.txt', 'menu.txt']);
+  });
+
+  it('does not index attachments twice', async () => {
+    await ragService.indexChatAttachments(chat);
+    await Promise.all([ragService.indexChatAttachments(chat), ragService.indexChatAttachments(chat, { force: true })]);
+
+    expect(attachmentService.extractText).toHaveBeenCalledTimes(4);
+    expect(stored).toHaveLength(3);
+  });
+
+  it('leaves out chunks below the minimum score', async () => {
+    expect(await ragService.retrieve(chat, 'quantum chromodynamics', { minScore: 0.2 })).toEqual([]);
+  });
+
+  it('numbers excerpts for citing', () => {
+    const context = ragService.formatContext([{ ref: 1, name: 'menu.txt', page: 1, text: 'Soup' }]);
+
+    expect(context).toMatch(/cite the excerpts you rely on inline as \[1\]/);
+    expect(context.endsWith('[1] menu.txt, page 1\nSoup')).toBe(true);
+  });
+});
@@ -0,0 +1,92 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { mockRedis } from '../helpers/mocks.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const redis = mockRedis();
+
+const { default: ApiKey } = await import('../../models/ApiKey.js');
+const { default: rateLimitService } = await import('../../services/rateLimitService.js');
+
+const request = (headers = {}, ip = '203.0.113.7') => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { ip, get: name => lower[name.toLowerCase()] };
+};
+
+describe('rateLimitService', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const validKey = 'sk-valid';
+
+  beforeEach(() => {
+    redis.flushAll();
+    jest.restoreAllMocks();
+    jest.spyOn(ApiKey, 'findActive').mockImplementation(async key => (key === validKey
+      ? { userId: ownerId, keyHash: ApiKey.hashKey(key) }
+      : null));
+  });
+
+  describe('resolveSubject', () => {
+    it('counts requests with an active key against the key', async () => {
+      const subject = await rateLimitService.resolveSubject(request({ 'X-API-Key': validKey }));
+
+      expect(subject).toEqual({ identity: `key:${ApiKey.hashKey(validKey)}`, userId: String(ownerId), plan: 'free' });
+    });
+
+    it('accepts active keys sent as Bearer tokens', async () => {
+      const subject = await rateLimitService.resolveSubject(request({ Authorization: `Bearer ${validKey}` }));
+
+      expect(subject.identity).toBe(`key:${ApiKey.hashKey(validKey)}`);
+    });
+
+    it('falls back to the IP for unknown keys', async () => {
+      const first = await rateLimitService.resolveSubject(request({ 'X-API-Key': 'made-up-1' }));
+      const second = await rateLimitService.resolveSubject(request({ Authorization: 'Bearer sk-made-up-2' }));
+
+      expect(first).toEqual({ identity: 'ip:203.0.113.7', plan: 'anonymous' });
+      expect(second).toEqual(first);
+    });
+
+    it('falls back to the signed-in user for unknown keys', async () => {
+      const token = jwt.sign({ id: 'user-1' }, process.env.JWT_SECRET);
+      const subject = await rateLimitService.resolveSubject(request({
+        'X-API-Key': 'made-up',
+        Authorization: `Bearer ${token}`
+      }));
+
+      expect(subject).toEqual({ identity: 'user:user-1', userId: 'user-1', plan: 'free' });
+    });
+
+    it('looks a key up once per request', async () => {
+      const req = request({ 'X-API-Key': validKey });
+
+      await rateLimitService.resolveSubject(req);
+      await rateLimitService.findApiKey(req);
+
+      expect(ApiKey.findActive).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('consume', () => {
+    it('allows requests up to the plan limit', async () => {
+      const subject = { identity: 'ip:198.51.100.1', plan: 'anonymous' };
+      let status;
+
+      for (let i = 0; i < 21; i += 1) {
+        status = await rateLimitService.consume(subject, 'requests');
+        if (i === 19) expect(status).toMatchObject({ allowed: true, remaining: 0 });
+      }
+
+      expect(status).toMatchObject({ allowed: false, limit: 20, used: 21 });
+    });
+
+    it('keeps separate counters per subject', async () => {
+      await rateLimitService.consume({ identity: 'user:a', plan: 'free' }, 'tokens', 49000);
+      const other = await rateLimitService.peek({ identity: 'user:b', plan: 'free' }, 'tokens');
+
+      expect(other.remaining).toBe(50000);
+      await expect(rateLimitService.assertQuota({ identity: 'user:a', plan: 'free' }, 'tokens')).resolves.toMatchObject({ remaining: 1000 });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import storageService from '../../services/storageService.js';
+
+describe('storageService.isStoredUrl', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.S3_PUBLIC_URL;
+    delete process.env.CLOUDINARY_CLOUD_NAME;
+    process.env.S3_BUCKET_NAME = 'chat-files';
+    process.env.AWS_REGION = 'eu-west-1';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('accepts files in the S3 bucket', () => {
+    expect(storageService.isStoredUrl('https://chat-files.s3.eu-west-1.amazonaws.com/uploads/a.pdf')).toBe(true);
+  });
+
+  it('accepts files under a custom public URL', () => {
+    process.env.S3_PUBLIC_URL = 'https://cdn.example.com/files';
+
+    expect(storageService.isStoredUrl('https://cdn.example.com/files/uploads/a.pdf')).toBe(true);
+    expect(storageService.isStoredUrl('https://cdn.example.com/filesystem/a.pdf')).toBe(false);
+  });
+
+  it('accepts files in the Cloudinary account', () => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'acme';
+
+    expect(storageService.isStoredUrl('https://res.cloudinary.com/acme/raw/upload/a.pdf')).toBe(true);
+    expect(storageService.isStoredUrl('https://res.cloudinary.com/other/raw/upload/a.pdf')).toBe(false);
+  });
+
+  it('rejects other hosts and malformed URLs', () => {
+    expect(storageService.isStoredUrl('http://169.254.169.254/latest/meta-data/')).toBe(false);
+    expect(storageService.isStoredUrl('http://localhost:27017/')).toBe(false);
+    expect(storageService.isStoredUrl('https://chat-files.s3.eu-west-1.amazonaws.com.evil.test/a.pdf')).toBe(false);
+    expect(storageService.isStoredUrl('not a url')).toBe(false);
+  });
+
+  it('accepts nothing when no storage is configured', () => {
+    delete process.env.S3_BUCKET_NAME;
+
+    expect(storageService.isStoredUrl('https://chat-files.s3.eu-west-1.amazonaws.com/a.pdf')).toBe(false);
+  });
+});
@@ -0,0 +1,77 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { mockRedis } from '../helpers/mocks.js';
+
+const redis = mockRedis();
+
+const { default: streamService } = await import('../../services/streamService.js');
+
+// append() buffers without waiting; let the queued writes land
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('streamService', () => {
+  beforeEach(() => {
+    redis.flushAll();
+    streamService.controllers.clear();
+    streamService.io = null;
+  });
+
+  it('buffers chunks so a client can catch up from any index', async () => {
+    const stream = await streamService.begin('chat-1', { userId: 'alice', parentId: 'm1' });
+
+    expect(['Hel', 'lo', ' there'].map(chunk => streamService.append(stream, chunk))).toEqual([0, 1, 2]);
+    await flush();
+
+    const resumed = await streamService.resume('chat-1', 1);
+    expect(resumed.chunks).toEqual(['lo', ' there']);
+    expect(resumed.stream).toMatchObject({ id: stream.id, status: 'streaming', parentId: 'm1', userId: 'alice' });
+  });
+
+  it('keeps the chunks of unbuffered streams out of Redis', async () => {
+    const stream = await streamService.begin('chat-1', { buffered: false });
+
+    expect(['Hel', 'lo'].map(chunk => streamService.append(stream, chunk))).toEqual([0, 1]);
+    await flush();
+
+    expect(await redis.lRange(`stream:chunks:${stream.id}`, 0, -1)).toEqual([]);
+    const resumed = await streamService.resume('chat-1', 0);
+    expect(resumed.chunks).toEqual([]);
+    expect(resumed.stream).toMatchObject({ id: stream.id, buffered: false, status: 'streaming' });
+  });
+
+  it('records how the stream ended', async () => {
+    const stream = await streamService.begin('chat-1');
+    streamService.append(stream, 'Hi');
+    await streamService.end(stream, 'completed', { messageId: 'm2' });
+
+    expect(await streamService.getStream('chat-1')).toMatchObject({ status: 'completed', chunks: 1, messageId: 'm2' });
+    expect(streamService.controllers.size).toBe(0);
+  });
+
+  it('aborts a stream running on this worker', async () => {
+    const stream = await streamService.begin('chat-1');
+
+    const cancelled = await streamService.cancel('chat-1');
+
+    expect(cancelled.id).toBe(stream.id);
+    expect(stream.signal.aborted).toBe(true);
+  });
+
+  it('asks the other workers to abort streams it is not running', async () => {
+    const stream = await streamService.begin('chat-1');
+    streamService.controllers.clear();
+    streamService.io = { serverSideEmit: jest.fn() };
+
+    await streamService.cancel('chat-1');
+
+    expect(streamService.io.serverSideEmit).toHaveBeenCalledWith('generation:cancel', { streamId: stream.id });
+  });
+
+  it('has nothing to cancel once the stream ended or for another stream id', async () => {
+    const stream = await streamService.begin('chat-1');
+
+    expect(await streamService.cancel('chat-1', { streamId: 'other' })).toBeNull();
+    await streamService.end(stream, 'completed');
+    expect(await streamService.cancel('chat-1')).toBeNull();
+    expect(await streamService.cancel('chat-2')).toBeNull();
+  });
+});
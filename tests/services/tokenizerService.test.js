@@ -0,0 +1,52 @@
+import { describe, it, expect } from '@jest/globals';
+import { mockProviderSdks } from '../helpers/mocks.js';
+
+mockProviderSdks();
+
+const { default: tokenizer } = await import('../../services/tokenizerService.js');
+
+describe('tokenizerService', () => {
+  it('counts OpenAI models with their BPE encoding', () => {
+    expect(tokenizer.countTokens('hello world', { provider: 'openai', model: 'gpt-4' })).toBe(2);
+    expect(tokenizer.countTokens('hello world', { provider: 'openai', model: 'gpt-made-up' })).toBe(2);
+  });
+
+  it('keeps one encoder per encoding however many models are counted', () => {
+    for (const model of ['gpt-a', 'gpt-b', 'gpt-4', 'gpt-4-0613', 'gpt-4o', 'gpt-4o-mini']) {
+      tokenizer.countTokens('hello', { provider: 'openai', model });
+    }
+
+    expect([...tokenizer.encoders.keys()].sort()).toEqual(['cl100k_base', 'o200k_base']);
+    expect(tokenizer.getEncoder('gpt-a')).toBe(tokenizer.getEncoder('gpt-4'));
+  });
+
+  it('approximates other models per family', () => {
+    const text = 'a'.repeat(35);
+
+    expect(tokenizer.countTokens(text, { provider: 'anthropic', model: 'claude-2.1' })).toBe(10);
+    expect(tokenizer.countTokens(text, { provider: 'cohere', model: 'command' })).toBe(9);
+  });
+
+  it('counts dense scripts as a token per character', () => {
+    expect(tokenizer.countTokens('你好世界', { provider: 'anthropic', model: 'claude-2.1' })).toBe(4);
+    expect(tokenizer.countTokens('héé', { provider: 'anthropic', model: 'claude-2.1' })).toBe(2);
+  });
+
+  it('adds the chat format overhead per message', () => {
+    const settings = { provider: 'openai', model: 'gpt-4' };
+    const messages = [{ role: 'user', content: 'hello world' }, { role: 'assistant', content: '' }];
+
+    expect(tokenizer.countMessageTokens(messages, settings)).toBe(2 + 3 + 3 + 3);
+    expect(tokenizer.countMessageTokens([], settings)).toBe(0);
+  });
+
+  it('reports what is left of the context window after the reply', () => {
+    const usage = tokenizer.getContextUsage([{ role: 'user', content: 'hello world' }], {
+      provider: 'openai',
+      model: 'gpt-4-0613',
+      maxTokens: 1000
+    });
+
+    expect(usage).toEqual({ promptTokens: 8, contextWindow: 8192, reserved: 1000, contextLeft: 8192 - 8 - 1000 });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import calculator from '../../../services/tools/calculator.js';
+
+const calculate = async expression => (await calculator.execute({ expression })).result;
+
+describe('calculator tool', () => {
+  it('follows operator precedence', async () => {
+    expect(await calculate('2 + 3 * 4')).toBe(14);
+    expect(await calculate('10 - 4 - 3')).toBe(3);
+    expect(await calculate('2 ^ 3 ^ 2')).toBe(512);
+    expect(await calculate('2 ** 3 * 2')).toBe(16);
+    expect(await calculate('7 % 4 + 1')).toBe(4);
+  });
+
+  it('handles unary minus and parentheses', async () => {
+    expect(await calculate('-3 + 5')).toBe(2);
+    expect(await calculate('-(2 + 3) * 2')).toBe(-10);
+    expect(await calculate('2 * -3')).toBe(-6);
+    expect(await calculate('((1 + 2) * (3 + 4))')).toBe(21);
+  });
+
+  it('knows its constants and functions', async () => {
+    expect(await calculate('sqrt(16) + max(1, 5, 3)')).toBe(9);
+    expect(await calculate('round(PI * 100)')).toBe(314);
+  });
+
+  it('rejects division by zero', async () => {
+    await expect(calculate('1 / 0')).rejects.toThrow('Result is not a finite number');
+    await expect(calculate('0 / 0')).rejects.toThrow('Result is not a finite number');
+  });
+
+  it('rejects identifiers it does not know, including object members', async () => {
+    await expect(calculate('x + 1')).rejects.toThrow('Unknown token "x"');
+    await expect(calculate('constructor')).rejects.toThrow('Unknown token "constructor"');
+    await expect(calculate('process.exit(1)')).rejects.toThrow();
+  });
+
+  it('rejects malformed and oversized input', async () => {
+    await expect(calculate('(1 + 2')).rejects.toThrow('Expected ")"');
+    await expect(calculate('1 +')).rejects.toThrow('Unexpected end of expression');
+    await expect(calculate('1 2')).rejects.toThrow('Unexpected token "2"');
+    await expect(calculate('1 $ 2')).rejects.toThrow('Unexpected character');
+    await expect(calculate(`1${'+1'.repeat(500)}`)).rejects.toThrow('at most 1000 characters');
+    await expect(calculator.execute({ expression: 42 })).rejects.toThrow('at most 1000 characters');
+  });
+});
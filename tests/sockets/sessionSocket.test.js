@@ -0,0 +1,247 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { mockRedis } from '../helpers/mocks.js';
+import { FakeServer } from '../helpers/fakeSocket.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+const redis = mockRedis();
+// The lock's compare-and-delete script
+redis.eval = async (script, { keys: [key], arguments: [value] }) => (
+  await redis.get(key) === value ? redis.del(key) : 0
+);
+
+const Chat = { findById: jest.fn() };
+const aiService = { streamChatResponse: jest.fn() };
+class BudgetExceededError extends Error {}
+const budgetService = {
+  preflight: jest.fn(async () => ({ settings: {} })),
+  recordUsage: jest.fn(async () => 0)
+};
+const rateLimitService = {
+  checkSocket: jest.fn(async () => ({ allowed: true, subject: {} })),
+  consume: jest.fn(async () => ({}))
+};
+const notificationService = { emitToChat: jest.fn(), emitToUser: jest.fn() };
+
+jest.unstable_mockModule('../../models/Chat.js', () => ({ default: Chat }));
+jest.unstable_mockModule('../../services/aiService.js', () => ({ default: aiService }));
+jest.unstable_mockModule('../../services/budgetService.js', () => ({ default: budgetService, BudgetExceededError }));
+jest.unstable_mockModule('../../services/rateLimitService.js', () => ({ default: rateLimitService }));
+jest.unstable_mockModule('../../services/notificationService.js', () => ({ default: notificationService }));
+
+const { default: generationLockService } = await import('../../services/generationLockService.js');
+const { default: streamService } = await import('../../services/streamService.js');
+const { default: sessionSocket } = await import('../../sockets/sessionSocket.js');
+
+const ROOM = 'chat:chat-1';
+const token = userId => jwt.sign({ id: userId }, process.env.JWT_SECRET);
+
+// A query that can be awaited directly or narrowed with select()
+const query = value => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const makeChat = ({ viewers = [], editors = [] } = {}) => ({
+  _id: 'chat-1',
+  messages: [],
+  canView: userId => [...viewers, ...editors].includes(userId),
+  canEdit: userId => editors.includes(userId),
+  addMessage(data) {
+    const message = { id: `m${this.messages.length + 1}`, ...data };
+    this.messages.push(message);
+    return message;
+  },
+  addAssistantMessage(response, extra) {
+    return this.addMessage({ role: 'assistant', content: response.content, tokens: { total: 5 }, ...extra });
+  },
+  save: jest.fn(async () => {})
+});
+
+describe('live sessions', () => {
+  let io;
+  let chat;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.flushAll();
+    io = new FakeServer();
+    sessionSocket(io);
+    chat = makeChat({ viewers: ['viewer'], editors: ['alice', 'bob'] });
+    Chat.findById.mockImplementation(() => query(chat));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('chat:join', () => {
+    it('lists each viewer once however many tabs they have open', async () => {
+      const [first, second, viewer] = await Promise.all([io.connect(token('alice')), io.connect(token('alice')), io.connect(token('viewer'))]);
+
+      await first.call('chat:join', { chatId: 'chat-1' });
+      await second.call('chat:join', { chatId: 'chat-1' });
+      const ack = await viewer.call('chat:join', { chatId: 'chat-1' });
+
+      expect(ack).toMatchObject({ success: true, canEdit: false, generation: null, stream: null });
+      expect(ack.viewers.map(entry => entry.id)).toEqual(['alice', 'viewer']);
+      expect(io.sent(ROOM, 'presence:update')).toHaveLength(3);
+    });
+
+    it('turns away anonymous sockets and users without access', async () => {
+      const anonymous = await io.connect();
+      const stranger = await io.connect(token('mallory'));
+
+      expect(await anonymous.call('chat:join', { chatId: 'chat-1' })).toEqual({ success: false, error: 'Not authorized' });
+      expect(await stranger.call('chat:join', { chatId: 'chat-1' })).toEqual({ success: false, error: 'Chat not found' });
+      expect(stranger.rooms.has(ROOM)).toBe(false);
+    });
+  });
+
+  describe('typing', () => {
+    it('tells the others and stops on its own', async () => {
+      jest.useFakeTimers();
+      const alice = await io.connect(token('alice'));
+      await alice.call('chat:join', { chatId: 'chat-1' });
+
+      alice.handlers.get('typing:start')({ chatId: 'chat-1' });
+      alice.handlers.get('typing:start')({ chatId: 'chat-1' });
+      jest.advanceTimersByTime(5000);
+
+      const updates = io.emitted.filter(entry => entry.event === 'typing:update');
+      expect(updates.map(entry => entry.payload.typing)).toEqual([true, false]);
+      expect(updates.every(entry => entry.from === alice)).toBe(true);
+    });
+
+    it('is ignored outside the chat room', async () => {
+      const alice = await io.connect(token('alice'));
+
+      alice.handlers.get('typing:start')({ chatId: 'chat-1' });
+
+      expect(io.emitted.filter(entry => entry.event === 'typing:update')).toEqual([]);
+    });
+  });
+
+  describe('message:send', () => {
+    it('streams the reply to everyone in the chat', async () => {
+      aiService.streamChatResponse.mockImplementation(async (target, settings, { onChunk, onComplete }) => {
+        onChunk('Hi ');
+        onChunk('all');
+        onComplete({ provider: 'openai', model: 'gpt-4' });
+      });
+      const alice = await io.connect(token('alice'));
+      await alice.call('chat:join', { chatId: 'chat-1' });
+
+      const ack = await alice.call('message:send', { chatId: 'chat-1', content: ' Hello ' });
+
+      expect(ack).toEqual({ success: true, messageId: 'm1' });
+      expect(chat.messages.map(msg => msg.content)).toEqual(['Hello', 'Hi all']);
+      expect(io.sent(ROOM, 'generation:chunk').map(({ index, chunk }) => [index, chunk])).toEqual([[0, 'Hi '], [1, 'all']]);
+      expect(io.sent(ROOM, 'generation:complete')).toEqual([expect.objectContaining({ messageId: 'm2', finishReason: 'stop' })]);
+      expect(await generationLockService.getHolder('chat-1')).toBeNull();
+    });
+
+    it('tells other editors a reply is already being generated', async () => {
+      await generationLockService.acquire('chat-1', 'alice');
+      const bob = await io.connect(token('bob'));
+
+      const ack = await bob.call('message:send', { chatId: 'chat-1', content: 'Me too' });
+
+      expect(ack).toMatchObject({ success: false, generation: { userId: 'alice' } });
+      expect(bob.emitted).toEqual([{ event: 'generation:busy', payload: { chatId: 'chat-1', generation: expect.objectContaining({ userId: 'alice' }) } }]);
+      expect(chat.messages).toEqual([]);
+    });
+
+    it('only lets editors send', async () => {
+      const viewer = await io.connect(token('viewer'));
+
+      expect(await viewer.call('message:send', { chatId: 'chat-1', content: 'Hi' })).toEqual({ success: false, error: 'Chat not found' });
+    });
+  });
+
+  describe('stopping and resuming', () => {
+    // Sends a chunk, then waits until the reply is stopped
+    const streamUntilStopped = async (target, settings, { onChunk, onComplete, signal }) => {
+      onChunk('Partial');
+      signal.addEventListener('abort', () => onComplete({ provider: 'openai', model: 'gpt-4', finishReason: 'cancelled' }));
+    };
+
+    it('lets any editor stop the reply and keeps the text so far', async () => {
+      aiService.streamChatResponse.mockImplementation(streamUntilStopped);
+      const [alice, bob] = await Promise.all([io.connect(token('alice')), io.connect(token('bob'))]);
+
+      const sending = alice.call('message:send', { chatId: 'chat-1', content: 'Tell me a story' });
+      await new Promise(resolve => setImmediate(resolve));
+      const stopped = await bob.call('generation:stop', { chatId: 'chat-1' });
+      await sending;
+
+      expect(stopped).toEqual({ success: true, streamId: expect.any(String) });
+      expect(chat.messages.at(-1)).toMatchObject({ role: 'assistant', content: 'Partial' });
+      expect(io.sent(ROOM, 'generation:complete')).toEqual([expect.objectContaining({ finishReason: 'cancelled' })]);
+      expect(await streamService.getStream('chat-1')).toMatchObject({ status: 'cancelled', chunks: 1 });
+    });
+
+    it('reports when nothing is being generated', async () => {
+      const alice = await io.connect(token('alice'));
+
+      expect(await alice.call('generation:stop', { chatId: 'chat-1' })).toEqual({ success: false, error: 'No reply is being generated' });
+    });
+
+    it('catches a rejoining client up on missed chunks', async () => {
+      aiService.streamChatResponse.mockImplementation(async (target, settings, { onChunk, onComplete }) => {
+        ['One', ' two', ' three'].forEach(onChunk);
+        onComplete({ provider: 'openai', model: 'gpt-4' });
+      });
+      const alice = await io.connect(token('alice'));
+      await alice.call('chat:join', { chatId: 'chat-1' });
+      await alice.call('message:send', { chatId: 'chat-1', content: 'Count' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const resumed = await alice.call('generation:resume', { chatId: 'chat-1', from: 1 });
+
+      expect(resumed).toMatchObject({ success: true, from: 1, chunks: [' two', ' three'], stream: { status: 'completed' } });
+    });
+
+    it('does not buffer replies in encrypted chats', async () => {
+      chat.encryption = { enabled: true };
+      aiService.streamChatResponse.mockImplementation(async (target, settings, { onChunk, onComplete }) => {
+        ['Top', ' secret'].forEach(onChunk);
+        onComplete({ provider: 'openai', model: 'gpt-4' });
+      });
+      const alice = await io.connect(token('alice'));
+      await alice.call('chat:join', { chatId: 'chat-1' });
+      await alice.call('message:send', { chatId: 'chat-1', content: 'Tell me' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const resumed = await alice.call('generation:resume', { chatId: 'chat-1', from: 0 });
+
+      expect(io.sent(ROOM, 'generation:chunk')).toHaveLength(2);
+      expect(resumed).toMatchObject({ success: true, chunks: [], stream: { buffered: false, status: 'completed', messageId: 'm2' } });
+    });
+  });
+});
+
+describe('generationLockService', () => {
+  beforeEach(() => {
+    redis.flushAll();
+  });
+
+  it('releases only the lock it took', async () => {
+    const stale = await generationLockService.acquire('chat-2', 'alice');
+    await redis.del(generationLockService.lockKey('chat-2'));
+    await generationLockService.acquire('chat-2', 'bob');
+
+    expect(await generationLockService.release('chat-2', stale)).toBe(false);
+    expect(await generationLockService.getHolder('chat-2')).toMatchObject({ userId: 'bob' });
+  });
+
+  it('releases the lock when the work fails', async () => {
+    await expect(generationLockService.withLock('chat-3', 'alice', async () => {
+      throw new Error('provider down');
+    })).rejects.toThrow('provider down');
+
+    expect(await generationLockService.getHolder('chat-3')).toBeNull();
+    expect(notificationService.emitToChat).toHaveBeenLastCalledWith('chat-3', 'generation:finished', { chatId: 'chat-3', userId: 'alice' });
+  });
+});
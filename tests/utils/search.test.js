@@ -0,0 +1,26 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseSearchTerms, buildTermsRegex, buildSnippet } from '../../utils/search.js';
+
+describe('search utils', () => {
+  it('splits queries into phrases and words', () => {
+    expect(parseSearchTerms('"Rate Limit" redis a redis Plans')).toEqual(['rate limit', 'redis', 'plans']);
+  });
+
+  it('escapes regex syntax in terms', () => {
+    const regex = buildTermsRegex(parseSearchTerms('c++ (beta)'));
+
+    expect(regex.test('I write C++ daily')).toBe(true);
+    expect(regex.test('I write c daily')).toBe(false);
+  });
+
+  it('cuts a window around the first match with highlight offsets', () => {
+    const content = `${'x'.repeat(100)} Redis and more redis ${'y'.repeat(100)}`;
+
+    const { snippet, highlights, matchCount } = buildSnippet(content, ['redis'], 20);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(matchCount).toBe(2);
+    expect(highlights.map(([start, end]) => snippet.slice(start, end))).toEqual(['Redis', 'redis']);
+  });
+});
@@ -0,0 +1,56 @@
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const SNIPPET_RADIUS = 80;
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splits a query into quoted phrases and single words
+export const parseSearchTerms = (query = '') => {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query.slice(0, MAX_QUERY_LENGTH))) && terms.length < MAX_TERMS) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term.length > 1 && !terms.includes(term)) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+// Case-insensitive regex matching any of the terms, safe to pass to $regex
+export const buildTermsRegex = (terms) =>
+  new RegExp(terms.map(escapeRegExp).join('|'), 'i');
+
+// Returns a window of text around the first match together with the
+// [start, end) offsets of every match inside it, so clients can highlight
+// without injecting markup
+export const buildSnippet = (content, terms, radius = SNIPPET_RADIUS) => {
+  const regex = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  const matches = [...content.matchAll(regex)];
+
+  if (matches.length === 0) {
+    return { snippet: content.slice(0, radius * 2), highlights: [], matchCount: 0 };
+  }
+
+  const first = matches[0].index;
+  const start = Math.max(first - radius, 0);
+  const end = Math.min(first + radius, content.length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+
+  const highlights = matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .map(match => [
+      match.index - start + prefix.length,
+      match.index - start + prefix.length + match[0].length
+    ]);
+
+  return {
+    snippet: prefix + content.slice(start, end) + suffix,
+    highlights,
+    matchCount: matches.length
+  };
+};
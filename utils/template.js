@@ -0,0 +1,49 @@
+// Variable names end up as keys of a Mongoose Map (Chat.assistant.variables),
+// which cannot contain '.'
+export const VARIABLE_NAME = /^[a-zA-Z_][\w-]*$/;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w-]*)\s*\}\}/g;
+const MAX_VALUE_LENGTH = 2000;
+
+export class TemplateError extends Error {
+  constructor(missing) {
+    super(`Missing values for: ${missing.join(', ')}`);
+    this.name = 'TemplateError';
+    this.code = 'TEMPLATE_VARIABLES_MISSING';
+    this.status = 400;
+    this.missing = missing;
+  }
+}
+
+// Names of the {{variables}} in a template, in order of first use
+export const extractVariables = (template = '') => {
+  const names = [];
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+};
+
+// Fills {{variables}} from values, falling back to each definition's
+// default. Throws listing every required variable left without a value.
+export const renderTemplate = (template = '', values = {}, definitions = []) => {
+  const byName = new Map(definitions.map(definition => [definition.name, definition]));
+  const missing = [];
+
+  const resolve = (name) => {
+    // Own keys only, so names like "constructor" are not read off Object.prototype
+    const value = (Object.hasOwn(values, name) ? values[name] : undefined) ?? byName.get(name)?.default;
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (byName.get(name)?.required !== false) missing.push(name);
+      return '';
+    }
+    return String(value).slice(0, MAX_VALUE_LENGTH);
+  };
+
+  const rendered = template.replace(VARIABLE_PATTERN, (match, name) => resolve(name));
+
+  if (missing.length > 0) {
+    throw new TemplateError([...new Set(missing)]);
+  }
+
+  return rendered;
+};